@@ -24,7 +24,20 @@ function initializeChatService() {
             console.error('Error: tagExtractor is not defined');
         }
         
-        verifyApiKey();
+        if (typeof speechOutput !== 'undefined') {
+            speechOutput.setApiKey(savedApiKey);
+        }
+        
+        if (typeof themeClusterer !== 'undefined') {
+            themeClusterer.setApiKey(savedApiKey);
+        }
+        
+        // A self-hosted endpoint without keys would only fail the OpenAI-specific checks
+        if (llmProvider.requiresApiKey()) {
+            verifyApiKey();
+        }
+    } else if (!llmProvider.requiresApiKey()) {
+        console.log('The configured endpoint does not need an API key');
     } else {
         const apiKey = prompt('Please enter your OpenAI API key:');
         if (apiKey) {
@@ -32,6 +45,8 @@ function initializeChatService() {
             chatService.setApiKey(apiKey);
             transcriptionService.setApiKey(apiKey);
             tagExtractor.setApiKey(apiKey);
+            speechOutput.setApiKey(apiKey);
+            themeClusterer.setApiKey(apiKey);
             localStorage.setItem('openai_api_key', apiKey);
             verifyApiKey();
         } else {
@@ -91,6 +106,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const chatContainer = document.getElementById('chatContainer');
     const aiTagsContainer = document.getElementById('aiTagsContainer');
     const feedbackButton = document.getElementById('feedbackButton');
+    const summarizeButton = document.getElementById('summarizeButton');
+    const cancelFeedbackButton = document.getElementById('cancelFeedbackButton');
+    const handsFreeButton = document.getElementById('handsFreeButton');
+    const pauseButton = document.getElementById('pauseButton');
+    const takesList = document.getElementById('takesList');
     
     // Setup API key edit button listener with additional logging
     const editApiKeyButton = document.getElementById('editApiKeyButton');
@@ -105,6 +125,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 chatService.setApiKey(newKey);
                 transcriptionService.setApiKey(newKey);
                 tagExtractor.setApiKey(newKey);
+                speechOutput.setApiKey(newKey);
+                themeClusterer.setApiKey(newKey);
                 alert('API key updated successfully.');
                 verifyApiKey();
             } else {
@@ -119,13 +141,16 @@ document.addEventListener('DOMContentLoaded', () => {
     let apiKey = localStorage.getItem('openai_api_key');
     let isProcessingAudio = false;
     let currentTranscript = "";
-    let lastTagUpdateTime = 0;
+    let currentLanguage = null; // Language the current transcript was spoken in
+    let lastRealtimeTagText = ""; // Partial transcript the word cloud last showed tags for
     let tagUpdateInterval = null;
     let partialTranscript = "";
     let recognizedSpeech = false;
+    let feedbackAbortController = null; // Aborts an in-flight AI feedback request
+    let handsFreeActive = false; // Silence ends each turn and listening resumes after the reply
     
-    // Initialize with API key
-    if (!apiKey) {
+    // Initialize with API key, unless the configured endpoint runs without one
+    if (!apiKey && llmProvider.requiresApiKey()) {
         promptForApiKey();
     } else {
         initializeWithApiKey(apiKey);
@@ -133,14 +158,31 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Event listeners
     recordButton.addEventListener('click', toggleRecording);
+    if (pauseButton) {
+        pauseButton.addEventListener('click', togglePause);
+    }
     feedbackButton.addEventListener('click', requestAIFeedback);
+    if (summarizeButton) summarizeButton.addEventListener('click', summarizeTranscript);
+    if (cancelFeedbackButton) {
+        cancelFeedbackButton.addEventListener('click', () => {
+            if (feedbackAbortController) {
+                console.log('Cancelling AI feedback request');
+                feedbackAbortController.abort();
+            }
+        });
+    }
+    if (handsFreeButton) {
+        handsFreeButton.addEventListener('click', toggleHandsFree);
+    }
     
     // Export buttons
     const exportTxtBtn = document.getElementById('exportTxtBtn');
     const exportSrtBtn = document.getElementById('exportSrtBtn');
+    const exportMoreBtn = document.getElementById('exportMoreBtn');
     const exportAudioBtn = document.getElementById('exportAudioBtn');
     const exportVideoBtn = document.getElementById('exportVideoBtn');
     const previewSubtitlesBtn = document.getElementById('previewSubtitlesBtn');
+    const editSubtitlesBtn = document.getElementById('editSubtitlesBtn');
     
     // Subtitle preview elements
     const subtitlePreviewContainer = document.getElementById('subtitlePreviewContainer');
@@ -151,13 +193,16 @@ document.addEventListener('DOMContentLoaded', () => {
     // Last processed audio result (for export)
     let lastAudioResult = null;
     let subtitlesData = [];
+    let editedSubtitles = null; // Subtitles as last saved from the subtitle editor
     
     // Add export button event listeners
     if (exportTxtBtn) exportTxtBtn.addEventListener('click', exportTranscriptAsTxt);
     if (exportSrtBtn) exportSrtBtn.addEventListener('click', exportTranscriptAsSrt);
+    if (exportMoreBtn) exportMoreBtn.addEventListener('click', showTranscriptExportOptions);
     if (exportAudioBtn) exportAudioBtn.addEventListener('click', exportAudio);
     if (exportVideoBtn) exportVideoBtn.addEventListener('click', showVideoExportOptions);
-    if (previewSubtitlesBtn) previewSubtitlesBtn.addEventListener('click', previewWithSubtitles);
+    if (previewSubtitlesBtn) previewSubtitlesBtn.addEventListener('click', () => previewWithSubtitles());
+    if (editSubtitlesBtn) editSubtitlesBtn.addEventListener('click', editSubtitles);
     if (closePreviewBtn) closePreviewBtn.addEventListener('click', closeSubtitlePreview);
     
     // Functions
@@ -175,12 +220,17 @@ document.addEventListener('DOMContentLoaded', () => {
         transcriptionService.setApiKey(key);
         chatService.setApiKey(key);
         tagExtractor.setApiKey(key);
+        speechOutput.setApiKey(key);
+        themeClusterer.setApiKey(key);
         
         // Enable conversational mode by default for more engaging responses
         chatService.setConversationMode(true);
         
         // Initialize SpeechRecognition for real-time transcription if available
         initializeSpeechRecognition();
+        
+        // Replay recordings that were made offline
+        offlineQueue.init();
     }
     
     // Initialize speech recognition for real-time tag updates
@@ -345,30 +395,25 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Enhanced real-time speech handling for iOS devices
     async function handleRealtimeSpeech(text) {
-        const now = Date.now();
-        
-        // Don't update tags too frequently - at most once every 1.5 seconds
-        if (now - lastTagUpdateTime > 1500 && text.length > 10) {
-            console.log(`[SPEECH] Processing speech for tags (${now - lastTagUpdateTime}ms since last update)`);
-            console.log(`[SPEECH] Text to process: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-            lastTagUpdateTime = now;
+        // Tags are extracted locally, so every new partial transcript can update the cloud
+        text = text.trim();
+        if (text.length > 10 && text !== lastRealtimeTagText) {
+            lastRealtimeTagText = text;
             await updateRealtimeTags(text);
-        } else {
-            const timeToNextUpdate = Math.max(0, 1500 - (now - lastTagUpdateTime));
-            console.log(`[SPEECH] Skipping update, next update in ${timeToNextUpdate}ms (text length: ${text.length})`);
         }
     }
     
     // Update tags in real-time during speech with better iOS handling
-    async function updateRealtimeTags(text) {
+    // refine asks the LLM to polish the local tags, for finished transcripts;
+    // words (with timestamps) link the tags to the recording for the timeline
+    async function updateRealtimeTags(text, language = getSpokenLanguage(text), refine = false, words = null) {
         try {
             console.log(`[REALTIME-TAGS] Starting tag update process with ${text.length} chars of text`);
             // For very short text, use a placeholder
             if (text.length < 15) {
                 console.log('[REALTIME-TAGS] Text too short, using placeholder');
                 if (window.wordCloud) {
-                    const language = getEffectiveLanguage();
-                    const placeholderText = language === 'pt-BR' ? 'Ouvindo...' : 'Listening...';
+                    const placeholderText = getTranslation('tags_listening', language);
                     console.log(`[REALTIME-TAGS] Using placeholder: "${placeholderText}"`);
                     window.wordCloud.updateWordCloud([
                         {text: placeholderText, confidence: 'low', count: 1, group: "other"}
@@ -384,21 +429,19 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             
-            // Get the effective language - prioritize iOS service language if available
-            const language = getEffectiveLanguage();
             console.log(`[REALTIME-TAGS] Extracting real-time tags with language: ${language}, text length: ${text.length}`);
             
             // Extract tags from the partial transcript with explicit language
             console.time('tag-extraction-total');
             console.log(`[REALTIME-TAGS] Calling tagExtractor.extractTagsRealtime with ${text.length} chars`);
-            const tags = await tagExtractor.extractTagsRealtime(text, 5, language);
+            const tags = await tagExtractor.extractTagsRealtime(text, 5, language, { refine, words });
             console.timeEnd('tag-extraction-total');
             
             // Validate we have actual tags
             if (!tags || tags.length === 0) {
                 console.warn("[REALTIME-TAGS] No tags extracted, using placeholder");
                 if (window.wordCloud) {
-                    const processingText = language === 'pt-BR' ? 'Processando...' : 'Processing...';
+                    const processingText = getTranslation('tags_processing', language);
                     window.wordCloud.updateWordCloud([
                         {text: processingText, confidence: 'low', count: 1, group: "other"}
                     ]);
@@ -422,16 +465,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
             
+            // Show when each tag was mentioned
+            if (words && window.tagTimeline) {
+                tagTimeline.render(tags, words.length > 0 ? words[words.length - 1].end : 0);
+            }
+            
             // Enable feedback button if we have speech
             if (recognizedSpeech && feedbackButton) {
                 feedbackButton.disabled = false;
             }
+            
+            return tags;
         } catch (error) {
             console.error('[REALTIME-TAGS] Error updating real-time tags:', error);
             // Don't fail silently - update with error state
             if (window.wordCloud) {
-                const language = getEffectiveLanguage();
-                const errorText = language === 'pt-BR' ? 'Erro de processamento' : 'Error processing';
+                const errorText = getTranslation('tags_error', language);
                 window.wordCloud.updateWordCloud([
                     {text: errorText, confidence: 'low', count: 1, group: "other"}
                 ]);
@@ -439,64 +488,111 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    async function toggleRecording() {
+    // Live browser speech recognition, for real-time tags while recording
+    function startLiveRecognition() {
+        // MODIFIED: Always use standard speech recognition, not iOS-specific
+        if (window.speechRecognition) {
+            try {
+                // Reset timestamps before starting
+                window.lastSpeechRecognitionEvent = Date.now();
+                window.speechRecognition.start();
+            } catch (e) {
+                console.error('Error starting speech recognition:', e);
+                // If it failed due to already running, try to stop and restart
+                if (e.name === 'InvalidStateError') {
+                    try {
+                        window.speechRecognition.stop();
+                        setTimeout(() => {
+                            window.speechRecognition.start();
+                        }, 500);
+                    } catch (stopError) {
+                        console.error('Error stopping/restarting speech recognition:', stopError);
+                    }
+                }
+            }
+        } else {
+            // Fallback: periodic updates for tags
+            tagUpdateInterval = setInterval(() => {
+                // Not implemented - would require partial results from audioRecorder
+                // which isn't currently available
+            }, 3000);
+        }
+    }
+    
+    function stopLiveRecognition() {
+        if (window.speechRecognition) {
+            try {
+                window.speechRecognition.stop();
+                console.log("Speech recognition stopped");
+            } catch (e) {
+                console.warn("Error stopping speech recognition:", e);
+            }
+        }
+        
+        // Clear any interval if it was set
+        if (tagUpdateInterval) {
+            clearInterval(tagUpdateInterval);
+            tagUpdateInterval = null;
+        }
+    }
+    
+    // options.continueConversation keeps the chat on screen for the next hands-free turn
+    async function toggleRecording(options = {}) {
         if (isProcessingAudio) return;
         
-        if (!audioRecorder.isRecording) {
+        if (!audioRecorder.isRecording && !audioRecorder.isPaused) {
+            // Don't record the AI's own voice
+            speechOutput.stop();
+            
             // Reset for new recording
             currentTranscript = "";
             partialTranscript = "";
             recognizedSpeech = false;
             tagExtractor.resetContext();
             
-            // Clear existing messages
-            chatContainer.innerHTML = '';
+            // Mentions point into the previous recording
+            if (window.wordCloud) window.wordCloud.clearMentions();
+            if (window.tagTimeline) tagTimeline.clear();
             
-            // Clear the AI tags display
-            aiTagsContainer.innerHTML = '<span class="tag-placeholder">Tags from AI responses will appear here</span>';
+            if (!options.continueConversation) {
+                // A new session starts a new word cloud replay
+                if (window.wordCloud) window.wordCloud.resetReplay();
+                
+                // Clear existing messages
+                chatContainer.innerHTML = '';
+                chatContainer.classList.remove('mixed-languages');
+                
+                // Clear the AI tags display
+                aiTagsContainer.innerHTML = '<span class="tag-placeholder">Tags from AI responses will appear here</span>';
+            }
             
             // MODIFIED: Force use of standard recording regardless of device
             const started = await audioRecorder.startRecording();
             
             if (started) {
-                recordingStatus.textContent = 'Recording... Click to stop';
+                recordingStatus.textContent = handsFreeActive ?
+                    getTranslation('hands_free_listening', getEffectiveLanguage()) :
+                    'Recording... Click to stop';
+                
+                // Hands-free: stop by itself once the user goes quiet
+                if (handsFreeActive) {
+                    voiceActivity.listen();
+                }
                 recordingIndicator.classList.remove('hidden');
                 feedbackButton.disabled = true;
+                updatePauseButton();
                 
-                // MODIFIED: Always use standard speech recognition, not iOS-specific
-                if (window.speechRecognition) {
-                    try {
-                        // Reset timestamps before starting
-                        window.lastSpeechRecognitionEvent = Date.now();
-                        window.speechRecognition.start();
-                    } catch (e) {
-                        console.error('Error starting speech recognition:', e);
-                        // If it failed due to already running, try to stop and restart
-                        if (e.name === 'InvalidStateError') {
-                            try {
-                                window.speechRecognition.stop();
-                                setTimeout(() => {
-                                    window.speechRecognition.start();
-                                }, 500);
-                            } catch (stopError) {
-                                console.error('Error stopping/restarting speech recognition:', stopError);
-                            }
-                        }
-                    }
-                } else {
-                    // Fallback: periodic updates for tags
-                    tagUpdateInterval = setInterval(() => {
-                        // Not implemented - would require partial results from audioRecorder
-                        // which isn't currently available
-                    }, 3000);
-                }
+                startLiveRecognition();
                 
                 // Disable export buttons when starting a new recording
                 if (exportTxtBtn) exportTxtBtn.disabled = true;
+                if (summarizeButton) summarizeButton.disabled = true;
                 if (exportSrtBtn) exportSrtBtn.disabled = true;
+                if (exportMoreBtn) exportMoreBtn.disabled = true;
                 if (exportAudioBtn) exportAudioBtn.disabled = true;
                 if (exportVideoBtn) exportVideoBtn.disabled = true;
                 if (previewSubtitlesBtn) previewSubtitlesBtn.disabled = true;
+                if (editSubtitlesBtn) editSubtitlesBtn.disabled = true;
                 
                 // Hide subtitle preview if visible
                 if (subtitlePreviewContainer) {
@@ -517,6 +613,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } else {
             isProcessingAudio = true;
+            voiceActivity.stop();
             recordButton.classList.remove('recording');
             recordingIndicator.classList.add('hidden');
             
@@ -525,28 +622,34 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log("Saved transcript before stopping recognition:", savedTranscript);
             
             // Stop the speech recognition
-            if (window.speechRecognition) {
-                try {
-                    window.speechRecognition.stop();
-                    console.log("Speech recognition stopped");
-                } catch (e) {
-                    console.warn("Error stopping speech recognition:", e);
-                }
-            }
-            
-            // Clear any interval if it was set
-            if (tagUpdateInterval) {
-                clearInterval(tagUpdateInterval);
-                tagUpdateInterval = null;
-            }
+            stopLiveRecognition();
             
             // Show processing state
             recordingStatus.textContent = 'Processing...';
             recordButton.disabled = true;
             recordButton.classList.add('processing');
+            updatePauseButton();
             
             // Stop the recording and get results
-            const audioResult = await audioRecorder.stopRecording();
+            let audioResult;
+            try {
+                audioResult = await audioRecorder.stopRecording();
+            } catch (error) {
+                // Takes that can't be joined stay paused, so they can be sent again or deleted
+                console.error('Error finishing recording:', error);
+                alert('Error: ' + error.message);
+                recordingStatus.textContent = getTranslation('recording_paused', getEffectiveLanguage());
+                recordButton.disabled = false;
+                recordButton.classList.remove('processing');
+                isProcessingAudio = false;
+                updatePauseButton();
+                return;
+            }
+            
+            // Show what was recorded: level, silences and speech
+            if (window.recordingVisualizer && audioResult && audioResult.blob) {
+                recordingVisualizer.showOverview(audioResult.blob, { clips: audioResult.clips, peak: audioResult.inputPeak });
+            }
             
             console.log("Audio recording stopped, result:", audioResult ? 
               `blob: ${audioResult.blob.size} bytes, type: ${audioResult.type}` : "No audio result");
@@ -557,7 +660,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 volumeDisplay.style.display = 'none';
             }
             
-            if (audioResult && audioResult.blob && audioResult.blob.size > 0) {
+            if (audioResult && audioResult.blob && audioResult.blob.size > 0 && !offlineQueue.isOnline()) {
+                // No connection: keep the recording and replay it once we're back online
+                await queueOfflineRecording(audioResult);
+            } else if (audioResult && audioResult.blob && audioResult.blob.size > 0) {
                 try {
                     console.log(`Processing audio recording: ${audioResult.blob.size} bytes, type: ${audioResult.blob.type}, chunks: ${audioResult.chunks || 1}`);
                     
@@ -618,8 +724,11 @@ document.addEventListener('DOMContentLoaded', () => {
                         }
                     }
                     
-                    // Add transcript to UI
-                    addMessageToChat('user', currentTranscript);
+                    // Add transcript to UI, split into speaker turns when diarization found several voices
+                    const speakerTurns = transcriptionSource === 'whisper' && window.speakerDiarizer ?
+                        speakerDiarizer.buildTurns(transcriptionService.getWordTimestamps(), currentTranscript) : [];
+                    currentLanguage = getSpokenLanguage(currentTranscript, transcriptionSource);
+                    addMessageToChat('user', currentTranscript, { turns: speakerTurns, language: currentLanguage });
                     
                     // Update recording status
                     recordingStatus.textContent = 'Click to start recording';
@@ -630,74 +739,96 @@ document.addEventListener('DOMContentLoaded', () => {
                         recognizedSpeech = true;
                     }
                     
-                    // Update tag cloud with extracted tags
-                    updateRealtimeTags(currentTranscript);
+                    // Update tag cloud with extracted tags, linked to when they were said
+                    const transcriptWords = transcriptionSource === 'whisper' ?
+                        transcriptionService.getWordTimestamps() : tagExtractor.estimateWordTimestamps(subtitlesData);
+                    const tagsPromise = updateRealtimeTags(currentTranscript, currentLanguage, true, transcriptWords);
                     
                     // Enable export buttons
                     if (exportTxtBtn) exportTxtBtn.disabled = false;
+                    if (summarizeButton) summarizeButton.disabled = false;
                     if (exportSrtBtn) exportSrtBtn.disabled = false;
+                    if (exportMoreBtn) exportMoreBtn.disabled = false;
                     if (exportAudioBtn) exportAudioBtn.disabled = false;
                     if (exportVideoBtn) exportVideoBtn.disabled = false;
                     if (previewSubtitlesBtn) previewSubtitlesBtn.disabled = false;
+                    if (editSubtitlesBtn) editSubtitlesBtn.disabled = false;
                     
                     // Save to history if audio handler available
                     if (window.audioHandler) {
-                        window.audioHandler.addToHistory(audioResult, currentTranscript);
+                        window.audioHandler.addToHistory(audioResult, currentTranscript, false, currentLanguage);
+                        tagsPromise.then(tags => window.audioHandler.updateCurrentHistoryWithTags(tags));
+                    }
+                    
+                    // Hands-free conversation: ask for the reply without waiting for a click
+                    if ((speechOutput.isAutoSpeakEnabled() || handsFreeActive) && !feedbackButton.disabled) {
+                        requestAIFeedback();
                     }
                 } catch (error) {
                     console.error('Error processing audio:', error);
                     
-                    // Get detailed error information
-                    let errorDetails = "";
-                    if (transcriptionService.getLastErrorDetails) {
-                        const details = transcriptionService.getLastErrorDetails();
-                        if (details.status) {
-                            errorDetails = ` (Error ${details.status}: ${details.error?.message || details.statusText})`;
+                    // The connection dropped mid-request: queue the recording instead of losing it
+                    if (offlineQueue.isNetworkError(error)) {
+                        await queueOfflineRecording(audioResult);
+                    } else {
+                        // Get detailed error information
+                        let errorDetails = "";
+                        if (transcriptionService.getLastErrorDetails) {
+                            const details = transcriptionService.getLastErrorDetails();
+                            if (details.status) {
+                                errorDetails = ` (Error ${details.status}: ${details.error?.message || details.statusText})`;
+                            }
                         }
-                    }
                     
-                    // Improve error messages for common issues
-                    let errorMessage = error.message;
-                    if (errorMessage.includes("format not supported") || 
-                        errorMessage.includes("could not be decoded")) {
-                        errorMessage = "Audio format not supported by Whisper API. Try uploading a MP3/WAV file instead.";
-                    } else if (errorMessage.includes("too short")) {
-                        errorMessage = "Audio is too short. Please record at least 0.5 seconds of audio.";
-                    } else if (errorMessage.includes("too large")) {
-                        errorMessage = "Audio file is too large (over 25MB). Please record a shorter clip.";
-                    } else if (errorMessage.includes("empty")) {
-                        errorMessage = "No speech detected in the recording. Please check your microphone and try speaking louder.";
-                    }
+                        // Improve error messages for common issues
+                        let errorMessage = error.message;
+                        if (errorMessage.includes("format not supported") || 
+                            errorMessage.includes("could not be decoded")) {
+                            errorMessage = "Audio format not supported by Whisper API. Try uploading a MP3/WAV file instead.";
+                        } else if (errorMessage.includes("too short")) {
+                            errorMessage = "Audio is too short. Please record at least 0.5 seconds of audio.";
+                        } else if (errorMessage.includes("too large")) {
+                            errorMessage = "Audio file is too large (over 25MB). Please record a shorter clip.";
+                        } else if (errorMessage.includes("empty")) {
+                            errorMessage = "No speech detected in the recording. Please check your microphone and try speaking louder.";
+                        }
                     
-                    alert('Error: ' + errorMessage + errorDetails);
-                    recordingStatus.textContent = 'Transcription failed. Try using the upload option.';
+                        alert('Error: ' + errorMessage + errorDetails);
+                        recordingStatus.textContent = 'Transcription failed. Try using the upload option.';
                     
-                    // Still try to use the browser transcript if we have it
-                    if (savedTranscript && savedTranscript.length > 10) {
-                        console.log('Using browser transcription after error:', savedTranscript);
-                        currentTranscript = savedTranscript;
-                        addMessageToChat('user', currentTranscript);
+                        // Still try to use the browser transcript if we have it
+                        if (savedTranscript && savedTranscript.length > 10) {
+                            console.log('Using browser transcription after error:', savedTranscript);
+                            currentTranscript = savedTranscript;
+                            currentLanguage = getSpokenLanguage(currentTranscript);
+                            addMessageToChat('user', currentTranscript, { language: currentLanguage });
                         
-                        // Enable feedback button if we have a transcript
-                        feedbackButton.disabled = false;
+                            // Enable feedback button if we have a transcript
+                            feedbackButton.disabled = false;
                         
-                        // Generate subtitle data for browser transcription
-                        subtitlesData = window.generateSubtitleData ? 
-                            window.generateSubtitleData(currentTranscript) : [];
+                            // Generate subtitle data for browser transcription
+                            subtitlesData = window.generateSubtitleData ? 
+                                window.generateSubtitleData(currentTranscript) : [];
                         
-                        // Update tag cloud
-                        updateRealtimeTags(currentTranscript);
+                            // Update tag cloud
+                            const tagsPromise = updateRealtimeTags(currentTranscript, currentLanguage, true,
+                                tagExtractor.estimateWordTimestamps(subtitlesData));
                         
-                        // Enable export buttons
-                        if (exportTxtBtn) exportTxtBtn.disabled = false;
-                        if (exportSrtBtn) exportSrtBtn.disabled = false;
-                        if (exportAudioBtn) exportAudioBtn.disabled = false;
-                        if (exportVideoBtn) exportVideoBtn.disabled = false;
-                        if (previewSubtitlesBtn) previewSubtitlesBtn.disabled = false;
+                            // Enable export buttons
+                            if (exportTxtBtn) exportTxtBtn.disabled = false;
+                            if (summarizeButton) summarizeButton.disabled = false;
+                            if (exportSrtBtn) exportSrtBtn.disabled = false;
+                            if (exportMoreBtn) exportMoreBtn.disabled = false;
+                            if (exportAudioBtn) exportAudioBtn.disabled = false;
+                            if (exportVideoBtn) exportVideoBtn.disabled = false;
+                            if (previewSubtitlesBtn) previewSubtitlesBtn.disabled = false;
+                            if (editSubtitlesBtn) editSubtitlesBtn.disabled = false;
                         
-                        // Save to history with error flag
-                        if (window.audioHandler) {
-                            window.audioHandler.addToHistory(audioResult, currentTranscript, true);
+                            // Save to history with error flag
+                            if (window.audioHandler) {
+                                window.audioHandler.addToHistory(audioResult, currentTranscript, true, currentLanguage);
+                                tagsPromise.then(tags => window.audioHandler.updateCurrentHistoryWithTags(tags));
+                            }
                         }
                     }
                 } finally {
@@ -713,7 +844,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (savedTranscript && savedTranscript.length > 10) {
                     console.log("No audio but we have browser transcript, using it anyway");
                     currentTranscript = savedTranscript;
-                    addMessageToChat('user', currentTranscript);
+                    currentLanguage = getSpokenLanguage(currentTranscript);
+                    addMessageToChat('user', currentTranscript, { language: currentLanguage });
                     
                     // Extract tags from the transcript
                     try {
@@ -739,22 +871,277 @@ document.addEventListener('DOMContentLoaded', () => {
                     feedbackButton.disabled = true;
                 }
             }
+            
+            // Hands-free: no reply is on its way, so go straight back to listening
+            if (handsFreeActive && !feedbackAbortController) {
+                resumeListening();
+            }
         }
     }
     
+    // Put a recording in the offline queue and tell the user it's safe
+    async function queueOfflineRecording(audioResult) {
+        try {
+            await offlineQueue.enqueue(audioResult, { language: getSpokenLanguage('') });
+            recordingStatus.textContent = getTranslation('saved_offline', getEffectiveLanguage());
+        } catch (error) {
+            console.error('Error queueing recording:', error);
+            alert('Error: ' + error.message);
+        } finally {
+            recordButton.disabled = false;
+            recordButton.classList.remove('processing');
+            isProcessingAudio = false;
+        }
+    }
+    
+    /**
+     * Language a transcript was spoken in. Whisper reports it; browser transcripts
+     * are guessed from their words when auto-detect is on.
+     * @param {string} text - The transcript
+     * @param {string} source - 'whisper' or 'browser'
+     * @returns {string} - Language code
+     */
+    function getSpokenLanguage(text, source = 'browser') {
+        if (source === 'whisper') {
+            return transcriptionService.getDetectedLanguage();
+        }
+        
+        const settings = window.translationController ? window.translationController.getSettings() : null;
+        if (!settings) {
+            return getEffectiveLanguage();
+        }
+        return settings.autoDetect ? detectTextLanguage(text, settings.spokenLanguage) : settings.language;
+    }
+    
+    // Pause a recording to keep what was said as a take, or resume it with a new take
+    async function togglePause() {
+        if (isProcessingAudio || handsFreeActive) return;
+        
+        if (audioRecorder.isRecording) {
+            await pauseTake();
+        } else if (audioRecorder.isPaused) {
+            await resumeTake(null);
+        }
+    }
+    
+    async function pauseTake() {
+        isProcessingAudio = true;
+        stopLiveRecognition();
+        recordingIndicator.classList.add('hidden');
+        
+        await audioRecorder.pauseRecording();
+        
+        isProcessingAudio = false;
+        recordingStatus.textContent = getTranslation('recording_paused', getEffectiveLanguage());
+        updatePauseButton();
+        
+        const volumeDisplay = document.querySelector('.volume-display');
+        if (volumeDisplay) {
+            volumeDisplay.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Record another take of a paused recording
+     * @param {number|null} replaceIndex - Take to re-record, or null to add one at the end
+     */
+    async function resumeTake(replaceIndex) {
+        if (isProcessingAudio) return;
+        
+        speechOutput.stop();
+        const started = await audioRecorder.resumeRecording(replaceIndex);
+        
+        if (started) {
+            recordingStatus.textContent = getTranslation(replaceIndex !== null ? 'take_rerecording' : 'recording_resumed', getEffectiveLanguage())
+                .replace('{n}', replaceIndex + 1);
+            recordingIndicator.classList.remove('hidden');
+            updatePauseButton();
+            startLiveRecognition();
+        } else {
+            alert('Could not access microphone. Please check permissions.');
+        }
+    }
+    
+    // The pause button shows while a recording can be paused or resumed
+    function updatePauseButton() {
+        if (!pauseButton) return;
+        
+        const visible = !handsFreeActive && !isProcessingAudio && (audioRecorder.isRecording || audioRecorder.isPaused);
+        pauseButton.classList.toggle('hidden', !visible);
+        pauseButton.classList.toggle('paused', audioRecorder.isPaused);
+        pauseButton.title = getTranslation(audioRecorder.isPaused ? 'resume_recording' : 'pause_recording', getEffectiveLanguage());
+        pauseButton.innerHTML = `<i class="fas ${audioRecorder.isPaused ? 'fa-play' : 'fa-pause'}"></i>`;
+    }
+    
+    // List the takes of a paused recording, to play, re-record or delete them before sending
+    function renderTakes() {
+        if (!takesList) return;
+        
+        const language = getEffectiveLanguage();
+        const takes = audioRecorder.getTakes();
+        takesList.innerHTML = '';
+        takesList.classList.toggle('hidden', takes.length === 0);
+        
+        takes.forEach((take, index) => {
+            const item = document.createElement('div');
+            item.className = 'take-item';
+            item.classList.toggle('rerecording', audioRecorder.replaceTakeIndex === index);
+            item.innerHTML = `
+                <span class="take-label">${getTranslation('take_label', language).replace('{n}', index + 1)}</span>
+                <span class="take-duration">${formatTimeDisplay(take.duration)}</span>
+                <button class="take-play" title="${getTranslation('take_play', language)}"><i class="fas fa-play"></i></button>
+                <button class="take-rerecord" title="${getTranslation('take_rerecord', language)}"><i class="fas fa-redo"></i></button>
+                <button class="take-delete" title="${getTranslation('take_delete', language)}"><i class="fas fa-trash"></i></button>
+            `;
+            
+            // Takes can only be changed while the recording is paused
+            item.querySelectorAll('button').forEach(button => {
+                button.disabled = !audioRecorder.isPaused;
+            });
+            item.querySelector('.take-play').addEventListener('click', () => playTake(take));
+            item.querySelector('.take-rerecord').addEventListener('click', () => resumeTake(index));
+            item.querySelector('.take-delete').addEventListener('click', () => {
+                if (confirm(getTranslation('take_delete_confirm', language).replace('{n}', index + 1))) {
+                    audioRecorder.deleteTake(index);
+                }
+            });
+            
+            takesList.appendChild(item);
+        });
+    }
+    
+    let takePlayer = null;
+    function playTake(take) {
+        if (takePlayer) {
+            takePlayer.pause();
+            URL.revokeObjectURL(takePlayer.src);
+        }
+        takePlayer = new Audio(URL.createObjectURL(take.blob));
+        takePlayer.play().catch(e => console.error('[TAKES] Could not play take:', e));
+    }
+    
+    window.addEventListener('recordingTakesChanged', renderTakes);
+    window.addEventListener('languageChanged', () => {
+        updatePauseButton();
+        renderTakes();
+    });
+    
+    // Start the next turn of a hands-free conversation
+    function resumeListening() {
+        if (!audioRecorder.isRecording && !audioRecorder.isPaused && !isProcessingAudio) {
+            toggleRecording({ continueConversation: true });
+        }
+    }
+    
+    // Turn hands-free mode on or off
+    function toggleHandsFree() {
+        handsFreeActive = !handsFreeActive;
+        handsFreeButton.classList.toggle('active', handsFreeActive);
+        handsFreeButton.setAttribute('aria-pressed', handsFreeActive);
+        console.log(`Hands-free mode ${handsFreeActive ? 'on' : 'off'}`);
+        
+        // Hands-free turns end on silence, so they aren't paused
+        updatePauseButton();
+        
+        if (!handsFreeActive) {
+            voiceActivity.stop();
+            if (audioRecorder.isRecording) {
+                recordingStatus.textContent = 'Recording... Click to stop';
+            }
+            return;
+        }
+        
+        // Pick up wherever the conversation is; otherwise the reply or transcription resumes it
+        if (audioRecorder.isRecording) {
+            recordingStatus.textContent = getTranslation('hands_free_listening', getEffectiveLanguage());
+            voiceActivity.listen();
+        } else if (speechOutput.isSpeaking()) {
+            voiceActivity.watchForBargeIn();
+        } else if (!isProcessingAudio && !feedbackAbortController && !audioRecorder.isPaused) {
+            toggleRecording();
+        }
+    }
+    
+    // The user went quiet: finish the take, which transcribes it and asks for a reply
+    window.addEventListener('utteranceEnded', () => {
+        if (handsFreeActive && audioRecorder.isRecording && !isProcessingAudio) {
+            toggleRecording();
+        }
+    });
+    
+    // The user talked over the reply: stop reading and listen to them
+    window.addEventListener('bargeInDetected', () => {
+        if (handsFreeActive && speechOutput.isSpeaking()) {
+            speechOutput.stop();
+            resumeListening();
+        }
+    });
+    
     // Request AI feedback when button is clicked
     async function requestAIFeedback() {
         if (!currentTranscript || feedbackButton.disabled) {
             return;
         }
         
+        // Bubble that receives streamed tokens, created on the first token
+        let streamingMessage = null;
+        
+        // Replies come back in the language spoken, unless translation asks for another one
+        const settings = window.translationController ? window.translationController.getSettings() : null;
+        const replyLanguage = settings && settings.translateEnabled ?
+            settings.targetLanguage : (currentLanguage || getEffectiveLanguage());
+        
         try {
             // Show loading state
             feedbackButton.disabled = true;
             feedbackButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
             
-            // Get AI response
-            const response = await chatService.sendMessage(currentTranscript, { conversationalResponse: true });
+            feedbackAbortController = new AbortController();
+            if (cancelFeedbackButton) cancelFeedbackButton.style.display = 'inline-block';
+            
+            // Get AI response, streaming tokens into the chat when enabled
+            const response = await chatService.sendMessage(currentTranscript, {
+                conversationalResponse: true,
+                language: currentLanguage || undefined,
+                stream: llmProvider.getTaskConfig('chat').stream !== false,
+                signal: feedbackAbortController.signal,
+                onToken: (token, fullText) => {
+                    if (!streamingMessage) {
+                        streamingMessage = addMessageToChat('assistant', '');
+                        streamingMessage.classList.add('streaming');
+                    }
+                    streamingMessage.textContent = fullText;
+                    chatContainer.scrollTop = chatContainer.scrollHeight;
+                }
+            });
+            
+            // Cancelled before any text arrived - nothing to keep
+            if (!response) {
+                if (handsFreeActive) resumeListening();
+                return;
+            }
+            
+            // Show the final (formatted) text in the streamed bubble or a new one
+            let replyMessage = streamingMessage;
+            if (streamingMessage) {
+                streamingMessage.textContent = response;
+                streamingMessage.classList.remove('streaming');
+                addSpeakButton(streamingMessage, response);
+                addLanguageLabel(streamingMessage, replyLanguage);
+            } else {
+                replyMessage = addMessageToChat('assistant', response, { language: replyLanguage });
+            }
+            
+            // Read the reply aloud, then listen for the next turn
+            if (speechOutput.isAutoSpeakEnabled()) {
+                speakReply(replyMessage, response).then(finished => {
+                    if (finished) {
+                        resumeListening();
+                    }
+                });
+            } else if (handsFreeActive) {
+                resumeListening();
+            }
             
             // Extract tags from AI response
             const aiTags = await tagExtractor.extractTags(response, 8, false);
@@ -764,32 +1151,192 @@ document.addEventListener('DOMContentLoaded', () => {
                 window.wordCloud.updateWordCloud(aiTags);
             }
             
-            // Add AI response to chat
-            addMessageToChat('assistant', response);
-            
             // Update any history records with this response
             if (window.audioHandler) {
-                window.audioHandler.updateCurrentHistoryWithResponse(response);
+                window.audioHandler.updateCurrentHistoryWithResponse(response, aiTags, replyLanguage);
             }
         } catch (error) {
             console.error('Error getting AI feedback:', error);
+            if (streamingMessage) {
+                streamingMessage.remove();
+            }
             alert('Error getting AI feedback: ' + error.message);
+            if (handsFreeActive) resumeListening();
         } finally {
+            feedbackAbortController = null;
+            if (cancelFeedbackButton) cancelFeedbackButton.style.display = 'none';
+            
             // Reset button
             feedbackButton.disabled = false;
             feedbackButton.innerHTML = '<i class="fas fa-comment-dots"></i> Get AI Feedback';
         }
     }
     
-    function addMessageToChat(role, content) {
+    // Summarize the current transcript into the chat, leaving the conversation history alone
+    async function summarizeTranscript() {
+        if (!currentTranscript || summarizeButton.disabled) {
+            return;
+        }
+        
+        try {
+            summarizeButton.disabled = true;
+            summarizeButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
+            
+            const summary = await chatService.summarize(currentTranscript, {
+                language: currentLanguage || undefined
+            });
+            addMessageToChat('assistant', summary, { language: currentLanguage || undefined });
+        } catch (error) {
+            console.error('Error summarizing transcript:', error);
+            alert('Error: ' + error.message);
+        } finally {
+            summarizeButton.disabled = !currentTranscript;
+            summarizeButton.innerHTML = `<i class="fas fa-compress-alt"></i> ${getTranslation('summarize_transcript', getEffectiveLanguage())}`;
+        }
+    }
+    
+    function addMessageToChat(role, content, options = {}) {
         const messageDiv = document.createElement('div');
         messageDiv.classList.add('message', `${role}-message`);
-        messageDiv.textContent = content;
+        
+        const turns = options.turns || [];
+        if (turns.length > 0) {
+            messageDiv.dataset.speaker = turns[0].speaker;
+        }
+        
+        // Show speaker labels only when more than one person is talking
+        if (turns.length > 0 && window.speakerDiarizer && speakerDiarizer.hasMultipleSpeakers()) {
+            renderSpeakerTurns(messageDiv, turns);
+        } else {
+            messageDiv.textContent = content;
+        }
+        
+        // Streaming bubbles get their button once the reply is complete
+        if (role === 'assistant' && content) {
+            addSpeakButton(messageDiv, content);
+        }
         
         chatContainer.appendChild(messageDiv);
+        
+        // Streaming bubbles are labeled once the reply is complete, like the speak button
+        if (options.language && content) {
+            addLanguageLabel(messageDiv, options.language);
+        }
+        
         chatContainer.scrollTop = chatContainer.scrollHeight; // Auto-scroll to bottom
+        
+        return messageDiv;
+    }
+    
+    // Tag a message with the language it's in; labels only show once the chat mixes languages
+    function addLanguageLabel(messageDiv, language) {
+        messageDiv.dataset.language = language;
+        
+        const label = document.createElement('span');
+        label.className = 'message-language-label';
+        label.textContent = languagePacks.getFlag(language) || language.split('-')[0].toUpperCase();
+        label.title = `${getTranslation('spoken_language', getEffectiveLanguage())}: ${languagePacks.getDisplayName(language)}`;
+        messageDiv.prepend(label);
+        
+        const languages = new Set(Array.from(chatContainer.querySelectorAll('.message[data-language]'))
+            .map(message => message.dataset.language));
+        chatContainer.classList.toggle('mixed-languages', languages.size > 1);
     }
     
+    // Add a button that reads an AI reply aloud
+    function addSpeakButton(messageDiv, text) {
+        if (!speechOutput.getAvailableProviders().length) return;
+        
+        messageDiv.dataset.speechId = `reply_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`;
+        
+        const speakButton = document.createElement('button');
+        speakButton.className = 'speak-message-button';
+        speakButton.dataset.speechId = messageDiv.dataset.speechId;
+        speakButton.title = getTranslation('speak_message', getEffectiveLanguage());
+        speakButton.innerHTML = '<i class="fas fa-volume-up"></i>';
+        speakButton.addEventListener('click', () => {
+            if (speechOutput.isSpeaking(messageDiv.dataset.speechId)) {
+                speechOutput.stop();
+            } else {
+                speakReply(messageDiv, text);
+            }
+        });
+        
+        messageDiv.prepend(speakButton);
+    }
+    
+    // Speak a reply in the language it was written in
+    async function speakReply(messageDiv, text) {
+        const settings = window.translationController ?
+            window.translationController.getSettings() :
+            { language: getEffectiveLanguage(), translateEnabled: false };
+        const language = (messageDiv && messageDiv.dataset.language) ||
+            (settings.translateEnabled ? settings.targetLanguage : settings.spokenLanguage || settings.language);
+        
+        try {
+            return await speechOutput.speak(text, {
+                language,
+                id: messageDiv ? messageDiv.dataset.speechId : null
+            });
+        } catch (error) {
+            console.error('Error speaking reply:', error);
+            alert('Error: ' + error.message);
+            return false;
+        }
+    }
+    
+    // Show which reply is being spoken
+    window.addEventListener('speechStateChanged', (e) => {
+        document.querySelectorAll(`.speak-message-button[data-speech-id="${e.detail.id}"]`).forEach(button => {
+            button.classList.toggle('speaking', e.detail.speaking);
+            button.title = getTranslation(e.detail.speaking ? 'stop_speaking' : 'speak_message', getEffectiveLanguage());
+            button.innerHTML = `<i class="fas ${e.detail.speaking ? 'fa-stop' : 'fa-volume-up'}"></i>`;
+        });
+        
+        // Hands-free: listen for the user talking over the reply
+        if (handsFreeActive) {
+            if (e.detail.speaking) {
+                voiceActivity.watchForBargeIn();
+            } else if (!audioRecorder.isRecording) {
+                voiceActivity.stop();
+            }
+        }
+    });
+    
+    // Render each speaker turn with a clickable (renamable) label
+    function renderSpeakerTurns(messageDiv, turns) {
+        turns.forEach(turn => {
+            const turnDiv = document.createElement('div');
+            turnDiv.className = 'speaker-turn';
+            
+            const label = document.createElement('span');
+            label.className = 'speaker-label';
+            label.dataset.speaker = turn.speaker;
+            label.textContent = speakerDiarizer.getSpeakerName(turn.speaker);
+            label.title = getTranslation('rename_speaker', getEffectiveLanguage());
+            label.addEventListener('click', () => {
+                const name = prompt(
+                    getTranslation('rename_speaker_prompt', getEffectiveLanguage()),
+                    speakerDiarizer.getSpeakerName(turn.speaker)
+                );
+                if (name !== null) {
+                    speakerDiarizer.renameSpeaker(turn.speaker, name);
+                }
+            });
+            
+            turnDiv.appendChild(label);
+            turnDiv.append(' ' + turn.text);
+            messageDiv.appendChild(turnDiv);
+        });
+    }
+    
+    // Keep every label in sync when a speaker is renamed
+    window.addEventListener('speakerRenamed', (e) => {
+        document.querySelectorAll(`.speaker-label[data-speaker="${e.detail.speakerId}"]`).forEach(label => {
+            label.textContent = e.detail.name;
+        });
+    });
+    
     // Display tags with confidence indicators
     function displayTags(tags, container) {
         if (!container) return;
@@ -842,67 +1389,97 @@ document.addEventListener('DOMContentLoaded', () => {
     window.addMessageToChat = addMessageToChat;
     window.displayTags = displayTags;
 
+    // Restore transcript, subtitles and audio when a saved session is opened from history
+    window.addEventListener('sessionRestored', (e) => {
+        const session = e.detail.session;
+
+        // The preview may still hold the previous session's audio
+        closeSubtitlePreview();
+
+        currentTranscript = session.transcript || '';
+        subtitlesData = session.subtitles && session.subtitles.length > 0 ? session.subtitles :
+            (currentTranscript && window.generateSubtitleData ? window.generateSubtitleData(currentTranscript) : []);
+        editedSubtitles = session.subtitlesEdited ? subtitlesData : null;
+        lastAudioResult = session.file ? {
+            blob: session.file,
+            type: session.type || session.file.type,
+            filename: session.filename,
+            codecInfo: 'restored'
+        } : null;
+
+        // Exports depending on audio are only available when the audio was stored
+        const hasTranscript = !!currentTranscript;
+        if (exportTxtBtn) exportTxtBtn.disabled = !hasTranscript;
+        if (summarizeButton) summarizeButton.disabled = !hasTranscript;
+        if (exportSrtBtn) exportSrtBtn.disabled = !hasTranscript;
+        if (exportMoreBtn) exportMoreBtn.disabled = !hasTranscript;
+        if (exportAudioBtn) exportAudioBtn.disabled = !lastAudioResult;
+        if (exportVideoBtn) exportVideoBtn.disabled = !lastAudioResult || !hasTranscript;
+        if (previewSubtitlesBtn) previewSubtitlesBtn.disabled = !lastAudioResult || !hasTranscript;
+        if (editSubtitlesBtn) editSubtitlesBtn.disabled = !hasTranscript;
+
+        console.log(`Restored session ${session.id} (${subtitlesData.length} subtitles, audio: ${!!lastAudioResult})`);
+    });
+
+    // Search results, the word cloud and the tag timeline ask to play the session from a given moment
+    window.addEventListener('seekToTime', (e) => {
+        if (!lastAudioResult || subtitlesData.length === 0) {
+            console.warn('Cannot seek: the session has no stored audio');
+            return;
+        }
+        
+        // The preview is already playing this audio: just jump
+        if (subtitlePreviewContainer.style.display !== 'none' && previewAudioPlayer.src && previewAudioPlayer.readyState > 0) {
+            previewAudioPlayer.currentTime = e.detail.time;
+            previewAudioPlayer.play().catch(error => console.warn('Could not resume preview playback:', error));
+        } else {
+            previewWithSubtitles(e.detail.time);
+        }
+        subtitlePreviewContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    // Show progress while a long recording is transcribed in chunks
+    window.addEventListener('transcriptionProgress', (e) => {
+        if (!isProcessingAudio) return;
+        recordingStatus.textContent = `${getTranslation('transcribing_chunks', getEffectiveLanguage())} (${e.detail.completed}/${e.detail.total})`;
+    });
+
     // Functions to handle exports
     
-    // Export transcript as TXT
-    async function exportTranscriptAsTxt() {
+    // Session fields for the transcript exporter: the stored session when it is the one shown,
+    // otherwise just the transcript and subtitles on screen
+    function getExportSession() {
+        const session = window.audioHandler && audioHandler.currentHistoryItem;
+        const fields = session && session.transcript === currentTranscript ? session : {};
+        return { ...fields, transcript: currentTranscript, subtitles: subtitlesData };
+    }
+    
+    // Export the transcript in one of the transcript exporter's formats
+    async function exportTranscript(formatId) {
         if (!currentTranscript) return;
         
-        const filename = `transcript_${getTimestamp()}.txt`;
-        const content = currentTranscript;
-        
-        // Use Web Share API on mobile devices if available
-        if (navigator.canShare && isNativeMobileDevice()) {
-            try {
-                const file = new File([content], filename, { type: 'text/plain' });
-                
-                if (navigator.canShare({ files: [file] })) {
-                    await navigator.share({
-                        files: [file],
-                        title: 'Transcript',
-                        text: 'Transcript from Echo Life'
-                    });
-                    return;
-                }
-            } catch (error) {
-                console.error('Error sharing:', error);
-                // Fall back to download method if sharing fails
-            }
+        try {
+            await transcriptExporter.exportAndSave(formatId, getExportSession());
+        } catch (error) {
+            console.error(`Error exporting ${formatId}:`, error);
+            alert('Error: ' + error.message);
         }
-        
-        // Standard download for desktop browsers
-        downloadFile(content, filename, 'text/plain');
+    }
+    
+    // Export transcript as TXT
+    async function exportTranscriptAsTxt() {
+        await exportTranscript('txt');
     }
     
     // Export transcript as SRT
     async function exportTranscriptAsSrt() {
+        await exportTranscript('srt');
+    }
+    
+    // Show the other transcript formats (WebVTT, JSON, Markdown, DOCX)
+    function showTranscriptExportOptions() {
         if (!currentTranscript) return;
-        
-        // Create SRT formatted content using our subtitle data
-        const srtContent = generateSrtContent(subtitlesData);
-        const filename = `captions_${getTimestamp()}.srt`;
-        
-        // Use Web Share API on mobile devices if available
-        if (navigator.canShare && isNativeMobileDevice()) {
-            try {
-                const file = new File([srtContent], filename, { type: 'text/plain' });
-                
-                if (navigator.canShare({ files: [file] })) {
-                    await navigator.share({
-                        files: [file],
-                        title: 'Subtitles',
-                        text: 'Subtitles from Echo Life'
-                    });
-                    return;
-                }
-            } catch (error) {
-                console.error('Error sharing:', error);
-                // Fall back to download method if sharing fails
-            }
-        }
-        
-        // Standard download for desktop browsers
-        downloadFile(srtContent, filename, 'text/plain');
+        transcriptExporter.open(getExportSession());
     }
     
     // Export audio with proper format handling
@@ -984,68 +1561,6 @@ document.addEventListener('DOMContentLoaded', () => {
         downloadFile(blob, filename, mimeType);
     }
     
-    // Helper to generate SRT format
-    function generateSrtFromTranscript(transcript) {
-        // Split the transcript into sentences
-        const sentences = transcript.match(/[^.!?]+[.!?]+/g) || [transcript];
-        let srtContent = '';
-        
-        // Estimate 3 words per second for timing
-        const wordsPerSecond = 3;
-        let startTime = 0;
-        
-        sentences.forEach((sentence, index) => {
-            const wordCount = sentence.split(/\s+/).length;
-            const duration = wordCount / wordsPerSecond;
-            const endTime = startTime + duration;
-            
-            // Format timestamps for SRT (00:00:00,000)
-            const startTimeFormatted = formatSrtTime(startTime);
-            const endTimeFormatted = formatSrtTime(endTime);
-            
-            // Add SRT entry
-            srtContent += `${index + 1}\n`;
-            srtContent += `${startTimeFormatted} --> ${endTimeFormatted}\n`;
-            srtContent += `${sentence.trim()}\n\n`;
-            
-            // Update start time for next sentence
-            startTime = endTime;
-        });
-        
-        return srtContent;
-    }
-    
-    // Format time for SRT (00:00:00,000)
-    function formatSrtTime(seconds) {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = Math.floor(seconds % 60);
-        const ms = Math.floor((seconds % 1) * 1000);
-        
-        return `${hours.toString().padStart(2, '0')}:${
-            minutes.toString().padStart(2, '0')}:${
-            secs.toString().padStart(2, '0')},${
-            ms.toString().padStart(3, '0')}`;
-    }
-    
-    // Generate SRT content from subtitle data
-    function generateSrtContent(subtitles) {
-        let srtContent = '';
-        
-        subtitles.forEach((subtitle, index) => {
-            // Format timestamps for SRT (00:00:00,000)
-            const startTimeFormatted = formatSrtTime(subtitle.startTime);
-            const endTimeFormatted = formatSrtTime(subtitle.endTime);
-            
-            // Add SRT entry
-            srtContent += `${index + 1}\n`;
-            srtContent += `${startTimeFormatted} --> ${endTimeFormatted}\n`;
-            srtContent += `${subtitle.text}\n\n`;
-        });
-        
-        return srtContent;
-    }
-
     // Helper to create download
     function downloadFile(content, filename, contentType) {
         const a = document.createElement('a');
@@ -1095,8 +1610,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
-    // Preview audio with subtitles
-    function previewWithSubtitles() {
+    // Preview audio with subtitles, optionally starting at a given time (seconds)
+    function previewWithSubtitles(startTime = 0) {
         if (!lastAudioResult || !lastAudioResult.blob || subtitlesData.length === 0) {
             console.error("Cannot preview: missing audio or subtitles");
             return;
@@ -1135,6 +1650,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log("Audio loaded successfully and can play through");
             };
             
+            // Jump to the requested position once the duration is known
+            if (startTime > 0) {
+                previewAudioPlayer.addEventListener('loadedmetadata', () => {
+                    previewAudioPlayer.currentTime = startTime;
+                }, { once: true });
+            }
+            
             // Handle audio loading errors
             previewAudioPlayer.onerror = function(e) {
                 console.error("Error loading audio for preview:", previewAudioPlayer.error);
@@ -1158,7 +1680,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 // Update subtitle display
                 if (currentSubtitle) {
-                    previewSubtitleDisplay.textContent = currentSubtitle.text;
+                    previewSubtitleDisplay.textContent = window.speakerDiarizer ?
+                        speakerDiarizer.formatSubtitleText(currentSubtitle) : currentSubtitle.text;
                     previewSubtitleDisplay.style.display = 'flex';
                 } else {
                     previewSubtitleDisplay.style.display = 'none';
@@ -1191,162 +1714,57 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    // Show video export options modal - properly configured for QuickTime compatibility
-    function showVideoExportOptions() {
-        // Create modal if it doesn't exist
-        let modal = document.getElementById('videoExportModal');
-        if (!modal) {
-            modal = document.createElement('div');
-            modal.id = 'videoExportModal';
-            modal.className = 'video-export-modal';
-            
-            modal.innerHTML = `
-                <div class="video-export-content">
-                    <h3>Export for QuickTime Player</h3>
-                    <div class="video-options">
-                        <p style="margin-bottom: 15px;">This will create QuickTime-compatible files. QuickTime Player requires specific formats for proper playback.</p>
-                        
-                        <div style="background-color: #f8f9fa; padding: 10px; border-radius: 4px; margin-bottom: 15px;">
-                            <h4 style="margin-top: 0; color: #212529;">Format Details</h4>
-                            <p><strong>Audio:</strong> .m4a format with AAC codec (QuickTime standard)</p>
-                            <p><strong>Subtitles:</strong> .srt file with identical base name</p>
-                        </div>
-                    </div>
-                    <div class="video-export-buttons">
-                        <button id="generateVideoBtn" class="generate-video-btn">Export for QuickTime</button>
-                        <button id="cancelVideoBtn" class="cancel-video-btn">Cancel</button>
-                    </div>
-                    <div id="videoProcessingIndicator" class="video-processing-indicator">
-                        <div class="video-processing-spinner"></div>
-                        <p>Processing...</p>
-                    </div>
-                </div>
-            `;
-            
-            document.body.appendChild(modal);
-            
-            document.getElementById('generateVideoBtn').addEventListener('click', function() {
-                generateQuickTimeCompatibleExport();
-            });
-            
-            document.getElementById('cancelVideoBtn').addEventListener('click', () => {
-                modal.style.display = 'none';
-            });
-        }
+    // Open the subtitle editor on the current recording
+    function editSubtitles() {
+        if (subtitlesData.length === 0) return;
         
-        // Show the modal
-        modal.style.display = 'flex';
+        // Word timings are stored with the session; the editor estimates them when there are none
+        const session = window.audioHandler && audioHandler.currentHistoryItem;
+        subtitleEditor.open(lastAudioResult ? lastAudioResult.blob : null, subtitlesData, session && session.words ? session.words : []);
     }
     
-    // Generate QuickTime-compatible export with subtitles - updated for codec compatibility
-    async function generateQuickTimeCompatibleExport() {
-        const modal = document.getElementById('videoExportModal');
-        const processingIndicator = document.getElementById('videoProcessingIndicator');
-        
-        if (!lastAudioResult || !lastAudioResult.blob || subtitlesData.length === 0) {
-            alert('Audio or subtitles are missing. Please record audio first.');
+    // Edited subtitles replace the current ones for preview and export
+    window.addEventListener('subtitlesEdited', (e) => {
+        subtitlesData = e.detail.subtitles;
+        editedSubtitles = subtitlesData;
+    });
+
+    // New subtitle rules re-segment the current recording for preview and export
+    window.addEventListener('subtitleSettingsChanged', () => {
+        if (!currentTranscript) return;
+
+        // Only touch the stored session the transcript on screen came from
+        const historyItem = window.audioHandler && audioHandler.currentHistoryItem;
+        const session = historyItem && historyItem.transcript === currentTranscript ? historyItem : null;
+
+        // Re-segmenting would throw away cues edited by hand
+        const edited = subtitlesData === editedSubtitles || (session && session.subtitlesEdited);
+        if (edited && !confirm(getTranslation('subtitle_resegment_confirm', getEffectiveLanguage()))) {
             return;
         }
-        
-        try {
-            // Show processing indicator
-            processingIndicator.style.display = 'block';
-            
-            // Generate SRT subtitle content
-            const srtContent = generateSrtContent(subtitlesData);
-            
-            // Generate a base filename
-            const timestamp = getTimestamp();
-            const baseFilename = `echo_life_${timestamp}`;
-            
-            // For QuickTime compatibility:
-            // - Always use .mp4 for audio files (with AAC codec)
-            // - For subtitle import, the base filename must match
-            const mp4Filename = `${baseFilename}.mp4`;
-            const srtFilename = `${baseFilename}.srt`;
-            
-            // Clone and properly type the audio blob for QuickTime
-            // QuickTime expects AAC audio in an M4A container
-            const isIOS = /iPad|iPhone|iPod|Mac/.test(navigator.userAgent) && !window.MSStream;
-            
-            // Select the correct MIME type for QuickTime compatibility
-            let qtCompatibleType = 'audio/mp4'; // standard container format for .m4a
-            
-            // Create audio file with QuickTime compatible type 
-            const qtAudioBlob = new Blob([lastAudioResult.blob], { type: qtCompatibleType });
-            
-            // Check audio codec compatibility for QuickTime
-            const mimeType = lastAudioResult.type;
-            const codecInfo = lastAudioResult.codecInfo || 'unknown';
-            const hasAppleCompatibleCodec = mimeType.includes('mp4a.40.2') || 
-                                            mimeType.includes('aac') || 
-                                            (mimeType === 'audio/mp4' && !mimeType.includes('opus'));
-                                            
-            console.log(`QuickTime export: Original audio type=${mimeType}, codec=${codecInfo}`);
-            
-            // If codec may not be compatible, warn the user
-            if (!hasAppleCompatibleCodec) {
-                alert(
-                    "Note: Your recording may not use the AAC codec that QuickTime requires.\n\n" +
-                    "If the exported file doesn't play correctly in QuickTime:\n" +
-                    "• Try uploading an existing .m4a or .mp3 file instead of recording\n" +
-                    "• If recording directly, Chrome on Mac typically produces more compatible files"
-                );
-            }
-            
-            // Hide modal
-            modal.style.display = 'none';
-            
-            // Use Web Share API on mobile devices if available
-            if (navigator.canShare && isNativeMobileDevice()) {
-                try {
-                    const audioFile = new File([qtAudioBlob], mp4Filename, { type: qtCompatibleType });
-                    const srtFile = new File([srtContent], srtFilename, { type: 'text/plain' });
-                    
-                    if (navigator.canShare({ files: [audioFile, srtFile] })) {
-                        await navigator.share({
-                            files: [audioFile, srtFile],
-                            title: 'Audio with Subtitles',
-                            text: 'QuickTime-compatible audio and subtitles from Echo Life'
-                        });
-                        return;
-                    }
-                } catch (error) {
-                    console.error('Error sharing files:', error);
-                    // Fall back to download method
-                }
-            }
-            
-            // Information message with detailed QuickTime-specific instructions
-            alert(`Two files will be downloaded with matching names:
-
-1. ${mp4Filename} - Audio file optimized for QuickTime Player
-2. ${srtFilename} - Subtitle file
 
-To use in QuickTime Player:
-1. Open the .mp4 file in QuickTime Player
-2. Go to View > Show Subtitles
-3. If needed, use File > Open File... to select the .srt file
+        subtitlesData = session && session.words && session.words.length > 0 ?
+            subtitleSegmenter.segment(session.words, currentTranscript) :
+            subtitleSegmenter.segmentText(currentTranscript);
+        editedSubtitles = null;
 
-Note: The files MUST have the same name (before the extension) to work properly.`);
-            
-            // Download audio file with QuickTime compatible extension and type
-            downloadFile(qtAudioBlob, mp4Filename, qtCompatibleType);
-            
-            // Short delay before downloading the subtitle file
-            setTimeout(() => {
-                downloadFile(srtContent, srtFilename, 'text/plain');
-            }, 1000);
-            
-        } catch (error) {
-            console.error('Error generating QuickTime export:', error);
-            alert('Error: ' + error.message);
-        } finally {
-            // Hide processing indicator
-            processingIndicator.style.display = 'none';
+        if (session) {
+            session.subtitles = subtitlesData;
+            session.subtitlesEdited = false;
+            audioHandler.saveAudioHistory(session);
         }
+    });
+    
+    // Show the options for a video of the recording with the subtitles burned in
+    function showVideoExportOptions() {
+        if (!lastAudioResult || !lastAudioResult.blob || subtitlesData.length === 0) {
+            alert('Audio or subtitles are missing. Please record audio first.');
+            return;
+        }
+        
+        subtitleVideoExporter.open(lastAudioResult.blob, subtitlesData);
     }
-
+    
     // Helper functions for formatting time displays - MUST be defined before being used in video export
     
     // Format time as MM:SS for video timestamp display
@@ -1356,245 +1774,26 @@ Note: The files MUST have the same name (before the extension) to work properly.
         return `${min.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`;
     }
 
-    // Helper to generate subtitle data from transcript
+    // Helper to generate subtitle data from transcript, timed at a steady speaking rate
     function generateSubtitleData(transcript) {
-        // Split the transcript into sentences
-        const sentences = transcript.match(/[^.!?]+[.!?]+/g) || [transcript];
-        const subtitles = [];
-        
-        // Estimate 3 words per second for timing
-        const wordsPerSecond = 3;
-        let startTime = 0;
-        
-        sentences.forEach(sentence => {
-            const wordCount = sentence.split(/\s+/).length;
-            const duration = wordCount / wordsPerSecond;
-            const endTime = startTime + duration;
-            
-            subtitles.push({
-                startTime,
-                endTime,
-                text: sentence.trim()
-            });
-            
-            // Update start time for next sentence
-            startTime = endTime;
-        });
-        
-        return subtitles;
+        return subtitleSegmenter.segmentText(transcript);
     }
 
     // Make the function globally available to prevent scope issues
     window.generateSubtitleData = generateSubtitleData;
 
-// Format SRT time to WebVTT format (replace comma with period)
-function formatVttTime(srtTime) {
-    return srtTime.replace(',', '.');
-}
-
-// Convert SRT content to WebVTT format
-function convertSrtToVtt(srtContent) {
-    // WebVTT requires a header
-    let vttContent = "WEBVTT\n\n";
-    
-    // Split by double newline to get each subtitle entry
-    const entries = srtContent.split('\n\n');
-    
-    entries.forEach(entry => {
-        if (!entry.trim()) return;
-        
-        const lines = entry.split('\n');
-        if (lines.length < 3) return;
-        
-        // Skip the sequence number but keep the timestamps and text
-        const timestamps = lines[1];
-        const text = lines.slice(2).join('\n');
-        
-        // Convert timestamp format from SRT (00:00:00,000) to WebVTT (00:00:00.000)
-        const vttTimestamps = timestamps.replace(/,/g, '.');
-        
-        // Add to WebVTT content
-        vttContent += vttTimestamps + '\n' + text + '\n\n';
-    });
-    
-    return vttContent;
-}
-
-// Show video export options modal with more Apple-specific options
-function showVideoExportOptions() {
-    // Create modal if it doesn't exist
-    let modal = document.getElementById('videoExportModal');
-    if (!modal) {
-        modal = document.createElement('div');
-        modal.id = 'videoExportModal';
-        modal.className = 'video-export-modal';
-        
-        modal.innerHTML = `
-            <div class="video-export-content">
-                <h3>Export for Apple Devices</h3>
-                <div class="video-options">
-                    <p style="margin-bottom: 15px;">This will create a fully compatible MP4 file with embedded subtitles for QuickTime Player and iOS devices.</p>
-                    
-                    <div style="background-color: #f8f9fa; padding: 10px; border-radius: 4px; margin-bottom: 15px;">
-                        <h4 style="margin-top: 0; color: #212529;">Format Details</h4>
-                        <p><strong>Container:</strong> MP4 (.mp4)</p>
-                        <p><strong>Audio Codec:</strong> AAC-LC</p>
-                        <p><strong>Subtitles:</strong> WebVTT embedded in MP4 container</p>
-                        <p><strong>Optimization:</strong> Fast Start (moov atom at beginning)</p>
-                    </div>
-                    
-                    <div class="audio-options">
-                        <label for="audioQuality">Audio Quality:</label>
-                        <select id="audioQuality" class="export-select">
-                            <option value="128">Standard (128 kbps)</option>
-                            <option value="192" selected>High (192 kbps)</option>
-                            <option value="256">Best (256 kbps)</option>
-                        </select>
-                    </div>
-                </div>
-                <div class="video-export-buttons">
-                    <button id="generateVideoBtn" class="generate-video-btn">Generate Apple-Compatible MP4</button>
-                    <button id="cancelVideoBtn" class="cancel-video-btn">Cancel</button>
-                </div>
-                <div id="videoProcessingIndicator" class="video-processing-indicator">
-                    <div class="video-processing-spinner"></div>
-                    <p>Processing...</p>
-                </div>
-            </div>
-        `;
-        
-        document.body.appendChild(modal);
-        
-        document.getElementById('generateVideoBtn').addEventListener('click', function() {
-            const audioQuality = document.getElementById('audioQuality').value;
-            generateAppleCompatibleMP4(parseInt(audioQuality));
-        });
-        
-        document.getElementById('cancelVideoBtn').addEventListener('click', () => {
-            modal.style.display = 'none';
-        });
-    }
-    
-    // Show the modal
-    modal.style.display = 'flex';
-}
-
-// Create Apple-compatible MP4 file with embedded WebVTT subtitles
-async function generateAppleCompatibleMP4(audioBitrate = 192) {
-    const modal = document.getElementById('videoExportModal');
-    const processingIndicator = document.getElementById('videoProcessingIndicator');
-    
-    if (!lastAudioResult || !lastAudioResult.blob || subtitlesData.length === 0) {
-        alert('Audio or subtitles are missing. Please record audio first.');
-        return;
-    }
-    
-    try {
-        // Show processing indicator
-        processingIndicator.style.display = 'block';
-        
-        // 1. Generate SRT subtitle content
-        const srtContent = generateSrtContent(subtitlesData);
-        
-        // 2. Convert SRT to WebVTT format
-        const vttContent = convertSrtToVtt(srtContent);
-        
-        // 3. Generate a base filename
-        const timestamp = getTimestamp();
-        const baseFilename = `echo_life_${timestamp}`;
-        
-        // Check if MP4Box is properly loaded
-        if (typeof MP4Box === 'undefined' || !MP4Box.createFile) {
-            throw new Error('MP4Box library not loaded correctly. Using fallback export method.');
-        }
-        
-        // Since direct WebVTT embedding is challenging in browsers, we'll use a different approach
-        // We'll export the audio file in QuickTime compatible format and WebVTT file separately
-        
-        // Prepare the audio file with QuickTime compatible settings
-        const audioBlob = lastAudioResult.blob;
-        const mp4Filename = `${baseFilename}.mp4`;
-        const vttFilename = `${baseFilename}.vtt`;
-        
-        // Set proper QuickTime compatible MIME type
-        const qtCompatibleType = 'audio/mp4';
-        const qtAudioBlob = new Blob([audioBlob], { type: qtCompatibleType });
-        
-        // Hide modal
-        modal.style.display = 'none';
-        
-        // Information message with detailed QuickTime-specific instructions
-        alert(`QuickTime and iOS compatible files will be downloaded:
-
-1. ${mp4Filename} - Audio file optimized for QuickTime Player
-2. ${vttFilename} - WebVTT subtitle file (more compatible than SRT)
-
-To use in QuickTime Player:
-1. Open the .mp4 file in QuickTime Player
-2. Go to View > Show Subtitles 
-3. Select the .vtt file when prompted
-
-For best results, keep both files in the same folder with matching names.`);
-        
-        // Download audio file with QuickTime compatible extension and type
-        downloadFile(qtAudioBlob, mp4Filename, qtCompatibleType);
-        
-        // Short delay before downloading the subtitle file
-        setTimeout(() => {
-            downloadFile(vttContent, vttFilename, 'text/vtt');
-        }, 1000);
-        
-    } catch (error) {
-        console.error('Error generating Apple-compatible export:', error);
-        
-        // Always provide a reliable fallback
-        const timestamp = getTimestamp();
-        const baseFilename = `echo_life_${timestamp}`;
-        const mp4Filename = `${baseFilename}.mp4`;
-        const vttFilename = `${baseFilename}.vtt`;
-        const srtFilename = `${baseFilename}.srt`;
-        
-        // Convert to VTT for better compatibility
-        const srtContent = generateSrtContent(subtitlesData);
-        const vttContent = convertSrtToVtt(srtContent);
-        
-        alert(`Using standard export for compatibility:
-
-1. ${mp4Filename} - Audio file 
-2. ${vttFilename} - WebVTT subtitle file (preferred)
-3. ${srtFilename} - SRT subtitle file (alternative)
-
-Both subtitle formats are provided for maximum compatibility.`);
-        
-        // Download all files for maximum compatibility
-        const qtCompatibleType = 'audio/mp4';
-        const qtAudioBlob = new Blob([lastAudioResult.blob], { type: qtCompatibleType });
-        
-        downloadFile(qtAudioBlob, mp4Filename, qtCompatibleType);
-        
-        setTimeout(() => {
-            downloadFile(vttContent, vttFilename, 'text/vtt');
-        }, 1000);
-        
-        setTimeout(() => {
-            downloadFile(srtContent, srtFilename, 'text/plain');
-        }, 2000);
-    } finally {
-        // Hide processing indicator
-        processingIndicator.style.display = 'none';
-    }
-}
-
 // Setup event listener for translation settings changes
 window.addEventListener('translationSettingsChanged', (e) => {
     const settings = e.detail;
     console.log('Translation settings changed:', settings);
     
+    // The language being spoken: the detected one when auto-detect is on, otherwise the UI language
+    const spokenLanguage = settings.spokenLanguage || settings.language;
+    
     // Update speech recognition language if active
     if (window.speechRecognition) {
-        // Use the UI language for speech recognition (what we're listening for)
-        window.speechRecognition.lang = settings.language;
-        console.log(`Speech recognition language updated to: ${settings.language}`);
+        window.speechRecognition.lang = spokenLanguage;
+        console.log(`Speech recognition language updated to: ${spokenLanguage}`);
         
         // Restart speech recognition if it's active
         if (window.speechRecognitionActive && audioRecorder.isRecording) {
@@ -1611,14 +1810,16 @@ window.addEventListener('translationSettingsChanged', (e) => {
     }
     
     // Update iOS speech service language if available
-    if (window.iosSpeechService && window.iosSpeechService.isAvailable) {
-        window.iosSpeechService.setLanguage(settings.language);
-        console.log(`iOS Speech Service language updated to: ${settings.language}`);
+    if (window.iosSpeechService && window.iosSpeechService.isAvailable &&
+        window.iosSpeechService.getLanguage() !== spokenLanguage) {
+        window.iosSpeechService.setLanguage(spokenLanguage);
+        console.log(`iOS Speech Service language updated to: ${spokenLanguage}`);
     }
     
     // Update word cloud language
     if (window.wordCloud) {
         window.wordCloud.language = settings.language;
+        window.wordCloud.spokenLanguage = spokenLanguage;
         window.wordCloud.updatePlaceholder();
         console.log(`Word cloud language updated to: ${settings.language}`);
     }
@@ -1709,6 +1910,12 @@ if (recordingSection) {
                     <option value="maximum" ${audioRecorder.sensitivityMode === 'maximum' ? 'selected' : ''}>Maximum</option>
                 </select>
             </div>
+            
+            <label class="toggle-switch" title="Remove steady background noise (fans, hum, traffic) while recording">
+                <input type="checkbox" id="noiseSuppressionToggle" ${audioRecorder.noiseSuppressionEnabled ? 'checked' : ''}>
+                <span class="slider round"></span>
+            </label>
+            <span class="toggle-label">Noise Suppression</span>
         </div>
     `;
     
@@ -1737,6 +1944,15 @@ if (recordingSection) {
         });
     }
     
+    // Set up event listener for the noise suppression toggle
+    const noiseSuppressionToggle = document.getElementById('noiseSuppressionToggle');
+    if (noiseSuppressionToggle) {
+        noiseSuppressionToggle.addEventListener('change', (e) => {
+            audioRecorder.toggleNoiseSuppression(e.target.checked);
+            console.log(`Noise suppression ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    }
+    
     // Set up event listener for the sensitivity mode selector
     const sensitivityModeSelect = document.getElementById('sensitivityModeSelect');
     if (sensitivityModeSelect) {
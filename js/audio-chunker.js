@@ -0,0 +1,163 @@
+/**
+ * Audio Chunker Module for EchoLife
+ * Splits long recordings into overlapping WAV chunks, cutting in the
+ * quietest spot near each boundary so words are rarely split
+ */
+
+class AudioChunker {
+    constructor() {
+        this.sampleRate = 16000; // Whisper works at 16kHz, which also keeps chunks small
+        this.chunkDuration = 120; // Target seconds per chunk
+        this.searchWindow = 15; // Seconds before the target boundary searched for silence
+        this.overlapDuration = 2; // Seconds shared by neighbouring chunks
+        this.frameDuration = 0.05; // Seconds per RMS frame when searching for silence
+    }
+
+    /**
+     * Decode a blob to 16kHz mono samples
+     * @param {Blob} audioBlob - Audio to decode
+     * @returns {Promise<Object>} - { samples, channels, sampleRate, duration }; `channels` keeps each input separate
+     */
+    async decode(audioBlob) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        const audioContext = new AudioContext({ sampleRate: this.sampleRate });
+
+        try {
+            const audioBuffer = await audioContext.decodeAudioData(await audioBlob.arrayBuffer());
+
+            // Mix down to mono
+            let samples = audioBuffer.getChannelData(0);
+            if (audioBuffer.numberOfChannels > 1) {
+                samples = new Float32Array(audioBuffer.length);
+                for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                    const data = audioBuffer.getChannelData(channel);
+                    for (let i = 0; i < data.length; i++) {
+                        samples[i] += data[i] / audioBuffer.numberOfChannels;
+                    }
+                }
+            }
+
+            const channels = [];
+            for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                channels.push(audioBuffer.getChannelData(channel));
+            }
+
+            return {
+                samples,
+                channels,
+                sampleRate: audioBuffer.sampleRate,
+                duration: audioBuffer.duration
+            };
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    /**
+     * Split decoded audio into overlapping chunks
+     * @param {Object} decoded - Result of decode()
+     * @returns {Array} - Chunks ({ blob, startTime, endTime, index })
+     */
+    split(decoded) {
+        const plan = this.planChunks(decoded.samples, decoded.sampleRate);
+
+        console.log(`[CHUNKER] Split ${decoded.duration.toFixed(1)}s of audio into ${plan.length} chunks`);
+
+        return plan.map((range, index) => ({
+            index,
+            startTime: range.start / decoded.sampleRate,
+            endTime: range.end / decoded.sampleRate,
+            blob: this.encodeChunk(decoded.samples, decoded.sampleRate, range.start, range.end)
+        }));
+    }
+
+    /**
+     * Choose chunk boundaries (in samples) at the quietest point near each target
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate
+     * @returns {Array} - Ranges ({ start, end })
+     */
+    planChunks(samples, sampleRate) {
+        const ranges = [];
+        const chunkLength = Math.floor(this.chunkDuration * sampleRate);
+        const overlap = Math.floor(this.overlapDuration * sampleRate);
+
+        let start = 0;
+        while (start < samples.length) {
+            // The remainder fits in one chunk (allow a little slack to avoid a tiny tail chunk)
+            if (samples.length - start <= chunkLength * 1.2) {
+                ranges.push({ start, end: samples.length });
+                break;
+            }
+
+            const target = start + chunkLength;
+            const cut = this.findQuietestPoint(samples, sampleRate, target - Math.floor(this.searchWindow * sampleRate), target);
+            ranges.push({ start, end: Math.min(samples.length, cut + overlap) });
+
+            // The next chunk starts before the cut so both chunks hear the words around it
+            start = Math.max(start + 1, cut - overlap);
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Find the lowest-energy frame in a range using AudioProcessor.calculateRMS
+     * @returns {number} - Sample index at the centre of the quietest frame
+     */
+    findQuietestPoint(samples, sampleRate, from, to) {
+        const frameLength = Math.floor(this.frameDuration * sampleRate);
+        let quietest = to;
+        let lowestRMS = Infinity;
+
+        for (let offset = Math.max(0, from); offset + frameLength <= Math.min(samples.length, to); offset += frameLength) {
+            const frame = samples.subarray(offset, offset + frameLength);
+
+            // calculateRMS only needs getChannelData, so wrap the frame instead of copying it
+            const rms = audioProcessor.calculateRMS({ getChannelData: () => frame });
+            if (rms < lowestRMS) {
+                lowestRMS = rms;
+                quietest = offset + Math.floor(frameLength / 2);
+            }
+        }
+
+        return quietest;
+    }
+
+    /**
+     * Encode a sample range as a WAV blob
+     * @returns {Blob} - WAV audio
+     */
+    encodeChunk(samples, sampleRate, start, end) {
+        const audioBuffer = new AudioBuffer({
+            length: end - start,
+            numberOfChannels: 1,
+            sampleRate
+        });
+        audioBuffer.copyToChannel(samples.subarray(start, end), 0);
+        return audioProcessor.audioBufferToWav(audioBuffer);
+    }
+
+    /**
+     * Encode a sample range of several channels as one WAV blob
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @returns {Blob} - WAV audio
+     */
+    encodeChannels(channels, sampleRate, start, end) {
+        const audioBuffer = new AudioBuffer({
+            length: end - start,
+            numberOfChannels: channels.length,
+            sampleRate
+        });
+        channels.forEach((samples, channel) => {
+            audioBuffer.copyToChannel(samples.subarray(start, end), channel);
+        });
+        return audioProcessor.audioBufferToWav(audioBuffer);
+    }
+}
+
+// Create a global instance of the audio chunker
+const audioChunker = new AudioChunker();
+
+// Make it globally available
+window.audioChunker = audioChunker;
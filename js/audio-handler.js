@@ -3,6 +3,8 @@ class AudioHandler {
         this.chatService = chatService;
         this.audioHistory = [];
         this.currentHistoryItem = null; // Track the most recent history item
+        this.sessionStore = window.sessionStore || null; // IndexedDB-backed session persistence
+        this.historyHasMore = false; // Whether older sessions can be paged in
         this.whatsAppFormats = [
             '.opus', '.ogg', 'audio/ogg', 'audio/opus', 'audio/ogg; codecs=opus',
             // Add iOS WhatsApp formats - they use m4a on iOS
@@ -25,6 +27,39 @@ class AudioHandler {
             if (this.setupComplete) {
                 this.updateDropAreaText();
             }
+            if (window.offlineQueue) {
+                offlineQueue.dispatchChanged();
+            }
+        });
+        
+        // Persist renamed speakers with the session they belong to
+        window.addEventListener('speakerRenamed', (e) => {
+            if (this.currentHistoryItem) {
+                this.currentHistoryItem.speakers = e.detail.speakers;
+                this.saveAudioHistory(this.currentHistoryItem);
+            }
+        });
+
+        // Persist subtitle edits with the session they belong to
+        window.addEventListener('subtitlesEdited', (e) => {
+            if (this.currentHistoryItem) {
+                this.currentHistoryItem.subtitles = e.detail.subtitles;
+                this.currentHistoryItem.words = e.detail.words;
+                this.currentHistoryItem.subtitlesEdited = true;
+                this.saveAudioHistory(this.currentHistoryItem);
+            }
+        });
+
+        // Show recordings waiting for a connection above the history
+        window.addEventListener('offlineQueueChanged', (e) => this.updateOfflineQueueUI(e.detail));
+        
+        // Show chunk progress while a long upload is transcribed
+        window.addEventListener('transcriptionProgress', (e) => {
+            if (!this.isProcessing || !this.processingIndicator) return;
+            const processingText = this.processingIndicator.querySelector('.processing-text');
+            if (processingText) {
+                processingText.textContent = `${getTranslation('transcribing_chunks', this.language)} (${e.detail.completed}/${e.detail.total})`;
+            }
         });
     }
 
@@ -54,6 +89,9 @@ class AudioHandler {
         // Load audio history
         this.loadAudioHistory();
         
+        // Search across all stored sessions
+        this.setupHistorySearch();
+        
         this.setupComplete = true;
         console.log('Audio handler setup complete');
     }
@@ -176,6 +214,12 @@ class AudioHandler {
         try {
             console.log(`Processing audio file: ${file.name}, size: ${file.size}, type: ${file.type}`);
             
+            // No connection: queue the file and transcribe it once we're back online
+            if (window.offlineQueue && !offlineQueue.isOnline()) {
+                await offlineQueue.enqueue({ blob: file, type: file.type, filename: file.name });
+                return;
+            }
+            
             // Auto-detect WhatsApp format if not specified
             if (isWhatsApp === null) {
                 // Check file extension and MIME type to detect WhatsApp formats
@@ -199,23 +243,47 @@ class AudioHandler {
             const transcription = await this.chatService.importAudio(file, isWhatsApp);
             console.log("Transcription received:", transcription);
             
+            // Label words with speakers and build subtitle segments from them
+            const words = window.speakerDiarizer ?
+                await speakerDiarizer.labelWords(file, this.chatService.getLastTranscriptionWords()) :
+                this.chatService.getLastTranscriptionWords();
+            const turns = window.speakerDiarizer ? speakerDiarizer.buildTurns(words, transcription) : [];
+            const language = window.transcriptionService ? transcriptionService.getDetectedLanguage() : this.language;
+            
             // Extract tags from user input using tag extractor directly
+            let tags = [];
             try {
-                const tags = await tagExtractor.extractTags(transcription, 8, true);
+                tags = tagExtractor.linkMentions(await tagExtractor.extractTags(transcription, 8, true), words, language);
                 
                 // Update word cloud with tags instead of using traditional tag display
                 if (window.wordCloud) {
+                    window.wordCloud.clearMentions();
                     window.wordCloud.updateWordCloud(tags);
                 }
+                if (window.tagTimeline) {
+                    tagTimeline.render(tags, words.length > 0 ? words[words.length - 1].end : 0);
+                }
             } catch (e) {
                 console.error('Error extracting tags:', e);
             }
             
             // Add transcription to chat as user message
-            this.addTranscriptionToChat(transcription);
+            this.addTranscriptionToChat(transcription, turns, language);
             
             // Add to history without AI response yet
-            this.addRecordingToHistory(file, transcription);
+            this.addRecordingToHistory(file, transcription, {
+                tags,
+                words,
+                turns,
+                language,
+                subtitles: window.transcriptionService ? transcriptionService.buildSubtitleSegments(words, transcription) : [],
+                speakers: window.speakerDiarizer ? { ...speakerDiarizer.speakers } : {}
+            });
+            
+            // Let the app preview the upload and play tag mentions, as for a session opened from history
+            window.dispatchEvent(new CustomEvent('sessionRestored', {
+                detail: { session: this.currentHistoryItem }
+            }));
             
             // Enable the feedback button for this upload
             const feedbackButton = document.getElementById('feedbackButton');
@@ -245,6 +313,9 @@ class AudioHandler {
             if (dropIcon) dropIcon.style.display = 'none';
             if (dropText) dropText.style.display = 'none';
             
+            const processingText = this.processingIndicator.querySelector('.processing-text');
+            if (processingText) processingText.textContent = getTranslation('processing', this.language);
+            
             this.processingIndicator.style.display = 'flex';
             this.dropArea.classList.add('processing');
         } else {
@@ -260,13 +331,13 @@ class AudioHandler {
         }
     }
     
-    addTranscriptionToChat(text) {
+    addTranscriptionToChat(text, turns = [], language = null) {
         // Clean up the transcribed text (remove "Transcribed audio: " prefix if present)
         const cleanText = text.replace(/^Transcribed audio:\s*/i, '');
         
         // Add transcription to chat as user message - use the global function if available
         if (window.addMessageToChat) {
-            window.addMessageToChat('user', cleanText);
+            window.addMessageToChat('user', cleanText, { turns, language });
         } else {
             // Fallback to direct DOM manipulation
             const chatContainer = document.querySelector('#chatContainer');
@@ -298,7 +369,7 @@ class AudioHandler {
     
     showError(message) {
         // Show error message in UI with proper translation
-        const errorPrefix = this.language === 'pt-BR' ? 'Erro: ' : 'Error: ';
+        const errorPrefix = `${getTranslation('error', this.language)}: `;
         alert(errorPrefix + message);
     }
 
@@ -325,100 +396,203 @@ class AudioHandler {
     // Add method to handle audio history
     addToAudioHistory(audioFile, response) {
         // Create a history entry with file info and timestamp
-        const historyEntry = {
-            file: audioFile,
-            filename: audioFile.name,
-            type: audioFile.type,
-            size: audioFile.size,
-            timestamp: new Date(),
+        const historyEntry = this.createHistoryEntry(audioFile, {
             response: response
-        };
+        });
         
-        // Add to history array (keep most recent 10 entries)
+        // Add to history array
         this.audioHistory.unshift(historyEntry);
-        if (this.audioHistory.length > 10) {
-            this.audioHistory.pop();
-        }
         
         // Update history UI
         this.updateAudioHistoryUI();
         
-        // Save history to local storage
-        this.saveAudioHistory();
+        // Persist the full session
+        this.saveAudioHistory(historyEntry);
     }
     
     // New method to add recording to history without AI response yet
-    addRecordingToHistory(audioFile, transcript) {
+    addRecordingToHistory(audioFile, transcript, details = {}) {
         // Create a history entry with file info and timestamp
-        const historyEntry = {
-            file: audioFile,
-            filename: audioFile.name,
-            type: audioFile.type,
-            size: audioFile.size,
-            timestamp: new Date(),
+        const historyEntry = this.createHistoryEntry(audioFile, {
             transcript: transcript,
+            words: details.words || [],
+            subtitles: details.subtitles || [],
+            tags: details.tags || [],
+            speakers: details.speakers || {},
+            language: details.language || null,
+            takes: details.takes || [],
+            hadError: !!details.hadError,
             response: null // No response yet
-        };
+        }, details.turns || []);
         
         // Keep track of current history item
         this.currentHistoryItem = historyEntry;
         
-        // Add to history array (keep most recent 10 entries)
+        // Add to history array
         this.audioHistory.unshift(historyEntry);
-        if (this.audioHistory.length > 10) {
-            this.audioHistory.pop();
-        }
         
         // Update history UI
         this.updateAudioHistoryUI();
         
-        // Save history to local storage
-        this.saveAudioHistory();
+        // Persist the full session
+        this.saveAudioHistory(historyEntry);
+    }
+    
+    // Add a microphone recording (audio recorder result) to history
+    addToHistory(audioResult, transcript, hadError = false, language = null) {
+        if (!audioResult || !audioResult.blob) {
+            console.warn('No audio to add to history');
+            return;
+        }
+        
+        const type = audioResult.type || audioResult.blob.type;
+        const filename = audioResult.filename || `recording_${Date.now()}`;
+        const audioFile = new File([audioResult.blob], filename, { type: type });
+        
+        // Recordings transcribed by Whisper carry word-level timestamps (and speakers)
+        const transcriptionService = window.transcriptionService;
+        const words = !hadError && transcriptionService ? transcriptionService.getWordTimestamps() : [];
+        this.addRecordingToHistory(audioFile, transcript, {
+            words: words,
+            subtitles: window.generateSubtitleData && hadError ?
+                window.generateSubtitleData(transcript) :
+                (transcriptionService ? transcriptionService.getSubtitleData() : []),
+            turns: window.speakerDiarizer ? speakerDiarizer.buildTurns(words, transcript) : [],
+            speakers: window.speakerDiarizer && words.length > 0 ? { ...speakerDiarizer.speakers } : {},
+            language: language,
+            takes: audioResult.segments || [], // Where each take of a paused recording starts and ends
+            hadError: hadError
+        });
+    }
+    
+    createHistoryEntry(audioFile, fields = {}, turns = []) {
+        const timestamp = new Date();
+        const messages = [];
+        
+        if (fields.transcript) {
+            messages.push({ role: 'user', content: fields.transcript, turns: turns, language: fields.language || null, timestamp: timestamp.getTime() });
+        }
+        if (fields.response) {
+            messages.push({ role: 'assistant', content: fields.response, language: fields.language || null, timestamp: timestamp.getTime() });
+        }
+        
+        return {
+            id: this.sessionStore ? this.sessionStore.createId() : null,
+            file: audioFile,
+            filename: audioFile.name,
+            type: audioFile.type,
+            size: audioFile.size,
+            timestamp: timestamp,
+            transcript: null,
+            words: [],
+            subtitles: [],
+            tags: [],
+            aiTags: [],
+            speakers: {},
+            messages: messages,
+            response: null,
+            ...fields
+        };
+    }
+    
+    // Add a session that was processed in the background (e.g. replayed from the offline queue)
+    // without making it the current one
+    addCompletedSession(audioFile, fields = {}, turns = []) {
+        const historyEntry = this.createHistoryEntry(audioFile, fields, turns);
+        
+        this.audioHistory.unshift(historyEntry);
+        this.updateAudioHistoryUI();
+        this.saveAudioHistory(historyEntry);
+        
+        return historyEntry;
     }
     
     // Update the current history item with AI response
-    updateCurrentHistoryWithResponse(response) {
+    updateCurrentHistoryWithResponse(response, aiTags = null, language = null) {
         if (this.currentHistoryItem) {
             this.currentHistoryItem.response = response;
             
+            // Keep every reply, not just the latest one
+            this.currentHistoryItem.messages = this.currentHistoryItem.messages || [];
+            this.currentHistoryItem.messages.push({
+                role: 'assistant',
+                content: response,
+                language: language,
+                timestamp: Date.now()
+            });
+            
+            if (aiTags) {
+                this.currentHistoryItem.aiTags = aiTags;
+            }
+            
             // Update the history list
             this.updateAudioHistoryUI();
             
-            // Save updated history to local storage
-            this.saveAudioHistory();
+            // Persist the updated session
+            this.saveAudioHistory(this.currentHistoryItem);
         }
     }
     
-    saveAudioHistory() {
-        // Save minimal info to local storage (filenames, timestamps, transcripts, responses)
-        const minimalHistory = this.audioHistory.map(entry => ({
-            filename: entry.filename,
-            timestamp: entry.timestamp,
-            transcript: entry.transcript ? entry.transcript.substring(0, 100) + '...' : null,
-            response: entry.response ? entry.response.substring(0, 50) + '...' : null
-        }));
+    // Update the current history item with tags extracted from the transcript
+    updateCurrentHistoryWithTags(tags) {
+        if (this.currentHistoryItem && tags && tags.length > 0) {
+            this.currentHistoryItem.tags = tags;
+            this.saveAudioHistory(this.currentHistoryItem);
+        }
+    }
+    
+    async saveAudioHistory(entry = this.currentHistoryItem) {
+        if (!entry || !this.sessionStore || !this.sessionStore.isAvailable) return;
         
         try {
-            localStorage.setItem('audioHistory', JSON.stringify(minimalHistory));
+            entry.id = await this.sessionStore.saveSession(entry);
         } catch (e) {
-            console.error('Error saving audio history to local storage:', e);
+            console.error('Error saving session to the session store:', e);
         }
     }
     
-    loadAudioHistory() {
+    async loadAudioHistory(append = false) {
+        if (!this.sessionStore || !this.sessionStore.isAvailable) {
+            console.warn('Session store not available - history will only be kept for this visit');
+            this.updateAudioHistoryUI();
+            return;
+        }
+        
         try {
-            const savedHistory = localStorage.getItem('audioHistory');
-            if (savedHistory) {
-                const parsedHistory = JSON.parse(savedHistory);
-                // Convert saved data to displayed history
-                this.audioHistory = parsedHistory.map(item => ({
-                    ...item,
-                    timestamp: new Date(item.timestamp)
-                }));
-                this.updateAudioHistoryUI();
+            // Bring over entries saved by older versions before listing
+            if (!append) {
+                await this.sessionStore.migrateLegacyHistory();
             }
+            
+            const page = await this.sessionStore.listSessions({
+                offset: append ? this.audioHistory.length : 0,
+                limit: this.sessionStore.pageSize
+            });
+            
+            this.audioHistory = append ? this.audioHistory.concat(page.items) : page.items;
+            this.historyHasMore = page.hasMore;
+            this.updateAudioHistoryUI();
         } catch (e) {
-            console.error('Error loading audio history from local storage:', e);
+            console.error('Error loading audio history from the session store:', e);
+        }
+    }
+    
+    async deleteHistoryItem(entry) {
+        if (!confirm(getTranslation('delete_session_confirm', this.language))) return;
+        
+        try {
+            if (entry.id && this.sessionStore && this.sessionStore.isAvailable) {
+                await this.sessionStore.deleteSession(entry.id);
+            }
+            
+            this.audioHistory = this.audioHistory.filter(item => item !== entry);
+            if (this.currentHistoryItem === entry) {
+                this.currentHistoryItem = null;
+            }
+            this.updateAudioHistoryUI();
+        } catch (e) {
+            console.error('Error deleting session:', e);
+            this.showError(e.message);
         }
     }
     
@@ -443,9 +617,7 @@ class AudioHandler {
             historyItem.className = 'audio-history-item';
             
             // Format timestamp
-            const timestamp = entry.timestamp.toLocaleString(
-                this.language === 'pt-BR' ? 'pt-BR' : 'en-US'
-            );
+            const timestamp = entry.timestamp.toLocaleString(this.language);
             
             // Show different icon if no response yet
             const iconClass = entry.response ? 'fa-file-audio' : 'fa-microphone';
@@ -460,72 +632,313 @@ class AudioHandler {
                     <div class="history-item-filename">${entry.filename}${responseStatus}</div>
                     <div class="history-item-timestamp">${timestamp}</div>
                 </div>
+                <button class="history-item-delete" title="${getTranslation('delete_session', this.language)}">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
             `;
             
-            // Add click listener to show the transcript and response (if available)
+            // Add click listener to restore the session
             historyItem.addEventListener('click', () => {
                 this.showHistoryItemDetails(entry, index);
             });
             
+            historyItem.querySelector('.history-item-delete').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteHistoryItem(entry);
+            });
+            
             historyContainer.appendChild(historyItem);
         });
+        
+        // Page in older sessions on demand
+        if (this.historyHasMore) {
+            const loadMoreButton = document.createElement('button');
+            loadMoreButton.className = 'history-load-more';
+            loadMoreButton.textContent = getTranslation('load_more_sessions', this.language);
+            loadMoreButton.addEventListener('click', () => {
+                loadMoreButton.disabled = true;
+                this.loadAudioHistory(true);
+            });
+            historyContainer.appendChild(loadMoreButton);
+        }
+    }
+    
+    // Render the offline queue: status, progress, retry and cancel for each recording
+    updateOfflineQueueUI({ items, online, activeId }) {
+        const queueContainer = document.getElementById('offlineQueueContainer');
+        if (!queueContainer) return;
+        
+        queueContainer.innerHTML = '';
+        queueContainer.style.display = items.length > 0 || !online ? 'block' : 'none';
+        
+        const header = document.createElement('div');
+        header.className = 'offline-queue-header';
+        header.innerHTML = `<i class="fas ${online ? 'fa-cloud-upload-alt' : 'fa-wifi'}"></i>`;
+        header.append(' ' + (online ?
+            `${getTranslation('offline_queue_title', this.language)} (${items.length})` :
+            getTranslation('offline_queue_waiting', this.language)));
+        queueContainer.appendChild(header);
+        
+        items.forEach(item => {
+            const queueItem = document.createElement('div');
+            queueItem.className = `offline-queue-item ${item.status}`;
+            
+            let statusText = getTranslation(`offline_queue_${item.status === 'processing' ? item.stage : item.status}`, this.language);
+            if (item.status === 'queued' && !online) {
+                statusText = getTranslation('offline_queue_waiting_item', this.language);
+            }
+            
+            queueItem.innerHTML = `
+                <div class="history-item-details">
+                    <div class="history-item-filename"></div>
+                    <div class="history-item-timestamp">${new Date(item.createdAt).toLocaleString(this.language)}</div>
+                    <div class="offline-queue-status"></div>
+                    <div class="offline-queue-progress"><div class="offline-queue-progress-bar"></div></div>
+                </div>
+                <button class="offline-queue-retry" title="${getTranslation('offline_queue_retry', this.language)}">
+                    <i class="fas fa-redo"></i>
+                </button>
+                <button class="offline-queue-cancel" title="${getTranslation('cancel', this.language)}">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            
+            // File names and errors come from outside, so they go in as text
+            queueItem.querySelector('.history-item-filename').textContent = item.filename;
+            queueItem.querySelector('.offline-queue-status').textContent = item.error ? `${statusText}: ${item.error}` : statusText;
+            queueItem.querySelector('.offline-queue-progress-bar').style.width = `${Math.round(item.progress * 100)}%`;
+            
+            const retryButton = queueItem.querySelector('.offline-queue-retry');
+            retryButton.disabled = item.id === activeId || !online;
+            retryButton.addEventListener('click', () => offlineQueue.retry(item.id));
+            
+            queueItem.querySelector('.offline-queue-cancel').addEventListener('click', () => {
+                if (confirm(getTranslation('offline_queue_cancel_confirm', this.language))) {
+                    offlineQueue.cancel(item.id);
+                }
+            });
+            
+            queueContainer.appendChild(queueItem);
+        });
+    }
+    
+    setupHistorySearch() {
+        const searchInput = document.getElementById('historySearchInput');
+        this.searchResults = document.getElementById('historySearchResults');
+        if (!searchInput || !this.searchResults || !window.sessionSearch) return;
+        
+        // Debounce so the index isn't queried on every keystroke
+        let searchTimeout = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.runHistorySearch(searchInput.value), 250);
+        });
+    }
+    
+    async runHistorySearch(query) {
+        const historyContainer = document.getElementById('audioHistoryContainer');
+        
+        // An empty query brings back the normal history list
+        if (!query.trim()) {
+            this.searchResults.style.display = 'none';
+            if (historyContainer) historyContainer.style.display = '';
+            return;
+        }
+        
+        try {
+            const results = await sessionSearch.search(query);
+            this.renderSearchResults(results);
+            this.searchResults.style.display = 'block';
+            if (historyContainer) historyContainer.style.display = 'none';
+        } catch (e) {
+            console.error('Error searching sessions:', e);
+            this.showError(e.message);
+        }
     }
     
-    showHistoryItemDetails(entry, index) {
+    renderSearchResults(results) {
+        this.searchResults.innerHTML = '';
+        
+        if (results.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'no-search-results';
+            emptyMessage.textContent = getTranslation('no_search_results', this.language);
+            this.searchResults.appendChild(emptyMessage);
+            return;
+        }
+        
+        results.forEach(result => {
+            const resultItem = document.createElement('div');
+            resultItem.className = 'audio-history-item search-result-item';
+            
+            const timestamp = new Date(result.createdAt).toLocaleString(this.language);
+            
+            resultItem.innerHTML = `
+                <div class="history-item-icon">
+                    <i class="fas fa-search"></i>
+                </div>
+                <div class="history-item-details">
+                    <div class="history-item-filename"></div>
+                    <div class="history-item-timestamp">${timestamp}</div>
+                    <div class="search-result-hits"></div>
+                </div>
+            `;
+            resultItem.querySelector('.history-item-filename').textContent = result.filename;
+            
+            // Opening the result without a specific hit just restores the session
+            resultItem.addEventListener('click', () => this.openSearchResult(result.id, null));
+            
+            const hitsContainer = resultItem.querySelector('.search-result-hits');
+            result.hits.forEach(hit => {
+                const hitElement = document.createElement('div');
+                hitElement.className = 'search-result-hit';
+                
+                const source = document.createElement('span');
+                source.className = 'search-result-source';
+                source.textContent = getTranslation(`search_source_${hit.source}`, this.language) +
+                    (hit.time !== null ? ` ${this.formatSearchTime(hit.time)}` : '');
+                hitElement.appendChild(source);
+                
+                // Build the snippet from text nodes so transcript text is never parsed as HTML
+                hit.segments.forEach(segment => {
+                    if (segment.match) {
+                        const mark = document.createElement('mark');
+                        mark.textContent = segment.text;
+                        hitElement.appendChild(mark);
+                    } else {
+                        hitElement.appendChild(document.createTextNode(segment.text));
+                    }
+                });
+                
+                hitElement.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openSearchResult(result.id, hit.time);
+                });
+                
+                hitsContainer.appendChild(hitElement);
+            });
+            
+            this.searchResults.appendChild(resultItem);
+        });
+    }
+    
+    formatSearchTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remaining = Math.floor(seconds % 60);
+        return `${minutes}:${remaining.toString().padStart(2, '0')}`;
+    }
+    
+    async openSearchResult(id, time) {
+        // The session may be older than the loaded history page
+        const index = this.audioHistory.findIndex(item => item.id === id);
+        const entry = index >= 0 ? this.audioHistory[index] : { id };
+        
+        await this.showHistoryItemDetails(entry, index);
+        
+        // Play the audio from the matching word
+        if (time !== null && time !== undefined) {
+            window.dispatchEvent(new CustomEvent('seekToTime', {
+                detail: { time }
+            }));
+        }
+    }
+    
+    async showHistoryItemDetails(entry, index) {
         const chatContainer = document.getElementById('chatContainer');
         const feedbackButton = document.getElementById('feedbackButton');
         
+        // Load the full session (including audio) from the store
+        let session = entry;
+        if (entry.id && this.sessionStore && this.sessionStore.isAvailable) {
+            try {
+                session = (await this.sessionStore.getSession(entry.id)) || entry;
+            } catch (e) {
+                console.error('Error loading session from the session store:', e);
+            }
+        }
+        
+        // Subsequent feedback and tag updates belong to this session
+        this.currentHistoryItem = session;
+        if (index >= 0) {
+            this.audioHistory[index] = session;
+        }
+        
+        const messages = session.messages && session.messages.length > 0 ? session.messages : [
+            ...(session.transcript ? [{ role: 'user', content: session.transcript }] : []),
+            ...(session.response ? [{ role: 'assistant', content: session.response }] : [])
+        ];
+        
         if (chatContainer) {
             // Clear existing messages
             chatContainer.innerHTML = '';
             
-            // Add the transcript as user message and update word cloud with extracted tags
-            if (entry.transcript && window.addMessageToChat) {
-                window.addMessageToChat('user', entry.transcript);
-                // Extract tags from the transcript and update the word cloud
-                try {
-                    tagExtractor.extractTags(entry.transcript, 8, true)
-                        .then(tags => {
-                            if (window.wordCloud) {
-                                window.wordCloud.updateWordCloud(tags);
-                            }
-                        })
-                        .catch(e => console.error('Error displaying tags for history item:', e));
-                } catch (e) {
-                    console.error('Error displaying tags for history item:', e);
-                }
-                
-                // Store transcript for potential AI feedback
-                if (!entry.response) {
-                    this.currentHistoryItem = entry;
-                    if (feedbackButton) {
-                        feedbackButton.disabled = false;
-                    }
-                }
+            // Restore speaker names before rendering labeled turns
+            if (window.speakerDiarizer) {
+                speakerDiarizer.setSpeakers(session.speakers);
             }
             
-            // Add AI response if available and update word cloud with AI tags
-            if (entry.response && window.addMessageToChat) {
-                window.addMessageToChat('assistant', entry.response);
-                try {
-                    tagExtractor.extractTags(entry.response, 8, false)
-                        .then(tags => {
-                            if (window.wordCloud) {
-                                window.wordCloud.updateWordCloud(tags);
-                            }
-                        })
-                        .catch(e => console.error('Error displaying AI tags for history item:', e));
-                } catch (e) {
-                    console.error('Error displaying AI tags for history item:', e);
-                }
-                if (feedbackButton) {
-                    feedbackButton.disabled = true;
-                }
+            // Replay the conversation exactly as it happened
+            if (window.addMessageToChat) {
+                messages.forEach(message => window.addMessageToChat(message.role, message.content, {
+                    turns: message.turns,
+                    language: message.language
+                }));
             }
             
             // Scroll to the bottom of the chat
             chatContainer.scrollTop = chatContainer.scrollHeight;
         }
+        
+        // Restore the conversation context for follow-up feedback
+        this.chatService.messages = this.chatService.messages
+            .filter(m => m.role === 'system')
+            .concat(messages.map(m => ({ role: m.role, content: m.content })));
+        
+        // Link tags to the moments of this recording they were said in, for the cloud and the timeline
+        const words = session.words && session.words.length > 0 ?
+            session.words : tagExtractor.estimateWordTimestamps(session.subtitles);
+        const showMentions = tags => {
+            tagExtractor.linkMentions(tags, words, session.language || this.language);
+            if (window.tagTimeline) {
+                tagTimeline.render(tags, words.length > 0 ? words[words.length - 1].end : 0);
+            }
+        };
+        if (window.wordCloud) {
+            window.wordCloud.clearMentions();
+        }
+        
+        // Restore the word cloud from stored tags, only extracting for legacy entries
+        const storedTags = (session.aiTags && session.aiTags.length > 0) ? session.aiTags : session.tags;
+        if (storedTags && storedTags.length > 0) {
+            showMentions(storedTags);
+            if (window.wordCloud) {
+                window.wordCloud.updateWordCloud(storedTags);
+            }
+        } else if (session.transcript || session.response) {
+            tagExtractor.extractTags(session.response || session.transcript, 8, !session.response)
+                .then(tags => {
+                    showMentions(tags);
+                    if (window.wordCloud) {
+                        window.wordCloud.updateWordCloud(tags);
+                    }
+                    if (session.response) {
+                        session.aiTags = tags;
+                    } else {
+                        session.tags = tags;
+                    }
+                    this.saveAudioHistory(session);
+                })
+                .catch(e => console.error('Error displaying tags for history item:', e));
+        }
+        
+        if (feedbackButton) {
+            feedbackButton.disabled = !session.transcript || !!session.response;
+        }
+        
+        // Let the app restore transcript, subtitles and audio for export/preview
+        window.dispatchEvent(new CustomEvent('sessionRestored', {
+            detail: { session }
+        }));
     }
 }
 
@@ -534,6 +947,7 @@ let audioHandler;
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing AudioHandler');
     audioHandler = new AudioHandler(chatService);
+    window.audioHandler = audioHandler;
     
     // Listen for language changes
     document.getElementById('languageSelector')?.addEventListener('change', (e) => {
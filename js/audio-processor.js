@@ -13,6 +13,12 @@ class AudioProcessor {
         this.silenceThreshold = 0.008; // Reduced RMS threshold for silence detection
         this.minAudioLevel = 0.003; // Reduced minimum level to consider as valid audio
         
+        // Speech regions (see analyzeRegions)
+        this.regionFrameDuration = 0.02; // Seconds per analysed frame
+        this.minSpeechDuration = 0.1;    // Shorter bursts above the threshold are noise
+        this.minSilenceDuration = 0.3;   // Shorter gaps are pauses within speech
+        this.clipLevel = 0.99;           // Sample level counted as clipping
+        
         // Gain control parameters - INCREASED for better Whisper performance
         this.defaultGain = 1.5; // Increased default gain
         this.maxGain = 8.0;    // Increased max gain for very quiet recordings
@@ -410,6 +416,84 @@ class AudioProcessor {
         }
     }
     
+    /**
+     * Level, speech and silence over a recording, frame by frame. Frames above
+     * the silence threshold are speech, as in detectSpeech, with short gaps
+     * bridged and short bursts dropped.
+     * @param {Blob} audioBlob - Audio to analyse
+     * @returns {Promise<Object|null>} - { duration, frameDuration, levels, peaks, speech, silences, peak, clippedFrames };
+     *   levels/peaks are per-frame RMS and peak (0-1), speech/silences are { start, end } in seconds
+     */
+    async analyzeRegions(audioBlob) {
+        const audioBuffer = await this.decodeAudioData(audioBlob);
+        if (!audioBuffer) return null;
+        
+        const frameLength = Math.max(1, Math.round(this.regionFrameDuration * audioBuffer.sampleRate));
+        const frameCount = Math.ceil(audioBuffer.length / frameLength);
+        const levels = new Float32Array(frameCount);
+        const peaks = new Float32Array(frameCount);
+        
+        // Every channel counts, so speech on either microphone of a two-input recording shows
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let frame = 0; frame < frameCount; frame++) {
+                const start = frame * frameLength;
+                const end = Math.min(data.length, start + frameLength);
+                let sum = 0;
+                let peak = 0;
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                    const magnitude = Math.abs(data[i]);
+                    if (magnitude > peak) peak = magnitude;
+                }
+                levels[frame] = Math.max(levels[frame], Math.sqrt(sum / Math.max(1, end - start)));
+                peaks[frame] = Math.max(peaks[frame], peak);
+            }
+        }
+        
+        // Runs of speech frames, bridged over short gaps and without short bursts
+        const frameDuration = frameLength / audioBuffer.sampleRate;
+        const speech = [];
+        for (let frame = 0; frame < frameCount; frame++) {
+            if (levels[frame] <= this.silenceThreshold) continue;
+            
+            const start = frame * frameDuration;
+            const last = speech[speech.length - 1];
+            if (last && start - last.end < this.minSilenceDuration) {
+                last.end = (frame + 1) * frameDuration;
+            } else {
+                speech.push({ start, end: (frame + 1) * frameDuration });
+            }
+        }
+        const regions = speech.filter(region => region.end - region.start >= this.minSpeechDuration);
+        
+        const silences = [];
+        let cursor = 0;
+        regions.forEach(region => {
+            if (region.start > cursor) silences.push({ start: cursor, end: region.start });
+            cursor = region.end;
+        });
+        if (cursor < audioBuffer.duration) silences.push({ start: cursor, end: audioBuffer.duration });
+        
+        let peak = 0;
+        let clippedFrames = 0;
+        peaks.forEach(value => {
+            if (value > peak) peak = value;
+            if (value >= this.clipLevel) clippedFrames++;
+        });
+        
+        return {
+            duration: audioBuffer.duration,
+            frameDuration,
+            levels,
+            peaks,
+            speech: regions.map(region => ({ start: region.start, end: Math.min(region.end, audioBuffer.duration) })),
+            silences,
+            peak,
+            clippedFrames
+        };
+    }
+    
     /**
      * Add a volume level reading to the history
      * @param {number} level - Volume level (0-1)
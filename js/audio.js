@@ -67,6 +67,12 @@ class AudioRecorder {
         this.continuousStream = null;
         this.recordingStartTime = null;
         this.recordingStopTime = null;
+        this.continuousHeader = null;       // First chunk, which carries the container header
+        this.continuousBufferSeconds = 75;  // Longest replay plus room to find where the audio can resume
+        
+        // Replay buffer: the continuous recorder keeps running between recordings, so
+        // what was just said can be saved (see extractReplayAudio)
+        this.replayBufferEnabled = false;
 
         // Add properties for automatic gain control
         this.audioContext = null;
@@ -86,7 +92,35 @@ class AudioRecorder {
         this.sensitivityMode = 'auto'; // Options: 'auto', 'maximum'
         this.compressorNode = null;
         this.maxGainValue = 10.0;   // Higher maximum for maximum sensitivity mode
-        this.noiseGateNode = null;
+        
+        // AudioWorklet capture pipeline (see capture-worklet.js): high-pass filter, noise
+        // suppression, noise gate and AGC. MediaRecorder and the level meter get its output.
+        this.captureWorkletUrl = 'js/capture-worklet.js';
+        this.captureNode = null;          // AudioWorkletNode
+        this.captureDestination = null;   // MediaStreamAudioDestinationNode with the cleaned stream
+        this.processedStream = null;
+        this.captureModuleContext = null; // Context the worklet module was added to
+        this.captureStats = null;         // Latest { gain, gateOpen, peak, inputPeak, noiseFloor } from the worklet
+        this.clipTimes = null;            // Seconds into the recording where the microphone clipped (worklet only)
+        this.inputPeak = null;            // Loudest sample the microphone delivered while recording (worklet only)
+        this.lastClipTime = 0;            // Date.now() of the latest clipping at the microphone
+        this.noiseSuppressionEnabled = localStorage.getItem('echolife_noise_suppression') !== 'false';
+        
+        // Input devices: the microphone to record ('' = system default) and an optional
+        // second one, recorded as its own channel (e.g. two mics for an interview)
+        this.inputStorageKey = 'echolife_input_devices';
+        this.inputDevices = this.loadInputDevices();
+        this.availableInputs = [];         // { deviceId, label } of connected microphones
+        this.recordingInputs = null;       // Inputs of the current recording, one per channel, when there are two
+        this.secondaryStream = null;
+        this.secondarySource = null;
+        this.secondaryCaptureNode = null;
+        this.inputMerger = null;           // ChannelMerger putting each input on its own channel
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshInputDevices());
+        }
+        this.refreshInputDevices();
         
         // Make auto gain configurable through localStorage
         const savedAutoGain = localStorage.getItem('echolife_auto_gain');
@@ -110,6 +144,7 @@ class AudioRecorder {
 
         // Add better volume monitoring
         this.analyserBuffer = new Uint8Array(1024);
+        this.levelBuffers = new WeakMap(); // Frequency buffers for measureLevel, per analyser
         this.volumeCallback = null; // Callback for volume updates
         this.volumeUpdateInterval = null;
         this.volumeUpdateFrequency = 200; // ms between updates
@@ -119,6 +154,13 @@ class AudioRecorder {
         this.hasDetectedLowVolume = false;
         this.lowVolumeStartTime = null;
         this.lowVolumeNotified = false;
+        
+        // Pause/resume: each continuous take is kept as its own recording until the
+        // session is stopped, then the takes are joined into one file
+        this.takes = [];             // { id, blob, type, duration, audioLevelDetected }
+        this.isPaused = false;
+        this.replaceTakeIndex = null; // Take being re-recorded, or null to append
+        this.takeGap = 0.5;          // Seconds of silence between joined takes
     }
 
     // Get iOS version number if available; fallback to 0 to avoid null issues.
@@ -134,30 +176,28 @@ class AudioRecorder {
         try {
             this.audioChunks = [];
             
+            // A new session unless this resumes a paused one
+            if (!this.isPaused) {
+                this.takes = [];
+                this.replaceTakeIndex = null;
+            }
+            
             // Get audio stream if we don't already have one
             if (!this.stream) {
                 this.stream = await navigator.mediaDevices.getUserMedia({ 
-                    audio: {
-                        // Specific constraints that help on iOS
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        // Use appropriate sample rate based on device
-                        sampleRate: this.isIOS ? 44100 : 48000,
-                        // Don't set autoGainControl here as we'll implement our own
-                        autoGainControl: false
-                    }
+                    audio: this.getAudioConstraints()
                 });
             }
             
-            // Initialize audio context and gain control if enabled
-            if (this.autoGainEnabled && !this.isIOS) {
-                if (this.sensitivityMode === 'maximum') {
-                    this.setupMaximumSensitivity();
-                } else {
-                    this.setupAutoGainControl();
-                }
+            // Clean the signal before it is recorded (iOS records the microphone directly)
+            if (!this.isIOS) {
+                await this.setupCapturePipeline();
+                await this.setupSecondaryInput();
             }
             
+            // Device names are only readable once the microphone is allowed
+            this.refreshInputDevices();
+            
             // Start continuous recording if not already running
             this.ensureContinuousRecording();
             
@@ -221,7 +261,7 @@ class AudioRecorder {
             }
             
             console.log("Creating MediaRecorder with options:", options);
-            this.mediaRecorder = new MediaRecorder(this.stream, options);
+            this.mediaRecorder = new MediaRecorder(this.getRecordingStream(), options);
             
             // Save selected MIME type for reference
             this.selectedMimeType = options.mimeType || 'browser default';
@@ -229,6 +269,10 @@ class AudioRecorder {
             // Track recording start time for continuous recording
             this.recordingStartTime = Date.now();
             
+            // The worklet limits its output, so clipping is only seen in the input peaks it reports
+            this.clipTimes = this.captureNode ? [] : null;
+            this.inputPeak = this.captureNode ? 0 : null;
+            
             // Improved dataavailable handler with better error reporting
             this.mediaRecorder.addEventListener('dataavailable', event => {
                 console.log(`Received audio chunk: size=${event.data.size} bytes, type=${event.data.type || 'unknown'}`);
@@ -246,6 +290,7 @@ class AudioRecorder {
             this.mediaRecorder.start(timeslice);
             
             this.isRecording = true;
+            this.dispatchRecordingState();
             
             // Reset audio level detection
             this.audioLevelDetected = null;
@@ -292,18 +337,29 @@ class AudioRecorder {
                     options.mimeType = browserBasedMimeType;
                 }
                 
-                this.continuousRecorder = new MediaRecorder(this.stream, options);
+                // The replay buffer records the microphone itself, which outlives each recording's capture pipeline
+                this.continuousStream = this.replayBufferEnabled ? this.stream : this.getRecordingStream();
+                const recorder = new MediaRecorder(this.continuousStream, options);
+                this.continuousRecorder = recorder;
                 this.continuousChunks = [];
+                this.continuousHeader = null;
                 
                 this.continuousRecorder.addEventListener('dataavailable', event => {
+                    // A stopped recorder can still deliver its last chunk
+                    if (recorder !== this.continuousRecorder) return;
+                    
                     if (event.data.size > 0) {
+                        if (!this.continuousHeader) {
+                            this.continuousHeader = event.data;
+                        }
+                        
                         this.continuousChunks.push({
                             data: event.data,
                             timestamp: Date.now()
                         });
                         
-                        // Keep only the last 60 seconds of audio in memory
-                        const maxAgeMs = 60000; // 60 seconds
+                        // Keep only the last seconds of audio in memory
+                        const maxAgeMs = this.continuousBufferSeconds * 1000;
                         const cutoffTime = Date.now() - maxAgeMs;
                         
                         // Remove chunks older than cutoff time
@@ -337,7 +393,17 @@ class AudioRecorder {
         }
     }
 
-    stopRecording() {
+    /**
+     * Stop recording
+     * @param {Object} options - { keepStream: keep the microphone open (used when pausing) }
+     * @returns {Promise<Object|null>} - Audio result; with takes, all of them joined
+     */
+    stopRecording(options = {}) {
+        // A paused session ends by finishing the current take and joining them all
+        if (!options.keepStream && (this.isPaused || this.takes.length > 0)) {
+            return this.finishTakes();
+        }
+        
         // Stop auto gain adjustment if it's running
         this.stopGainAdjustment();
         
@@ -357,6 +423,17 @@ class AudioRecorder {
                 console.error("Error disconnecting gain node:", e);
             }
         }
+        
+        if (this.captureNode) {
+            try {
+                this.captureNode.disconnect();
+            } catch (e) {
+                console.error("Error disconnecting capture worklet:", e);
+            }
+            this.captureNode = null;
+        }
+        
+        this.disconnectSecondaryInput();
 
         // Stop volume monitoring
         clearInterval(this.volumeUpdateInterval);
@@ -553,7 +630,8 @@ class AudioRecorder {
                 }
                 
                 this.isRecording = false;
-                this.stopMediaTracks();
+                this.stopMediaTracks(options.keepStream);
+                this.dispatchRecordingState();
                 
                 console.log(`Final audio: type=${audioType}, size=${audioBlob.size} bytes`);
                 const result = this.createFinalResult(audioBlob, audioType);
@@ -624,6 +702,13 @@ class AudioRecorder {
                 return null;
             }
             
+            // Chunks without the container header don't decode on their own (the replay
+            // buffer started before this recording); the main recorder's chunks are used instead
+            if (relevantChunks[0] !== this.continuousHeader) {
+                console.log("Continuous recording started before this recording, skipping it");
+                return null;
+            }
+            
             // Create a blob from the relevant chunks
             const audioType = relevantChunks[0].type || 'audio/webm';
             const audioBlob = new Blob(relevantChunks, { type: audioType });
@@ -640,15 +725,382 @@ class AudioRecorder {
         }
     }
     
-    stopMediaTracks() {
-        // Stop continuous recording
-        this.stopContinuousRecording();
+    /**
+     * Stop the recording streams
+     * @param {boolean} keepStream - Keep the microphone open for the next take
+     */
+    stopMediaTracks(keepStream = false) {
+        // Stop continuous recording, unless the replay buffer keeps listening
+        if (!this.replayBufferEnabled) {
+            this.stopContinuousRecording();
+        }
         
         // Only stop media tracks if we're fully done with recording
-        if (this.stream && !this.isContinuousRecording) {
+        if (this.stream && !this.isContinuousRecording && !keepStream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
+        if (this.processedStream && !(this.isContinuousRecording && this.continuousStream === this.processedStream)) {
+            this.processedStream.getTracks().forEach(track => track.stop());
+            this.processedStream = null;
+        }
+        if (this.secondaryStream && !keepStream) {
+            this.secondaryStream.getTracks().forEach(track => track.stop());
+            this.secondaryStream = null;
+        }
+    }
+    
+    /**
+     * Turn the replay buffer on or off. On, the microphone stays open and the
+     * continuous recorder keeps the last seconds even when nothing is being recorded.
+     * @param {boolean} enabled - Whether to keep listening
+     * @returns {Promise<boolean>} - Whether the buffer is running
+     */
+    async setReplayBuffer(enabled) {
+        if (!enabled) {
+            this.replayBufferEnabled = false;
+            if (!this.isRecording && !this.isPaused) {
+                this.stopMediaTracks();
+            }
+            return false;
+        }
+        
+        // iOS has no continuous recorder
+        if (this.isIOS || typeof MediaRecorder === 'undefined') return false;
+        
+        if (!this.stream) {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: this.getAudioConstraints()
+            });
+        }
+        this.replayBufferEnabled = true;
+        
+        // A recording's continuous recorder follows its capture pipeline; move it to the microphone
+        if (this.isContinuousRecording && this.continuousStream !== this.stream) {
+            this.stopContinuousRecording();
+        }
+        this.ensureContinuousRecording();
+        
+        console.log(`[REPLAY] Replay buffer ${this.isContinuousRecording ? 'running' : 'unavailable'}`);
+        return this.isContinuousRecording;
+    }
+    
+    /**
+     * The last seconds heard by the continuous recorder. Its chunks only decode
+     * after the container header in its first chunk, so the audio is cut where
+     * the container can resume (a WebM cluster, Ogg page or MP4 fragment), put
+     * behind that header, then decoded and trimmed into a WAV.
+     * @param {number} seconds - How much to keep
+     * @returns {Promise<Object|null>} - { blob, type, filename, duration }, or null when nothing was heard
+     */
+    async extractReplayAudio(seconds) {
+        if (!this.isContinuousRecording || !this.continuousHeader) return null;
+        
+        // Flush what was recorded since the last chunk
+        await new Promise(resolve => {
+            const timeout = setTimeout(resolve, 1000);
+            this.continuousRecorder.addEventListener('dataavailable', () => {
+                clearTimeout(timeout);
+                resolve();
+            }, { once: true });
+            try {
+                this.continuousRecorder.requestData();
+            } catch (e) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+        
+        const chunks = this.continuousChunks.slice();
+        if (chunks.length === 0) return null;
+        
+        const type = this.continuousHeader.type || this.continuousRecorder.mimeType || 'audio/webm';
+        const bytes = new Uint8Array(await new Blob(chunks.map(chunk => chunk.data)).arrayBuffer());
+        
+        // Byte offset of the first chunk within the last seconds (a chunk is stamped when it ends)
+        const cutoff = Date.now() - seconds * 1000;
+        let windowStart = 0;
+        for (const chunk of chunks) {
+            if (chunk.timestamp > cutoff) break;
+            windowStart += chunk.data.size;
+        }
+        
+        let containerBlob;
+        if (chunks[0].data === this.continuousHeader) {
+            // The buffer still starts at the header
+            containerBlob = new Blob([bytes], { type });
+        } else {
+            const header = new Uint8Array(await this.continuousHeader.arrayBuffer());
+            const headerStarts = this.findMediaStarts(header, type);
+            const starts = this.findMediaStarts(bytes, type);
+            
+            if (headerStarts.length === 0 || starts.length === 0) {
+                console.warn(`[REPLAY] No resume point found in ${type} audio`);
+                return null;
+            }
+            
+            // Start at the last resume point before the window, so no audio in it is lost
+            const resume = starts.filter(start => start <= windowStart).pop() ?? starts[0];
+            containerBlob = new Blob([header.subarray(0, headerStarts[0]), bytes.subarray(resume)], { type });
+        }
+        
+        try {
+            const decoded = await audioChunker.decode(containerBlob);
+            const end = decoded.samples.length;
+            const start = Math.max(0, end - Math.round(seconds * decoded.sampleRate));
+            
+            console.log(`[REPLAY] Saved ${((end - start) / decoded.sampleRate).toFixed(1)}s from ${chunks.length} chunks`);
+            return {
+                blob: audioChunker.encodeChunk(decoded.samples, decoded.sampleRate, start, end),
+                type: 'audio/wav',
+                filename: `replay_${Date.now()}.wav`,
+                duration: (end - start) / decoded.sampleRate
+            };
+        } catch (e) {
+            // Still a whole container, just not trimmed to the exact length
+            console.warn('[REPLAY] Could not decode the replay audio, saving it as recorded:', e);
+            const ext = type.includes('ogg') ? 'ogg' : (type.includes('mp4') ? 'm4a' : 'webm');
+            return {
+                blob: containerBlob,
+                type,
+                filename: `replay_${Date.now()}.${ext}`,
+                duration: null
+            };
+        }
+    }
+    
+    /**
+     * Offsets where a container's media can be resumed after its header
+     * @param {Uint8Array} bytes - Container bytes
+     * @param {string} type - MIME type
+     * @returns {Array<number>} - WebM cluster, Ogg audio page or MP4 fragment offsets, in order
+     */
+    findMediaStarts(bytes, type) {
+        const starts = [];
+        
+        if (type.includes('ogg')) {
+            // Pages that start a packet after the header pages (granule position 0)
+            for (let i = 0; i + 27 <= bytes.length; i++) {
+                if (bytes[i] !== 0x4F || bytes[i + 1] !== 0x67 || bytes[i + 2] !== 0x67 || bytes[i + 3] !== 0x53 || bytes[i + 4] !== 0) continue;
+                
+                const continued = bytes[i + 5] & 0x01;
+                const hasGranule = bytes.subarray(i + 6, i + 14).some(byte => byte !== 0);
+                if (!continued && hasGranule) starts.push(i);
+            }
+        } else if (type.includes('mp4')) {
+            // 'moof' boxes, which begin each fragment
+            for (let i = 4; i + 4 <= bytes.length; i++) {
+                if (bytes[i] === 0x6D && bytes[i + 1] === 0x6F && bytes[i + 2] === 0x6F && bytes[i + 3] === 0x66) {
+                    starts.push(i - 4);
+                }
+            }
+        } else {
+            // WebM Cluster element ID
+            for (let i = 0; i + 4 <= bytes.length; i++) {
+                if (bytes[i] === 0x1F && bytes[i + 1] === 0x43 && bytes[i + 2] === 0xB6 && bytes[i + 3] === 0x75) {
+                    starts.push(i);
+                }
+            }
+        }
+        
+        return starts;
+    }
+    
+    /**
+     * Pause the recording: the current take is kept and the microphone stays open
+     * @returns {Promise<Object|null>} - The take, or null when nothing was recorded
+     */
+    async pauseRecording() {
+        if (!this.isRecording) return null;
+        
+        const result = await this.stopRecording({ keepStream: true });
+        let take = null;
+        
+        if (result && result.blob && result.blob.size > 0) {
+            take = {
+                id: Date.now(),
+                blob: result.blob,
+                type: result.type,
+                duration: (this.recordingStopTime - this.recordingStartTime) / 1000,
+                audioLevelDetected: result.audioLevelDetected !== false,
+                inputs: result.inputs,
+                clips: result.clips,
+                inputPeak: result.inputPeak
+            };
+            
+            if (this.replaceTakeIndex !== null && this.takes[this.replaceTakeIndex]) {
+                this.takes.splice(this.replaceTakeIndex, 1, take);
+            } else {
+                this.takes.push(take);
+            }
+        }
+        
+        this.replaceTakeIndex = null;
+        this.isPaused = true;
+        this.dispatchTakesChanged();
+        
+        console.log(`[TAKES] Paused with ${this.takes.length} take(s)`);
+        return take;
+    }
+    
+    /**
+     * Resume a paused recording with a new take
+     * @param {number|null} replaceIndex - Take to re-record, or null to add a take at the end
+     * @returns {Promise<boolean>} - Whether recording started
+     */
+    async resumeRecording(replaceIndex = null) {
+        if (!this.isPaused || this.isRecording) return false;
+        
+        this.replaceTakeIndex = replaceIndex !== null && this.takes[replaceIndex] ? replaceIndex : null;
+        const started = await this.startRecording();
+        
+        if (started) {
+            this.isPaused = false;
+            this.dispatchTakesChanged();
+        }
+        return started;
+    }
+    
+    /**
+     * Delete a take from a paused recording
+     * @param {number} index - Take index
+     */
+    deleteTake(index) {
+        if (!this.isPaused || !this.takes[index]) return;
+        
+        this.takes.splice(index, 1);
+        this.dispatchTakesChanged();
+    }
+    
+    getTakes() {
+        return this.takes.slice();
+    }
+    
+    // Drop a paused session's takes and close the microphone
+    discardTakes() {
+        this.takes = [];
+        this.isPaused = false;
+        this.replaceTakeIndex = null;
+        this.stopMediaTracks();
+        this.dispatchTakesChanged();
+    }
+    
+    // Lets the visualizer follow the recording (the analyser exists while recording)
+    dispatchRecordingState() {
+        window.dispatchEvent(new CustomEvent('recordingStateChanged', {
+            detail: { isRecording: this.isRecording, isPaused: this.isPaused }
+        }));
+    }
+    
+    dispatchTakesChanged() {
+        window.dispatchEvent(new CustomEvent('recordingTakesChanged', {
+            detail: { takes: this.getTakes(), isPaused: this.isPaused, replaceIndex: this.replaceTakeIndex }
+        }));
+    }
+    
+    /**
+     * End a session recorded in takes: finish the current take, close the
+     * microphone and join the takes
+     * @returns {Promise<Object|null>} - Audio result, with the takes' place in it as `segments`
+     */
+    async finishTakes() {
+        if (this.isRecording) {
+            await this.pauseRecording();
+        }
+        
+        const takes = this.takes;
+        this.replaceTakeIndex = null;
+        this.stopMediaTracks();
+        
+        let result = null;
+        if (takes.length > 1) {
+            try {
+                result = await this.joinTakes(takes);
+            } catch (e) {
+                // Stay paused with every take, so none is lost: the user can try again or delete a take
+                this.dispatchTakesChanged();
+                throw e;
+            }
+        }
+        
+        this.takes = [];
+        this.isPaused = false;
+        this.dispatchTakesChanged();
+        
+        if (takes.length === 0) return null;
+        
+        if (!result) {
+            result = this.createFinalResult(takes[0].blob, takes[0].type);
+            result.clips = takes[0].clips || null;
+            result.inputPeak = takes[0].inputPeak ?? null;
+        }
+        result.audioLevelDetected = takes.some(take => take.audioLevelDetected);
+        if (window.audioProcessor) {
+            result.volumeData = window.audioProcessor.getVolumeFeedback();
+            result.hasLowVolume = this.hasDetectedLowVolume;
+        }
+        if (!result.segments) {
+            result.segments = [{ index: 0, startTime: 0, endTime: takes[0].duration }];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Join takes into one 16kHz WAV with a short silence between them, so
+     * transcription and subtitles run over the whole session with matching times.
+     * Takes recorded from two microphones keep one channel per microphone.
+     * @param {Array} takes - Takes in order
+     * @returns {Promise<Object>} - Audio result with `segments` ({ index, startTime, endTime } in seconds)
+     * @throws {Error} - When a take can't be decoded; separate containers can't simply be concatenated
+     */
+    async joinTakes(takes) {
+        try {
+            const decoded = [];
+            for (const take of takes) {
+                decoded.push(await audioChunker.decode(take.blob));
+            }
+            
+            const sampleRate = decoded[0].sampleRate;
+            const gap = Math.round(this.takeGap * sampleRate);
+            const length = decoded.reduce((sum, item) => sum + item.samples.length, 0) + gap * (decoded.length - 1);
+            
+            // Mono unless the takes hold one microphone per channel
+            const inputs = takes.map(take => take.inputs).find(Boolean) || null;
+            const tracks = decoded.map(item => inputs ? item.channels.slice(0, inputs.length) : [item.samples]);
+            const channels = Array.from({ length: inputs ? inputs.length : 1 }, () => new Float32Array(length));
+            const segments = [];
+            const clips = takes.every(take => take.clips) ? [] : null;
+            
+            let offset = 0;
+            decoded.forEach((item, index) => {
+                tracks[index].forEach((samples, channel) => channels[channel].set(samples, offset));
+                segments.push({
+                    index,
+                    startTime: offset / sampleRate,
+                    endTime: (offset + item.samples.length) / sampleRate
+                });
+                if (clips) {
+                    takes[index].clips.forEach(time => clips.push(offset / sampleRate + time));
+                }
+                offset += item.samples.length + gap;
+            });
+            
+            const blob = audioChunker.encodeChannels(channels, sampleRate, 0, length);
+            console.log(`[TAKES] Joined ${takes.length} takes: ${(length / sampleRate).toFixed(1)}s, ${blob.size} bytes`);
+            
+            const result = this.createFinalResult(blob, 'audio/wav');
+            result.filename = `recording_${Date.now()}.wav`;
+            result.segments = segments;
+            result.inputs = inputs;
+            result.clips = clips;
+            result.inputPeak = takes.every(take => typeof take.inputPeak === 'number') ?
+                Math.max(...takes.map(take => take.inputPeak)) : null;
+            return result;
+        } catch (e) {
+            console.error('[TAKES] Could not join takes:', e);
+            throw new Error(`Could not join the takes: ${e.message}`);
+        }
     }
     
     // Stop all recordings and clean up resources
@@ -665,6 +1117,17 @@ class AudioRecorder {
             }
         }
         
+        if (this.captureNode) {
+            try {
+                this.captureNode.disconnect();
+            } catch (e) {
+                console.error("Error disconnecting capture worklet:", e);
+            }
+            this.captureNode = null;
+        }
+        
+        this.disconnectSecondaryInput();
+        
         // Close audio context
         if (this.audioContext) {
             try {
@@ -672,6 +1135,7 @@ class AudioRecorder {
             } catch (e) {
                 console.error("Error closing audio context:", e);
             }
+            this.audioContext = null;
         }
 
         this.stopContinuousRecording();
@@ -688,9 +1152,18 @@ class AudioRecorder {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
+        if (this.processedStream) {
+            this.processedStream.getTracks().forEach(track => track.stop());
+            this.processedStream = null;
+        }
+        if (this.secondaryStream) {
+            this.secondaryStream.getTracks().forEach(track => track.stop());
+            this.secondaryStream = null;
+        }
         
         this.isRecording = false;
         this.isContinuousRecording = false;
+        this.dispatchRecordingState();
     }
 
     // Modified to be more compatible with iOS
@@ -743,7 +1216,10 @@ class AudioRecorder {
                     filename: `ios${this.iosVersion}_recording_${timestamp}.m4a`, 
                     preferredFormatForWhisper: 'audio/mp4',
                     needsConversion: true,
-                    likelyCompatible: false
+                    likelyCompatible: false,
+                    inputs: this.recordingInputs,
+                    clips: this.clipTimes,
+                    inputPeak: this.inputPeak
                 };
             }
         }
@@ -759,6 +1235,9 @@ class AudioRecorder {
             filename: filename,
             preferredFormatForWhisper: this.isIOS ? 'audio/mp4' : type,
             likelyCompatible: isLikelyWhisperCompatible,
+            inputs: this.recordingInputs, // One per channel when two microphones were recorded
+            clips: this.clipTimes, // Where the microphone clipped, or null when not known
+            inputPeak: this.inputPeak, // Before the capture worklet's limiter, or null when not known
             // Add original properties to ensure backward compatibility
             originalType: type
         };
@@ -805,6 +1284,351 @@ class AudioRecorder {
         };
     }
 
+    /**
+     * getUserMedia audio constraints. The browser's own noise suppression is
+     * turned off when the capture worklet does it, so speech isn't processed twice.
+     * @param {string} deviceId - Microphone to open ('' for the system default)
+     * @returns {Object} - Audio constraints
+     */
+    getAudioConstraints(deviceId = this.getInputDeviceId('primary')) {
+        const constraints = {
+            // Specific constraints that help on iOS
+            echoCancellation: true,
+            noiseSuppression: !(this.canUseCaptureWorklet() && this.noiseSuppressionEnabled),
+            // Use appropriate sample rate based on device
+            sampleRate: this.isIOS ? 44100 : 48000,
+            // Don't set autoGainControl here as we'll implement our own
+            autoGainControl: false
+        };
+        
+        if (deviceId) {
+            constraints.deviceId = { exact: deviceId };
+        }
+        return constraints;
+    }
+    
+    canUseCaptureWorklet() {
+        return !this.isIOS && typeof AudioWorkletNode !== 'undefined';
+    }
+    
+    // Stream MediaRecorder records: the cleaned one when the capture pipeline runs
+    getRecordingStream() {
+        return this.processedStream || this.stream;
+    }
+    
+    /**
+     * Build the capture pipeline for a recording: the AudioWorklet where the
+     * browser supports it, otherwise the gain/compressor chain
+     */
+    async setupCapturePipeline() {
+        if (this.canUseCaptureWorklet()) {
+            try {
+                await this.setupCaptureWorklet();
+                return;
+            } catch (e) {
+                console.warn('[CAPTURE] Capture worklet unavailable, using the gain chain:', e);
+                this.processedStream = null;
+            }
+        }
+        
+        if (this.autoGainEnabled) {
+            if (this.sensitivityMode === 'maximum') {
+                this.setupMaximumSensitivity();
+            } else {
+                this.setupAutoGainControl();
+            }
+        }
+    }
+    
+    // source -> capture worklet -> analyser (level meter, VAD)
+    //                           -> MediaStream destination (MediaRecorder)
+    async setupCaptureWorklet() {
+        if (!this.audioContext) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContext();
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        
+        // A module is added once per context
+        if (this.captureModuleContext !== this.audioContext) {
+            await this.audioContext.audioWorklet.addModule(this.captureWorkletUrl);
+            this.captureModuleContext = this.audioContext;
+        }
+        
+        this.captureNode = new AudioWorkletNode(this.audioContext, 'echolife-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: { settings: this.getCaptureSettings() }
+        });
+        this.captureNode.port.onmessage = (event) => this.handleCaptureStats(event.data);
+        
+        this.analyserNode = this.audioContext.createAnalyser();
+        this.analyserNode.fftSize = 256;
+        this.analyserBuffer = new Uint8Array(this.analyserNode.frequencyBinCount);
+        this.captureDestination = this.audioContext.createMediaStreamDestination();
+        
+        this.mediaStreamSource = this.audioContext.createMediaStreamSource(this.stream);
+        this.mediaStreamSource.connect(this.captureNode);
+        this.captureNode.connect(this.analyserNode);
+        this.captureNode.connect(this.captureDestination);
+        this.processedStream = this.captureDestination.stream;
+        
+        // The worklet adjusts the gain itself
+        this.gainNode = null;
+        this.compressorNode = null;
+        
+        console.log(`[CAPTURE] Capture worklet running at ${this.audioContext.sampleRate}Hz`, this.getCaptureSettings());
+    }
+    
+    /**
+     * Add the second microphone, when one is chosen: each input goes to its own
+     * channel of the recorded stream (cleaned by its own worklet where the
+     * primary one is), and both feed the level meter
+     */
+    async setupSecondaryInput() {
+        this.recordingInputs = null;
+        
+        const deviceId = this.getInputDeviceId('secondary');
+        if (!deviceId) return;
+        
+        try {
+            if (!this.secondaryStream) {
+                this.secondaryStream = await navigator.mediaDevices.getUserMedia({
+                    audio: this.getAudioConstraints(deviceId)
+                });
+            }
+            if (!this.audioContext) {
+                const AudioContext = window.AudioContext || window.webkitAudioContext;
+                this.audioContext = new AudioContext();
+            }
+            
+            // The gain chain doesn't feed the recorder, so it records the microphone itself
+            let primaryNode = this.captureNode;
+            if (!primaryNode) {
+                if (!this.mediaStreamSource || this.mediaStreamSource.mediaStream !== this.stream) {
+                    this.mediaStreamSource = this.audioContext.createMediaStreamSource(this.stream);
+                }
+                primaryNode = this.mediaStreamSource;
+                this.captureDestination = this.audioContext.createMediaStreamDestination();
+            } else {
+                this.captureNode.disconnect(this.captureDestination);
+            }
+            
+            this.secondarySource = this.audioContext.createMediaStreamSource(this.secondaryStream);
+            let secondaryNode = this.secondarySource;
+            if (this.captureNode) {
+                this.secondaryCaptureNode = new AudioWorkletNode(this.audioContext, 'echolife-capture', {
+                    numberOfInputs: 1,
+                    numberOfOutputs: 1,
+                    outputChannelCount: [1],
+                    processorOptions: { settings: this.getCaptureSettings() }
+                });
+                this.secondaryCaptureNode.port.onmessage = (event) => this.handleCaptureStats(event.data);
+                this.secondarySource.connect(this.secondaryCaptureNode);
+                secondaryNode = this.secondaryCaptureNode;
+            }
+            
+            this.inputMerger = this.audioContext.createChannelMerger(2);
+            primaryNode.connect(this.inputMerger, 0, 0);
+            secondaryNode.connect(this.inputMerger, 0, 1);
+            this.captureDestination.channelCount = 2;
+            this.inputMerger.connect(this.captureDestination);
+            if (this.analyserNode) {
+                secondaryNode.connect(this.analyserNode);
+            }
+            this.processedStream = this.captureDestination.stream;
+            
+            this.recordingInputs = [this.getInputInfo(this.stream), this.getInputInfo(this.secondaryStream)];
+            console.log('[INPUT] Recording two inputs as separate channels:', this.recordingInputs.map(input => input.label));
+        } catch (e) {
+            console.warn('[INPUT] Second microphone unavailable, recording one input:', e);
+            this.disconnectSecondaryInput();
+            if (this.secondaryStream) {
+                this.secondaryStream.getTracks().forEach(track => track.stop());
+                this.secondaryStream = null;
+            }
+            this.recordingInputs = null;
+        }
+    }
+    
+    disconnectSecondaryInput() {
+        [this.secondarySource, this.secondaryCaptureNode, this.inputMerger].forEach(node => {
+            if (node) {
+                try {
+                    node.disconnect();
+                } catch (e) {
+                    console.error("Error disconnecting second input:", e);
+                }
+            }
+        });
+        this.secondarySource = null;
+        this.secondaryCaptureNode = null;
+        this.inputMerger = null;
+    }
+    
+    // Device id and name of the microphone behind a stream
+    getInputInfo(stream) {
+        const track = stream.getAudioTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return { deviceId: settings.deviceId || '', label: track ? track.label : '' };
+    }
+    
+    loadInputDevices() {
+        const devices = { primary: '', secondary: '' };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.inputStorageKey) || 'null');
+            if (saved) {
+                devices.primary = typeof saved.primary === 'string' ? saved.primary : '';
+                devices.secondary = typeof saved.secondary === 'string' ? saved.secondary : '';
+            }
+        } catch (e) {
+            console.warn('Could not load input devices, using the default microphone:', e);
+        }
+        
+        return devices;
+    }
+    
+    /**
+     * Choose the microphones to record; takes effect with the next recording
+     * @param {Object} changes - { primary, secondary } device ids ('' for default / none)
+     */
+    setInputDevices(changes = {}) {
+        ['primary', 'secondary'].forEach(role => {
+            if (typeof changes[role] === 'string') {
+                this.inputDevices[role] = changes[role];
+            }
+        });
+        localStorage.setItem(this.inputStorageKey, JSON.stringify(this.inputDevices));
+        
+        // The replay buffer listens to the chosen microphone
+        if (this.replayBufferEnabled && !this.isRecording && !this.isPaused && this.stream) {
+            this.stopContinuousRecording();
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            this.setReplayBuffer(true).catch(e => console.warn('[INPUT] Could not reopen the replay buffer:', e));
+        }
+        
+        this.dispatchInputsChanged();
+    }
+    
+    /**
+     * Device id to open for a role, if that microphone is connected. A chosen
+     * microphone that was unplugged falls back to the default (or to none for
+     * the second input) and is used again once it is back.
+     * @param {string} role - 'primary' or 'secondary'
+     * @returns {string} - Device id, or '' for the default / none
+     */
+    getInputDeviceId(role) {
+        const deviceId = this.inputDevices[role];
+        if (!deviceId || !this.availableInputs.some(input => input.deviceId === deviceId)) return '';
+        
+        // The same microphone twice would only record the same channel twice
+        if (role === 'secondary' && deviceId === this.getInputDeviceId('primary')) return '';
+        return deviceId;
+    }
+    
+    /**
+     * Re-read the connected microphones (on start, after permission and on hot-plug)
+     * @returns {Promise<Array>} - Connected inputs ({ deviceId, label })
+     */
+    async refreshInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return this.availableInputs;
+        
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.availableInputs = devices
+                .filter(device => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default' && device.deviceId !== 'communications')
+                .map(device => ({ deviceId: device.deviceId, label: device.label }));
+        } catch (e) {
+            console.warn('[INPUT] Could not list microphones:', e);
+            return this.availableInputs;
+        }
+        
+        ['primary', 'secondary'].forEach(role => {
+            if (this.inputDevices[role] && !this.getInputDeviceId(role)) {
+                console.warn(`[INPUT] The chosen ${role} microphone is not connected`);
+            }
+        });
+        
+        this.dispatchInputsChanged();
+        return this.availableInputs;
+    }
+    
+    dispatchInputsChanged() {
+        window.dispatchEvent(new CustomEvent('audioInputsChanged', {
+            detail: { inputs: this.availableInputs.slice(), selected: { ...this.inputDevices } }
+        }));
+    }
+    
+    /**
+     * Worklet settings for the current toggles and sensitivity mode
+     * @returns {Object} - Settings for capture-worklet.js
+     */
+    getCaptureSettings() {
+        const maximum = this.sensitivityMode === 'maximum';
+        return {
+            noiseSuppression: this.noiseSuppressionEnabled,
+            agc: this.autoGainEnabled,
+            // Maximum sensitivity lets quieter speech through the gate and boosts it further
+            gateThreshold: maximum ? -60 : -50,
+            targetLevel: maximum ? -16 : -20,
+            minGain: this.minGain,
+            maxGain: maximum ? this.maxGainValue : this.maxGain
+        };
+    }
+    
+    // Send changed settings to the running worklets
+    configureCapture() {
+        [this.captureNode, this.secondaryCaptureNode].forEach(node => {
+            if (node) {
+                node.port.postMessage({ type: 'configure', settings: this.getCaptureSettings() });
+            }
+        });
+    }
+    
+    handleCaptureStats(stats) {
+        if (!stats || stats.type !== 'stats') return;
+        
+        this.captureStats = stats;
+        
+        if (this.isRecording && this.inputPeak !== null) {
+            this.inputPeak = Math.max(this.inputPeak, stats.inputPeak);
+        }
+        
+        // Each report covers ~250ms; count it once however many samples clipped
+        if (stats.inputPeak >= audioProcessor.clipLevel) {
+            this.lastClipTime = Date.now();
+            if (this.isRecording && this.clipTimes) {
+                this.clipTimes.push((Date.now() - this.recordingStartTime) / 1000);
+            }
+        }
+        
+        // An open gate means something louder than the noise floor was heard
+        if (this.enableAudioLevelDetection && stats.gateOpen) {
+            this.audioLevelDetected = true;
+        }
+    }
+    
+    // Turn the worklet's noise suppression on or off (the browser's takes over when off)
+    toggleNoiseSuppression(enabled) {
+        this.noiseSuppressionEnabled = enabled;
+        localStorage.setItem('echolife_noise_suppression', enabled);
+        
+        this.configureCapture();
+        if (this.stream) {
+            this.stream.getAudioTracks().forEach(track => {
+                track.applyConstraints({ noiseSuppression: this.getAudioConstraints().noiseSuppression })
+                    .catch(e => console.warn('[CAPTURE] Could not change browser noise suppression:', e));
+            });
+        }
+        
+        return this.noiseSuppressionEnabled;
+    }
+
     // Add method to set up automatic gain control
     setupAutoGainControl() {
         try {
@@ -1010,9 +1834,11 @@ class AudioRecorder {
         this.sensitivityMode = mode;
         localStorage.setItem('echolife_sensitivity_mode', mode);
         
-        // If recording, update the audio processing chain
-        if (this.isRecording && this.autoGainEnabled) {
-            // Clean up existing nodes
+        // The capture worklet takes new settings while it runs
+        if (this.captureNode) {
+            this.configureCapture();
+        } else if (this.isRecording && this.autoGainEnabled) {
+            // Rebuild the gain chain of a running recording: clean up existing nodes
             this.stopGainAdjustment();
             
             // Disconnect existing audio nodes
@@ -1057,7 +1883,9 @@ class AudioRecorder {
         this.autoGainEnabled = enabled;
         localStorage.setItem('echolife_auto_gain', enabled);
         
-        if (enabled && this.isRecording && !this.isIOS) {
+        if (this.captureNode) {
+            this.configureCapture();
+        } else if (enabled && this.isRecording && !this.isIOS) {
             // Set up and start with appropriate sensitivity mode
             if (this.sensitivityMode === 'maximum') {
                 this.setupMaximumSensitivity();
@@ -1093,14 +1921,7 @@ class AudioRecorder {
         
         try {
             // Get current level from analyser
-            this.analyserNode.getByteFrequencyData(this.analyserBuffer);
-            
-            // Calculate average level
-            let sum = 0;
-            for (let i = 0; i < this.analyserBuffer.length; i++) {
-                sum += this.analyserBuffer[i];
-            }
-            const currentLevel = sum / (this.analyserBuffer.length * 255); // Normalize to 0-1
+            const currentLevel = this.measureLevel(this.analyserNode);
             
             // Add to audio processor's history for later use in transcription
             if (window.audioProcessor) {
@@ -1136,6 +1957,23 @@ class AudioRecorder {
         }
     }
 
+    // Average frequency level (0-1) of an analyser, on the same scale as the volume meter
+    measureLevel(analyser) {
+        // Analysers differ in bin count, so each is read into a buffer of its own size
+        let buffer = this.levelBuffers.get(analyser);
+        if (!buffer || buffer.length !== analyser.frequencyBinCount) {
+            buffer = new Uint8Array(analyser.frequencyBinCount);
+            this.levelBuffers.set(analyser, buffer);
+        }
+        analyser.getByteFrequencyData(buffer);
+        
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sum += buffer[i];
+        }
+        return sum / (buffer.length * 255); // Normalize to 0-1
+    }
+
     // New method to register a volume level callback
     onVolumeUpdate(callback) {
         this.volumeCallback = callback;
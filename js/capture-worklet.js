@@ -0,0 +1,344 @@
+/**
+ * Capture Worklet for EchoLife
+ * AudioWorklet processor that cleans the microphone signal while recording.
+ * It is loaded by AudioRecorder with audioWorklet.addModule() and runs on the
+ * audio thread, so it is not included as a page script.
+ *
+ * Processing chain (mono):
+ * 1. High-pass filter (2nd order Butterworth) removes rumble and handling noise
+ * 2. Spectral subtraction: 512-sample frames, 50% overlap, sqrt-Hann windows.
+ *    The noise spectrum is tracked per bin (fast to fall, slow to rise, so
+ *    speech isn't learned as noise) and subtracted with a spectral floor
+ * 3. Noise gate with hold, opening quickly and closing smoothly
+ * 4. Automatic gain control towards a target level, only adapting while the
+ *    gate is open so pauses don't pump the gain up, with a peak limiter
+ *
+ * Settings arrive in processorOptions.settings and in { type: 'configure', settings }
+ * messages; the processor posts { type: 'stats', ... } a few times per second.
+ */
+
+const FRAME_SIZE = 512;
+const HOP_SIZE = FRAME_SIZE / 2;
+const BIN_COUNT = FRAME_SIZE / 2 + 1;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        this.settings = {
+            highPassFrequency: 80,   // Hz
+            noiseSuppression: true,
+            overSubtraction: 2,      // How much of the noise estimate is removed
+            spectralFloor: 0.08,     // Lowest gain of a bin, keeps some ambience against "musical noise"
+            gateThreshold: -50,      // dBFS
+            gateHold: 0.2,           // Seconds the gate stays open after the level drops
+            agc: true,
+            targetLevel: -20,        // dBFS (RMS) speech is brought to
+            minGain: 0.5,
+            maxGain: 5
+        };
+        this.configure((options.processorOptions || {}).settings || {});
+
+        // Frames for spectral subtraction
+        this.window = new Float32Array(FRAME_SIZE);
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            this.window[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE));
+        }
+        this.inputFrame = new Float32Array(FRAME_SIZE);
+        this.hopInput = new Float32Array(HOP_SIZE);
+        this.hopOutput = new Float32Array(HOP_SIZE);
+        this.overlap = new Float32Array(FRAME_SIZE);
+        this.hopPosition = 0;
+        this.real = new Float32Array(FRAME_SIZE);
+        this.imag = new Float32Array(FRAME_SIZE);
+        this.noise = new Float32Array(BIN_COUNT);
+        this.smoothedPower = new Float32Array(BIN_COUNT);
+        this.minimumBias = 2; // Minima of a fluctuating spectrum sit below its mean
+        this.binGain = new Float32Array(BIN_COUNT).fill(1);
+        this.framesSeen = 0;
+        this.learningFrames = Math.round(0.15 * sampleRate / HOP_SIZE); // Initial noise estimate
+
+        // High-pass filter state
+        this.filterState = [0, 0, 0, 0]; // x1, x2, y1, y2
+
+        // Gate and AGC state
+        this.gateEnvelope = 0;
+        this.gateGain = 0;
+        this.holdSamples = 0;
+        this.speechLevel = 0;   // Mean square of speech, for the AGC
+        this.agcGain = 1;
+
+        this.statsInterval = Math.round(sampleRate / 4);
+        this.samplesSinceStats = 0;
+        this.statsPeak = 0;
+        this.statsInputPeak = 0; // Before any processing, so clipping at the microphone shows
+
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'configure') {
+                this.configure(event.data.settings || {});
+            }
+        };
+    }
+
+    configure(settings) {
+        Object.keys(this.settings).forEach(key => {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+            }
+        });
+        this.updateFilter();
+    }
+
+    // RBJ cookbook high-pass biquad, Q = 1/sqrt(2)
+    updateFilter() {
+        const omega = 2 * Math.PI * Math.min(this.settings.highPassFrequency, sampleRate / 4) / sampleRate;
+        const alpha = Math.sin(omega) / Math.SQRT2;
+        const cos = Math.cos(omega);
+        const a0 = 1 + alpha;
+
+        this.filter = {
+            b0: (1 + cos) / 2 / a0,
+            b1: -(1 + cos) / a0,
+            b2: (1 + cos) / 2 / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0][0];
+        if (!output) return true;
+
+        // No input yet (or the source was disconnected): output silence
+        if (!input || input.length === 0) {
+            output.fill(0);
+            return true;
+        }
+
+        const channels = input.length;
+        const { b0, b1, b2, a1, a2 } = this.filter;
+        const state = this.filterState;
+
+        for (let i = 0; i < output.length; i++) {
+            // Mix down to mono
+            let x = 0;
+            for (let c = 0; c < channels; c++) {
+                x += input[c][i];
+                this.statsInputPeak = Math.max(this.statsInputPeak, Math.abs(input[c][i]));
+            }
+            x /= channels;
+
+            // 1. High-pass
+            const y = b0 * x + b1 * state[0] + b2 * state[1] - a1 * state[2] - a2 * state[3];
+            state[1] = state[0];
+            state[0] = x;
+            state[3] = state[2];
+            state[2] = y;
+
+            // 2. Spectral subtraction; the output runs one frame (~10ms) behind the input
+            let sample = y;
+            if (this.settings.noiseSuppression) {
+                this.hopInput[this.hopPosition] = y;
+                sample = this.hopOutput[this.hopPosition];
+                this.hopPosition++;
+                if (this.hopPosition === HOP_SIZE) {
+                    this.processFrame();
+                    this.hopPosition = 0;
+                }
+            }
+
+            // 3. Gate and 4. AGC
+            output[i] = this.applyDynamics(sample);
+        }
+
+        this.samplesSinceStats += output.length;
+        if (this.samplesSinceStats >= this.statsInterval) {
+            this.postStats();
+        }
+
+        return true;
+    }
+
+    /**
+     * Take the latest hop into the analysis frame, remove the estimated noise
+     * and overlap-add the result into the next hop of output
+     */
+    processFrame() {
+        // Slide the frame by one hop
+        this.inputFrame.copyWithin(0, HOP_SIZE);
+        this.inputFrame.set(this.hopInput, FRAME_SIZE - HOP_SIZE);
+
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            this.real[i] = this.inputFrame[i] * this.window[i];
+            this.imag[i] = 0;
+        }
+        this.fft(this.real, this.imag, false);
+
+        const learning = this.framesSeen < this.learningFrames;
+        this.framesSeen++;
+
+        for (let k = 0; k < BIN_COUNT; k++) {
+            const power = this.real[k] * this.real[k] + this.imag[k] * this.imag[k];
+            this.smoothedPower[k] = learning && this.framesSeen === 1 ? power : 0.7 * this.smoothedPower[k] + 0.3 * power;
+
+            // Noise estimate: averaged while learning, then a minimum tracker on the smoothed
+            // power that rises slowly, so speech isn't taken for noise
+            const minimum = this.smoothedPower[k] * this.minimumBias;
+            if (learning) {
+                this.noise[k] += (power - this.noise[k]) / this.framesSeen;
+            } else if (minimum < this.noise[k]) {
+                this.noise[k] = 0.8 * this.noise[k] + 0.2 * minimum;
+            } else {
+                this.noise[k] = Math.min(minimum, this.noise[k] * 1.0015 + 1e-12);
+            }
+
+            // Magnitude subtraction with a floor, smoothed over time
+            const ratio = power > 0 ? Math.sqrt(this.noise[k] / power) : 1;
+            const gain = Math.max(this.settings.spectralFloor, 1 - this.settings.overSubtraction * ratio);
+            this.binGain[k] = 0.5 * this.binGain[k] + 0.5 * gain;
+
+            this.real[k] *= this.binGain[k];
+            this.imag[k] *= this.binGain[k];
+            // Keep the spectrum conjugate-symmetric
+            if (k > 0 && k < FRAME_SIZE / 2) {
+                this.real[FRAME_SIZE - k] = this.real[k];
+                this.imag[FRAME_SIZE - k] = -this.imag[k];
+            }
+        }
+
+        this.fft(this.real, this.imag, true);
+
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            this.overlap[i] += this.real[i] * this.window[i];
+        }
+        this.hopOutput.set(this.overlap.subarray(0, HOP_SIZE));
+        this.overlap.copyWithin(0, HOP_SIZE);
+        this.overlap.fill(0, FRAME_SIZE - HOP_SIZE);
+    }
+
+    /**
+     * Noise gate followed by AGC and a limiter, for one sample
+     * @param {number} sample - Input sample
+     * @returns {number} - Output sample
+     */
+    applyDynamics(sample) {
+        const square = sample * sample;
+
+        // Gate envelope follows the level in about 10ms
+        this.gateEnvelope += (square - this.gateEnvelope) * (1 - Math.exp(-1 / (0.01 * sampleRate)));
+        const level = 10 * Math.log10(this.gateEnvelope + 1e-12);
+
+        if (level > this.settings.gateThreshold) {
+            this.holdSamples = this.settings.gateHold * sampleRate;
+        } else if (this.holdSamples > 0) {
+            this.holdSamples--;
+        }
+        const gateOpen = this.holdSamples > 0;
+
+        // Open in ~5ms so onsets aren't clipped, close in ~80ms so word endings fade out
+        const gateTime = gateOpen ? 0.005 : 0.08;
+        this.gateGain += ((gateOpen ? 1 : 0) - this.gateGain) * (1 - Math.exp(-1 / (gateTime * sampleRate)));
+
+        let gain = 1;
+        if (this.settings.agc) {
+            // Speech level rises within ~100ms and falls over ~1s, only while the gate is open
+            if (gateOpen) {
+                const time = this.gateEnvelope > this.speechLevel ? 0.1 : 1;
+                this.speechLevel += (this.gateEnvelope - this.speechLevel) * (1 - Math.exp(-1 / (time * sampleRate)));
+            }
+
+            if (this.speechLevel > 0) {
+                const target = Math.pow(10, this.settings.targetLevel / 20);
+                const wanted = Math.max(this.settings.minGain, Math.min(this.settings.maxGain, target / Math.sqrt(this.speechLevel)));
+
+                // Turn down within ~50ms, up over ~1.5s
+                const time = wanted < this.agcGain ? 0.05 : 1.5;
+                this.agcGain += (wanted - this.agcGain) * (1 - Math.exp(-1 / (time * sampleRate)));
+            }
+            gain = this.agcGain;
+        }
+
+        let out = sample * this.gateGain * gain;
+
+        // Soft limiter above -1 dBFS
+        const ceiling = 0.89;
+        const magnitude = Math.abs(out);
+        if (magnitude > ceiling) {
+            out = Math.sign(out) * (ceiling + (1 - ceiling) * Math.tanh((magnitude - ceiling) / (1 - ceiling)));
+        }
+
+        this.statsPeak = Math.max(this.statsPeak, Math.abs(out));
+        this.gateOpen = gateOpen;
+        return out;
+    }
+
+    postStats() {
+        let noisePower = 0;
+        for (let k = 0; k < BIN_COUNT; k++) {
+            noisePower += this.noise[k];
+        }
+
+        this.port.postMessage({
+            type: 'stats',
+            gain: this.settings.agc ? this.agcGain : 1,
+            gateOpen: !!this.gateOpen,
+            peak: this.statsPeak,
+            inputPeak: this.statsInputPeak,
+            noiseFloor: 10 * Math.log10(noisePower / (FRAME_SIZE * FRAME_SIZE / 4) + 1e-12) // dBFS, roughly
+        });
+
+        this.samplesSinceStats = 0;
+        this.statsPeak = 0;
+        this.statsInputPeak = 0;
+    }
+
+    // In-place radix-2 FFT; the inverse is scaled by 1/n
+    fft(real, imag, inverse) {
+        const n = real.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / size;
+            const stepReal = Math.cos(angle);
+            const stepImag = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let wReal = 1;
+                let wImag = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tReal = real[b] * wReal - imag[b] * wImag;
+                    const tImag = real[b] * wImag + imag[b] * wReal;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                    const nextReal = wReal * stepReal - wImag * stepImag;
+                    wImag = wReal * stepImag + wImag * stepReal;
+                    wReal = nextReal;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                real[i] /= n;
+                imag[i] /= n;
+            }
+        }
+    }
+}
+
+registerProcessor('echolife-capture', CaptureProcessor);
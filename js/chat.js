@@ -3,11 +3,12 @@ class ChatService {
         this.apiKey = null;
         this.messages = [];
         this.conversationMode = false;
+        this.lastTranscriptionWords = []; // Word timestamps from the last imported audio
         this.language = localStorage.getItem('echolife_language') || 'en-US';
         
-        // Listen for language/translation changes
+        // Listen for language/translation changes; with auto-detect on this follows the spoken language
         window.addEventListener('translationSettingsChanged', (e) => {
-            this.language = e.detail.language;
+            this.language = e.detail.spokenLanguage || e.detail.language;
             console.log(`Chat service updated with language: ${this.language}, translation: ${e.detail.translateEnabled}`);
         });
     }
@@ -31,6 +32,10 @@ class ChatService {
     clearMessages() {
         this.messages = [];
     }
+    
+    getLastTranscriptionWords() {
+        return this.lastTranscriptionWords;
+    }
 
     // Enable or disable the conversational questioning mode
     setConversationMode(enabled) {
@@ -38,46 +43,21 @@ class ChatService {
         
         // If enabling conversation mode and no system message exists, add the instruction
         if (enabled && !this.messages.some(m => m.role === 'system')) {
-            const isPortuguese = this.language === 'pt-BR';
-            
             this.messages.unshift({
                 role: 'system',
-                content: isPortuguese ? 
-                `Você é um parceiro de conversa atencioso e reflexivo que ouve cuidadosamente.
-                Ao responder ao usuário, demonstre compreensão genuína da mensagem dele e mostre interesse autêntico.
-                Após reconhecer brevemente o que foi compartilhado, concentre-se em fazer UMA pergunta específica e perspicaz sobre algum aspecto do que foi mencionado.
-                Sua pergunta deve:
-                - Ser específica em vez de genérica
-                - Mostrar que você realmente pensou sobre o que foi compartilhado
-                - Explorar um ângulo interessante que eles podem não ter considerado
-                - Soar natural, como o que um amigo interessado perguntaria
-                - Não ser condescendente ou excessivamente formal
-                
-                Seu tom deve ser conversacional e genuíno. Inclua uma pequena quantidade de seus próprios pensamentos ou perspectivas para criar um fluxo natural,
-                mas concentre-se principalmente em extrair mais do usuário através de sua pergunta cuidadosa.
-                
-                Se a entrada do usuário foi transcrita de áudio, responda como se estivesse tendo uma conversa natural de ida e volta.` :
-                
-                `You are an engaged, thoughtful conversation partner who listens carefully.
-                When responding to the user, demonstrate genuine understanding of their message and show authentic interest.
-                After briefly acknowledging what they've shared, focus on asking ONE specific, insightful question about some aspect of what they've mentioned.
-                Your question should:
-                - Be specific rather than generic
-                - Show you've really thought about what they shared
-                - Explore an interesting angle they might not have considered
-                - Feel natural, like what an interested friend might ask
-                - Not be condescending or overly formal
-                
-                Your tone should be conversational and genuine. Include a small amount of your own thoughts or perspectives to create a natural flow,
-                but primarily focus on drawing out more from the user through your thoughtful question.
-                
-                If the user's input was transcribed from audio, respond as if you're having a natural back-and-forth conversation.`
+                content: languagePacks.getPrompt('conversation_partner', this.language)
             });
         }
     }
 
+    /**
+     * Send a message and get the AI response
+     * @param {string} content - The user message
+     * @param {Object} options - { conversationalResponse, language, stream, onToken(token, fullText), signal }
+     * @returns {Promise<string>} - The response (partial if cancelled mid-stream, empty if cancelled before any text)
+     */
     async sendMessage(content, options = {}) {
-        if (!this.apiKey) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
             throw new Error('API key not set for Chat service');
         }
 
@@ -88,7 +68,6 @@ class ChatService {
         
         // Get preferred language and translation settings
         const language = options.language || this.language || 'en-US';
-        const isPortuguese = language === 'pt-BR';
         const translateEnabled = translationSettings.translateEnabled;
         const targetLanguage = translationSettings.targetLanguage;
         
@@ -107,24 +86,13 @@ class ChatService {
             // Add language-specific conversation instruction
             messages.push({
                 role: 'system',
-                content: isPortuguese ?
-                `Responda à mensagem do usuário de maneira conversacional e engajada. 
-                Primeiro, reconheça brevemente o que ele compartilhou, adicionando uma pequena quantidade de sua própria perspectiva.
-                Em seguida, faça UMA pergunta específica e reflexiva sobre algo interessante da mensagem dele.
-                Sua resposta deve ser natural e fluida, como duas pessoas em conversa.
-                Não seja robótico ou excessivamente formal - fale como uma pessoa real que está genuinamente interessada.` :
-                
-                `Respond to the user's message in a conversational, engaged manner. 
-                First, briefly acknowledge what they shared, adding a small amount of your own perspective.
-                Then ask ONE specific, thoughtful question about something interesting from their message.
-                Your response should be natural and fluid, like two people in conversation.
-                Don't be robotic or overly formal - speak like a real person who's genuinely interested.`
+                content: languagePacks.getPrompt('conversational_reply', language)
             });
         }
         
         // If translation is enabled, add translation instruction
         if (translateEnabled) {
-            const outputLanguage = targetLanguage === 'pt-BR' ? 'Portuguese (Brazilian)' : 'English';
+            const outputLanguage = languagePacks.getEnglishName(targetLanguage);
             
             messages.push({
                 role: 'system',
@@ -135,27 +103,38 @@ class ChatService {
         }
         
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4',
-                    messages: messages,
-                    max_tokens: 500
-                })
-            });
-            
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Chat API error: ${error.error?.message || response.statusText}`);
+            let aiResponse;
+            let partialResponse = '';
+            try {
+                if (options.stream) {
+                    aiResponse = await llmProvider.streamChatCompletion('chat', messages, {
+                        apiKey: this.apiKey,
+                        signal: options.signal,
+                        onToken: (token, fullText) => {
+                            partialResponse = fullText;
+                            if (options.onToken) options.onToken(token, fullText);
+                        }
+                    });
+                } else {
+                    aiResponse = await llmProvider.chatCompletion('chat', messages, {
+                        apiKey: this.apiKey,
+                        signal: options.signal
+                    });
+                }
+            } catch (apiError) {
+                if (apiError.name !== 'AbortError') {
+                    throw new Error(`Chat API error: ${apiError.message}`);
+                }
+                
+                // Cancelled - keep whatever was already streamed
+                console.log(`Chat request cancelled after ${partialResponse.length} chars`);
+                if (!partialResponse) {
+                    this.messages.pop(); // Drop the unanswered user message
+                    return '';
+                }
+                aiResponse = partialResponse;
             }
             
-            const data = await response.json();
-            const aiResponse = data.choices[0].message.content;
-            
             // Add the actual AI response to the conversation history
             this.addMessage('assistant', aiResponse);
             
@@ -167,6 +146,59 @@ class ChatService {
         }
     }
     
+    /**
+     * Summarize a text (e.g. a transcript) without touching the conversation history
+     * @param {string} text - Text to summarize
+     * @param {Object} options - { language } of the text
+     * @returns {Promise<string>} - The summary
+     */
+    async summarize(text, options = {}) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
+            throw new Error('API key not set for Chat service');
+        }
+
+        const instruction = languagePacks.getPrompt('summarize', options.language || this.language);
+
+        try {
+            const summary = await llmProvider.chatCompletion('summarization', [
+                { role: 'system', content: instruction },
+                { role: 'user', content: text }
+            ], { apiKey: this.apiKey });
+
+            return summary.trim();
+        } catch (error) {
+            console.error('Error summarizing text:', error);
+            throw new Error(`Summarization failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Get a conversational reply without touching the conversation history
+     * (used for recordings replayed from the offline queue)
+     * @param {string} text - The user's message
+     * @param {Object} options - { language } of the message
+     * @returns {Promise<string>} - The reply
+     */
+    async getReply(text, options = {}) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
+            throw new Error('API key not set for Chat service');
+        }
+
+        const language = options.language || this.language;
+
+        try {
+            const reply = await llmProvider.chatCompletion('chat', [
+                { role: 'system', content: languagePacks.getPrompt('conversation_partner', language) },
+                { role: 'user', content: text }
+            ], { apiKey: this.apiKey });
+
+            return this.formatResponse(reply);
+        } catch (error) {
+            console.error('Error getting reply:', error);
+            throw new Error(`Chat reply failed: ${error.message}`);
+        }
+    }
+    
     // Format the AI's response for better presentation
     formatResponse(response) {
         // This method can be expanded based on specific formatting needs
@@ -176,22 +208,30 @@ class ChatService {
 
     // Enable audio transcription capabilities
     async transcribeAudio(audioFile) {
-        if (!this.apiKey) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
             throw new Error('API key not set for Chat service');
         }
 
         const formData = new FormData();
         formData.append('file', audioFile);
-        formData.append('model', 'whisper-1');
+        
+        // Word timestamps are needed for subtitles and speaker diarization
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'word');
+        this.lastTranscriptionWords = [];
 
         try {
-            const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: formData
-            });
+            // Long uploads (e.g. meetings) are transcribed in overlapping chunks
+            const decoded = window.transcriptionService ?
+                await transcriptionService.decodeForChunking(audioFile) : null;
+            if (decoded) {
+                const result = await transcriptionService.transcribeInChunks(decoded);
+                this.lastTranscriptionWords = result.words;
+                await transcriptionService.recordDetectedLanguage(result.language);
+                return result.text;
+            }
+
+            const response = await llmProvider.transcription(formData, { apiKey: this.apiKey });
 
             if (!response.ok) {
                 const error = await response.json();
@@ -199,6 +239,10 @@ class ChatService {
             }
 
             const data = await response.json();
+            this.lastTranscriptionWords = data.words || [];
+            if (window.transcriptionService) {
+                await transcriptionService.recordDetectedLanguage(data.language);
+            }
             return data.text;
         } catch (error) {
             console.error('Error transcribing audio:', error);
@@ -243,8 +287,9 @@ class ChatService {
         const transcription = await this.importAudio(audioFile, isWhatsApp);
         console.log("Got transcription, about to process with AI:", transcription);
         
-        // Always use conversational mode for audio responses
-        return await this.sendMessage(transcription, { conversationalResponse: true });
+        // Always use conversational mode for audio responses, in the language that was spoken
+        const language = window.transcriptionService ? transcriptionService.getDetectedLanguage() : this.language;
+        return await this.sendMessage(transcription, { conversationalResponse: true, language });
     }
 }
 
@@ -0,0 +1,95 @@
+/**
+ * Input Device Picker for EchoLife
+ * Microphone selects under the recording controls: the microphone to record
+ * and an optional second one (e.g. for an interview), each recorded on its
+ * own channel. The lists follow microphones being plugged in and out, and
+ * a change applies from the next recording.
+ */
+
+class InputDevicePicker {
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.container = null;
+        this.language = localStorage.getItem('echolife_language') || 'en-US';
+
+        window.addEventListener('audioInputsChanged', () => this.render());
+        window.addEventListener('languageChanged', (e) => {
+            this.language = e.detail.language;
+            this.render();
+        });
+    }
+
+    /**
+     * Add the selects under the recording controls
+     * @param {HTMLElement} section - Recording section
+     */
+    mount(section) {
+        this.container = document.createElement('div');
+        this.container.className = 'auto-gain-container input-device-picker';
+
+        const after = section.querySelector('.auto-gain-container');
+        section.insertBefore(this.container, after ? after.nextSibling : null);
+
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const t = (key) => getTranslation(key, this.language);
+        const inputs = this.recorder.availableInputs;
+        const selected = this.recorder.inputDevices;
+
+        // Names are empty until the microphone has been allowed
+        const options = (value) => inputs.map((input, i) => `
+            <option value="${input.deviceId}" ${input.deviceId === value ? 'selected' : ''}>${this.escape(input.label || t('input_unnamed').replace('{n}', i + 1))}</option>
+        `).join('');
+
+        // A chosen microphone that is unplugged stays selected, so it is used again when it is back
+        const missing = (value) => value && !inputs.some(input => input.deviceId === value) ?
+            `<option value="${value}" selected>${t('input_disconnected')}</option>` : '';
+
+        this.container.innerHTML = `
+            <label class="input-device-select">
+                <i class="fas fa-microphone"></i> ${t('input_microphone')}
+                <select id="primaryInputSelect">
+                    <option value="">${t('input_default')}</option>
+                    ${options(selected.primary)}
+                    ${missing(selected.primary)}
+                </select>
+            </label>
+            <label class="input-device-select" title="${t('input_second_hint')}">
+                <i class="fas fa-user-friends"></i> ${t('input_second_microphone')}
+                <select id="secondaryInputSelect" ${inputs.length < 2 && !selected.secondary ? 'disabled' : ''}>
+                    <option value="">${t('input_none')}</option>
+                    ${options(selected.secondary)}
+                    ${missing(selected.secondary)}
+                </select>
+            </label>
+        `;
+
+        this.container.querySelector('#primaryInputSelect').addEventListener('change', (e) => {
+            this.recorder.setInputDevices({ primary: e.target.value });
+        });
+        this.container.querySelector('#secondaryInputSelect').addEventListener('change', (e) => {
+            this.recorder.setInputDevices({ secondary: e.target.value });
+        });
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the picker when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.querySelector('.recording-section');
+
+    // iOS only offers its built-in microphone to the recorder
+    if (section && !audioRecorder.isIOS && navigator.mediaDevices) {
+        window.inputDevicePicker = new InputDevicePicker(audioRecorder);
+        window.inputDevicePicker.mount(section);
+    }
+});
@@ -0,0 +1,318 @@
+/**
+ * Keyword Extractor Module for EchoLife
+ * On-device keyword extraction for realtime word-cloud updates, so partial
+ * transcripts can be tagged on every update without an API call.
+ *
+ * - Candidates are RAKE-style: runs of content words between stop words and punctuation
+ * - Runs are split into keywords, keeping n-grams that recur as one phrase
+ * - Words are ranked with TextRank over a co-occurrence graph of stems
+ * - A phrase scores the sum of its word ranks; scores map onto high/medium/low
+ *
+ * Stop words come from the language packs; stemming is language-aware for
+ * English and Portuguese and a plural strip for everything else.
+ */
+
+class KeywordExtractor {
+    constructor() {
+        this.maxPhraseLength = 3;   // Longest n-gram kept as one keyword
+        this.minPhraseCount = 2;    // Times an n-gram must occur to count as a phrase
+        this.windowSize = 3;        // Co-occurrence window (content words) for TextRank
+        this.damping = 0.85;
+        this.maxIterations = 30;
+
+        // Confidence thresholds, relative to the best keyword's score
+        this.highThreshold = 0.6;
+        this.mediumThreshold = 0.3;
+    }
+
+    /**
+     * Extract keywords from text
+     * @param {string} text - Text to extract keywords from
+     * @param {Object} options - { maxKeywords, language }
+     * @returns {Array<Object>} - [{ text, confidence, count }], best first
+     */
+    extract(text, options = {}) {
+        const maxKeywords = options.maxKeywords || 5;
+        const language = options.language || 'en-US';
+        if (!text || typeof text !== 'string') return [];
+
+        const stopWords = new Set(languagePacks.getStopWords(language));
+        const stem = this.getStemmer(language);
+
+        const { sentences, runs } = this.tokenize(text, stopWords, stem);
+        if (runs.length === 0) return [];
+
+        const ranks = this.rankWords(sentences);
+        const candidates = this.buildCandidates(runs);
+
+        const scored = candidates
+            .map(candidate => ({
+                ...candidate,
+                score: candidate.stems.reduce((sum, wordStem) => sum + (ranks.get(wordStem) || 0), 0)
+            }))
+            .sort((a, b) => b.score - a.score || b.count - a.count);
+
+        // Skip candidates whose words are all covered by a better keyword ("learning" after "machine learning")
+        const selected = [];
+        const covered = new Set();
+        for (const candidate of scored) {
+            if (selected.length >= maxKeywords) break;
+            if (candidate.stems.every(wordStem => covered.has(wordStem))) continue;
+
+            selected.push(candidate);
+            candidate.stems.forEach(wordStem => covered.add(wordStem));
+        }
+
+        const topScore = selected.length > 0 ? selected[0].score : 0;
+        return selected.map(candidate => ({
+            text: this.getSurfaceForm(candidate),
+            confidence: this.toConfidence(candidate.score / (topScore || 1)),
+            count: candidate.count
+        }));
+    }
+
+    /**
+     * Split text into sentences of content words and RAKE candidate runs
+     * @param {string} text - Text to split
+     * @param {Set<string>} stopWords - Words that delimit candidates
+     * @param {Function} stem - Stemmer for the language
+     * @returns {Object} - { sentences, runs }, both arrays of [{ word, stem }]
+     */
+    tokenize(text, stopWords, stem) {
+        const sentences = [];
+        const runs = [];
+
+        text.toLowerCase().split(/[.!?;:,()[\]{}"“”…\n]+/).forEach(sentenceText => {
+            const sentence = [];
+            let run = [];
+
+            (sentenceText.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).forEach(token => {
+                // Contractions count as their first part ("don't" is the stop word "don")
+                const word = token.split(/['’]/)[0].replace(/-+$/, '');
+
+                if (word.length < 3 || stopWords.has(word) || /^\p{N}+$/u.test(word)) {
+                    if (run.length > 0) runs.push(run);
+                    run = [];
+                    return;
+                }
+
+                const entry = { word, stem: stem(word) };
+                sentence.push(entry);
+                run.push(entry);
+            });
+
+            if (run.length > 0) runs.push(run);
+            if (sentence.length > 0) sentences.push(sentence);
+        });
+
+        return { sentences, runs };
+    }
+
+    /**
+     * TextRank: PageRank over a graph linking stems that occur near each other
+     * @param {Array<Array<Object>>} sentences - Content words per sentence
+     * @returns {Map<string, number>} - Stem -> rank, scaled so the best is 1
+     */
+    rankWords(sentences) {
+        const graph = new Map(); // stem -> Map(neighbour stem -> weight)
+        const link = (a, b) => {
+            if (a === b) return;
+            [[a, b], [b, a]].forEach(([from, to]) => {
+                const edges = graph.get(from);
+                edges.set(to, (edges.get(to) || 0) + 1);
+            });
+        };
+
+        sentences.forEach(sentence => {
+            sentence.forEach(({ stem }) => {
+                if (!graph.has(stem)) graph.set(stem, new Map());
+            });
+            for (let i = 0; i < sentence.length; i++) {
+                for (let j = i + 1; j < Math.min(sentence.length, i + this.windowSize); j++) {
+                    link(sentence[i].stem, sentence[j].stem);
+                }
+            }
+        });
+
+        const nodes = Array.from(graph.keys());
+        const outWeight = new Map(nodes.map(node =>
+            [node, Array.from(graph.get(node).values()).reduce((sum, weight) => sum + weight, 0)]
+        ));
+
+        let scores = new Map(nodes.map(node => [node, 1]));
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            const next = new Map();
+            let change = 0;
+
+            nodes.forEach(node => {
+                let incoming = 0;
+                graph.get(node).forEach((weight, neighbour) => {
+                    incoming += (weight / outWeight.get(neighbour)) * scores.get(neighbour);
+                });
+
+                const score = (1 - this.damping) + this.damping * incoming;
+                change = Math.max(change, Math.abs(score - scores.get(node)));
+                next.set(node, score);
+            });
+
+            scores = next;
+            if (change < 0.0001) break;
+        }
+
+        const best = Math.max(...scores.values());
+        scores.forEach((score, node) => scores.set(node, score / best));
+        return scores;
+    }
+
+    /**
+     * Turn candidate runs into keywords, keeping recurring n-grams together as phrases
+     * @param {Array<Array<Object>>} runs - RAKE candidate runs
+     * @returns {Array<Object>} - [{ stems, forms, count }]
+     */
+    buildCandidates(runs) {
+        const keyOf = tokens => tokens.map(token => token.stem).join(' ');
+
+        const ngramCounts = new Map();
+        runs.forEach(run => {
+            for (let n = 2; n <= this.maxPhraseLength; n++) {
+                for (let i = 0; i + n <= run.length; i++) {
+                    const key = keyOf(run.slice(i, i + n));
+                    ngramCounts.set(key, (ngramCounts.get(key) || 0) + 1);
+                }
+            }
+        });
+
+        // Walk each run, taking the longest recurring n-gram at each position
+        const candidates = new Map();
+        runs.forEach(run => {
+            let i = 0;
+            while (i < run.length) {
+                let length = 1;
+                for (let n = Math.min(this.maxPhraseLength, run.length - i); n >= 2; n--) {
+                    if (ngramCounts.get(keyOf(run.slice(i, i + n))) >= this.minPhraseCount) {
+                        length = n;
+                        break;
+                    }
+                }
+
+                const tokens = run.slice(i, i + length);
+                const key = keyOf(tokens);
+                const surface = tokens.map(token => token.word).join(' ');
+
+                if (!candidates.has(key)) {
+                    candidates.set(key, { stems: tokens.map(token => token.stem), forms: new Map(), count: 0 });
+                }
+                const candidate = candidates.get(key);
+                candidate.count++;
+                candidate.forms.set(surface, (candidate.forms.get(surface) || 0) + 1);
+
+                i += length;
+            }
+        });
+
+        return Array.from(candidates.values());
+    }
+
+    // The spelling a keyword was used with most often
+    getSurfaceForm(candidate) {
+        return Array.from(candidate.forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Map a score relative to the best keyword onto the tag confidence scheme
+     * @param {number} relativeScore - 0-1
+     * @returns {string} - 'high', 'medium' or 'low'
+     */
+    toConfidence(relativeScore) {
+        if (relativeScore >= this.highThreshold) return 'high';
+        if (relativeScore >= this.mediumThreshold) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Pick the stemmer for a language
+     * @param {string} language - Language code
+     * @returns {Function} - word => stem
+     */
+    getStemmer(language) {
+        const base = languagePacks.getWhisperCode(language);
+        if (base === 'en') return word => this.stemEnglish(word);
+        if (base === 'pt') return word => this.stemPortuguese(word);
+        return word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+    }
+
+    /**
+     * Light English stemmer (plurals, -ing/-ed/-ly and friends)
+     * Stems only need to group related forms; they're never shown.
+     * @param {string} word - Lowercase word
+     * @returns {string} - Stem
+     */
+    stemEnglish(word) {
+        if (word.length <= 3) return word;
+
+        let stem = word;
+        if (stem.endsWith('ies') && stem.length > 4) {
+            stem = stem.slice(0, -3) + 'y';
+        } else if (stem.endsWith('sses')) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        const suffixes = ['ingly', 'edly', 'ness', 'ment', 'ing', 'ed', 'ly'];
+        for (const suffix of suffixes) {
+            const rest = stem.slice(0, -suffix.length);
+            if (stem.endsWith(suffix) && rest.length >= 3 && /[aeiouy]/.test(rest)) {
+                stem = rest;
+                break;
+            }
+        }
+
+        // "running" -> "runn" -> "run", "make"/"making" -> "mak"
+        if (/([^aeiouslz])\1$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+        if (stem.endsWith('e') && stem.length > 3) {
+            stem = stem.slice(0, -1);
+        }
+        return stem;
+    }
+
+    /**
+     * Light Portuguese stemmer (plurals, -mente, -ção, diminutives, gender)
+     * @param {string} word - Lowercase word
+     * @returns {string} - Stem
+     */
+    stemPortuguese(word) {
+        if (word.length <= 3) return word;
+
+        let stem = word;
+        const plurals = [['ões', 'ão'], ['ães', 'ão'], ['ais', 'al'], ['éis', 'el'], ['óis', 'ol'], ['ns', 'm'], ['res', 'r'], ['zes', 'z'], ['ses', 's']];
+        const plural = plurals.find(([suffix]) => stem.endsWith(suffix));
+        if (plural && stem.length > plural[0].length + 2) {
+            stem = stem.slice(0, -plural[0].length) + plural[1];
+        } else if (stem.endsWith('s') && stem.length > 4) {
+            stem = stem.slice(0, -1);
+        }
+
+        const suffixes = ['mente', 'ção', 'zinho', 'zinha', 'inho', 'inha'];
+        for (const suffix of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length);
+                break;
+            }
+        }
+
+        // "bonito"/"bonita"/"bonitos" -> "bonit"
+        if (/[aoe]$/.test(stem) && stem.length > 3) {
+            stem = stem.slice(0, -1);
+        }
+        return stem;
+    }
+}
+
+// Create a global instance of the keyword extractor
+const keywordExtractor = new KeywordExtractor();
+
+// Make it globally available
+window.keywordExtractor = keywordExtractor;
@@ -0,0 +1,452 @@
+/**
+ * Language Packs Module for EchoLife
+ * Loads JSON language packs from lang/ that bundle UI strings, AI prompts,
+ * stop words and the Whisper language code for one language. Lookups walk a
+ * fallback chain (e.g. es-MX → es → en-US) so a regional pack only needs the
+ * strings that differ from its base language.
+ *
+ * English and Portuguese are built in (their UI strings live in translations.js)
+ * so the app works without fetching anything.
+ *
+ * Pack format (lang/<code>.json):
+ * {
+ *     "code": "es",                 // BCP 47 tag, also the file name
+ *     "name": "Español",            // Shown in the language selector
+ *     "englishName": "Spanish",     // Used in prompts ("respond in Spanish")
+ *     "flag": "🇪🇸",                 // Shown on the word cloud
+ *     "fallback": "en-US",          // Next pack in the chain (default: base language, then en-US)
+ *     "whisper": "es",              // ISO-639-1 code for transcription
+ *     "strings": { "app_tagline": "..." },
+ *     "prompts": { "conversation_partner": "...", "conversational_reply": "...",
+ *                  "summarize": "...", "realtime_tags": "... {maxTags} ...", "theme_label": "... {words} ..." },
+ *     "stopWords": ["de", "la", ...],  // A regional pack lists only the extra words
+ *     "themes": [["salud", "médico", ...], ...]  // Related words the word cloud colours alike
+ * }
+ */
+
+class LanguagePackManager {
+    constructor() {
+        this.baseUrl = 'lang/';
+        this.defaultLanguage = 'en-US';
+        this.packs = {};        // code -> registered pack
+        this.loading = {};      // code -> Promise<Object|null> for packs being fetched or known missing
+        this.manifest = [];     // [{ code, name }] of packs listed in lang/index.json
+
+        // Whisper's verbose_json reports the detected language by name
+        this.whisperNames = {
+            english: 'en', portuguese: 'pt', spanish: 'es', french: 'fr', german: 'de',
+            italian: 'it', dutch: 'nl', russian: 'ru', polish: 'pl', turkish: 'tr', swedish: 'sv',
+            danish: 'da', norwegian: 'no', finnish: 'fi', czech: 'cs', greek: 'el', romanian: 'ro',
+            ukrainian: 'uk', catalan: 'ca', arabic: 'ar', hebrew: 'he', hindi: 'hi', japanese: 'ja',
+            korean: 'ko', chinese: 'zh', vietnamese: 'vi', indonesian: 'id', thai: 'th'
+        };
+
+        this.registerPack({
+            code: 'en-US',
+            name: 'English',
+            englishName: 'English',
+            flag: '🇺🇸',
+            fallback: null,
+            whisper: 'en',
+            prompts: {
+                conversation_partner: `You are an engaged, thoughtful conversation partner who listens carefully.
+                When responding to the user, demonstrate genuine understanding of their message and show authentic interest.
+                After briefly acknowledging what they've shared, focus on asking ONE specific, insightful question about some aspect of what they've mentioned.
+                Your question should:
+                - Be specific rather than generic
+                - Show you've really thought about what they shared
+                - Explore an interesting angle they might not have considered
+                - Feel natural, like what an interested friend might ask
+                - Not be condescending or overly formal
+
+                Your tone should be conversational and genuine. Include a small amount of your own thoughts or perspectives to create a natural flow,
+                but primarily focus on drawing out more from the user through your thoughtful question.
+
+                If the user's input was transcribed from audio, respond as if you're having a natural back-and-forth conversation.`,
+                conversational_reply: `Respond to the user's message in a conversational, engaged manner.
+                First, briefly acknowledge what they shared, adding a small amount of your own perspective.
+                Then ask ONE specific, thoughtful question about something interesting from their message.
+                Your response should be natural and fluid, like two people in conversation.
+                Don't be robotic or overly formal - speak like a real person who's genuinely interested.`,
+                summarize: 'Summarize the following text in a few sentences, keeping the key points.',
+                realtime_tags: 'Extract {maxTags} key terms from this text. ONLY respond with JSON: [{"text": "term", "confidence": "high/medium/low"}]',
+                theme_label: 'These words came up together in a conversation: {words}. Name the topic they share in 1-3 words. Reply with the name only.'
+            },
+            stopWords: [
+                'i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 'you', 'your', 'yours',
+                'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 'she', 'her', 'hers', 'herself', 'it',
+                'its', 'itself', 'they', 'them', 'their', 'theirs', 'themselves', 'what', 'which', 'who',
+                'whom', 'this', 'that', 'these', 'those', 'am', 'is', 'are', 'was', 'were', 'be', 'been',
+                'being', 'have', 'has', 'had', 'having', 'do', 'does', 'did', 'doing', 'a', 'an', 'the', 'and',
+                'but', 'if', 'or', 'because', 'as', 'until', 'while', 'of', 'at', 'by', 'for', 'with', 'about',
+                'against', 'between', 'into', 'through', 'during', 'before', 'after', 'above', 'below', 'to',
+                'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over', 'under', 'again', 'further', 'then',
+                'once', 'here', 'there', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few',
+                'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so',
+                'than', 'too', 'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now', 'd', 'll', 'm',
+                'o', 're', 've', 'y', 'ain', 'aren', 'couldn', 'didn', 'doesn', 'hadn', 'hasn', 'haven', 'isn',
+                'ma', 'mightn', 'mustn', 'needn', 'shan', 'shouldn', 'wasn', 'weren', 'won', 'wouldn', 'know',
+                'think', 'like', 'said', 'actually', 'really', 'pretty', 'kind', 'okay', 'yeah', 'yes', 'no',
+                'hey', 'hi', 'hello', 'ok', 'sure'
+            ],
+            themes: [
+                ['health', 'doctor', 'medical', 'wellness', 'fitness', 'diet'],
+                ['tech', 'computer', 'software', 'programming', 'digital'],
+                ['finance', 'money', 'bank', 'investment', 'stock', 'market'],
+                ['travel', 'vacation', 'trip', 'tour', 'destination'],
+                ['food', 'cooking', 'recipe', 'meal', 'kitchen', 'dining'],
+                ['music', 'song', 'artist', 'band', 'concert'],
+                ['sport', 'game', 'team', 'player', 'competition'],
+                ['work', 'job', 'career', 'office', 'professional']
+            ]
+        });
+
+        this.registerPack({
+            code: 'pt-BR',
+            name: 'Português Brasileiro',
+            englishName: 'Portuguese (Brazilian)',
+            flag: '🇧🇷',
+            fallback: 'en-US',
+            whisper: 'pt',
+            prompts: {
+                conversation_partner: `Você é um parceiro de conversa atencioso e reflexivo que ouve cuidadosamente.
+                Ao responder ao usuário, demonstre compreensão genuína da mensagem dele e mostre interesse autêntico.
+                Após reconhecer brevemente o que foi compartilhado, concentre-se em fazer UMA pergunta específica e perspicaz sobre algum aspecto do que foi mencionado.
+                Sua pergunta deve:
+                - Ser específica em vez de genérica
+                - Mostrar que você realmente pensou sobre o que foi compartilhado
+                - Explorar um ângulo interessante que eles podem não ter considerado
+                - Soar natural, como o que um amigo interessado perguntaria
+                - Não ser condescendente ou excessivamente formal
+
+                Seu tom deve ser conversacional e genuíno. Inclua uma pequena quantidade de seus próprios pensamentos ou perspectivas para criar um fluxo natural,
+                mas concentre-se principalmente em extrair mais do usuário através de sua pergunta cuidadosa.
+
+                Se a entrada do usuário foi transcrita de áudio, responda como se estivesse tendo uma conversa natural de ida e volta.`,
+                conversational_reply: `Responda à mensagem do usuário de maneira conversacional e engajada.
+                Primeiro, reconheça brevemente o que ele compartilhou, adicionando uma pequena quantidade de sua própria perspectiva.
+                Em seguida, faça UMA pergunta específica e reflexiva sobre algo interessante da mensagem dele.
+                Sua resposta deve ser natural e fluida, como duas pessoas em conversa.
+                Não seja robótico ou excessivamente formal - fale como uma pessoa real que está genuinamente interessada.`,
+                summarize: 'Resuma o texto a seguir em poucas frases, mantendo os pontos principais.',
+                realtime_tags: 'Analise este texto e extraia {maxTags} termos chave. Responda APENAS com JSON: [{"text": "termo", "confidence": "high/medium/low"}]',
+                theme_label: 'Estas palavras apareceram juntas em uma conversa: {words}. Dê um nome de 1 a 3 palavras para o tema que elas têm em comum. Responda apenas com o nome.'
+            },
+            stopWords: [
+                'a', 'à', 'ao', 'aos', 'aquela', 'aquelas', 'aquele', 'aqueles', 'aquilo', 'as', 'às', 'até',
+                'com', 'como', 'da', 'das', 'de', 'dela', 'delas', 'dele', 'deles', 'depois', 'do', 'dos', 'e',
+                'é', 'ela', 'elas', 'ele', 'eles', 'em', 'entre', 'era', 'eram', 'éramos', 'essa', 'essas',
+                'esse', 'esses', 'esta', 'está', 'estamos', 'estão', 'estas', 'estava', 'estavam', 'estávamos',
+                'este', 'esteja', 'estejam', 'estejamos', 'estes', 'esteve', 'estive', 'estivemos', 'estiver',
+                'estivera', 'estiveram', 'estiverem', 'estivermos', 'estou', 'eu', 'foi', 'fomos', 'for',
+                'fora', 'foram', 'forem', 'formos', 'fosse', 'fossem', 'fôssemos', 'fui', 'há', 'haja',
+                'hajam', 'hajamos', 'hão', 'havemos', 'havia', 'hei', 'houve', 'houvemos', 'houver', 'houvera',
+                'houveram', 'houverei', 'houverem', 'houveremos', 'houveria', 'houveriam', 'houvermos',
+                'houverá', 'houverão', 'houveríamos', 'houverão', 'isso', 'isto', 'já', 'lhe', 'lhes', 'mais',
+                'mas', 'me', 'mesmo', 'meu', 'meus', 'minha', 'minhas', 'muito', 'na', 'nas', 'nem', 'no',
+                'nos', 'nós', 'nossa', 'nossas', 'nosso', 'nossos', 'num', 'numa', 'o', 'os', 'ou', 'para',
+                'pela', 'pelas', 'pelo', 'pelos', 'por', 'qual', 'quando', 'que', 'quem', 'são', 'se', 'seja',
+                'sejam', 'sejamos', 'sem', 'será', 'serão', 'seria', 'seriam', 'seríamos', 'seu', 'seus', 'só',
+                'somos', 'sou', 'sua', 'suas', 'também', 'te', 'tem', 'tém', 'temos', 'tenha', 'tenham',
+                'tenhamos', 'tenho', 'terá', 'terão', 'terei', 'teremos', 'teria', 'teriam', 'teríamos', 'teu',
+                'teus', 'teve', 'tinha', 'tinham', 'tínhamos', 'tive', 'tivemos', 'tiver', 'tivera', 'tiveram',
+                'tiverem', 'tivermos', 'tu', 'tua', 'tuas', 'um', 'uma', 'você', 'vocês', 'vos', 'sim',
+                'então', 'vamos', 'ok', 'né', 'tipo'
+            ],
+            themes: [
+                ['saúde', 'médico', 'medicina', 'bem-estar', 'academia', 'dieta'],
+                ['tecnologia', 'computador', 'software', 'programação', 'digital'],
+                ['finanças', 'dinheiro', 'banco', 'investimento', 'ações', 'mercado'],
+                ['viagem', 'férias', 'passeio', 'turismo', 'destino'],
+                ['comida', 'cozinhar', 'receita', 'refeição', 'cozinha', 'restaurante'],
+                ['música', 'canção', 'artista', 'banda', 'show'],
+                ['esporte', 'futebol', 'jogo', 'time', 'jogador', 'campeonato'],
+                ['trabalho', 'emprego', 'carreira', 'escritório', 'profissional']
+            ]
+        });
+    }
+
+    /**
+     * Add a pack and merge its UI strings into the translations dictionary
+     * @param {Object} pack - Language pack (see format above)
+     */
+    registerPack(pack) {
+        this.packs[pack.code] = pack;
+
+        Object.keys(pack.strings || {}).forEach(key => {
+            if (!translations[key]) {
+                translations[key] = {};
+            }
+            translations[key][pack.code] = pack.strings[key];
+        });
+    }
+
+    /**
+     * Check that a language code looks like a BCP 47 tag we can build a file name from
+     * @param {string} code - Language code
+     * @returns {boolean}
+     */
+    isValidCode(code) {
+        return typeof code === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code);
+    }
+
+    /**
+     * Languages to look in, most specific first, always ending with the default language
+     * @param {string} code - Language code (e.g. 'es-MX')
+     * @returns {Array<string>} - e.g. ['es-MX', 'es', 'en-US']
+     */
+    getFallbackChain(code) {
+        const chain = [];
+        let current = this.isValidCode(code) ? code : this.defaultLanguage;
+
+        while (current && !chain.includes(current)) {
+            chain.push(current);
+
+            const pack = this.packs[current];
+            if (pack && pack.fallback !== undefined) {
+                current = pack.fallback;
+            } else if (current.includes('-')) {
+                current = current.split('-')[0];
+            } else {
+                current = this.defaultLanguage;
+            }
+        }
+
+        if (!chain.includes(this.defaultLanguage)) {
+            chain.push(this.defaultLanguage);
+        }
+        return chain;
+    }
+
+    /**
+     * Load the list of available packs
+     * @returns {Promise<Array>} - [{ code, name }]
+     */
+    async loadManifest() {
+        try {
+            const response = await fetch(`${this.baseUrl}index.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const manifest = await response.json();
+            this.manifest = (manifest.packs || []).filter(entry => this.isValidCode(entry.code));
+        } catch (error) {
+            console.warn('[LANG] Could not load language pack list:', error.message);
+        }
+        return this.manifest;
+    }
+
+    /**
+     * Fetch and register one pack. Missing packs resolve to null and aren't fetched again.
+     * @param {string} code - Language code
+     * @returns {Promise<Object|null>} - The pack, or null if it doesn't exist or is invalid
+     */
+    loadPack(code) {
+        if (this.packs[code]) {
+            return Promise.resolve(this.packs[code]);
+        }
+        if (!this.isValidCode(code)) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.loading[code]) {
+            this.loading[code] = fetch(`${this.baseUrl}${code}.json`)
+                .then(response => {
+                    if (response.status === 404) return null;
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(pack => {
+                    if (!pack) return null;
+                    if (pack.code !== code || typeof pack.strings !== 'object') {
+                        throw new Error('pack code or strings are missing');
+                    }
+                    this.registerPack(pack);
+                    console.log(`[LANG] Loaded language pack ${code} (${Object.keys(pack.strings).length} strings)`);
+                    return pack;
+                })
+                .catch(error => {
+                    console.warn(`[LANG] Language pack ${code} failed to load:`, error.message);
+                    return null;
+                });
+        }
+
+        return this.loading[code];
+    }
+
+    /**
+     * Load every pack in a language's fallback chain
+     * @param {string} code - Language code
+     * @returns {Promise<Array<string>>} - The resolved fallback chain
+     */
+    async ensureLanguage(code) {
+        let chain = this.getFallbackChain(code);
+
+        for (let i = 0; i < chain.length; i++) {
+            if (!this.packs[chain[i]]) {
+                await this.loadPack(chain[i]);
+                // A pack can name its own fallback, which changes the rest of the chain
+                chain = this.getFallbackChain(code);
+            }
+        }
+
+        return chain;
+    }
+
+    /**
+     * First value of a pack field found along the fallback chain
+     * @param {string} code - Language code
+     * @param {Function} pick - Returns the value from a pack, or undefined
+     * @returns {*} - The value, or undefined
+     */
+    resolve(code, pick) {
+        for (const language of this.getFallbackChain(code)) {
+            const pack = this.packs[language];
+            const value = pack ? pick(pack) : undefined;
+            if (value !== undefined && value !== null) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    getWhisperCode(code) {
+        return this.resolve(code, pack => pack.whisper) || 'en';
+    }
+
+    /**
+     * Stop words for a language. A regional pack's list adds to its base language's,
+     * so English (the last resort) is only used when nothing else has any.
+     * @param {string} code - Language code
+     * @returns {Array<string>} - Stop words
+     */
+    getStopWords(code) {
+        const words = [];
+        this.getFallbackChain(code)
+            .filter(language => language !== this.defaultLanguage && this.packs[language])
+            .forEach(language => words.push(...(this.packs[language].stopWords || [])));
+
+        return words.length > 0 ? words : this.packs[this.defaultLanguage].stopWords;
+    }
+
+    /**
+     * Groups of related words for theme colouring. Every pack in the chain contributes,
+     * so English terms in a mixed-language session still group together.
+     * @param {string} code - Language code
+     * @returns {Array<Array<string>>} - Word groups
+     */
+    getThemes(code) {
+        const themes = [];
+        this.getFallbackChain(code)
+            .filter(language => this.packs[language])
+            .forEach(language => themes.push(...(this.packs[language].themes || [])));
+        return themes;
+    }
+
+    /**
+     * Map the language Whisper detected to an app language code
+     * @param {string} value - Whisper's language, a name ("spanish") or ISO-639-1 code ("es")
+     * @param {string} preferred - Language to keep when it matches (e.g. 'es-MX' for "spanish")
+     * @returns {string|null} - App language code, or null if value is empty
+     */
+    fromWhisperLanguage(value, preferred) {
+        if (!value) return null;
+
+        const name = value.toLowerCase().trim();
+        const iso = this.whisperNames[name] || name.split(/[-_]/)[0];
+
+        if (preferred && this.getWhisperCode(preferred) === iso) {
+            return preferred;
+        }
+
+        // A pack with its own whisper code is the base pack for that language
+        const pack = Object.values(this.packs).find(item => item.whisper === iso);
+        if (pack) return pack.code;
+
+        const entry = this.manifest.find(item => item.code === iso || item.code.split('-')[0] === iso);
+        return entry ? entry.code : iso;
+    }
+
+    /**
+     * Guess the language of a piece of text by counting stop words from the loaded packs
+     * @param {string} text - Text to check
+     * @param {string} fallback - Language to return when nothing matches
+     * @returns {string} - Language code
+     */
+    detectLanguage(text, fallback = this.defaultLanguage) {
+        const tokens = (text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+        if (tokens.length === 0) return fallback;
+
+        let best = { code: fallback, score: 0 };
+        Object.values(this.packs)
+            .filter(pack => pack.whisper && pack.stopWords)
+            .forEach(pack => {
+                const stopWords = new Set(pack.stopWords);
+                const score = tokens.filter(token => stopWords.has(token)).length;
+                if (score > best.score) {
+                    best = { code: pack.code, score };
+                }
+            });
+
+        // Keep a regional variant the user picked (es-MX) over its base pack (es)
+        if (best.code !== fallback && this.getWhisperCode(fallback) === this.getWhisperCode(best.code)) {
+            return fallback;
+        }
+        return best.code;
+    }
+
+    getEnglishName(code) {
+        return this.resolve(code, pack => pack.englishName) || 'English';
+    }
+
+    getFlag(code) {
+        return this.resolve(code, pack => pack.flag) || '';
+    }
+
+    /**
+     * Name of a language in that language, for the selector
+     * @param {string} code - Language code
+     * @returns {string}
+     */
+    getDisplayName(code) {
+        if (this.packs[code]) {
+            return this.packs[code].name;
+        }
+        const entry = this.manifest.find(item => item.code === code);
+        return entry ? entry.name : code;
+    }
+
+    /**
+     * Get an AI prompt, filling {placeholders} from vars
+     * @param {string} key - Prompt key (e.g. 'summarize')
+     * @param {string} code - Language code
+     * @param {Object} vars - Placeholder values (e.g. { maxTags: 5 })
+     * @returns {string} - The prompt
+     */
+    getPrompt(key, code, vars = {}) {
+        const prompt = this.resolve(code, pack => pack.prompts && pack.prompts[key]) || '';
+        return prompt.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+    }
+
+    /**
+     * Languages that can be picked: the built-in ones plus the packs in the manifest
+     * @returns {Array<Object>} - [{ code, name }]
+     */
+    getAvailableLanguages() {
+        const languages = ['en-US', 'pt-BR'].map(code => ({ code, name: this.packs[code].name }));
+        this.manifest.forEach(entry => {
+            if (!languages.some(language => language.code === entry.code)) {
+                languages.push({ code: entry.code, name: entry.name });
+            }
+        });
+        return languages;
+    }
+}
+
+// Create a global instance of the language pack manager
+const languagePacks = new LanguagePackManager();
+
+// Make it globally available
+window.languagePacks = languagePacks;
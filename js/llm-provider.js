@@ -0,0 +1,407 @@
+/**
+ * LLM Provider Module for EchoLife
+ * Single place that knows how to talk to an OpenAI-compatible API.
+ * Base URL, model, temperature and token limits are configured per task
+ * so the app can point at OpenAI, a self-hosted server or a local mock.
+ */
+
+class LLMProvider {
+    constructor() {
+        this.storageKey = 'echolife_llm_settings';
+
+        // Defaults mirror the values the services used before they were configurable
+        this.defaults = {
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: '', // Optional key override for non-OpenAI endpoints
+            shareOpenAIKey: false, // Opt-in to send the OpenAI key to a non-OpenAI endpoint
+            tasks: {
+                chat: { model: 'gpt-4', temperature: null, maxTokens: 500, stream: true },
+                tagging: { model: 'gpt-3.5-turbo', temperature: 0.3, maxTokens: null },
+                realtime_tagging: { model: 'gpt-3.5-turbo', temperature: 0.2, maxTokens: 150 },
+                summarization: { model: 'gpt-3.5-turbo', temperature: 0.5, maxTokens: 300 },
+                transcription: { model: 'whisper-1' },
+                speech: { model: 'tts-1' },
+                embeddings: { model: 'text-embedding-3-small', clustering: false }
+            }
+        };
+
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Load settings from localStorage, merged over the defaults
+     * @returns {Object} - Provider settings
+     */
+    loadSettings() {
+        return loadStoredSettings(this.storageKey, this.defaults, (settings, saved) => {
+            if (saved.baseUrl) settings.baseUrl = saved.baseUrl;
+            if (typeof saved.apiKey === 'string') settings.apiKey = saved.apiKey;
+            if (typeof saved.shareOpenAIKey === 'boolean') settings.shareOpenAIKey = saved.shareOpenAIKey;
+
+            Object.keys(settings.tasks).forEach(task => {
+                if (saved.tasks && saved.tasks[task]) {
+                    settings.tasks[task] = { ...settings.tasks[task], ...saved.tasks[task] };
+                }
+            });
+        });
+    }
+
+    /**
+     * Update and persist settings, notifying every service
+     * @param {Object} changes - Partial settings ({ baseUrl, apiKey, shareOpenAIKey, tasks: { chat: {...} } })
+     */
+    updateSettings(changes = {}) {
+        if (typeof changes.baseUrl === 'string' && changes.baseUrl.trim()) {
+            this.settings.baseUrl = changes.baseUrl.trim();
+        }
+        if (typeof changes.apiKey === 'string') {
+            this.settings.apiKey = changes.apiKey.trim();
+        }
+        if (typeof changes.shareOpenAIKey === 'boolean') {
+            this.settings.shareOpenAIKey = changes.shareOpenAIKey;
+        }
+
+        if (changes.tasks) {
+            Object.keys(changes.tasks).forEach(task => {
+                if (!this.settings.tasks[task]) {
+                    console.warn(`Ignoring settings for unknown LLM task: ${task}`);
+                    return;
+                }
+                this.settings.tasks[task] = { ...this.settings.tasks[task], ...changes.tasks[task] };
+            });
+        }
+
+        console.log('LLM provider settings updated:', this.getSettings());
+        saveStoredSettings(this.storageKey, this.settings, 'llmSettingsChanged', { settings: this.getSettings() });
+    }
+
+    /**
+     * Restore the default settings
+     */
+    resetSettings() {
+        localStorage.removeItem(this.storageKey);
+        this.settings = JSON.parse(JSON.stringify(this.defaults));
+
+        window.dispatchEvent(new CustomEvent('llmSettingsChanged', {
+            detail: { settings: this.getSettings() }
+        }));
+    }
+
+    /**
+     * Get a copy of the current settings (the key override is masked)
+     * @returns {Object} - Provider settings
+     */
+    getSettings() {
+        const copy = JSON.parse(JSON.stringify(this.settings));
+        copy.apiKey = copy.apiKey ? '********' : '';
+        return copy;
+    }
+
+    /**
+     * Get the configuration for a task
+     * @param {string} task - 'chat', 'tagging', 'realtime_tagging', 'summarization', 'transcription', 'speech' or 'embeddings'
+     * @returns {Object} - { model, temperature, maxTokens }
+     */
+    getTaskConfig(task) {
+        const config = this.settings.tasks[task];
+        if (!config) {
+            throw new Error(`Unknown LLM task: ${task}`);
+        }
+        return { ...config };
+    }
+
+    /**
+     * Build a full endpoint URL from a path such as '/chat/completions'
+     * @param {string} path - API path
+     * @param {string} baseUrl - Base URL (defaults to the configured one)
+     * @returns {string} - Full URL
+     */
+    buildUrl(path, baseUrl = this.settings.baseUrl) {
+        return baseUrl.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+    }
+
+    /**
+     * Whether an endpoint is OpenAI itself
+     * @param {string} baseUrl - Base URL (defaults to the configured one)
+     * @returns {boolean}
+     */
+    isOpenAI(baseUrl = this.settings.baseUrl) {
+        return /^https:\/\/api\.openai\.com\//.test(this.buildUrl('', baseUrl));
+    }
+
+    /**
+     * Whether calls need an API key - self-hosted servers often run without one
+     * @returns {boolean}
+     */
+    requiresApiKey() {
+        return this.isOpenAI();
+    }
+
+    /**
+     * Build request headers. The OpenAI key only goes to OpenAI, or to another
+     * endpoint when the user has opted in to sharing it.
+     * @param {string} apiKey - The caller's OpenAI API key
+     * @param {boolean} json - Whether the body is JSON
+     * @param {Object} endpoint - { baseUrl, apiKey, shareOpenAIKey } (defaults to the settings)
+     * @returns {Object} - Headers
+     */
+    getHeaders(apiKey, json = true, endpoint = this.settings) {
+        const headers = {};
+        const sendOpenAIKey = this.isOpenAI(endpoint.baseUrl) || endpoint.shareOpenAIKey;
+        const key = endpoint.apiKey || (sendOpenAIKey ? apiKey : '');
+
+        if (json) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (key) {
+            headers['Authorization'] = `Bearer ${key}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Build a chat completions request body for a task
+     * @param {string} task - Task name
+     * @param {Array} messages - Chat messages
+     * @param {Object} extra - Extra body fields (e.g. presence_penalty)
+     * @returns {Object} - Request body
+     */
+    buildChatBody(task, messages, extra = {}) {
+        const config = this.getTaskConfig(task);
+        const body = {
+            model: config.model,
+            messages: messages
+        };
+
+        // Leave unset values to the server's defaults
+        if (config.temperature !== null && config.temperature !== undefined && config.temperature !== '') {
+            body.temperature = Number(config.temperature);
+        }
+        if (config.maxTokens) {
+            body.max_tokens = Number(config.maxTokens);
+        }
+
+        return { ...body, ...extra };
+    }
+
+    /**
+     * Run a chat completion for a task
+     * @param {string} task - Task name
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - { apiKey, extra, signal }
+     * @returns {Promise<string>} - The assistant message content
+     */
+    async chatCompletion(task, messages, options = {}) {
+        const response = await fetch(this.buildUrl('/chat/completions'), {
+            method: 'POST',
+            headers: this.getHeaders(options.apiKey),
+            body: JSON.stringify(this.buildChatBody(task, messages, options.extra)),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new Error('Unexpected response format from chat completions endpoint');
+        }
+
+        return data.choices[0].message.content;
+    }
+
+    /**
+     * Run a streaming chat completion (server-sent events), reporting text as it arrives
+     * @param {string} task - Task name
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - { apiKey, extra, signal, onToken(token, fullText) }
+     * @returns {Promise<string>} - The complete assistant message content
+     */
+    async streamChatCompletion(task, messages, options = {}) {
+        const response = await fetch(this.buildUrl('/chat/completions'), {
+            method: 'POST',
+            headers: this.getHeaders(options.apiKey),
+            body: JSON.stringify(this.buildChatBody(task, messages, { ...options.extra, stream: true })),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `API error: ${response.status} ${response.statusText}`);
+        }
+
+        // Some servers ignore `stream` and answer with plain JSON
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.body || contentType.includes('application/json')) {
+            const data = await response.json();
+            const content = data.choices?.[0]?.message?.content || '';
+            if (options.onToken && content) options.onToken(content, content);
+            return content;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+            // Events are separated by newlines; keep the trailing partial line for the next
+            // chunk - once the stream has ended it is the last event, sent without a newline
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.substring(5).trim();
+                if (payload === '[DONE]') {
+                    return fullText;
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (e) {
+                    console.warn('Skipping malformed stream event:', payload);
+                    continue;
+                }
+
+                if (event.error) {
+                    throw new Error(event.error.message || 'Stream error');
+                }
+
+                const token = event.choices?.[0]?.delta?.content;
+                if (token) {
+                    fullText += token;
+                    if (options.onToken) options.onToken(token, fullText);
+                }
+            }
+
+            if (done) break;
+        }
+
+        return fullText;
+    }
+
+    /**
+     * Send audio to the transcription endpoint
+     * @param {FormData} formData - Form data with the file (model is filled in if missing)
+     * @param {Object} options - { apiKey }
+     * @returns {Promise<Response>} - Raw fetch response so callers can inspect errors
+     */
+    async transcription(formData, options = {}) {
+        if (!formData.has('model')) {
+            formData.append('model', this.getTaskConfig('transcription').model);
+        }
+
+        return fetch(this.buildUrl('/audio/transcriptions'), {
+            method: 'POST',
+            headers: this.getHeaders(options.apiKey, false),
+            body: formData
+        });
+    }
+
+    /**
+     * Synthesize speech with the /audio/speech endpoint
+     * @param {string} text - Text to speak
+     * @param {Object} options - { apiKey, voice, speed, signal }
+     * @returns {Promise<Blob>} - MP3 audio
+     */
+    async speech(text, options = {}) {
+        const response = await fetch(this.buildUrl('/audio/speech'), {
+            method: 'POST',
+            headers: this.getHeaders(options.apiKey),
+            body: JSON.stringify({
+                model: this.getTaskConfig('speech').model,
+                input: text,
+                voice: options.voice || 'alloy',
+                speed: options.speed || 1,
+                response_format: 'mp3'
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `API error: ${response.status} ${response.statusText}`);
+        }
+
+        return response.blob();
+    }
+
+    /**
+     * Embed texts with the /embeddings endpoint
+     * @param {Array<string>} inputs - Texts to embed
+     * @param {Object} options - { apiKey, signal }
+     * @returns {Promise<Array<Array<number>>>} - One vector per input, in input order
+     */
+    async embeddings(inputs, options = {}) {
+        const response = await fetch(this.buildUrl('/embeddings'), {
+            method: 'POST',
+            headers: this.getHeaders(options.apiKey),
+            body: JSON.stringify({
+                model: this.getTaskConfig('embeddings').model,
+                input: inputs
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data.data) || data.data.length !== inputs.length) {
+            throw new Error('Unexpected response format from embeddings endpoint');
+        }
+
+        return data.data
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    /**
+     * Check that the endpoint answers and list its models
+     * @param {string} apiKey - The caller's API key
+     * @param {Object} overrides - Unsaved { baseUrl, apiKey, shareOpenAIKey } to test instead of the current settings
+     * @returns {Promise<Object>} - { success, message, models }
+     */
+    async testConnection(apiKey, overrides = {}) {
+        const endpoint = {
+            baseUrl: overrides.baseUrl || this.settings.baseUrl,
+            apiKey: overrides.apiKey !== undefined ? overrides.apiKey : this.settings.apiKey,
+            shareOpenAIKey: overrides.shareOpenAIKey !== undefined ? overrides.shareOpenAIKey : this.settings.shareOpenAIKey
+        };
+
+        try {
+            const response = await fetch(this.buildUrl('/models', endpoint.baseUrl), {
+                headers: this.getHeaders(apiKey, false, endpoint)
+            });
+
+            if (!response.ok) {
+                return { success: false, message: `Endpoint returned ${response.status} ${response.statusText}`, models: [] };
+            }
+
+            const data = await response.json();
+            const models = (data.data || []).map(model => model.id);
+            return { success: true, message: `Connected (${models.length} models available)`, models };
+        } catch (error) {
+            return { success: false, message: `Could not reach endpoint: ${error.message}`, models: [] };
+        }
+    }
+}
+
+// Create a global instance of the LLM provider
+const llmProvider = new LLMProvider();
+
+// Make it globally available
+window.llmProvider = llmProvider;
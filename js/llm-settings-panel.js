@@ -0,0 +1,224 @@
+/**
+ * LLM Settings Panel for EchoLife
+ * One modal that edits the shared LLM provider settings used by
+ * chat, tagging, live tagging, summarization, transcription, speech and embeddings
+ */
+
+class LLMSettingsPanel extends ModalPanel {
+    constructor(provider) {
+        super();
+        this.provider = provider;
+
+        // Tasks shown in the panel, in display order
+        this.tasks = ['chat', 'tagging', 'realtime_tagging', 'summarization', 'transcription', 'speech', 'embeddings'];
+    }
+
+    /**
+     * Build the modal markup
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+
+        const modal = document.createElement('div');
+        modal.id = 'llmSettingsModal';
+        modal.className = 'llm-settings-modal';
+
+        const taskRows = this.tasks.map(task => `
+            <fieldset class="llm-task-settings" data-task="${task}">
+                <legend>${t('llm_task_' + task)}</legend>
+                <label>${t('llm_model')}
+                    <input type="text" class="llm-model" list="llmModelList">
+                </label>
+                ${task === 'transcription' || task === 'speech' || task === 'embeddings' ? '' : `
+                <label>${t('llm_temperature')}
+                    <input type="number" class="llm-temperature" min="0" max="2" step="0.1" placeholder="${t('llm_server_default')}">
+                </label>
+                <label>${t('llm_max_tokens')}
+                    <input type="number" class="llm-max-tokens" min="1" step="1" placeholder="${t('llm_server_default')}">
+                </label>`}
+                ${task === 'chat' ? `
+                <label class="llm-checkbox">
+                    <input type="checkbox" class="llm-stream"> ${t('llm_stream_responses')}
+                </label>` : ''}
+                ${task === 'embeddings' ? `
+                <label class="llm-checkbox">
+                    <input type="checkbox" class="llm-clustering"> ${t('llm_theme_clustering')}
+                </label>` : ''}
+            </fieldset>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="llm-settings-content">
+                <h3>${t('llm_settings_title')}</h3>
+                <label class="llm-base-url">${t('llm_base_url')}
+                    <input type="url" id="llmBaseUrl" placeholder="https://api.openai.com/v1">
+                </label>
+                <label class="llm-api-key">${t('llm_api_key_override')}
+                    <input type="password" id="llmApiKey" autocomplete="off" placeholder="${t('llm_api_key_placeholder')}">
+                </label>
+                <label class="llm-checkbox llm-share-key">
+                    <input type="checkbox" id="llmShareKey"> ${t('llm_share_openai_key')}
+                </label>
+                <datalist id="llmModelList"></datalist>
+                <div class="llm-task-grid">${taskRows}</div>
+                <div id="llmTestResult" class="llm-test-result"></div>
+                <div class="llm-settings-buttons">
+                    <button id="llmTestBtn" class="llm-test-btn">${t('llm_test_connection')}</button>
+                    <button id="llmResetBtn" class="llm-reset-btn">${t('llm_reset_defaults')}</button>
+                    <button id="llmSaveBtn" class="llm-save-btn">${t('save')}</button>
+                    <button id="llmCancelBtn" class="llm-cancel-btn">${t('cancel')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('#llmSaveBtn').addEventListener('click', () => this.save());
+        modal.querySelector('#llmCancelBtn').addEventListener('click', () => this.close());
+        modal.querySelector('#llmResetBtn').addEventListener('click', () => {
+            this.provider.resetSettings();
+            this.populate();
+        });
+        modal.querySelector('#llmTestBtn').addEventListener('click', () => this.testConnection());
+
+        return modal;
+    }
+
+    /**
+     * Fill the form from the current provider settings
+     */
+    populate() {
+        const settings = this.provider.getSettings();
+
+        this.modal.querySelector('#llmBaseUrl').value = settings.baseUrl;
+        this.modal.querySelector('#llmApiKey').value = this.provider.settings.apiKey || '';
+        this.modal.querySelector('#llmShareKey').checked = !!settings.shareOpenAIKey;
+        this.modal.querySelector('#llmTestResult').textContent = '';
+
+        this.modal.querySelectorAll('.llm-task-settings').forEach(fieldset => {
+            const config = settings.tasks[fieldset.dataset.task];
+            fieldset.querySelector('.llm-model').value = config.model || '';
+
+            const temperature = fieldset.querySelector('.llm-temperature');
+            if (temperature) {
+                temperature.value = config.temperature === null || config.temperature === undefined ? '' : config.temperature;
+            }
+
+            const maxTokens = fieldset.querySelector('.llm-max-tokens');
+            if (maxTokens) {
+                maxTokens.value = config.maxTokens || '';
+            }
+
+            const stream = fieldset.querySelector('.llm-stream');
+            if (stream) {
+                stream.checked = config.stream !== false;
+            }
+
+            const clustering = fieldset.querySelector('.llm-clustering');
+            if (clustering) {
+                clustering.checked = !!config.clustering;
+            }
+        });
+    }
+
+    /**
+     * Read the form into a settings object
+     * @returns {Object} - Settings changes for LLMProvider.updateSettings
+     */
+    readForm() {
+        const changes = {
+            baseUrl: this.modal.querySelector('#llmBaseUrl').value,
+            apiKey: this.modal.querySelector('#llmApiKey').value, // Empty means no key, unless sharing the OpenAI one
+            shareOpenAIKey: this.modal.querySelector('#llmShareKey').checked,
+            tasks: {}
+        };
+
+        this.modal.querySelectorAll('.llm-task-settings').forEach(fieldset => {
+            const config = {};
+            const model = fieldset.querySelector('.llm-model').value.trim();
+            if (model) config.model = model;
+
+            const temperature = fieldset.querySelector('.llm-temperature');
+            if (temperature) {
+                config.temperature = temperature.value === '' ? null : parseFloat(temperature.value);
+            }
+
+            const maxTokens = fieldset.querySelector('.llm-max-tokens');
+            if (maxTokens) {
+                config.maxTokens = maxTokens.value === '' ? null : parseInt(maxTokens.value, 10);
+            }
+
+            const stream = fieldset.querySelector('.llm-stream');
+            if (stream) {
+                config.stream = stream.checked;
+            }
+
+            const clustering = fieldset.querySelector('.llm-clustering');
+            if (clustering) {
+                config.clustering = clustering.checked;
+            }
+
+            changes.tasks[fieldset.dataset.task] = config;
+        });
+
+        return changes;
+    }
+
+    save() {
+        const changes = this.readForm();
+
+        try {
+            new URL(changes.baseUrl);
+        } catch (e) {
+            alert(getTranslation('llm_invalid_url', this.language));
+            return;
+        }
+
+        this.provider.updateSettings(changes);
+        this.close();
+    }
+
+    async testConnection() {
+        const resultElement = this.modal.querySelector('#llmTestResult');
+        const testButton = this.modal.querySelector('#llmTestBtn');
+
+        // Test the values in the form, not the saved ones
+        const changes = this.readForm();
+
+        testButton.disabled = true;
+        resultElement.textContent = getTranslation('testing', this.language);
+        resultElement.className = 'llm-test-result';
+
+        try {
+            const result = await this.provider.testConnection(localStorage.getItem('openai_api_key'), {
+                baseUrl: changes.baseUrl.trim(),
+                apiKey: changes.apiKey.trim(),
+                shareOpenAIKey: changes.shareOpenAIKey
+            });
+            resultElement.textContent = result.message;
+            resultElement.classList.add(result.success ? 'success' : 'error');
+
+            // Offer the server's models as suggestions
+            const modelList = this.modal.querySelector('#llmModelList');
+            modelList.innerHTML = result.models.map(model => `<option value="${model}">`).join('');
+        } finally {
+            testButton.disabled = false;
+        }
+    }
+
+    open() {
+        this.ensureModal();
+        this.populate();
+        this.showModal();
+    }
+}
+
+// Initialize the settings panel when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.llmSettingsPanel = new LLMSettingsPanel(llmProvider);
+
+    document.getElementById('llmSettingsButton')?.addEventListener('click', () => {
+        window.llmSettingsPanel.open();
+    });
+});
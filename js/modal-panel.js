@@ -0,0 +1,64 @@
+/**
+ * Modal Panel for EchoLife
+ * Base class for the settings panels and export dialogs. The modal is built
+ * on first open, closes from its backdrop, and is rebuilt after a language
+ * change because its labels are translated when it is built.
+ */
+
+class ModalPanel {
+    constructor() {
+        this.modal = null;
+        this.language = localStorage.getItem('echolife_language') || 'en-US';
+
+        window.addEventListener('languageChanged', (e) => {
+            this.language = e.detail.language;
+            this.handleLanguageChanged();
+
+            if (this.modal && this.canRebuild()) {
+                this.modal.remove();
+                this.modal = null;
+            }
+        });
+    }
+
+    /**
+     * Build the modal markup and add it to the page
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        throw new Error(`${this.constructor.name} must implement createModal`);
+    }
+
+    // Extra work for a new language, before the modal is dropped
+    handleLanguageChanged() {}
+
+    // Whether the modal can be dropped now; one in use is rebuilt on a later language change
+    canRebuild() {
+        return true;
+    }
+
+    /**
+     * Build the modal if it isn't yet
+     * @returns {HTMLElement} - The modal element
+     */
+    ensureModal() {
+        if (!this.modal) {
+            const modal = this.createModal();
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.close();
+            });
+            this.modal = modal;
+        }
+        return this.modal;
+    }
+
+    showModal() {
+        this.ensureModal().style.display = 'flex';
+    }
+
+    close() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * Offline Queue Module for EchoLife
+ * Keeps recordings made without a connection in IndexedDB and replays them
+ * (transcription → tagging → feedback) once the network is back. Each item
+ * remembers the last stage it finished, so a reload or a dropped connection
+ * picks up where it left off. Also registers the service worker (sw.js) that
+ * caches the app shell.
+ */
+
+class OfflineQueue {
+    constructor() {
+        this.dbName = 'echolife_offline_queue';
+        this.dbVersion = 1;
+        this.db = null;
+        this.openPromise = null;
+        this.isAvailable = typeof indexedDB !== 'undefined';
+
+        this.items = [];            // Queued recordings, oldest first (audio blobs included)
+        this.loaded = false;        // Whether items were read from IndexedDB
+        this.processing = false;    // Whether the queue is being replayed
+        this.activeId = null;       // Item being replayed
+        this.cancelled = new Set(); // Ids cancelled while they were being replayed
+
+        // Stages each recording goes through, in order
+        this.stages = ['transcription', 'tagging', 'feedback'];
+
+        window.addEventListener('load', () => this.registerServiceWorker());
+
+        window.addEventListener('online', () => {
+            console.log('[OFFLINE] Connection restored, replaying queue');
+            this.dispatchChanged();
+            this.processQueue();
+        });
+
+        window.addEventListener('offline', () => {
+            console.log('[OFFLINE] Connection lost, new recordings will be queued');
+            this.dispatchChanged();
+        });
+
+        // Long recordings report chunk progress within the transcription stage
+        window.addEventListener('transcriptionProgress', (e) => {
+            const item = this.getItem(this.activeId);
+            if (item && item.stage === 'transcription') {
+                this.setProgress(item, e.detail.completed / e.detail.total);
+            }
+        });
+    }
+
+    /**
+     * Register the service worker that serves the app shell offline
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+            console.warn('[OFFLINE] Service workers are not available - the app needs a connection to load');
+            return;
+        }
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('[OFFLINE] Service worker registered for', registration.scope))
+            .catch(error => console.warn('[OFFLINE] Service worker registration failed:', error));
+    }
+
+    /**
+     * Open the database, creating the queue store on first use
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.openPromise) return this.openPromise;
+
+        if (!this.isAvailable) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('queue')) {
+                    db.createObjectStore('queue', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                console.error('[OFFLINE] Error opening offline queue:', request.error);
+                this.isAvailable = false;
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Load queued recordings and replay them if we're online
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.loaded && this.isAvailable) {
+            try {
+                const db = await this.open();
+                const items = await new Promise((resolve, reject) => {
+                    const request = db.transaction('queue', 'readonly').objectStore('queue').getAll();
+                    request.onsuccess = () => resolve(request.result || []);
+                    request.onerror = () => reject(request.error);
+                });
+
+                // Anything that was mid-replay when the page closed starts its stage again
+                items.forEach(item => {
+                    if (item.status === 'processing') {
+                        item.status = 'queued';
+                    }
+                });
+
+                this.items = items.sort((a, b) => a.createdAt - b.createdAt);
+                this.loaded = true;
+                console.log(`[OFFLINE] ${this.items.length} recording(s) in the offline queue`);
+            } catch (error) {
+                console.error('[OFFLINE] Could not load the offline queue:', error);
+            }
+        }
+
+        this.dispatchChanged();
+        this.processQueue();
+    }
+
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * Whether a failed request failed because there was no connection. Only
+     * fetch's own failure messages count - any TypeError would also catch bugs.
+     * @param {Error} error - The error thrown by fetch or a service
+     * @returns {boolean}
+     */
+    isNetworkError(error) {
+        if (!this.isOnline()) return true;
+        if (!error) return false;
+        return /failed to fetch|networkerror|network request failed|load failed/i.test(error.message || '');
+    }
+
+    /**
+     * Add a recording to the queue
+     * @param {Object} audioResult - AudioRecorder result ({ blob, type, filename }) or an uploaded file wrapped the same way
+     * @param {Object} details - { language } of the recording, if known
+     * @returns {Promise<Object>} - The queue item
+     */
+    async enqueue(audioResult, details = {}) {
+        if (!audioResult || !audioResult.blob) {
+            throw new Error('Queueing failed: no audio to queue');
+        }
+
+        const type = audioResult.type || audioResult.blob.type;
+        const item = {
+            id: `queued_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            createdAt: Date.now(),
+            blob: audioResult.blob,
+            type: type,
+            filename: audioResult.filename || `recording_${Date.now()}`,
+            language: details.language || null,
+            status: 'queued',       // queued | processing | failed
+            stage: this.stages[0],  // Next stage to run
+            progress: 0,            // 0-1 across all stages
+            error: null,
+            attempts: 0,
+            transcript: null,
+            words: [],
+            subtitles: [],
+            tags: [],
+            response: null,
+            aiTags: []
+        };
+
+        this.items.push(item);
+        await this.save(item);
+        console.log(`[OFFLINE] Queued ${item.filename} (${item.blob.size} bytes)`);
+
+        this.dispatchChanged();
+        this.processQueue();
+        return item;
+    }
+
+    getItems() {
+        return this.items;
+    }
+
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Put a failed item back in line and replay it
+     * @param {string} id - Queue item id
+     */
+    async retry(id) {
+        const item = this.getItem(id);
+        if (!item || item.status === 'processing') return;
+
+        item.status = 'queued';
+        item.error = null;
+        await this.save(item);
+
+        this.dispatchChanged();
+        this.processQueue();
+    }
+
+    /**
+     * Drop an item from the queue. An item being replayed stops after its current request.
+     * @param {string} id - Queue item id
+     */
+    async cancel(id) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        if (item.status === 'processing') {
+            this.cancelled.add(id);
+        }
+
+        this.items = this.items.filter(entry => entry.id !== id);
+        await this.remove(id);
+        console.log(`[OFFLINE] Cancelled ${item.filename}`);
+
+        this.dispatchChanged();
+    }
+
+    /**
+     * Replay queued items one at a time until the queue is empty or the connection drops
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.processing || !this.isOnline()) return;
+        this.processing = true;
+
+        try {
+            let item;
+            while (this.isOnline() && (item = this.items.find(entry => entry.status === 'queued'))) {
+                const keepGoing = await this.processItem(item);
+                if (!keepGoing) break;
+            }
+        } finally {
+            this.processing = false;
+            this.activeId = null;
+        }
+    }
+
+    /**
+     * Run the remaining stages of one item and turn it into a session
+     * @param {Object} item - Queue item
+     * @returns {Promise<boolean>} - False when the connection dropped and replay should stop
+     */
+    async processItem(item) {
+        this.activeId = item.id;
+        item.status = 'processing';
+        item.error = null;
+        item.attempts++;
+        await this.save(item);
+        this.dispatchChanged();
+
+        try {
+            for (let i = this.stages.indexOf(item.stage); i < this.stages.length; i++) {
+                item.stage = this.stages[i];
+                this.setProgress(item, 0);
+
+                await this.runStage(item, item.stage);
+                if (this.cancelled.has(item.id)) break;
+
+                // Remember finished stages so a retry doesn't redo them
+                item.stage = this.stages[i + 1] || item.stage;
+                await this.save(item);
+            }
+
+            if (this.cancelled.has(item.id)) {
+                this.cancelled.delete(item.id);
+                return true;
+            }
+
+            this.complete(item);
+            this.items = this.items.filter(entry => entry !== item);
+            await this.remove(item.id);
+            console.log(`[OFFLINE] Replayed ${item.filename}`);
+            return true;
+        } catch (error) {
+            if (this.cancelled.has(item.id)) {
+                this.cancelled.delete(item.id);
+                return true;
+            }
+
+            const offline = this.isNetworkError(error);
+            console.warn(`[OFFLINE] ${item.stage} failed for ${item.filename}:`, error);
+
+            // Without a connection the item just waits; other failures need the user
+            item.status = offline ? 'queued' : 'failed';
+            item.error = offline ? null : error.message;
+            await this.save(item);
+            return !offline;
+        } finally {
+            this.dispatchChanged();
+        }
+    }
+
+    /**
+     * Run one stage, storing its results on the item
+     * @param {Object} item - Queue item
+     * @param {string} stage - 'transcription', 'tagging' or 'feedback'
+     * @returns {Promise<void>}
+     */
+    async runStage(item, stage) {
+        if (stage === 'transcription') {
+            // Live recordings may be transcribed meanwhile, so keep this one's own results
+            const result = await transcriptionService.transcribeWithDetails({ blob: item.blob, type: item.type });
+            if (!result.text || result.text.trim() === '') {
+                throw new Error('Transcription failed: no speech detected in the recording');
+            }
+
+            item.transcript = result.text.trim();
+            item.words = result.words;
+            item.subtitles = result.subtitles;
+            item.language = result.language;
+            item.speakers = result.speakers;
+        } else if (stage === 'tagging') {
+            // Don't mix these tags into the live conversation's context
+            item.tags = await tagExtractor.extractTags(item.transcript, 8, false);
+        } else if (stage === 'feedback') {
+            item.response = await chatService.getReply(item.transcript, { language: item.language });
+            item.aiTags = await tagExtractor.extractTags(item.response, 8, false);
+        }
+    }
+
+    /**
+     * Add a replayed recording to the history as a finished session
+     * @param {Object} item - Queue item with every stage done
+     */
+    complete(item) {
+        if (!window.audioHandler) return;
+
+        const audioFile = new File([item.blob], item.filename, { type: item.type });
+        const turns = window.speakerDiarizer ? speakerDiarizer.buildTurns(item.words, item.transcript) : [];
+
+        audioHandler.addCompletedSession(audioFile, {
+            transcript: item.transcript,
+            words: item.words,
+            subtitles: item.subtitles,
+            tags: item.tags,
+            aiTags: item.aiTags,
+            response: item.response,
+            language: item.language,
+            speakers: item.speakers || {},
+            timestamp: new Date(item.createdAt)
+        }, turns);
+    }
+
+    /**
+     * Update an item's overall progress from its progress within the current stage
+     * @param {Object} item - Queue item
+     * @param {number} fraction - 0-1 within the current stage
+     */
+    setProgress(item, fraction) {
+        const stageIndex = this.stages.indexOf(item.stage);
+        item.progress = (stageIndex + Math.min(1, Math.max(0, fraction))) / this.stages.length;
+        this.dispatchChanged();
+    }
+
+    async save(item) {
+        if (!this.isAvailable) return;
+
+        try {
+            const db = await this.open();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction('queue', 'readwrite');
+                tx.objectStore('queue').put(item);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            // The item stays queued in memory for this visit
+            console.error('[OFFLINE] Could not save queue item:', error);
+        }
+    }
+
+    async remove(id) {
+        if (!this.isAvailable) return;
+
+        try {
+            const db = await this.open();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction('queue', 'readwrite');
+                tx.objectStore('queue').delete(id);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('[OFFLINE] Could not remove queue item:', error);
+        }
+    }
+
+    dispatchChanged() {
+        window.dispatchEvent(new CustomEvent('offlineQueueChanged', {
+            detail: {
+                items: this.items,
+                online: this.isOnline(),
+                activeId: this.activeId
+            }
+        }));
+    }
+}
+
+// Create a global instance of the offline queue
+const offlineQueue = new OfflineQueue();
+
+// Make it globally available
+window.offlineQueue = offlineQueue;
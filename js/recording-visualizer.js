@@ -0,0 +1,439 @@
+/**
+ * Recording Visualizer Module for EchoLife
+ * Live canvas view while recording - waveform, scrolling spectrogram and a
+ * clipping indicator - and, once a recording is done, an overview of its
+ * level with the silences and the regions AudioProcessor considers speech
+ */
+
+class RecordingVisualizer {
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.fftSize = 2048;
+        this.maxFrequency = 8000;   // Hz shown by the spectrogram, where speech is
+        this.columnWidth = 2;       // Pixels the spectrogram scrolls per frame
+        this.clipHold = 1000;       // ms the clipping indicator stays lit
+        this.palette = this.buildPalette();
+
+        this.container = null;
+        this.analyser = null;
+        this.sourceNode = null;     // Node the visualizer's analyser listens to
+        this.ownContext = null;     // Context opened when the recorder has no analyser (iOS)
+        this.animationFrame = null;
+        this.clipUntil = 0;
+        this.analysis = null;       // Latest AudioProcessor.analyzeRegions result
+        this.input = null;          // { clips, peak } measured at the microphone, when the recorder knows them
+        this.language = localStorage.getItem('echolife_language') || 'en-US';
+
+        window.addEventListener('recordingStateChanged', (e) => {
+            if (e.detail.isRecording) {
+                this.startLive();
+            } else {
+                this.stopLive();
+            }
+        });
+
+        // An overview belongs to the recording just made, not to a session opened from history
+        window.addEventListener('sessionRestored', () => this.hideOverview());
+
+        window.addEventListener('languageChanged', (e) => {
+            this.language = e.detail.language;
+            if (this.container) {
+                this.container.querySelector('.visualizer-clip').textContent = this.t('visualizer_clipping');
+                this.container.querySelector('.legend-speech').textContent = this.t('visualizer_speech');
+                this.container.querySelector('.legend-silence').textContent = this.t('visualizer_silence');
+            }
+            if (this.analysis) this.drawOverview();
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.analysis) this.drawOverview();
+        });
+    }
+
+    t(key) {
+        return getTranslation(key, this.language);
+    }
+
+    /**
+     * Add the visualizer under the volume meter
+     * @param {HTMLElement} section - Recording section
+     */
+    mount(section) {
+        this.container = document.createElement('div');
+        this.container.className = 'recording-visualizer hidden';
+        this.container.innerHTML = `
+            <div class="visualizer-live hidden">
+                <canvas class="visualizer-waveform"></canvas>
+                <canvas class="visualizer-spectrogram"></canvas>
+                <span class="visualizer-clip">${this.t('visualizer_clipping')}</span>
+            </div>
+            <div class="visualizer-overview hidden">
+                <canvas class="visualizer-overview-canvas"></canvas>
+                <div class="visualizer-legend">
+                    <span class="legend-speech">${this.t('visualizer_speech')}</span>
+                    <span class="legend-silence">${this.t('visualizer_silence')}</span>
+                </div>
+                <div class="visualizer-summary"></div>
+            </div>
+        `;
+
+        const after = section.querySelector('.volume-display');
+        section.insertBefore(this.container, after ? after.nextSibling : null);
+
+        this.live = this.container.querySelector('.visualizer-live');
+        this.overview = this.container.querySelector('.visualizer-overview');
+        this.waveformCanvas = this.container.querySelector('.visualizer-waveform');
+        this.spectrogramCanvas = this.container.querySelector('.visualizer-spectrogram');
+        this.overviewCanvas = this.container.querySelector('.visualizer-overview-canvas');
+        this.clipIndicator = this.container.querySelector('.visualizer-clip');
+        this.summary = this.container.querySelector('.visualizer-summary');
+    }
+
+    /**
+     * Attach an analyser to the recording. The recorder's own analyser passes
+     * its input through, so a larger one for the spectrogram can listen to it.
+     * @returns {AnalyserNode|null} - Analyser, or null without audio to show
+     */
+    createAnalyser() {
+        let context;
+
+        if (this.recorder.analyserNode) {
+            this.sourceNode = this.recorder.analyserNode;
+            context = this.sourceNode.context;
+        } else if (this.recorder.stream) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            this.ownContext = new AudioContext();
+            this.sourceNode = this.ownContext.createMediaStreamSource(this.recorder.stream);
+            context = this.ownContext;
+        } else {
+            return null;
+        }
+
+        const analyser = context.createAnalyser();
+        analyser.fftSize = this.fftSize;
+        analyser.smoothingTimeConstant = 0.3;
+        this.sourceNode.connect(analyser);
+
+        this.timeData = new Float32Array(analyser.fftSize);
+        this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        return analyser;
+    }
+
+    startLive() {
+        if (!this.container) return;
+
+        this.stopLive();
+        try {
+            this.analyser = this.createAnalyser();
+        } catch (e) {
+            console.warn('[VISUALIZER] Could not listen to the recording:', e);
+            this.analyser = null;
+        }
+        if (!this.analyser) return;
+
+        this.hideOverview();
+        this.container.classList.remove('hidden');
+        this.live.classList.remove('hidden');
+        this.fitCanvas(this.waveformCanvas);
+        this.fitCanvas(this.spectrogramCanvas);
+        this.spectrogramCanvas.getContext('2d').clearRect(0, 0, this.spectrogramCanvas.width, this.spectrogramCanvas.height);
+        this.clipUntil = 0;
+
+        const draw = () => {
+            this.drawLive();
+            this.animationFrame = requestAnimationFrame(draw);
+        };
+        this.animationFrame = requestAnimationFrame(draw);
+    }
+
+    stopLive() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        if (this.sourceNode && this.analyser) {
+            try {
+                this.sourceNode.disconnect(this.analyser);
+            } catch (e) {
+                console.warn('[VISUALIZER] Error disconnecting analyser:', e);
+            }
+        }
+        if (this.ownContext) {
+            this.ownContext.close();
+            this.ownContext = null;
+        }
+        this.analyser = null;
+        this.sourceNode = null;
+
+        if (this.live) {
+            this.live.classList.add('hidden');
+            this.clipIndicator.classList.remove('active');
+            this.container.classList.toggle('hidden', this.overview.classList.contains('hidden'));
+        }
+    }
+
+    // Match a canvas's pixels to its displayed size
+    fitCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        canvas.height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+    }
+
+    drawLive() {
+        if (!this.analyser) return;
+
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        this.drawWaveform();
+        this.drawSpectrogramColumn();
+
+        // The capture worklet's limiter keeps what the analyser hears below clipping,
+        // so with it the recorder reports clipping at the microphone instead
+        if (this.recorder.captureNode) {
+            this.clipUntil = Math.max(this.clipUntil, this.recorder.lastClipTime + this.clipHold);
+        } else {
+            let peak = 0;
+            for (let i = 0; i < this.timeData.length; i++) {
+                const magnitude = Math.abs(this.timeData[i]);
+                if (magnitude > peak) peak = magnitude;
+            }
+            if (peak >= audioProcessor.clipLevel) {
+                this.clipUntil = Date.now() + this.clipHold;
+            }
+        }
+        this.clipIndicator.classList.toggle('active', Date.now() < this.clipUntil);
+    }
+
+    drawWaveform() {
+        const canvas = this.waveformCanvas;
+        const context = canvas.getContext('2d');
+        const middle = canvas.height / 2;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = '#ddd';
+        context.beginPath();
+        context.moveTo(0, middle);
+        context.lineTo(canvas.width, middle);
+        context.stroke();
+
+        context.strokeStyle = this.getColor();
+        context.lineWidth = window.devicePixelRatio || 1;
+        context.beginPath();
+        for (let x = 0; x < canvas.width; x++) {
+            const sample = this.timeData[Math.floor(x / canvas.width * this.timeData.length)];
+            const y = middle - sample * middle;
+            if (x === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.stroke();
+    }
+
+    // Scroll the spectrogram left and paint the newest frequencies on the right, low at the bottom
+    drawSpectrogramColumn() {
+        const canvas = this.spectrogramCanvas;
+        const context = canvas.getContext('2d');
+        const width = Math.min(canvas.width, this.columnWidth * (window.devicePixelRatio || 1));
+
+        context.drawImage(canvas, -width, 0);
+
+        const column = context.createImageData(width, canvas.height);
+        const nyquist = this.analyser.context.sampleRate / 2;
+        const bins = Math.min(this.frequencyData.length, Math.ceil(this.frequencyData.length * this.maxFrequency / nyquist));
+
+        for (let y = 0; y < canvas.height; y++) {
+            const bin = Math.floor((1 - y / canvas.height) * (bins - 1));
+            const color = this.palette[this.frequencyData[bin]];
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                column.data[offset] = color[0];
+                column.data[offset + 1] = color[1];
+                column.data[offset + 2] = color[2];
+                column.data[offset + 3] = 255;
+            }
+        }
+
+        context.putImageData(column, canvas.width - width, 0);
+    }
+
+    /**
+     * Colors for spectrogram levels 0-255: dark, purple, orange, pale yellow
+     * @returns {Array<Array<number>>} - RGB per level
+     */
+    buildPalette() {
+        const stops = [[20, 20, 35], [90, 20, 120], [240, 100, 30], [255, 240, 150]];
+        const palette = [];
+
+        for (let level = 0; level < 256; level++) {
+            const position = level / 255 * (stops.length - 1);
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            const fraction = position - index;
+            palette.push(stops[index].map((value, channel) =>
+                Math.round(value + (stops[index + 1][channel] - value) * fraction)));
+        }
+
+        return palette;
+    }
+
+    // The theme's primary color, so the drawings follow theme customization
+    getColor() {
+        return getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim() || '#4a90e2';
+    }
+
+    /**
+     * Show the overview of a finished recording
+     * @param {Blob} audioBlob - The recording
+     * @param {Object} input - { clips, peak } measured at the microphone; the recording
+     *                         itself went through the capture limiter, so it can't show them
+     */
+    async showOverview(audioBlob, input = {}) {
+        if (!this.container || !audioBlob) return;
+
+        this.input = {
+            clips: Array.isArray(input.clips) ? input.clips : null,
+            peak: typeof input.peak === 'number' ? input.peak : null
+        };
+
+        this.container.classList.remove('hidden');
+        this.overview.classList.remove('hidden');
+        this.summary.textContent = this.t('visualizer_analysing');
+        this.overviewCanvas.getContext('2d').clearRect(0, 0, this.overviewCanvas.width, this.overviewCanvas.height);
+
+        try {
+            this.analysis = await audioProcessor.analyzeRegions(audioBlob);
+        } catch (e) {
+            console.error('[VISUALIZER] Could not analyse the recording:', e);
+            this.analysis = null;
+        }
+
+        if (!this.analysis) {
+            this.hideOverview();
+            return;
+        }
+        this.drawOverview();
+    }
+
+    hideOverview() {
+        this.analysis = null;
+        this.input = null;
+        if (!this.container) return;
+
+        this.overview.classList.add('hidden');
+        this.container.classList.toggle('hidden', this.live.classList.contains('hidden'));
+    }
+
+    // Level per column (peak and RMS), shaded silences, a speech band along the bottom and clipping marks along the top
+    drawOverview() {
+        const analysis = this.analysis;
+        const canvas = this.overviewCanvas;
+        this.fitCanvas(canvas);
+
+        const context = canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const band = 4 * ratio;
+        const middle = (canvas.height - band) / 2;
+        const x = (seconds) => seconds / analysis.duration * canvas.width;
+        const color = this.getColor();
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.06)';
+        analysis.silences.forEach(region => {
+            context.fillRect(x(region.start), 0, Math.max(1, x(region.end) - x(region.start)), canvas.height - band);
+        });
+
+        context.fillStyle = '#2ecc71';
+        analysis.speech.forEach(region => {
+            context.fillRect(x(region.start), canvas.height - band, Math.max(1, x(region.end) - x(region.start)), band);
+        });
+
+        const frames = analysis.levels.length;
+        for (let column = 0; column < canvas.width; column++) {
+            const from = Math.floor(column / canvas.width * frames);
+            const to = Math.max(from + 1, Math.floor((column + 1) / canvas.width * frames));
+            let peak = 0;
+            let level = 0;
+            for (let frame = from; frame < Math.min(to, frames); frame++) {
+                peak = Math.max(peak, analysis.peaks[frame]);
+                level = Math.max(level, analysis.levels[frame]);
+            }
+
+            context.globalAlpha = 0.35;
+            context.fillStyle = color;
+            context.fillRect(column, middle - peak * middle, 1, Math.max(1, peak * middle * 2));
+            context.globalAlpha = 1;
+            context.fillRect(column, middle - level * middle, 1, Math.max(1, level * middle * 2));
+        }
+
+        const clips = this.getClipMoments();
+        context.fillStyle = '#e74c3c';
+        clips.forEach(moment => {
+            context.fillRect(x(moment.start), 0, Math.max(ratio, x(moment.end) - x(moment.start)), band);
+        });
+
+        const speechSeconds = analysis.speech.reduce((sum, region) => sum + region.end - region.start, 0);
+        const peak = this.input && this.input.peak !== null ? this.input.peak : analysis.peak;
+        const peakDb = peak > 0 ? (20 * Math.log10(peak)).toFixed(1) : '-∞';
+        let summary = this.t('visualizer_summary')
+            .replace('{speech}', `${speechSeconds.toFixed(1)}s`)
+            .replace('{duration}', `${analysis.duration.toFixed(1)}s`)
+            .replace('{peak}', peakDb);
+
+        if (clips.length > 0) {
+            summary += ` · ${this.t('visualizer_clipped').replace('{n}', clips.length)}`;
+        }
+
+        this.summary.textContent = summary;
+    }
+
+    /**
+     * Moments the microphone clipped, with nearby clipping merged into one moment
+     * @returns {Array<Object>} - [{ start, end }] in seconds
+     */
+    getClipMoments() {
+        const analysis = this.analysis;
+        let times;
+        let span;
+
+        if (this.input && this.input.clips) {
+            // Reported by the recorder, one per ~250ms of clipping input
+            times = this.input.clips;
+            span = 0.25;
+        } else {
+            // Without a limiter in the way, the recording shows clipping itself
+            times = [];
+            analysis.peaks.forEach((value, frame) => {
+                if (value >= audioProcessor.clipLevel) times.push(frame * analysis.frameDuration);
+            });
+            span = analysis.frameDuration;
+        }
+
+        const moments = [];
+        times.forEach(time => {
+            const last = moments[moments.length - 1];
+            if (last && time - last.end <= span) {
+                last.end = Math.min(analysis.duration, time + span);
+            } else {
+                moments.push({ start: time, end: Math.min(analysis.duration, time + span) });
+            }
+        });
+        return moments;
+    }
+}
+
+// Create a global instance of the recording visualizer
+const recordingVisualizer = new RecordingVisualizer(audioRecorder);
+
+// Make it globally available
+window.recordingVisualizer = recordingVisualizer;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.querySelector('.recording-section');
+    if (section) {
+        recordingVisualizer.mount(section);
+    }
+});
@@ -0,0 +1,178 @@
+/**
+ * Replay Capture Module for EchoLife
+ * "Save what was just said": keeps the microphone's continuous recorder
+ * running as a rolling buffer, and saves its last 15, 30 or 60 seconds as a
+ * new session - also when the user forgot to press record
+ */
+
+class ReplayCapture {
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.storageKey = 'echolife_replay_settings';
+        this.durations = [15, 30, 60]; // Seconds that can be saved
+        this.defaults = {
+            enabled: false,
+            seconds: 30
+        };
+        this.settings = this.loadSettings();
+        this.isSaving = false;
+        this.container = null;
+        this.language = localStorage.getItem('echolife_language') || 'en-US';
+
+        window.addEventListener('languageChanged', (e) => {
+            this.language = e.detail.language;
+            this.render();
+        });
+    }
+
+    /**
+     * Load settings from localStorage, merged over the defaults
+     * @returns {Object} - Replay settings
+     */
+    loadSettings() {
+        return loadStoredSettings(this.storageKey, this.defaults, (settings, saved) => {
+            settings.enabled = saved.enabled === true;
+            if (this.durations.includes(saved.seconds)) {
+                settings.seconds = saved.seconds;
+            }
+        });
+    }
+
+    /**
+     * Update and persist settings
+     * @param {Object} changes - Partial settings ({ enabled, seconds })
+     */
+    updateSettings(changes = {}) {
+        if (typeof changes.enabled === 'boolean') {
+            this.settings.enabled = changes.enabled;
+        }
+        if (this.durations.includes(changes.seconds)) {
+            this.settings.seconds = changes.seconds;
+        }
+
+        saveStoredSettings(this.storageKey, this.settings, 'replaySettingsChanged', { settings: this.getSettings() });
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    // The rolling buffer needs the continuous recorder, which iOS doesn't run
+    isSupported() {
+        return !this.recorder.isIOS && typeof MediaRecorder !== 'undefined';
+    }
+
+    /**
+     * Start or stop listening in the background
+     * @param {boolean} enabled - Whether to keep the buffer
+     */
+    async setEnabled(enabled) {
+        try {
+            const running = await this.recorder.setReplayBuffer(enabled);
+            this.updateSettings({ enabled: running });
+        } catch (error) {
+            console.error('[REPLAY] Could not start the replay buffer:', error);
+            this.updateSettings({ enabled: false });
+            alert('Error: ' + error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Save the last seconds of the buffer as a new session, transcribed like an upload
+     */
+    async save() {
+        if (this.isSaving) return;
+
+        // A recording in progress already keeps what is being said
+        if (this.recorder.isRecording || this.recorder.isPaused) {
+            alert(getTranslation('replay_busy', this.language));
+            return;
+        }
+
+        this.isSaving = true;
+        this.render();
+
+        try {
+            const result = await this.recorder.extractReplayAudio(this.settings.seconds);
+            if (!result) {
+                alert(getTranslation('replay_empty', this.language));
+                return;
+            }
+
+            const file = new File([result.blob], result.filename, { type: result.type });
+            await window.audioHandler.processAudioFile(file, false);
+        } catch (error) {
+            console.error('[REPLAY] Could not save the replay:', error);
+            alert('Error: ' + error.message);
+        } finally {
+            this.isSaving = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Add the replay controls under the recording controls
+     * @param {HTMLElement} section - Recording section
+     */
+    mount(section) {
+        if (!this.isSupported()) return;
+
+        this.container = document.createElement('div');
+        this.container.className = 'auto-gain-container replay-capture';
+
+        const after = section.querySelector('.auto-gain-container');
+        section.insertBefore(this.container, after ? after.nextSibling : null);
+
+        this.render();
+
+        // Pick up listening where the last visit left it
+        if (this.settings.enabled) {
+            this.setEnabled(true);
+        }
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const t = (key) => getTranslation(key, this.language);
+        const durationOptions = this.durations
+            .map(seconds => `<option value="${seconds}" ${seconds === this.settings.seconds ? 'selected' : ''}>${seconds}s</option>`)
+            .join('');
+
+        this.container.innerHTML = `
+            <label class="toggle-switch" title="${t('replay_buffer_hint')}">
+                <input type="checkbox" id="replayBufferToggle" ${this.settings.enabled ? 'checked' : ''}>
+                <span class="slider round"></span>
+            </label>
+            <span class="toggle-label">${t('replay_buffer')}</span>
+            <select id="replayDurationSelect">${durationOptions}</select>
+            <button id="replaySaveButton" class="replay-save-button" ${!this.settings.enabled || this.isSaving ? 'disabled' : ''}>
+                <i class="fas ${this.isSaving ? 'fa-spinner fa-spin' : 'fa-history'}"></i>
+                ${this.isSaving ? t('replay_saving') : t('replay_save').replace('{n}', this.settings.seconds)}
+            </button>
+        `;
+
+        this.container.querySelector('#replayBufferToggle').addEventListener('change', (e) => {
+            this.setEnabled(e.target.checked);
+        });
+        this.container.querySelector('#replayDurationSelect').addEventListener('change', (e) => {
+            this.updateSettings({ seconds: parseInt(e.target.value, 10) });
+            this.render();
+        });
+        this.container.querySelector('#replaySaveButton').addEventListener('click', () => this.save());
+    }
+}
+
+// Create a global instance of the replay capture
+const replayCapture = new ReplayCapture(audioRecorder);
+
+// Make it globally available
+window.replayCapture = replayCapture;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.querySelector('.recording-section');
+    if (section) {
+        replayCapture.mount(section);
+    }
+});
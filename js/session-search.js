@@ -0,0 +1,568 @@
+/**
+ * Session Search Module for EchoLife
+ * Full-text search over stored sessions: an in-memory inverted index of
+ * transcripts, AI replies and tags, with English/Portuguese stemming,
+ * accent folding, phrase and tag filters and date ranges
+ */
+
+class SessionSearch {
+    constructor(store) {
+        this.store = store;
+        this.index = new Map(); // stem -> Map(sessionId -> number of occurrences)
+        this.documents = new Map(); // sessionId -> indexed session
+        this.buildPromise = null;
+
+        // Characters shown around each hit in a snippet
+        this.snippetRadius = 60;
+        this.maxHitsPerSession = 3;
+
+        this.stopwords = {
+            en: new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+                'he', 'her', 'his', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'not', 'of', 'on', 'or', 'she',
+                'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+                'with', 'you', 'your']),
+            pt: new Set(['a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela',
+                'ele', 'em', 'eu', 'foi', 'isso', 'mais', 'mas', 'me', 'meu', 'minha', 'na', 'nao', 'nas',
+                'no', 'nos', 'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'que', 'se', 'sem', 'seu',
+                'sua', 'um', 'uma', 'voce'])
+        };
+
+        // Keep the index in step with the store
+        window.addEventListener('sessionSaved', (e) => {
+            if (this.buildPromise) this.addSession(e.detail.session);
+        });
+        window.addEventListener('sessionDeleted', (e) => {
+            this.removeSession(e.detail.id);
+        });
+    }
+
+    /**
+     * Build the index from every stored session (only runs once)
+     * @returns {Promise<number>} - Number of indexed sessions
+     */
+    build() {
+        if (!this.buildPromise) {
+            this.buildPromise = this.store.getAllSessions()
+                .then(sessions => {
+                    sessions.forEach(session => this.addSession(session));
+                    console.log(`[SEARCH] Indexed ${this.documents.size} sessions (${this.index.size} terms)`);
+                    return this.documents.size;
+                })
+                .catch(error => {
+                    this.buildPromise = null;
+                    throw error;
+                });
+        }
+        return this.buildPromise;
+    }
+
+    /**
+     * Add or replace a session in the index
+     * @param {Object} session - Session as returned by SessionStore (without audio)
+     */
+    addSession(session) {
+        if (!session || !session.id) return;
+        this.removeSession(session.id);
+
+        const language = this.detectLanguage([
+            session.transcript || '',
+            ...(session.messages || []).map(message => message.content || '')
+        ].join(' '));
+
+        const tags = [...(session.tags || []), ...(session.aiTags || [])]
+            .map(tag => (typeof tag === 'string' ? tag : tag.text) || '')
+            .filter(Boolean);
+
+        // Each searchable field keeps its tokens so hits can be highlighted later
+        const fields = [];
+        const addField = (source, text, words = null) => {
+            if (!text) return;
+            const tokens = this.tokenize(text).map(token => ({
+                ...token,
+                stem: this.stem(token.term, language)
+            }));
+            fields.push({ source, text, tokens, words });
+        };
+
+        addField('transcript', session.transcript, session.words && session.words.length > 0 ? session.words : null);
+        (session.messages || [])
+            .filter(message => message.role === 'assistant')
+            .forEach(message => addField('reply', message.content));
+        if (tags.length > 0) {
+            addField('tag', tags.join(', '));
+        }
+
+        const doc = {
+            id: session.id,
+            filename: session.filename,
+            createdAt: session.createdAt || (session.timestamp ? new Date(session.timestamp).getTime() : 0),
+            language,
+            tags: tags.map(tag => this.fold(tag)),
+            fields,
+            length: fields.reduce((total, field) => total + field.tokens.length, 0)
+        };
+        this.documents.set(doc.id, doc);
+
+        fields.forEach(field => {
+            field.tokens.forEach(token => {
+                if (!this.index.has(token.stem)) {
+                    this.index.set(token.stem, new Map());
+                }
+                const postings = this.index.get(token.stem);
+                postings.set(doc.id, (postings.get(doc.id) || 0) + 1);
+            });
+        });
+    }
+
+    /**
+     * Remove a session from the index
+     * @param {string} id - Session id
+     */
+    removeSession(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        doc.fields.forEach(field => {
+            field.tokens.forEach(token => {
+                const postings = this.index.get(token.stem);
+                if (!postings) return;
+                postings.delete(id);
+                if (postings.size === 0) {
+                    this.index.delete(token.stem);
+                }
+            });
+        });
+        this.documents.delete(id);
+    }
+
+    /**
+     * Search the indexed sessions
+     * @param {string} query - Free text with optional "phrases", tag:name, from:YYYY-MM-DD and to:YYYY-MM-DD
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array>} - Results ({ id, filename, createdAt, score, hits: [{ source, segments, time }] })
+     */
+    async search(query, options = {}) {
+        await this.build();
+
+        const limit = options.limit || 20;
+        const parsed = this.parseQuery(query);
+        const hasText = parsed.terms.length > 0 || parsed.phrases.length > 0;
+        if (!hasText && parsed.tags.length === 0 && !parsed.from && !parsed.to) {
+            return [];
+        }
+
+        // Only sessions containing the first term (or first phrase word) can match
+        const candidates = hasText ? this.getCandidates(parsed.terms[0] || parsed.phrases[0][0]) : null;
+
+        const results = [];
+        this.documents.forEach(doc => {
+            if (candidates && !candidates.has(doc.id)) return;
+            if (parsed.from && doc.createdAt < parsed.from) return;
+            if (parsed.to && doc.createdAt > parsed.to) return;
+            if (!parsed.tags.every(tag => doc.tags.some(docTag => docTag.includes(tag)))) return;
+
+            if (!hasText) {
+                results.push({ id: doc.id, filename: doc.filename, createdAt: doc.createdAt, score: 0, hits: [] });
+                return;
+            }
+
+            const match = this.matchDocument(doc, parsed);
+            if (match) {
+                results.push({
+                    id: doc.id,
+                    filename: doc.filename,
+                    createdAt: doc.createdAt,
+                    score: match.score,
+                    hits: this.buildHits(doc, match.positions)
+                });
+            }
+        });
+
+        // Best matches first; filter-only searches list the newest sessions first
+        results.sort((a, b) => (b.score - a.score) || (b.createdAt - a.createdAt));
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Look up the sessions containing any stem variant of a term
+     * @param {Set<string>} variants - Stem variants
+     * @returns {Set<string>} - Session ids
+     */
+    getCandidates(variants) {
+        const ids = new Set();
+        variants.forEach(stem => {
+            const postings = this.index.get(stem);
+            if (postings) postings.forEach((count, id) => ids.add(id));
+        });
+        return ids;
+    }
+
+    /**
+     * Check a document against the parsed query
+     * @returns {Object|null} - { score, positions: Map(fieldIndex -> Set(tokenIndex)) } or null when it doesn't match
+     */
+    matchDocument(doc, parsed) {
+        const positions = new Map();
+        const mark = (fieldIndex, tokenIndex) => {
+            if (!positions.has(fieldIndex)) positions.set(fieldIndex, new Set());
+            positions.get(fieldIndex).add(tokenIndex);
+        };
+        let score = 0;
+
+        // Every free term must appear somewhere (AND semantics)
+        for (const variants of parsed.terms) {
+            let termCount = 0;
+            let documentFrequency = 0;
+
+            variants.forEach(stem => {
+                const postings = this.index.get(stem);
+                if (postings) documentFrequency = Math.max(documentFrequency, postings.size);
+            });
+
+            doc.fields.forEach((field, fieldIndex) => {
+                field.tokens.forEach((token, tokenIndex) => {
+                    if (variants.has(token.stem)) {
+                        termCount += field.source === 'tag' ? 2 : 1;
+                        mark(fieldIndex, tokenIndex);
+                    }
+                });
+            });
+
+            if (termCount === 0) return null;
+
+            // TF-IDF, normalised so long sessions don't win just by being long
+            const idf = Math.log(1 + this.documents.size / Math.max(1, documentFrequency));
+            score += (termCount / Math.sqrt(doc.length)) * idf;
+        }
+
+        // Phrases must appear as consecutive tokens within one field
+        for (const phrase of parsed.phrases) {
+            let found = false;
+
+            doc.fields.forEach((field, fieldIndex) => {
+                for (let i = 0; i + phrase.length <= field.tokens.length; i++) {
+                    if (phrase.every((variants, offset) => variants.has(field.tokens[i + offset].stem))) {
+                        found = true;
+                        phrase.forEach((variants, offset) => mark(fieldIndex, i + offset));
+                    }
+                }
+            });
+
+            if (!found) return null;
+            score += phrase.length;
+        }
+
+        return { score, positions };
+    }
+
+    /**
+     * Turn matched token positions into highlighted snippets
+     * @param {Object} doc - Indexed session
+     * @param {Map} positions - fieldIndex -> Set(tokenIndex)
+     * @returns {Array} - Hits ({ source, segments: [{ text, match }], time })
+     */
+    buildHits(doc, positions) {
+        const hits = [];
+
+        // Transcript hits first since they can seek the audio
+        const fieldOrder = [...positions.keys()].sort((a, b) => a - b);
+        for (const fieldIndex of fieldOrder) {
+            const field = doc.fields[fieldIndex];
+            const tokenIndexes = [...positions.get(fieldIndex)].sort((a, b) => a - b);
+            const times = field.words ? this.getTokenTimes(field) : null;
+
+            // Group nearby matches into one snippet
+            let group = [];
+            const flush = () => {
+                if (group.length === 0) return;
+                hits.push({
+                    source: field.source,
+                    segments: this.buildSnippet(field, group),
+                    time: times ? times[group[0]] : null
+                });
+                group = [];
+            };
+
+            for (const tokenIndex of tokenIndexes) {
+                if (group.length > 0 &&
+                    field.tokens[tokenIndex].start - field.tokens[group[0]].start > this.snippetRadius) {
+                    flush();
+                }
+                group.push(tokenIndex);
+            }
+            flush();
+
+            if (hits.length >= this.maxHitsPerSession) break;
+        }
+
+        return hits.slice(0, this.maxHitsPerSession);
+    }
+
+    /**
+     * Cut a snippet around matched tokens
+     * @returns {Array} - Segments ({ text, match })
+     */
+    buildSnippet(field, tokenIndexes) {
+        const first = field.tokens[tokenIndexes[0]];
+        const last = field.tokens[tokenIndexes[tokenIndexes.length - 1]];
+        const start = Math.max(0, first.start - this.snippetRadius);
+        const end = Math.min(field.text.length, last.end + this.snippetRadius);
+
+        const segments = [];
+        let cursor = start;
+        tokenIndexes.forEach(tokenIndex => {
+            const token = field.tokens[tokenIndex];
+            if (token.start > cursor) {
+                segments.push({ text: field.text.substring(cursor, token.start), match: false });
+            }
+            segments.push({ text: field.text.substring(token.start, token.end), match: true });
+            cursor = token.end;
+        });
+        if (end > cursor) {
+            segments.push({ text: field.text.substring(cursor, end), match: false });
+        }
+
+        // Mark trimmed edges
+        if (start > 0) segments.unshift({ text: '…', match: false });
+        if (end < field.text.length) segments.push({ text: '…', match: false });
+
+        return segments;
+    }
+
+    /**
+     * Map each transcript token to the start time of the word it belongs to
+     * @param {Object} field - Transcript field with Whisper word timestamps
+     * @returns {Array<number>} - Start time (seconds) per token
+     */
+    getTokenTimes(field) {
+        if (field.tokenTimes) return field.tokenTimes;
+
+        // Locate each timed word in the transcript text
+        const foldedText = this.fold(field.text);
+        const wordOffsets = [];
+        let cursor = 0;
+        field.words.forEach(word => {
+            const foldedWord = this.fold((word.word || '').trim());
+            if (!foldedWord) return;
+            const found = foldedText.indexOf(foldedWord, cursor);
+            if (found === -1) return;
+            wordOffsets.push({ offset: found, start: word.start });
+            cursor = found + foldedWord.length;
+        });
+
+        // Each token takes the time of the last word starting at or before it
+        let wordIndex = 0;
+        field.tokenTimes = field.tokens.map(token => {
+            while (wordIndex + 1 < wordOffsets.length && wordOffsets[wordIndex + 1].offset <= token.start) {
+                wordIndex++;
+            }
+            return wordOffsets.length > 0 ? wordOffsets[wordIndex].start : null;
+        });
+
+        return field.tokenTimes;
+    }
+
+    /**
+     * Parse a query string
+     * @param {string} query - Raw query
+     * @returns {Object} - { terms: [Set], phrases: [[Set]], tags: [string], from, to }
+     */
+    parseQuery(query) {
+        const parsed = { terms: [], phrases: [], tags: [], from: null, to: null };
+
+        // tag:"multi word", tag:word, from:date, to:date, "phrase", or a plain word
+        const pattern = /(tag|from|to):"([^"]*)"|(tag|from|to):(\S+)|"([^"]*)"|(\S+)/gi;
+        let match;
+        while ((match = pattern.exec(query || '')) !== null) {
+            const filter = (match[1] || match[3] || '').toLowerCase();
+            const value = match[2] !== undefined ? match[2] : match[4];
+
+            if (filter === 'tag') {
+                const tag = this.fold(value).trim();
+                if (tag) parsed.tags.push(tag);
+            } else if (filter === 'from' || filter === 'to') {
+                const date = this.parseDate(value, filter === 'to');
+                if (date !== null) parsed[filter] = date;
+            } else if (match[5] !== undefined) {
+                const phrase = this.tokenize(match[5]).map(token => this.getStemVariants(token.term));
+                if (phrase.length > 1) {
+                    parsed.phrases.push(phrase);
+                } else if (phrase.length === 1) {
+                    parsed.terms.push(phrase[0]);
+                }
+            } else {
+                // Plain words skip stopwords, which would match nearly everything
+                this.tokenize(match[6])
+                    .filter(token => !this.stopwords.en.has(token.term) && !this.stopwords.pt.has(token.term))
+                    .forEach(token => parsed.terms.push(this.getStemVariants(token.term)));
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD date (local time)
+     * @param {string} value - Date string
+     * @param {boolean} endOfDay - Return the last millisecond of the day
+     * @returns {number|null} - Timestamp or null if invalid
+     */
+    parseDate(value, endOfDay = false) {
+        const match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(value || '');
+        if (!match) return null;
+
+        const year = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10) - 1;
+        const day = match[3] ? parseInt(match[3], 10) : 1;
+
+        if (!endOfDay) {
+            return new Date(year, month, day).getTime();
+        }
+
+        // "to:2024-03" covers the whole month
+        const end = match[3] ? new Date(year, month, day + 1) : new Date(year, month + 1, 1);
+        return end.getTime() - 1;
+    }
+
+    /**
+     * Split text into folded tokens, keeping their offsets in the original text
+     * @param {string} text - Text to tokenize
+     * @returns {Array} - Tokens ({ term, start, end })
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            tokens.push({
+                term: this.fold(match[0]).replace(/['’]/g, ''),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * Lowercase and strip accents so "coração" matches "coracao"
+     * @param {string} text - Text to fold
+     * @returns {string} - Folded text (same length for precomposed input)
+     */
+    fold(text) {
+        return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Guess whether text is English or Portuguese from its stopwords
+     * @param {string} text - Text to inspect
+     * @returns {string} - 'en' or 'pt'
+     */
+    detectLanguage(text) {
+        let english = 0;
+        let portuguese = 0;
+        this.tokenize(text).forEach(token => {
+            if (this.stopwords.en.has(token.term)) english++;
+            if (this.stopwords.pt.has(token.term)) portuguese++;
+        });
+        return portuguese > english ? 'pt' : 'en';
+    }
+
+    /**
+     * Stems a query word could have in either language
+     * @param {string} term - Folded term
+     * @returns {Set<string>} - Possible stems
+     */
+    getStemVariants(term) {
+        return new Set([this.stem(term, 'en'), this.stem(term, 'pt')]);
+    }
+
+    /**
+     * Reduce a folded term to its stem
+     * @param {string} term - Folded term
+     * @param {string} language - 'en' or 'pt'
+     * @returns {string} - Stem
+     */
+    stem(term, language) {
+        if (term.length <= 3 || /\d/.test(term)) return term;
+        return language === 'pt' ? this.stemPortuguese(term) : this.stemEnglish(term);
+    }
+
+    /**
+     * Light English stemmer (plurals, -ing/-ed and common suffixes)
+     */
+    stemEnglish(word) {
+        if (word.endsWith('sses')) {
+            word = word.slice(0, -2);
+        } else if (word.endsWith('ies')) {
+            word = word.slice(0, -3) + 'i';
+        } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+            word = word.slice(0, -1);
+        }
+
+        for (const suffix of ['ingly', 'edly', 'ing', 'ed']) {
+            const stem = word.slice(0, -suffix.length);
+            if (word.endsWith(suffix) && stem.length >= 3 && /[aeiouy]/.test(stem)) {
+                // running -> run, stopped -> stop
+                word = /([^aeioulsz])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+                break;
+            }
+        }
+
+        for (const suffix of ['ational', 'ization', 'fulness', 'ousness', 'iveness', 'ement', 'ment', 'ness', 'ful', 'ly']) {
+            if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+                word = word.slice(0, -suffix.length);
+                break;
+            }
+        }
+
+        // happy/happiness -> happi, make/making -> mak
+        if (/[^aeiou]y$/.test(word)) word = word.slice(0, -1) + 'i';
+        if (word.endsWith('e') && word.length > 3) word = word.slice(0, -1);
+
+        return word;
+    }
+
+    /**
+     * Light Portuguese stemmer (plurals, common noun/adverb suffixes and verb endings),
+     * applied after accent folding
+     */
+    stemPortuguese(word) {
+        // Plurals
+        if (word.endsWith('oes') || word.endsWith('aes')) {
+            word = word.slice(0, -3) + 'ao';
+        } else if (word.endsWith('ais')) {
+            word = word.slice(0, -3) + 'al';
+        } else if (word.endsWith('eis')) {
+            word = word.slice(0, -3) + 'el';
+        } else if (word.endsWith('ns')) {
+            word = word.slice(0, -2) + 'm';
+        } else if (/[rz]es$/.test(word)) {
+            word = word.slice(0, -2);
+        } else if (word.endsWith('s') && word.length > 4) {
+            word = word.slice(0, -1);
+        }
+
+        const suffixes = [
+            'amente', 'mente', 'idade', 'izacao', 'acao', 'icao', 'ador', 'adora', 'ismo', 'ista',
+            'avel', 'ivel', 'oso', 'osa', 'ando', 'endo', 'indo', 'aram', 'eram', 'iram', 'avam',
+            'ava', 'ado', 'ada', 'ido', 'ida', 'ar', 'er', 'ir', 'ou', 'ei', 'am', 'em'
+        ];
+        for (const suffix of suffixes) {
+            if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+                word = word.slice(0, -suffix.length);
+                break;
+            }
+        }
+
+        // Final vowel (casa/caso, falo/fala)
+        if (/[aeo]$/.test(word) && word.length > 3) word = word.slice(0, -1);
+
+        return word;
+    }
+}
+
+// Create a global instance of the session search
+const sessionSearch = new SessionSearch(sessionStore);
+
+// Make it globally available
+window.sessionSearch = sessionSearch;
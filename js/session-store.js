@@ -0,0 +1,490 @@
+/**
+ * Session Store for EchoLife
+ * Persists complete audio sessions (audio blob, transcript, word timestamps,
+ * tags and AI replies) in IndexedDB with paging, quotas and eviction
+ */
+
+class SessionStore {
+    constructor() {
+        this.dbName = 'echolife_sessions';
+        this.dbVersion = 1;
+        this.db = null;
+        this.openPromise = null;
+        this.isAvailable = typeof indexedDB !== 'undefined';
+
+        // Paging defaults for the history panel
+        this.pageSize = 10;
+
+        // Quota settings - whichever limit is hit first triggers eviction
+        this.maxSessions = 200;
+        this.maxBytes = 250 * 1024 * 1024; // 250MB of audio
+        this.evictionPolicy = 'oldest'; // Options: 'oldest', 'largest', 'none'
+
+        // Load quota settings from localStorage
+        try {
+            const savedQuota = JSON.parse(localStorage.getItem('echolife_session_quota') || 'null');
+            if (savedQuota) {
+                this.maxSessions = savedQuota.maxSessions || this.maxSessions;
+                this.maxBytes = savedQuota.maxBytes || this.maxBytes;
+                if (['oldest', 'largest', 'none'].includes(savedQuota.evictionPolicy)) {
+                    this.evictionPolicy = savedQuota.evictionPolicy;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load session quota settings:', e);
+        }
+    }
+
+    /**
+     * Open the database, creating object stores on first use
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.openPromise) return this.openPromise;
+
+        if (!this.isAvailable) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                // Session metadata, transcript, words, tags and messages
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessions.createIndex('createdAt', 'createdAt');
+                    sessions.createIndex('size', 'size');
+                }
+
+                // Audio blobs are kept apart so listing sessions stays cheap
+                if (!db.objectStoreNames.contains('audio')) {
+                    db.createObjectStore('audio', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Another tab upgraded the schema - release our connection
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                console.log('Session store opened');
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                console.error('Error opening session store:', request.error);
+                this.isAvailable = false;
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        // Ask the browser not to evict our data under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        return this.openPromise;
+    }
+
+    /**
+     * Generate a unique session id
+     * @returns {string} - Session id
+     */
+    createId() {
+        return `session_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Save a session, storing the audio blob separately
+     * @param {Object} session - Session data (see AudioHandler.addRecordingToHistory)
+     * @returns {Promise<string>} - The session id
+     */
+    async saveSession(session) {
+        const db = await this.open();
+
+        const id = session.id || this.createId();
+        const blob = session.file || session.blob || null;
+        const record = this.toRecord({ ...session, id }, blob);
+
+        const write = () => new Promise((resolve, reject) => {
+            const tx = db.transaction(['sessions', 'audio'], 'readwrite');
+            tx.objectStore('sessions').put(record);
+
+            // Only touch the audio store when we actually have audio to store
+            if (blob) {
+                tx.objectStore('audio').put({ id, blob, size: blob.size });
+            }
+
+            tx.oncomplete = () => resolve(id);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        try {
+            await write();
+        } catch (error) {
+            // Browser quota hit - evict and retry once
+            if (error && error.name === 'QuotaExceededError' && this.evictionPolicy !== 'none') {
+                console.warn('Storage quota exceeded, evicting sessions and retrying');
+                await this.evict(1, [id]);
+                await write();
+            } else {
+                throw error;
+            }
+        }
+
+        window.dispatchEvent(new CustomEvent('sessionSaved', {
+            detail: { session: this.fromRecord(record, null) }
+        }));
+
+        await this.enforceQuota([id]);
+        return id;
+    }
+
+    /**
+     * Merge changes into an existing session
+     * @param {string} id - Session id
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} - Updated session (without audio) or null
+     */
+    async updateSession(id, changes) {
+        const existing = await this.getSession(id, { includeAudio: false });
+        if (!existing) {
+            console.warn(`Session not found for update: ${id}`);
+            return null;
+        }
+
+        const updated = { ...existing, ...changes, id };
+        await this.saveSession(updated);
+        return updated;
+    }
+
+    /**
+     * Get a single session
+     * @param {string} id - Session id
+     * @param {Object} options - { includeAudio: boolean }
+     * @returns {Promise<Object|null>} - Session with `file` set when audio is included
+     */
+    async getSession(id, options = { includeAudio: true }) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const stores = options.includeAudio ? ['sessions', 'audio'] : ['sessions'];
+            const tx = db.transaction(stores, 'readonly');
+            let record = null;
+            let audio = null;
+
+            const sessionRequest = tx.objectStore('sessions').get(id);
+            sessionRequest.onsuccess = () => { record = sessionRequest.result || null; };
+
+            if (options.includeAudio) {
+                const audioRequest = tx.objectStore('audio').get(id);
+                audioRequest.onsuccess = () => { audio = audioRequest.result || null; };
+            }
+
+            tx.oncomplete = () => resolve(record ? this.fromRecord(record, audio) : null);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * List sessions newest first, without audio blobs
+     * @param {Object} options - { offset, limit }
+     * @returns {Promise<Object>} - { items, total, hasMore }
+     */
+    async listSessions({ offset = 0, limit = this.pageSize } = {}) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('sessions', 'readonly');
+            const store = tx.objectStore('sessions');
+            const items = [];
+            let total = 0;
+            let skipped = false;
+
+            store.count().onsuccess = (e) => { total = e.target.result; };
+
+            const cursorRequest = store.index('createdAt').openCursor(null, 'prev');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+
+                // Jump straight to the requested page
+                if (offset > 0 && !skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                items.push(this.fromRecord(cursor.value, null));
+                if (items.length < limit) {
+                    cursor.continue();
+                }
+            };
+
+            tx.oncomplete = () => resolve({
+                items,
+                total,
+                hasMore: offset + items.length < total
+            });
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Get every session without audio blobs (used to build the search index)
+     * @returns {Promise<Array>} - Sessions, oldest first
+     */
+    async getAllSessions() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('sessions', 'readonly');
+            const request = tx.objectStore('sessions').index('createdAt').getAll();
+
+            tx.oncomplete = () => resolve(request.result.map(record => this.fromRecord(record, null)));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Delete a session and its audio
+     * @param {string} id - Session id
+     * @returns {Promise<void>}
+     */
+    async deleteSession(id) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['sessions', 'audio'], 'readwrite');
+            tx.objectStore('sessions').delete(id);
+            tx.objectStore('audio').delete(id);
+            tx.oncomplete = () => {
+                window.dispatchEvent(new CustomEvent('sessionDeleted', { detail: { id } }));
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Get total session count and stored bytes
+     * @returns {Promise<Object>} - { count, bytes }
+     */
+    async getUsage() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('sessions', 'readonly');
+            let count = 0;
+            let bytes = 0;
+
+            const cursorRequest = tx.objectStore('sessions').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                count++;
+                bytes += cursor.value.size || 0;
+                cursor.continue();
+            };
+
+            tx.oncomplete = () => resolve({ count, bytes });
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Update quota settings and apply them immediately
+     * @param {Object} quota - { maxSessions, maxBytes, evictionPolicy }
+     */
+    async setQuota(quota = {}) {
+        if (quota.maxSessions) this.maxSessions = quota.maxSessions;
+        if (quota.maxBytes) this.maxBytes = quota.maxBytes;
+        if (['oldest', 'largest', 'none'].includes(quota.evictionPolicy)) {
+            this.evictionPolicy = quota.evictionPolicy;
+        }
+
+        localStorage.setItem('echolife_session_quota', JSON.stringify({
+            maxSessions: this.maxSessions,
+            maxBytes: this.maxBytes,
+            evictionPolicy: this.evictionPolicy
+        }));
+
+        await this.enforceQuota();
+    }
+
+    /**
+     * Evict sessions until count and size limits are respected
+     * @param {Array<string>} protectedIds - Sessions that must not be evicted
+     */
+    async enforceQuota(protectedIds = []) {
+        if (this.evictionPolicy === 'none') return;
+
+        const usage = await this.getUsage();
+        if (usage.count <= this.maxSessions && usage.bytes <= this.maxBytes) return;
+
+        const excessCount = Math.max(0, usage.count - this.maxSessions);
+        await this.evict(excessCount, protectedIds, usage.bytes - this.maxBytes);
+    }
+
+    /**
+     * Evict sessions according to the eviction policy
+     * @param {number} minCount - Minimum number of sessions to remove
+     * @param {Array<string>} protectedIds - Sessions that must not be evicted
+     * @param {number} minBytes - Minimum number of bytes to free
+     * @returns {Promise<number>} - Number of evicted sessions
+     */
+    async evict(minCount, protectedIds = [], minBytes = 0) {
+        const db = await this.open();
+
+        // Collect eviction candidates in policy order
+        const candidates = await new Promise((resolve, reject) => {
+            const tx = db.transaction('sessions', 'readonly');
+            const store = tx.objectStore('sessions');
+            const list = [];
+
+            // 'oldest' walks createdAt ascending, 'largest' walks size descending
+            const cursorRequest = this.evictionPolicy === 'largest' ?
+                store.index('size').openCursor(null, 'prev') :
+                store.index('createdAt').openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                if (!protectedIds.includes(cursor.value.id)) {
+                    list.push({ id: cursor.value.id, size: cursor.value.size || 0 });
+                }
+                cursor.continue();
+            };
+
+            tx.oncomplete = () => resolve(list);
+            tx.onerror = () => reject(tx.error);
+        });
+
+        let evicted = 0;
+        let freedBytes = 0;
+        for (const candidate of candidates) {
+            if (evicted >= minCount && freedBytes >= minBytes) break;
+
+            await this.deleteSession(candidate.id);
+            evicted++;
+            freedBytes += candidate.size;
+        }
+
+        if (evicted > 0) {
+            console.log(`Evicted ${evicted} session(s) (${Math.round(freedBytes / 1024)}KB) using '${this.evictionPolicy}' policy`);
+            window.dispatchEvent(new CustomEvent('sessionsEvicted', {
+                detail: { count: evicted, bytes: freedBytes }
+            }));
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Import the old truncated localStorage history once
+     * @returns {Promise<number>} - Number of imported entries
+     */
+    async migrateLegacyHistory() {
+        const savedHistory = localStorage.getItem('audioHistory');
+        if (!savedHistory) return 0;
+
+        let imported = 0;
+        try {
+            const parsedHistory = JSON.parse(savedHistory);
+            for (const item of parsedHistory) {
+                const createdAt = new Date(item.timestamp).getTime() || Date.now();
+                await this.saveSession({
+                    id: `legacy_${createdAt}_${imported}`,
+                    filename: item.filename,
+                    timestamp: new Date(createdAt),
+                    transcript: item.transcript,
+                    response: item.response,
+                    legacy: true
+                });
+                imported++;
+            }
+            localStorage.removeItem('audioHistory');
+            console.log(`Migrated ${imported} legacy history entries to the session store`);
+        } catch (e) {
+            console.error('Error migrating legacy audio history:', e);
+        }
+
+        return imported;
+    }
+
+    /**
+     * Convert an in-memory history entry to a storable record
+     */
+    toRecord(session, blob) {
+        const createdAt = session.timestamp instanceof Date ?
+            session.timestamp.getTime() :
+            (session.createdAt || Date.now());
+
+        // Keep every AI reply - older entries only have a single `response`
+        const messages = Array.isArray(session.messages) ? [...session.messages] : [];
+        if (messages.length === 0) {
+            if (session.transcript) {
+                messages.push({ role: 'user', content: session.transcript, timestamp: createdAt });
+            }
+            if (session.response) {
+                messages.push({ role: 'assistant', content: session.response, timestamp: createdAt });
+            }
+        }
+
+        return {
+            id: session.id,
+            createdAt,
+            updatedAt: Date.now(),
+            filename: session.filename || (blob && blob.name) || `session_${createdAt}`,
+            type: session.type || (blob && blob.type) || null,
+            size: blob ? blob.size : (session.size || 0),
+            hasAudio: !!blob || !!session.hasAudio,
+            duration: session.duration || null,
+            transcript: session.transcript || null,
+            words: session.words || [],
+            subtitles: session.subtitles || [],
+            subtitlesEdited: !!session.subtitlesEdited, // Cues were changed in the subtitle editor
+            tags: session.tags || [],
+            aiTags: session.aiTags || [],
+            speakers: session.speakers || {},
+            takes: session.takes || [],
+            messages,
+            response: session.response || null,
+            legacy: !!session.legacy
+        };
+    }
+
+    /**
+     * Convert a stored record back to the history entry shape used by AudioHandler
+     */
+    fromRecord(record, audio) {
+        const entry = {
+            ...record,
+            timestamp: new Date(record.createdAt),
+            file: null
+        };
+
+        if (audio && audio.blob) {
+            entry.file = audio.blob;
+        }
+
+        return entry;
+    }
+}
+
+// Create a global instance of the session store
+const sessionStore = new SessionStore();
+
+// Make it globally available
+window.sessionStore = sessionStore;
@@ -0,0 +1,740 @@
+/**
+ * Speaker Diarizer Module for EchoLife
+ * Assigns speaker labels to Whisper word timestamps by clustering on-device
+ * voice features (MFCC-like cepstra, pitch and energy) from the decoded audio.
+ * Recordings with one microphone per channel are labelled by the channel each
+ * word is loudest on instead.
+ */
+
+class SpeakerDiarizer {
+    constructor() {
+        this.enabled = localStorage.getItem('echolife_diarization') !== 'false';
+        this.maxSpeakers = 4;
+        this.minSilhouette = 0.2; // Below this, a single speaker is assumed
+
+        // Word grouping - single words are too short for stable features
+        this.maxWindowGap = 0.35; // seconds of silence that always ends a window
+        this.maxWindowDuration = 2.0; // seconds
+        this.minWindowDuration = 0.25; // seconds of audio analysed per window
+
+        // Feature extraction settings
+        this.melBands = 26;
+        this.cepstralCoefficients = 12; // c1..c12 (c0 is dropped as it only tracks loudness)
+        this.minPitch = 70; // Hz
+        this.maxPitch = 400; // Hz
+
+        // Bounds on main-thread work, so hour-long recordings don't freeze the page
+        this.maxFramesPerWindow = 16; // Frames analysed per window, spread evenly over it
+        this.pitchSampleRate = 8000; // Hz frames are decimated to before the pitch search
+        this.maxSilhouettePoints = 300; // Windows sampled to score a clustering
+        this.windowsPerYield = 50; // Windows analysed between yields to the event loop
+
+        // Display names for the current session, keyed by speaker id
+        this.speakers = {};
+
+        this.language = localStorage.getItem('echolife_language') || 'en-US';
+        window.addEventListener('languageChanged', (e) => {
+            this.language = e.detail.language;
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem('echolife_diarization', enabled ? 'true' : 'false');
+    }
+
+    /**
+     * Label words with speakers, returning the original words if diarization is off or fails
+     * @param {Blob} audioBlob - Audio the words were transcribed from
+     * @param {Array} words - Whisper words ({ word, start, end })
+     * @param {Object} options - { inputs: microphones recorded one per channel, if several }
+     * @returns {Promise<Array>} - Words with a `speaker` property when successful
+     */
+    async labelWords(audioBlob, words, options = {}) {
+        // Forget the previous session's speakers until new ones are found
+        this.speakers = {};
+
+        if (!this.enabled || !audioBlob || !words || words.length === 0) {
+            return words || [];
+        }
+
+        try {
+            const result = await this.diarize(audioBlob, words, options.inputs);
+            return result.words;
+        } catch (error) {
+            console.warn('[DIARIZER] Speaker diarization failed, continuing without speakers:', error);
+            return words;
+        }
+    }
+
+    /**
+     * Cluster words into speakers
+     * @param {Blob} audioBlob - Audio the words were transcribed from
+     * @param {Array} words - Whisper words ({ word, start, end })
+     * @param {Array|null} inputs - Microphones recorded one per channel; each one is a speaker
+     * @returns {Promise<Object>} - { words, speakers }
+     */
+    async diarize(audioBlob, words, inputs = null) {
+        const audioBuffer = await audioProcessor.decodeAudioData(audioBlob);
+        if (!audioBuffer) {
+            throw new Error('Diarization failed: audio could not be decoded');
+        }
+
+        console.time('[DIARIZER] diarize');
+        const sampleRate = audioBuffer.sampleRate;
+
+        // Separate microphones tell speakers apart word by word; voices are
+        // clustered over groups of words, as single words are too short
+        const byChannel = inputs && inputs.length > 1 && audioBuffer.numberOfChannels >= inputs.length;
+        let windows;
+
+        if (byChannel) {
+            windows = words.map(word => ({ start: word.start, end: word.end, words: [word] }));
+            this.assignChannels(windows, audioBuffer, inputs.length);
+        } else {
+            windows = this.buildWindows(words);
+            await this.clusterWindows(windows, this.toMono(audioBuffer), sampleRate);
+            this.smoothLabels(windows);
+        }
+
+        // Number speakers by input for separate microphones, otherwise by order of first appearance
+        const clusterToSpeaker = new Map();
+        windows.forEach(wordWindow => {
+            if (!clusterToSpeaker.has(wordWindow.cluster)) {
+                clusterToSpeaker.set(wordWindow.cluster, `speaker_${byChannel ? wordWindow.cluster + 1 : clusterToSpeaker.size + 1}`);
+            }
+        });
+
+        const labeledWords = [];
+        windows.forEach(wordWindow => {
+            const speaker = clusterToSpeaker.get(wordWindow.cluster);
+            wordWindow.words.forEach(word => labeledWords.push({ ...word, speaker }));
+        });
+
+        const speakers = {};
+        [...clusterToSpeaker.values()].sort().forEach(speakerId => {
+            speakers[speakerId] = this.getDefaultName(speakerId);
+        });
+        this.speakers = speakers;
+
+        console.timeEnd('[DIARIZER] diarize');
+        console.log(`[DIARIZER] Found ${Object.keys(speakers).length} speaker(s) across ${windows.length} windows${byChannel ? ' by input channel' : ''}`);
+
+        return { words: labeledWords, speakers };
+    }
+
+    /**
+     * Label each window with the input channel it is loudest on. Each
+     * microphone also picks up the other voice, but more quietly.
+     * @param {Array} windows - Word windows, given a `cluster` (channel index)
+     * @param {AudioBuffer} audioBuffer - Decoded audio, one input per channel
+     * @param {number} channelCount - Number of inputs
+     */
+    assignChannels(windows, audioBuffer, channelCount) {
+        const sampleRate = audioBuffer.sampleRate;
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        let lastChannel = 0;
+        windows.forEach(wordWindow => {
+            const start = Math.max(0, Math.floor(wordWindow.start * sampleRate));
+            const end = Math.min(audioBuffer.length, Math.ceil(wordWindow.end * sampleRate));
+            const energies = channels.map(data => {
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+                return sum;
+            });
+
+            // Silent windows inherit the previous label
+            const loudest = energies.indexOf(Math.max(...energies));
+            wordWindow.cluster = energies[loudest] > 0 ? loudest : lastChannel;
+            lastChannel = wordWindow.cluster;
+        });
+    }
+
+    /**
+     * Label windows by clustering their voice features
+     * @param {Array} windows - Word windows, given a `cluster`
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate
+     */
+    async clusterWindows(windows, samples, sampleRate) {
+        // Describe each window's voice, letting the page breathe on long recordings
+        for (let index = 0; index < windows.length; index++) {
+            const wordWindow = windows[index];
+            wordWindow.features = this.extractFeatures(samples, sampleRate, wordWindow.start, wordWindow.end);
+            if (index % this.windowsPerYield === this.windowsPerYield - 1) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        const analysable = windows.filter(wordWindow => wordWindow.features);
+        let labels = [];
+
+        if (analysable.length >= 4) {
+            const vectors = this.normalizeFeatures(analysable.map(wordWindow => wordWindow.features));
+            labels = this.chooseClustering(vectors);
+        } else {
+            labels = analysable.map(() => 0);
+        }
+
+        analysable.forEach((wordWindow, index) => {
+            wordWindow.cluster = labels[index];
+        });
+
+        // Windows without usable audio inherit the previous label
+        let lastCluster = analysable.length > 0 ? analysable[0].cluster : 0;
+        windows.forEach(wordWindow => {
+            if (wordWindow.cluster === undefined) {
+                wordWindow.cluster = lastCluster;
+            }
+            lastCluster = wordWindow.cluster;
+        });
+    }
+
+    /**
+     * Mix all channels down to mono
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {Float32Array} - Mono samples
+     */
+    toMono(audioBuffer) {
+        if (audioBuffer.numberOfChannels === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Group consecutive words into windows, splitting on pauses and max duration
+     * @param {Array} words - Whisper words
+     * @returns {Array} - Windows ({ start, end, words })
+     */
+    buildWindows(words) {
+        const windows = [];
+        let current = null;
+
+        words.forEach(word => {
+            const startsNewWindow = !current ||
+                word.start - current.end > this.maxWindowGap ||
+                word.end - current.start > this.maxWindowDuration;
+
+            if (startsNewWindow) {
+                current = { start: word.start, end: word.end, words: [word] };
+                windows.push(current);
+            } else {
+                current.end = word.end;
+                current.words.push(word);
+            }
+        });
+
+        return windows;
+    }
+
+    /**
+     * Compute a feature vector for a time range
+     * @returns {Array<number>|null} - [c1..c12, log pitch, log energy] or null if silent
+     */
+    extractFeatures(samples, sampleRate, start, end) {
+        // Pad very short windows so there is enough audio to analyse
+        const padding = Math.max(0, (this.minWindowDuration - (end - start)) / 2);
+        const startSample = Math.max(0, Math.floor((start - padding) * sampleRate));
+        const endSample = Math.min(samples.length, Math.ceil((end + padding) * sampleRate));
+
+        const frameSize = this.getFrameSize(sampleRate);
+        const hopSize = frameSize / 2;
+        if (endSample - startSample < frameSize) return null;
+
+        const melFilters = this.getMelFilterbank(sampleRate, frameSize);
+        const cepstraSum = new Array(this.cepstralCoefficients).fill(0);
+        const pitches = [];
+        let energySum = 0;
+        let voicedFrames = 0;
+
+        // Long windows are sampled rather than analysed frame by frame
+        const frameCount = Math.floor((endSample - startSample - frameSize) / hopSize) + 1;
+        const frameStep = Math.max(1, frameCount / this.maxFramesPerWindow);
+
+        for (let position = 0; position < frameCount; position += frameStep) {
+            const offset = startSample + Math.floor(position) * hopSize;
+            const frame = samples.subarray(offset, offset + frameSize);
+            const rms = this.frameRMS(frame);
+
+            // Skip near-silent frames, they carry no speaker information
+            if (rms < 0.005) continue;
+
+            const cepstra = this.computeCepstra(frame, melFilters);
+            for (let i = 0; i < cepstraSum.length; i++) {
+                cepstraSum[i] += cepstra[i];
+            }
+
+            const pitch = this.estimatePitch(frame, sampleRate);
+            if (pitch) pitches.push(pitch);
+
+            energySum += Math.log(rms);
+            voicedFrames++;
+        }
+
+        if (voicedFrames === 0) return null;
+
+        pitches.sort((a, b) => a - b);
+        const medianPitch = pitches.length > 0 ? pitches[Math.floor(pitches.length / 2)] : null;
+
+        return [
+            ...cepstraSum.map(value => value / voicedFrames),
+            medianPitch ? Math.log(medianPitch) : null,
+            energySum / voicedFrames
+        ];
+    }
+
+    getFrameSize(sampleRate) {
+        // ~25ms, rounded up to a power of two for the FFT
+        let size = 256;
+        while (size < sampleRate * 0.025) size *= 2;
+        return size;
+    }
+
+    frameRMS(frame) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) {
+            sum += frame[i] * frame[i];
+        }
+        return Math.sqrt(sum / frame.length);
+    }
+
+    /**
+     * Mel-frequency cepstral coefficients for one frame
+     */
+    computeCepstra(frame, melFilters) {
+        const size = frame.length;
+        const real = new Float32Array(size);
+        const imag = new Float32Array(size);
+
+        // Hamming window
+        for (let i = 0; i < size; i++) {
+            real[i] = frame[i] * (0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (size - 1)));
+        }
+
+        this.fft(real, imag);
+
+        const power = new Float32Array(size / 2 + 1);
+        for (let i = 0; i < power.length; i++) {
+            power[i] = real[i] * real[i] + imag[i] * imag[i];
+        }
+
+        const logMel = melFilters.map(filter => {
+            let energy = 0;
+            for (let i = filter.start; i <= filter.end; i++) {
+                energy += power[i] * filter.weights[i - filter.start];
+            }
+            return Math.log(energy + 1e-10);
+        });
+
+        // DCT-II, keeping c1..cN
+        const cepstra = [];
+        for (let k = 1; k <= this.cepstralCoefficients; k++) {
+            let sum = 0;
+            for (let n = 0; n < logMel.length; n++) {
+                sum += logMel[n] * Math.cos((Math.PI * k * (n + 0.5)) / logMel.length);
+            }
+            cepstra.push(sum);
+        }
+        return cepstra;
+    }
+
+    /**
+     * Triangular mel filterbank, cached per sample rate and frame size
+     */
+    getMelFilterbank(sampleRate, frameSize) {
+        const cacheKey = `${sampleRate}_${frameSize}`;
+        if (this.melCacheKey === cacheKey) return this.melFilters;
+
+        const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+        const toHz = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+
+        const lowMel = toMel(80);
+        const highMel = toMel(Math.min(7600, sampleRate / 2));
+        const bins = [];
+        for (let i = 0; i < this.melBands + 2; i++) {
+            const hz = toHz(lowMel + (i * (highMel - lowMel)) / (this.melBands + 1));
+            bins.push(Math.floor(((frameSize + 1) * hz) / sampleRate));
+        }
+
+        const filters = [];
+        for (let band = 1; band <= this.melBands; band++) {
+            const left = bins[band - 1];
+            const center = Math.max(bins[band], left + 1);
+            const right = Math.max(bins[band + 1], center + 1);
+            const weights = [];
+            for (let i = left; i <= right; i++) {
+                weights.push(i <= center ?
+                    (i - left) / (center - left) :
+                    (right - i) / (right - center));
+            }
+            filters.push({ start: left, end: right, weights });
+        }
+
+        this.melCacheKey = cacheKey;
+        this.melFilters = filters;
+        return filters;
+    }
+
+    /**
+     * In-place iterative radix-2 FFT
+     */
+    fft(real, imag) {
+        const n = real.length;
+
+        // Bit reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = (-2 * Math.PI) / len;
+            const wReal = Math.cos(angle);
+            const wImag = Math.sin(angle);
+
+            for (let i = 0; i < n; i += len) {
+                let curReal = 1;
+                let curImag = 0;
+                for (let j = 0; j < len / 2; j++) {
+                    const aReal = real[i + j];
+                    const aImag = imag[i + j];
+                    const bReal = real[i + j + len / 2] * curReal - imag[i + j + len / 2] * curImag;
+                    const bImag = real[i + j + len / 2] * curImag + imag[i + j + len / 2] * curReal;
+
+                    real[i + j] = aReal + bReal;
+                    imag[i + j] = aImag + bImag;
+                    real[i + j + len / 2] = aReal - bReal;
+                    imag[i + j + len / 2] = aImag - bImag;
+
+                    const nextReal = curReal * wReal - curImag * wImag;
+                    curImag = curReal * wImag + curImag * wReal;
+                    curReal = nextReal;
+                }
+            }
+        }
+    }
+
+    /**
+     * Fundamental frequency via normalized autocorrelation, on a decimated
+     * copy of the frame - voices sit far below its Nyquist frequency
+     * @returns {number|null} - Pitch in Hz, or null for unvoiced frames
+     */
+    estimatePitch(fullFrame, fullSampleRate) {
+        const factor = Math.max(1, Math.floor(fullSampleRate / this.pitchSampleRate));
+        const sampleRate = fullSampleRate / factor;
+        const frame = new Float32Array(Math.floor(fullFrame.length / factor));
+        for (let i = 0; i < frame.length; i++) {
+            let sum = 0;
+            for (let j = 0; j < factor; j++) {
+                sum += fullFrame[i * factor + j];
+            }
+            frame[i] = sum / factor;
+        }
+
+        const minLag = Math.floor(sampleRate / this.maxPitch);
+        const maxLag = Math.min(frame.length - 1, Math.ceil(sampleRate / this.minPitch));
+
+        let energy = 0;
+        for (let i = 0; i < frame.length; i++) {
+            energy += frame[i] * frame[i];
+        }
+        if (energy === 0) return null;
+
+        let bestLag = 0;
+        let bestCorrelation = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let correlation = 0;
+            for (let i = 0; i + lag < frame.length; i++) {
+                correlation += frame[i] * frame[i + lag];
+            }
+            correlation /= energy;
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestLag = lag;
+            }
+        }
+
+        return bestCorrelation > 0.3 && bestLag > 0 ? sampleRate / bestLag : null;
+    }
+
+    /**
+     * Z-score each dimension and weight pitch above the other features
+     */
+    normalizeFeatures(vectors) {
+        const dimensions = vectors[0].length;
+        const pitchIndex = this.cepstralCoefficients;
+        const energyIndex = this.cepstralCoefficients + 1;
+
+        // Unvoiced windows get the mean pitch so they don't pull clusters apart
+        const voiced = vectors.filter(v => v[pitchIndex] !== null);
+        const meanPitch = voiced.length > 0 ?
+            voiced.reduce((sum, v) => sum + v[pitchIndex], 0) / voiced.length : 0;
+        const filled = vectors.map(v => v.map((value, i) => (i === pitchIndex && value === null) ? meanPitch : value));
+
+        const weights = new Array(dimensions).fill(1);
+        weights[pitchIndex] = 2.5;
+        weights[energyIndex] = 0.5; // Loudness mostly reflects distance to the mic
+
+        for (let d = 0; d < dimensions; d++) {
+            const mean = filled.reduce((sum, v) => sum + v[d], 0) / filled.length;
+            const variance = filled.reduce((sum, v) => sum + (v[d] - mean) ** 2, 0) / filled.length;
+            const std = Math.sqrt(variance) || 1;
+            filled.forEach(v => {
+                v[d] = ((v[d] - mean) / std) * weights[d];
+            });
+        }
+
+        return filled;
+    }
+
+    /**
+     * Try 2..maxSpeakers clusters and keep the best by silhouette score
+     * @returns {Array<number>} - Cluster index per vector
+     */
+    chooseClustering(vectors) {
+        let best = { labels: vectors.map(() => 0), score: this.minSilhouette };
+
+        const maxK = Math.min(this.maxSpeakers, Math.floor(vectors.length / 2));
+        for (let k = 2; k <= maxK; k++) {
+            const labels = this.kMeans(vectors, k);
+            const score = this.silhouette(vectors, labels);
+            console.log(`[DIARIZER] k=${k} silhouette=${score.toFixed(3)}`);
+            if (score > best.score) {
+                best = { labels, score };
+            }
+        }
+
+        return best.labels;
+    }
+
+    /**
+     * Deterministic k-means with farthest-point initialization
+     */
+    kMeans(vectors, k, iterations = 25) {
+        const distance = (a, b) => a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+
+        const centroids = [vectors[0].slice()];
+        while (centroids.length < k) {
+            let farthest = 0;
+            let farthestDistance = -1;
+            vectors.forEach((vector, index) => {
+                const nearest = Math.min(...centroids.map(c => distance(vector, c)));
+                if (nearest > farthestDistance) {
+                    farthestDistance = nearest;
+                    farthest = index;
+                }
+            });
+            centroids.push(vectors[farthest].slice());
+        }
+
+        let labels = new Array(vectors.length).fill(0);
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            let changed = false;
+
+            labels = vectors.map((vector, index) => {
+                let bestCluster = 0;
+                let bestDistance = Infinity;
+                centroids.forEach((centroid, cluster) => {
+                    const d = distance(vector, centroid);
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        bestCluster = cluster;
+                    }
+                });
+                if (bestCluster !== labels[index]) changed = true;
+                return bestCluster;
+            });
+
+            centroids.forEach((centroid, cluster) => {
+                const members = vectors.filter((_, index) => labels[index] === cluster);
+                if (members.length === 0) return;
+                for (let d = 0; d < centroid.length; d++) {
+                    centroid[d] = members.reduce((sum, v) => sum + v[d], 0) / members.length;
+                }
+            });
+
+            if (!changed && iteration > 0) break;
+        }
+
+        return labels;
+    }
+
+    /**
+     * Mean silhouette coefficient (-1..1, higher means better separated clusters),
+     * over an even sample of the windows as it compares every pair
+     */
+    silhouette(allVectors, allLabels) {
+        const distance = (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0));
+        const step = Math.max(1, allVectors.length / this.maxSilhouettePoints);
+        const vectors = [];
+        const labels = [];
+        for (let position = 0; position < allVectors.length; position += step) {
+            vectors.push(allVectors[Math.floor(position)]);
+            labels.push(allLabels[Math.floor(position)]);
+        }
+
+        const clusters = [...new Set(labels)];
+        if (clusters.length < 2) return 0;
+
+        let total = 0;
+        vectors.forEach((vector, index) => {
+            const own = labels[index];
+            const meanDistanceTo = (cluster) => {
+                const members = vectors.filter((_, j) => labels[j] === cluster && j !== index);
+                if (members.length === 0) return 0;
+                return members.reduce((sum, other) => sum + distance(vector, other), 0) / members.length;
+            };
+
+            const a = meanDistanceTo(own);
+            const b = Math.min(...clusters.filter(c => c !== own).map(meanDistanceTo));
+            total += Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+        });
+
+        return total / vectors.length;
+    }
+
+    /**
+     * Relabel short isolated windows that sit between two windows of the same speaker
+     */
+    smoothLabels(windows) {
+        for (let i = 1; i < windows.length - 1; i++) {
+            const previous = windows[i - 1].cluster;
+            const next = windows[i + 1].cluster;
+            const duration = windows[i].end - windows[i].start;
+
+            if (previous === next && windows[i].cluster !== previous && duration < 0.6) {
+                windows[i].cluster = previous;
+            }
+        }
+    }
+
+    /**
+     * Split a transcript into speaker turns, keeping the transcript's punctuation
+     * @param {Array} words - Words with `speaker` labels
+     * @param {string} transcript - Full transcript text
+     * @returns {Array} - Turns ({ speaker, text, startTime, endTime })
+     */
+    buildTurns(words, transcript = null) {
+        if (!words || words.length === 0 || !words[0].speaker) return [];
+
+        // Locate each word in the transcript so turns can be cut at the right characters
+        const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const lowerTranscript = transcript ? transcript.toLowerCase() : '';
+        let cursor = 0;
+        const offsets = words.map(word => {
+            if (!transcript) return -1;
+            const needle = normalize(word.word);
+            if (!needle) return -1;
+            const position = lowerTranscript.indexOf(needle, cursor);
+            if (position === -1) return -1;
+            cursor = position + needle.length;
+            return position;
+        });
+
+        const turns = [];
+        words.forEach((word, index) => {
+            const last = turns[turns.length - 1];
+            if (last && last.speaker === word.speaker) {
+                last.endTime = word.end;
+                last.words.push(word.word.trim());
+            } else {
+                turns.push({
+                    speaker: word.speaker,
+                    startTime: word.start,
+                    endTime: word.end,
+                    offset: offsets[index],
+                    words: [word.word.trim()]
+                });
+            }
+        });
+
+        // Use transcript slices when every turn boundary was found, otherwise join the words
+        const canSlice = transcript && turns.every((turn, index) => index === 0 || turn.offset > 0);
+        return turns.map((turn, index) => ({
+            speaker: turn.speaker,
+            startTime: turn.startTime,
+            endTime: turn.endTime,
+            text: canSlice ?
+                transcript.substring(index === 0 ? 0 : turn.offset, index < turns.length - 1 ? turns[index + 1].offset : transcript.length).trim() :
+                turn.words.join(' ')
+        }));
+    }
+
+    getDefaultName(speakerId) {
+        const number = speakerId.replace('speaker_', '');
+        return `${getTranslation('speaker', this.language)} ${number}`;
+    }
+
+    getSpeakerName(speakerId) {
+        return this.speakers[speakerId] || this.getDefaultName(speakerId);
+    }
+
+    /**
+     * Whether labels are worth showing (more than one speaker in the session)
+     */
+    hasMultipleSpeakers() {
+        return Object.keys(this.speakers).length > 1;
+    }
+
+    /**
+     * Replace the speaker names, e.g. when a saved session is restored
+     * @param {Object} speakers - Speaker id to name map
+     */
+    setSpeakers(speakers) {
+        this.speakers = { ...(speakers || {}) };
+    }
+
+    /**
+     * Rename a speaker and notify the UI and session storage
+     * @param {string} speakerId - Speaker id (e.g. 'speaker_1')
+     * @param {string} name - New display name
+     */
+    renameSpeaker(speakerId, name) {
+        const trimmed = (name || '').trim();
+        this.speakers[speakerId] = trimmed || this.getDefaultName(speakerId);
+
+        window.dispatchEvent(new CustomEvent('speakerRenamed', {
+            detail: { speakerId, name: this.speakers[speakerId], speakers: { ...this.speakers } }
+        }));
+    }
+
+    /**
+     * Subtitle text with the speaker name prefixed when several people speak
+     * @param {Object} subtitle - Subtitle segment ({ text, speaker })
+     * @returns {string} - Display text
+     */
+    formatSubtitleText(subtitle) {
+        if (!subtitle.speaker || !this.hasMultipleSpeakers()) {
+            return subtitle.text;
+        }
+        return `${this.getSpeakerName(subtitle.speaker)}: ${subtitle.text}`;
+    }
+}
+
+// Create a global instance of the speaker diarizer
+const speakerDiarizer = new SpeakerDiarizer();
+
+// Make it globally available
+window.speakerDiarizer = speakerDiarizer;
@@ -0,0 +1,301 @@
+/**
+ * Speech Output Module for EchoLife
+ * Reads AI replies aloud through pluggable providers: the browser's
+ * SpeechSynthesis API or an OpenAI-style /audio/speech endpoint.
+ * Voice, rate and pitch are stored per language.
+ */
+
+class SpeechOutput {
+    constructor() {
+        this.apiKey = null;
+        this.storageKey = 'echolife_tts_settings';
+        this.providers = {};
+        this.current = null; // { id, controller } for the utterance being spoken
+
+        this.defaults = {
+            provider: 'browser',
+            autoSpeak: false, // Speak every reply and keep the conversation going hands-free
+            voices: {
+                'en-US': { voice: '', rate: 1, pitch: 1 },
+                'pt-BR': { voice: '', rate: 1, pitch: 1 }
+            }
+        };
+
+        this.settings = this.loadSettings();
+
+        this.registerProvider('browser', this.createBrowserProvider());
+        this.registerProvider('api', this.createApiProvider());
+    }
+
+    setApiKey(key) {
+        this.apiKey = key;
+    }
+
+    /**
+     * Load settings from localStorage, merged over the defaults
+     * @returns {Object} - Speech settings
+     */
+    loadSettings() {
+        return loadStoredSettings(this.storageKey, this.defaults, (settings, saved) => {
+            if (saved.provider) settings.provider = saved.provider;
+            settings.autoSpeak = !!saved.autoSpeak;
+            Object.keys(saved.voices || {}).forEach(language => {
+                settings.voices[language] = { ...settings.voices[language], ...saved.voices[language] };
+            });
+        });
+    }
+
+    /**
+     * Update and persist settings
+     * @param {Object} changes - Partial settings ({ provider, autoSpeak, voices: { 'en-US': {...} } })
+     */
+    updateSettings(changes = {}) {
+        if (changes.provider && this.providers[changes.provider]) {
+            this.settings.provider = changes.provider;
+        }
+        if (typeof changes.autoSpeak === 'boolean') {
+            this.settings.autoSpeak = changes.autoSpeak;
+        }
+        Object.keys(changes.voices || {}).forEach(language => {
+            this.settings.voices[language] = { ...this.getVoiceSettings(language), ...changes.voices[language] };
+        });
+
+        saveStoredSettings(this.storageKey, this.settings, 'speechSettingsChanged', { settings: this.getSettings() });
+    }
+
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    /**
+     * Get voice, rate and pitch for a language
+     * @param {string} language - Language code (e.g. 'pt-BR')
+     * @returns {Object} - { voice, rate, pitch }
+     */
+    getVoiceSettings(language) {
+        return { ...this.defaults.voices['en-US'], ...this.settings.voices[language] };
+    }
+
+    isAutoSpeakEnabled() {
+        return this.settings.autoSpeak;
+    }
+
+    /**
+     * Register a speech provider
+     * @param {string} name - Provider id stored in the settings
+     * @param {Object} provider - { label, isAvailable(), listVoices(language), speak(text, options) }
+     *   where speak resolves when playback ends and options are { language, voice, rate, pitch, signal }
+     */
+    registerProvider(name, provider) {
+        this.providers[name] = provider;
+    }
+
+    getProvider(name = this.settings.provider) {
+        return this.providers[name] || this.providers.browser;
+    }
+
+    /**
+     * List provider ids that can be used in this browser
+     * @returns {Array<string>} - Provider ids
+     */
+    getAvailableProviders() {
+        return Object.keys(this.providers).filter(name => this.providers[name].isAvailable());
+    }
+
+    /**
+     * Speak text, stopping anything already playing
+     * @param {string} text - Text to speak
+     * @param {Object} options - { language, id, provider, voiceSettings } where id identifies the message
+     *   being spoken and provider/voiceSettings override the saved settings (e.g. to test unsaved values)
+     * @returns {Promise<boolean>} - True when playback finished, false if it was stopped
+     */
+    async speak(text, options = {}) {
+        this.stop();
+
+        const language = options.language || 'en-US';
+        const provider = this.getProvider(options.provider);
+        if (!provider.isAvailable()) {
+            throw new Error('Speech output is not supported in this browser');
+        }
+
+        const controller = new AbortController();
+        this.current = { id: options.id || null, controller };
+        this.dispatchState(true, this.current.id);
+
+        try {
+            await provider.speak(text, {
+                ...this.getVoiceSettings(language),
+                ...options.voiceSettings,
+                language,
+                signal: controller.signal
+            });
+            return !controller.signal.aborted;
+        } catch (error) {
+            if (controller.signal.aborted || error.name === 'AbortError') {
+                return false;
+            }
+            console.error('Speech output failed:', error);
+            throw new Error(`Speech failed: ${error.message}`);
+        } finally {
+            // A newer utterance may already have replaced this one
+            if (this.current && this.current.controller === controller) {
+                this.current = null;
+                this.dispatchState(false, options.id || null);
+            }
+        }
+    }
+
+    /**
+     * Stop the current utterance
+     */
+    stop() {
+        if (this.current) {
+            const { id, controller } = this.current;
+            this.current = null;
+            controller.abort();
+            this.dispatchState(false, id);
+        }
+    }
+
+    /**
+     * Whether something (optionally a specific message) is being spoken
+     * @param {string} id - Message id
+     * @returns {boolean}
+     */
+    isSpeaking(id = null) {
+        return !!this.current && (id === null || this.current.id === id);
+    }
+
+    dispatchState(speaking, id) {
+        window.dispatchEvent(new CustomEvent('speechStateChanged', {
+            detail: { speaking, id }
+        }));
+    }
+
+    /**
+     * Provider backed by window.speechSynthesis
+     */
+    createBrowserProvider() {
+        const getVoices = () => new Promise(resolve => {
+            const voices = window.speechSynthesis.getVoices();
+            if (voices.length > 0) {
+                resolve(voices);
+                return;
+            }
+
+            // Chrome loads voices asynchronously
+            const timeout = setTimeout(() => resolve(window.speechSynthesis.getVoices()), 1000);
+            window.speechSynthesis.addEventListener('voiceschanged', () => {
+                clearTimeout(timeout);
+                resolve(window.speechSynthesis.getVoices());
+            }, { once: true });
+        });
+
+        return {
+            label: 'Browser',
+
+            isAvailable: () => 'speechSynthesis' in window,
+
+            listVoices: async (language) => {
+                const prefix = language.split('-')[0];
+                return (await getVoices())
+                    .filter(voice => voice.lang.replace('_', '-').startsWith(prefix))
+                    .map(voice => ({ id: voice.voiceURI, name: `${voice.name} (${voice.lang})` }));
+            },
+
+            speak: async (text, options) => {
+                const voices = await getVoices();
+                const voice = voices.find(v => v.voiceURI === options.voice);
+
+                // Long utterances get cut off in some browsers, so speak sentence by sentence
+                const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [text];
+
+                for (const sentence of sentences) {
+                    if (options.signal.aborted) return;
+                    if (!sentence.trim()) continue;
+
+                    await new Promise((resolve, reject) => {
+                        const utterance = new SpeechSynthesisUtterance(sentence.trim());
+                        utterance.lang = options.language;
+                        if (voice) utterance.voice = voice;
+                        utterance.rate = Number(options.rate) || 1;
+                        utterance.pitch = Number(options.pitch) || 1;
+
+                        const onAbort = () => {
+                            window.speechSynthesis.cancel();
+                            resolve();
+                        };
+                        options.signal.addEventListener('abort', onAbort, { once: true });
+
+                        utterance.onend = () => {
+                            options.signal.removeEventListener('abort', onAbort);
+                            resolve();
+                        };
+                        utterance.onerror = (e) => {
+                            options.signal.removeEventListener('abort', onAbort);
+                            // Cancelling reports 'interrupted'/'canceled', which isn't a failure
+                            if (e.error === 'interrupted' || e.error === 'canceled') {
+                                resolve();
+                            } else {
+                                reject(new Error(e.error || 'speech synthesis error'));
+                            }
+                        };
+
+                        window.speechSynthesis.speak(utterance);
+                    });
+                }
+            }
+        };
+    }
+
+    /**
+     * Provider backed by the configured /audio/speech endpoint (see LLMProvider)
+     */
+    createApiProvider() {
+        const voices = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+        return {
+            label: 'API (/audio/speech)',
+
+            isAvailable: () => typeof Audio !== 'undefined',
+
+            listVoices: async () => voices.map(voice => ({ id: voice, name: voice })),
+
+            speak: async (text, options) => {
+                // The endpoint takes speed but has no pitch control
+                const audioBlob = await llmProvider.speech(text, {
+                    apiKey: this.apiKey,
+                    // A browser voice may still be saved from the other provider
+                    voice: voices.includes(options.voice) ? options.voice : 'alloy',
+                    speed: Number(options.rate) || 1,
+                    signal: options.signal
+                });
+
+                const audioUrl = URL.createObjectURL(audioBlob);
+                const audio = new Audio(audioUrl);
+
+                try {
+                    await new Promise((resolve, reject) => {
+                        const onAbort = () => {
+                            audio.pause();
+                            resolve();
+                        };
+                        options.signal.addEventListener('abort', onAbort, { once: true });
+
+                        audio.onended = resolve;
+                        audio.onerror = () => reject(new Error(audio.error?.message || 'could not play speech audio'));
+                        audio.play().catch(reject);
+                    });
+                } finally {
+                    URL.revokeObjectURL(audioUrl);
+                }
+            }
+        };
+    }
+}
+
+// Create a global instance of the speech output
+const speechOutput = new SpeechOutput();
+
+// Make it globally available
+window.speechOutput = speechOutput;
@@ -0,0 +1,258 @@
+/**
+ * Speech Settings Panel for EchoLife
+ * Modal for the speech output provider, per-language voice, rate and pitch,
+ * the auto-speak mode, and the silence detection used by hands-free mode
+ */
+
+class SpeechSettingsPanel extends ModalPanel {
+    constructor(speech, voiceActivity) {
+        super();
+        this.speech = speech;
+        this.voiceActivity = voiceActivity;
+
+        // Languages with their own voice settings, in display order
+        this.languages = ['en-US', 'pt-BR'];
+        this.addLanguage(this.language);
+    }
+
+    handleLanguageChanged() {
+        this.addLanguage(this.language);
+    }
+
+    // Languages from packs get voice settings once they're used
+    addLanguage(language) {
+        if (!this.languages.includes(language)) {
+            this.languages.push(language);
+        }
+    }
+
+    /**
+     * Build the modal markup
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+
+        const modal = document.createElement('div');
+        modal.id = 'speechSettingsModal';
+        modal.className = 'llm-settings-modal speech-settings-modal';
+
+        const providerOptions = this.speech.getAvailableProviders()
+            .map(name => `<option value="${name}">${this.speech.getProvider(name).label}</option>`)
+            .join('');
+
+        const languageRows = this.languages.map(language => `
+            <fieldset class="llm-task-settings speech-voice-settings" data-language="${language}">
+                <legend>${t('language_name_' + language)}</legend>
+                <label>${t('tts_voice')}
+                    <select class="speech-voice"></select>
+                </label>
+                <label>${t('tts_rate')} <span class="speech-rate-value"></span>
+                    <input type="range" class="speech-rate" min="0.5" max="2" step="0.1">
+                </label>
+                <label>${t('tts_pitch')} <span class="speech-pitch-value"></span>
+                    <input type="range" class="speech-pitch" min="0" max="2" step="0.1">
+                </label>
+            </fieldset>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="llm-settings-content">
+                <h3>${t('tts_settings_title')}</h3>
+                <label>${t('tts_provider')}
+                    <select id="speechProvider">${providerOptions}</select>
+                </label>
+                <label class="llm-checkbox">
+                    <input type="checkbox" id="speechAutoSpeak"> ${t('tts_auto_speak')}
+                </label>
+                <p class="speech-settings-hint">${t('tts_auto_speak_hint')}</p>
+                <div class="llm-task-grid">${languageRows}</div>
+                <fieldset class="llm-task-settings hands-free-settings">
+                    <legend>${t('hands_free')}</legend>
+                    <label>${t('vad_silence_threshold')} <span id="vadThresholdValue"></span>
+                        <input type="range" id="vadThreshold" min="0.005" max="0.15" step="0.005">
+                    </label>
+                    <label>${t('vad_silence_duration')} <span id="vadDurationValue"></span>
+                        <input type="range" id="vadDuration" min="0.5" max="4" step="0.25">
+                    </label>
+                    <label class="llm-checkbox">
+                        <input type="checkbox" id="vadBargeIn"> ${t('vad_barge_in')}
+                    </label>
+                    <p class="speech-settings-hint">${t('vad_hint')}</p>
+                </fieldset>
+                <div id="speechTestResult" class="llm-test-result"></div>
+                <div class="llm-settings-buttons">
+                    <button id="speechTestBtn" class="llm-test-btn">${t('tts_test_voice')}</button>
+                    <button id="speechSaveBtn" class="llm-save-btn">${t('save')}</button>
+                    <button id="speechCancelBtn" class="llm-cancel-btn">${t('cancel')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('#speechSaveBtn').addEventListener('click', () => this.save());
+        modal.querySelector('#speechCancelBtn').addEventListener('click', () => this.close());
+        modal.querySelector('#speechTestBtn').addEventListener('click', () => this.testVoice());
+
+        // Each provider has its own voices
+        modal.querySelector('#speechProvider').addEventListener('change', (e) => {
+            this.populateVoices(e.target.value);
+        });
+
+        // Show slider values as they move
+        modal.querySelectorAll('input[type="range"]').forEach(slider => {
+            slider.addEventListener('input', () => this.updateSliderLabels());
+        });
+
+        return modal;
+    }
+
+    /**
+     * Fill the form from the current settings
+     */
+    populate() {
+        const settings = this.speech.getSettings();
+
+        this.modal.querySelector('#speechProvider').value = settings.provider;
+        this.modal.querySelector('#speechAutoSpeak').checked = settings.autoSpeak;
+        this.modal.querySelector('#speechTestResult').textContent = '';
+
+        this.modal.querySelectorAll('.speech-voice-settings').forEach(fieldset => {
+            const voiceSettings = this.speech.getVoiceSettings(fieldset.dataset.language);
+            fieldset.querySelector('.speech-rate').value = voiceSettings.rate;
+            fieldset.querySelector('.speech-pitch').value = voiceSettings.pitch;
+        });
+
+        const vadSettings = this.voiceActivity.getSettings();
+        this.modal.querySelector('#vadThreshold').value = vadSettings.silenceThreshold;
+        this.modal.querySelector('#vadDuration').value = vadSettings.silenceDuration / 1000;
+        this.modal.querySelector('#vadBargeIn').checked = vadSettings.bargeIn;
+
+        this.updateSliderLabels();
+        this.populateVoices(settings.provider);
+    }
+
+    /**
+     * Load each language's voice list for a provider
+     * @param {string} providerName - Provider id
+     */
+    async populateVoices(providerName) {
+        const provider = this.speech.getProvider(providerName);
+        const defaultLabel = getTranslation('tts_default_voice', this.language);
+
+        for (const fieldset of this.modal.querySelectorAll('.speech-voice-settings')) {
+            const language = fieldset.dataset.language;
+            const select = fieldset.querySelector('.speech-voice');
+            const saved = this.speech.getVoiceSettings(language).voice;
+
+            let voices = [];
+            try {
+                voices = await provider.listVoices(language);
+            } catch (e) {
+                console.warn(`Could not list voices for ${language}:`, e);
+            }
+
+            select.innerHTML = `<option value="">${defaultLabel}</option>`;
+            voices.forEach(voice => {
+                const option = document.createElement('option');
+                option.value = voice.id;
+                option.textContent = voice.name;
+                select.appendChild(option);
+            });
+            select.value = voices.some(voice => voice.id === saved) ? saved : '';
+
+            // The speech endpoint has no pitch control
+            fieldset.querySelector('.speech-pitch').disabled = providerName === 'api';
+        }
+    }
+
+    updateSliderLabels() {
+        this.modal.querySelectorAll('.speech-voice-settings').forEach(fieldset => {
+            fieldset.querySelector('.speech-rate-value').textContent = `${fieldset.querySelector('.speech-rate').value}x`;
+            fieldset.querySelector('.speech-pitch-value').textContent = fieldset.querySelector('.speech-pitch').value;
+        });
+
+        // Shown as a percentage, like the volume meter
+        this.modal.querySelector('#vadThresholdValue').textContent =
+            `${Math.round(this.modal.querySelector('#vadThreshold').value * 200)}%`;
+        this.modal.querySelector('#vadDurationValue').textContent = `${this.modal.querySelector('#vadDuration').value}s`;
+    }
+
+    /**
+     * Read the form into a settings object
+     * @returns {Object} - Settings changes for SpeechOutput.updateSettings
+     */
+    readForm() {
+        const changes = {
+            provider: this.modal.querySelector('#speechProvider').value,
+            autoSpeak: this.modal.querySelector('#speechAutoSpeak').checked,
+            voices: {}
+        };
+
+        this.modal.querySelectorAll('.speech-voice-settings').forEach(fieldset => {
+            changes.voices[fieldset.dataset.language] = {
+                voice: fieldset.querySelector('.speech-voice').value,
+                rate: parseFloat(fieldset.querySelector('.speech-rate').value),
+                pitch: parseFloat(fieldset.querySelector('.speech-pitch').value)
+            };
+        });
+
+        return changes;
+    }
+
+    save() {
+        this.speech.updateSettings(this.readForm());
+        this.voiceActivity.updateSettings({
+            silenceThreshold: parseFloat(this.modal.querySelector('#vadThreshold').value),
+            silenceDuration: Math.round(parseFloat(this.modal.querySelector('#vadDuration').value) * 1000),
+            bargeIn: this.modal.querySelector('#vadBargeIn').checked
+        });
+        this.close();
+    }
+
+    async testVoice() {
+        const resultElement = this.modal.querySelector('#speechTestResult');
+        const testButton = this.modal.querySelector('#speechTestBtn');
+
+        // Try the values in the form without saving them
+        const changes = this.readForm();
+
+        testButton.disabled = true;
+        resultElement.textContent = '';
+        resultElement.className = 'llm-test-result';
+
+        try {
+            await this.speech.speak(getTranslation('tts_test_phrase', this.language), {
+                language: this.language,
+                provider: changes.provider,
+                voiceSettings: changes.voices[this.language]
+            });
+        } catch (e) {
+            resultElement.textContent = e.message;
+            resultElement.classList.add('error');
+        } finally {
+            testButton.disabled = false;
+        }
+    }
+
+    open() {
+        this.ensureModal();
+        this.populate();
+        this.showModal();
+    }
+
+    close() {
+        this.speech.stop();
+        super.close();
+    }
+}
+
+// Initialize the settings panel when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.speechSettingsPanel = new SpeechSettingsPanel(speechOutput, voiceActivity);
+
+    document.getElementById('speechSettingsButton')?.addEventListener('click', () => {
+        window.speechSettingsPanel.open();
+    });
+});
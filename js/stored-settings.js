@@ -0,0 +1,42 @@
+/**
+ * Stored Settings for EchoLife
+ * Loading and saving the settings objects the services keep in localStorage.
+ * Each service still decides which saved values are valid.
+ */
+
+/**
+ * Load settings from localStorage, merged over the defaults
+ * @param {string} storageKey - localStorage key
+ * @param {Object} defaults - Default settings (copied, never changed)
+ * @param {Function} merge - merge(settings, saved) copies the valid saved values onto settings
+ * @returns {Object} - Settings
+ */
+function loadStoredSettings(storageKey, defaults, merge) {
+    const settings = JSON.parse(JSON.stringify(defaults));
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(storageKey) || 'null');
+        if (saved) {
+            merge(settings, saved);
+        }
+    } catch (e) {
+        console.warn(`Could not load ${storageKey}, using defaults:`, e);
+    }
+
+    return settings;
+}
+
+/**
+ * Persist settings and tell the app they changed
+ * @param {string} storageKey - localStorage key
+ * @param {Object} settings - Settings to store
+ * @param {string} eventName - Window event to dispatch, if any
+ * @param {Object} detail - Event detail
+ */
+function saveStoredSettings(storageKey, settings, eventName = null, detail = {}) {
+    localStorage.setItem(storageKey, JSON.stringify(settings));
+
+    if (eventName) {
+        window.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+}
@@ -0,0 +1,667 @@
+/**
+ * Subtitle Editor Module for EchoLife
+ * Lets users fix subtitle cues against a waveform of the decoded audio:
+ * - drag cue boundaries and the boundaries between words on the timeline
+ * - split and merge cues, and correct their text
+ * - export the edited cues as SRT or WebVTT
+ *
+ * Every cue keeps its words with their timings, so splits land between words
+ * and edits can be saved back to the session (see the subtitlesEdited event).
+ */
+
+class SubtitleEditor extends ModalPanel {
+    constructor() {
+        super();
+        this.cues = [];               // [{ startTime, endTime, text, speaker, words: [{ word, start, end }] }]
+        this.selected = -1;
+        this.dirty = false;
+        this.drag = null;             // { type: 'start'|'end'|'word', index, word } while dragging
+        this.stopAt = null;           // Time playback of a single cue stops at
+        this.audioUrl = null;
+        this.audioBlob = null;
+        this.peaks = null;            // Loudest sample per 1/peaksPerSecond of audio
+        this.duration = 0;
+
+        this.peaksPerSecond = 200;
+        this.zoomLevels = [10, 25, 50, 100, 200]; // Pixels per second
+        this.zoom = 50;
+        this.minCueDuration = 0.2;    // Seconds
+        this.minWordDuration = 0.05;
+
+        window.addEventListener('resize', () => {
+            if (this.isOpen()) this.drawWaveform();
+        });
+
+        // Drags continue outside the timeline
+        window.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        window.addEventListener('pointerup', () => this.handlePointerUp());
+    }
+
+    isOpen() {
+        return !!this.modal && this.modal.style.display === 'flex';
+    }
+
+    // Edits in progress keep the modal they are made in
+    canRebuild() {
+        return !this.isOpen();
+    }
+
+    /**
+     * Build the editor modal (reuses the video export modal styles)
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+
+        const modal = document.createElement('div');
+        modal.id = 'subtitleEditorModal';
+        modal.className = 'video-export-modal';
+        modal.innerHTML = `
+            <div class="video-export-content subtitle-editor-content">
+                <h3>${t('subtitle_editor_title')}</h3>
+                <audio class="subtitle-editor-audio" controls></audio>
+                <div class="subtitle-editor-toolbar">
+                    <label>${t('subtitle_editor_zoom')}
+                        <input type="range" class="subtitle-editor-zoom" min="0" max="${this.zoomLevels.length - 1}" step="1">
+                    </label>
+                    <span class="subtitle-editor-hint">${t('subtitle_editor_hint')}</span>
+                </div>
+                <div class="subtitle-editor-timeline">
+                    <canvas class="subtitle-editor-waveform"></canvas>
+                    <div class="subtitle-editor-track">
+                        <div class="subtitle-editor-playhead"></div>
+                    </div>
+                </div>
+                <div class="subtitle-editor-cues"></div>
+                <div class="video-export-buttons">
+                    <button class="generate-video-btn subtitle-editor-save">${t('subtitle_editor_save')}</button>
+                    <button class="cancel-video-btn subtitle-editor-srt">SRT</button>
+                    <button class="cancel-video-btn subtitle-editor-vtt">VTT</button>
+                    <button class="cancel-video-btn subtitle-editor-cancel">${t('cancel')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        this.audio = modal.querySelector('.subtitle-editor-audio');
+        this.timeline = modal.querySelector('.subtitle-editor-timeline');
+        this.canvas = modal.querySelector('.subtitle-editor-waveform');
+        this.track = modal.querySelector('.subtitle-editor-track');
+        this.playhead = modal.querySelector('.subtitle-editor-playhead');
+        this.cueList = modal.querySelector('.subtitle-editor-cues');
+
+        const zoom = modal.querySelector('.subtitle-editor-zoom');
+        zoom.value = this.zoomLevels.indexOf(this.zoom);
+        zoom.addEventListener('input', () => this.setZoom(this.zoomLevels[zoom.value]));
+
+        // Only the visible part of the waveform is drawn
+        let scrollFrame = null;
+        this.timeline.addEventListener('scroll', () => {
+            if (scrollFrame) return;
+            scrollFrame = requestAnimationFrame(() => {
+                scrollFrame = null;
+                this.drawWaveform();
+            });
+        });
+
+        this.track.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+
+        this.audio.addEventListener('timeupdate', () => this.handleTimeUpdate());
+
+        modal.querySelector('.subtitle-editor-save').addEventListener('click', () => this.save());
+        modal.querySelector('.subtitle-editor-srt').addEventListener('click', () => this.exportCues('srt'));
+        modal.querySelector('.subtitle-editor-vtt').addEventListener('click', () => this.exportCues('vtt'));
+        modal.querySelector('.subtitle-editor-cancel').addEventListener('click', () => this.close());
+
+        return modal;
+    }
+
+    /**
+     * Open the editor for a recording
+     * @param {Blob|null} audioBlob - The recording; without it the timeline has no waveform
+     * @param {Array} subtitles - Subtitle segments ({ startTime, endTime, text, speaker })
+     * @param {Array} words - Word timestamps ({ word, start, end }); estimated from the cues when empty
+     */
+    open(audioBlob, subtitles, words = []) {
+        this.ensureModal();
+
+        this.cues = this.buildCues(subtitles, words);
+        this.selected = -1;
+        this.dirty = false;
+        this.peaks = null;
+        this.duration = Math.max(0, ...this.cues.map(cue => cue.endTime));
+
+        if (this.audioUrl) URL.revokeObjectURL(this.audioUrl);
+        this.audioBlob = audioBlob;
+        this.audioUrl = audioBlob ? URL.createObjectURL(audioBlob) : null;
+        this.audio.style.display = audioBlob ? 'block' : 'none';
+        if (this.audioUrl) {
+            this.audio.src = this.audioUrl;
+        } else {
+            this.audio.removeAttribute('src');
+        }
+
+        this.showModal();
+        this.timeline.scrollLeft = 0;
+        this.render();
+
+        if (audioBlob) {
+            this.loadWaveform(audioBlob).catch(error => console.warn('[SUBTITLE-EDITOR] Could not decode audio for the waveform:', error));
+        }
+    }
+
+    close() {
+        if (this.dirty && !confirm(getTranslation('subtitle_editor_discard', this.language))) {
+            return;
+        }
+
+        this.audio.pause();
+        super.close();
+        if (this.audioUrl) {
+            URL.revokeObjectURL(this.audioUrl);
+            this.audioUrl = null;
+        }
+    }
+
+    /**
+     * Copy subtitles into editable cues, each holding the words said during it
+     * @param {Array} subtitles - Subtitle segments
+     * @param {Array} words - Word timestamps for the whole recording
+     * @returns {Array<Object>} - Cues
+     */
+    buildCues(subtitles, words) {
+        const source = words && words.length > 0 ? words : tagExtractor.estimateWordTimestamps(subtitles);
+
+        return subtitles.map((subtitle, i) => {
+            const isLast = i === subtitles.length - 1;
+            const cue = {
+                startTime: subtitle.startTime,
+                endTime: subtitle.endTime,
+                text: subtitle.text,
+                speaker: subtitle.speaker,
+                words: source
+                    .filter(word => {
+                        const middle = (word.start + word.end) / 2;
+                        return middle >= subtitle.startTime && (middle < subtitle.endTime || (isLast && middle <= subtitle.endTime));
+                    })
+                    .map(word => ({ ...word, word: word.word.trim() }))
+            };
+
+            this.syncWords(cue, subtitle.text);
+            return cue;
+        });
+    }
+
+    /**
+     * Make a cue's words match its (corrected) text. Renamed words keep their
+     * timing; when the number of words changes they are spread over the cue.
+     * @param {Object} cue - Cue to update
+     * @param {string} text - New text
+     */
+    syncWords(cue, text) {
+        const tokens = text.split(/\s+/).filter(Boolean);
+
+        if (tokens.length === cue.words.length) {
+            cue.words.forEach((word, i) => {
+                word.word = tokens[i];
+            });
+        } else {
+            const length = (cue.endTime - cue.startTime) / (tokens.length || 1);
+            cue.words = tokens.map((token, i) => ({
+                word: token,
+                start: cue.startTime + i * length,
+                end: cue.startTime + (i + 1) * length,
+                ...(cue.speaker ? { speaker: cue.speaker } : {})
+            }));
+        }
+
+        cue.text = tokens.join(' ');
+    }
+
+    // Keep a cue's words inside it, stretching them when a boundary moved into them
+    fitWords(cue) {
+        if (cue.words.length === 0) return;
+
+        const first = cue.words[0].start;
+        const last = cue.words[cue.words.length - 1].end;
+        if (first >= cue.startTime && last <= cue.endTime) return;
+
+        const scale = (cue.endTime - cue.startTime) / Math.max(last - first, 0.001);
+        cue.words.forEach(word => {
+            word.start = cue.startTime + (word.start - first) * scale;
+            word.end = cue.startTime + (word.end - first) * scale;
+        });
+    }
+
+    /**
+     * Decode the audio and keep the loudest sample of each short slice
+     * @param {Blob} audioBlob - The recording
+     */
+    async loadWaveform(audioBlob) {
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            const buffer = await audioContext.decodeAudioData(await audioBlob.arrayBuffer());
+            if (audioBlob !== this.audioBlob) return; // Another recording was opened meanwhile
+
+            const samples = buffer.getChannelData(0);
+            const sliceLength = Math.max(1, Math.floor(buffer.sampleRate / this.peaksPerSecond));
+            const peaks = new Float32Array(Math.ceil(samples.length / sliceLength));
+            let loudest = 0.01;
+
+            for (let i = 0; i < peaks.length; i++) {
+                let peak = 0;
+                const end = Math.min(samples.length, (i + 1) * sliceLength);
+                for (let j = i * sliceLength; j < end; j++) {
+                    peak = Math.max(peak, Math.abs(samples[j]));
+                }
+                peaks[i] = peak;
+                loudest = Math.max(loudest, peak);
+            }
+
+            this.peaks = peaks.map(peak => peak / loudest);
+            this.duration = Math.max(this.duration, buffer.duration);
+            this.renderTimeline();
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    setZoom(zoom) {
+        // Keep the time at the centre of the view where it was
+        const center = (this.timeline.scrollLeft + this.timeline.clientWidth / 2) / this.zoom;
+        this.zoom = zoom;
+        this.renderTimeline();
+        this.timeline.scrollLeft = center * this.zoom - this.timeline.clientWidth / 2;
+    }
+
+    render() {
+        this.renderTimeline();
+        this.renderCueList();
+    }
+
+    // Cue regions with their boundary handles and word boundaries
+    renderTimeline() {
+        this.track.style.width = `${Math.max(this.duration, 1) * this.zoom}px`;
+        this.track.querySelectorAll('.subtitle-editor-region').forEach(region => region.remove());
+
+        this.cues.forEach((cue, index) => {
+            const region = document.createElement('div');
+            region.className = 'subtitle-editor-region' + (index === this.selected ? ' selected' : '');
+            region.dataset.index = index;
+            region.style.left = `${cue.startTime * this.zoom}px`;
+            region.style.width = `${(cue.endTime - cue.startTime) * this.zoom}px`;
+            region.title = cue.text;
+
+            const label = document.createElement('span');
+            label.className = 'subtitle-editor-region-label';
+            label.textContent = cue.text;
+            region.appendChild(label);
+
+            cue.words.slice(1).forEach((word, i) => {
+                const boundary = document.createElement('div');
+                boundary.className = 'subtitle-editor-word-boundary';
+                boundary.dataset.word = i + 1;
+                boundary.style.left = `${(word.start - cue.startTime) * this.zoom}px`;
+                boundary.title = `${cue.words[i].word} | ${word.word}`;
+                region.appendChild(boundary);
+            });
+
+            ['start', 'end'].forEach(edge => {
+                const handle = document.createElement('div');
+                handle.className = `subtitle-editor-handle ${edge}`;
+                handle.dataset.edge = edge;
+                region.appendChild(handle);
+            });
+
+            this.track.insertBefore(region, this.playhead);
+        });
+
+        this.drawWaveform();
+    }
+
+    drawWaveform() {
+        const width = this.timeline.clientWidth;
+        const height = this.timeline.clientHeight;
+        const ratio = window.devicePixelRatio || 1;
+
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        const context = this.canvas.getContext('2d');
+        context.scale(ratio, ratio);
+        context.clearRect(0, 0, width, height);
+
+        if (!this.peaks) return;
+
+        const scrollLeft = this.timeline.scrollLeft;
+        const peaksPerPixel = this.peaksPerSecond / this.zoom;
+        const middle = height / 2;
+
+        context.fillStyle = '#9bb7d4';
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor((scrollLeft + x) * peaksPerPixel);
+            const to = Math.max(from + 1, Math.floor((scrollLeft + x + 1) * peaksPerPixel));
+            if (from >= this.peaks.length) break;
+
+            let peak = 0;
+            for (let i = from; i < Math.min(to, this.peaks.length); i++) {
+                peak = Math.max(peak, this.peaks[i]);
+            }
+            const barHeight = Math.max(1, peak * (height - 10));
+            context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+        }
+    }
+
+    renderCueList() {
+        const t = (key) => getTranslation(key, this.language);
+        this.cueList.innerHTML = '';
+
+        this.cues.forEach((cue, index) => {
+            const row = document.createElement('div');
+            row.className = 'subtitle-editor-cue' + (index === this.selected ? ' selected' : '');
+            row.dataset.index = index;
+
+            const play = this.createButton('fa-play', t('subtitle_editor_play'), () => this.playCue(index));
+
+            const time = document.createElement('span');
+            time.className = 'subtitle-editor-time';
+            time.textContent = `${this.formatTime(cue.startTime)} – ${this.formatTime(cue.endTime)}`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'subtitle-editor-text';
+            input.value = cue.text;
+            input.addEventListener('focus', () => this.select(index, false));
+            input.addEventListener('change', () => this.updateText(index, input.value));
+
+            const split = this.createButton('fa-cut', t('subtitle_editor_split'), () => this.splitAtCaret(index, input));
+            const merge = this.createButton('fa-compress-alt', t('subtitle_editor_merge'), () => this.mergeCue(index));
+            merge.disabled = index === this.cues.length - 1;
+
+            row.append(play, time, input, split, merge);
+            this.cueList.appendChild(row);
+        });
+    }
+
+    createButton(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'subtitle-editor-button';
+        button.title = title;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Select a cue in both the timeline and the list
+     * @param {number} index - Cue index
+     * @param {boolean} scrollList - Whether to bring the cue's row into view
+     */
+    select(index, scrollList = true) {
+        this.selected = index;
+
+        this.track.querySelectorAll('.subtitle-editor-region').forEach(region => {
+            region.classList.toggle('selected', Number(region.dataset.index) === index);
+        });
+        this.cueList.querySelectorAll('.subtitle-editor-cue').forEach(row => {
+            row.classList.toggle('selected', Number(row.dataset.index) === index);
+        });
+
+        const cue = this.cues[index];
+        if (cue) {
+            const left = cue.startTime * this.zoom;
+            if (left < this.timeline.scrollLeft || left > this.timeline.scrollLeft + this.timeline.clientWidth - 40) {
+                this.timeline.scrollLeft = left - 40;
+            }
+        }
+        if (scrollList) {
+            const row = this.cueList.querySelector(`.subtitle-editor-cue[data-index="${index}"]`);
+            if (row) row.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Seconds at a pointer position on the track
+    timeAt(e) {
+        return Math.max(0, (e.clientX - this.track.getBoundingClientRect().left) / this.zoom);
+    }
+
+    handlePointerDown(e) {
+        const region = e.target.closest('.subtitle-editor-region');
+        const index = region ? Number(region.dataset.index) : -1;
+
+        if (e.target.dataset.edge) {
+            this.drag = { type: e.target.dataset.edge, index };
+        } else if (e.target.dataset.word) {
+            this.drag = { type: 'word', index, word: Number(e.target.dataset.word) };
+        } else if (this.audioUrl) {
+            this.audio.currentTime = this.timeAt(e);
+        }
+
+        if (index >= 0) this.select(index);
+        if (this.drag) e.preventDefault();
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const time = this.timeAt(e);
+        if (this.drag.type === 'word') {
+            this.setWordBoundary(this.drag.index, this.drag.word, time);
+        } else {
+            this.setCueBoundary(this.drag.index, this.drag.type, time);
+        }
+        this.renderTimeline();
+    }
+
+    handlePointerUp() {
+        if (!this.drag) return;
+
+        const index = this.drag.index;
+        this.drag = null;
+        this.renderCueList();
+        this.select(index, false);
+    }
+
+    /**
+     * Move the start or end of a cue, without crossing its neighbours
+     * @param {number} index - Cue index
+     * @param {string} edge - 'start' or 'end'
+     * @param {number} time - New time in seconds
+     */
+    setCueBoundary(index, edge, time) {
+        const cue = this.cues[index];
+        const previous = this.cues[index - 1];
+        const next = this.cues[index + 1];
+
+        if (edge === 'start') {
+            const min = previous ? Math.min(previous.endTime, cue.startTime) : 0;
+            cue.startTime = Math.max(min, Math.min(time, cue.endTime - this.minCueDuration));
+        } else {
+            const max = next ? Math.max(next.startTime, cue.endTime) : Math.max(this.duration, cue.endTime);
+            cue.endTime = Math.min(max, Math.max(time, cue.startTime + this.minCueDuration));
+        }
+
+        this.fitWords(cue);
+        this.dirty = true;
+    }
+
+    /**
+     * Move the boundary between a word and the one before it
+     * @param {number} index - Cue index
+     * @param {number} wordIndex - Index of the word after the boundary
+     * @param {number} time - New time in seconds
+     */
+    setWordBoundary(index, wordIndex, time) {
+        const words = this.cues[index].words;
+        const before = words[wordIndex - 1];
+        const after = words[wordIndex];
+
+        const boundary = Math.max(before.start + this.minWordDuration, Math.min(time, after.end - this.minWordDuration));
+        before.end = boundary;
+        after.start = boundary;
+        this.dirty = true;
+    }
+
+    updateText(index, text) {
+        const cue = this.cues[index];
+
+        // Clearing a cue's text removes the cue
+        if (!text.trim()) {
+            this.cues.splice(index, 1);
+            this.selected = -1;
+        } else {
+            this.syncWords(cue, text);
+        }
+
+        this.dirty = true;
+        this.render();
+    }
+
+    /**
+     * Split a cue where the caret is in its text: the word the caret is in
+     * starts the new cue. Without a caret inside the text, split at the playhead
+     * when it is inside the cue, otherwise in the middle.
+     * @param {number} index - Cue index
+     * @param {HTMLInputElement} input - The cue's text input
+     */
+    splitAtCaret(index, input) {
+        const cue = this.cues[index];
+        const caret = input.selectionStart || 0;
+        const before = input.value.slice(0, caret);
+        let wordIndex = before.split(/\s+/).filter(Boolean).length;
+        if (/\S$/.test(before) && /^\S/.test(input.value.slice(caret))) {
+            wordIndex--;
+        }
+
+        if (wordIndex <= 0 || wordIndex >= cue.words.length) {
+            const time = this.audio.currentTime;
+            const atPlayhead = cue.words.findIndex(word => word.start >= time);
+            wordIndex = time > cue.startTime && atPlayhead > 0 ? atPlayhead : Math.floor(cue.words.length / 2);
+        }
+
+        this.splitCue(index, wordIndex);
+    }
+
+    /**
+     * Split a cue in two before one of its words
+     * @param {number} index - Cue index
+     * @param {number} wordIndex - First word of the second cue
+     */
+    splitCue(index, wordIndex) {
+        const cue = this.cues[index];
+        if (wordIndex <= 0 || wordIndex >= cue.words.length) return;
+
+        const firstWords = cue.words.slice(0, wordIndex);
+        const secondWords = cue.words.slice(wordIndex);
+        const second = {
+            startTime: secondWords[0].start,
+            endTime: cue.endTime,
+            text: secondWords.map(word => word.word).join(' '),
+            speaker: cue.speaker,
+            words: secondWords
+        };
+
+        cue.endTime = firstWords[firstWords.length - 1].end;
+        cue.text = firstWords.map(word => word.word).join(' ');
+        cue.words = firstWords;
+
+        this.cues.splice(index + 1, 0, second);
+        this.dirty = true;
+        this.render();
+        this.select(index + 1);
+    }
+
+    // Merge a cue with the next one
+    mergeCue(index) {
+        const cue = this.cues[index];
+        const next = this.cues[index + 1];
+        if (!next) return;
+
+        cue.endTime = next.endTime;
+        cue.words = cue.words.concat(next.words);
+        cue.text = `${cue.text} ${next.text}`;
+
+        this.cues.splice(index + 1, 1);
+        this.dirty = true;
+        this.render();
+        this.select(index);
+    }
+
+    playCue(index) {
+        if (!this.audioUrl) return;
+
+        const cue = this.cues[index];
+        this.select(index, false);
+        this.stopAt = cue.endTime;
+        this.audio.currentTime = cue.startTime;
+        this.audio.play().catch(error => console.warn('[SUBTITLE-EDITOR] Could not play the cue:', error));
+    }
+
+    handleTimeUpdate() {
+        const time = this.audio.currentTime;
+        this.playhead.style.left = `${time * this.zoom}px`;
+
+        if (this.stopAt !== null && time >= this.stopAt) {
+            this.audio.pause();
+            this.stopAt = null;
+        }
+    }
+
+    /**
+     * Cues in the shape the app stores subtitles in, and their words
+     * @returns {Object} - { subtitles, words }
+     */
+    getResult() {
+        const subtitles = this.cues.map(cue => {
+            // Edited text is broken into lines again with the subtitle rules
+            const text = window.subtitleSegmenter ? subtitleSegmenter.formatLines(cue.text) : cue.text;
+            const subtitle = { startTime: cue.startTime, endTime: cue.endTime, text };
+            if (cue.speaker) {
+                subtitle.speaker = cue.speaker;
+            }
+            return subtitle;
+        });
+        const words = this.cues.flatMap(cue => cue.words.map(word => ({ ...word })));
+
+        return { subtitles, words };
+    }
+
+    // Hand the edits to the app and the session they belong to
+    save() {
+        const result = this.getResult();
+        console.log(`[SUBTITLE-EDITOR] Saving ${result.subtitles.length} cues`);
+
+        window.dispatchEvent(new CustomEvent('subtitlesEdited', {
+            detail: result
+        }));
+
+        this.dirty = false;
+        this.close();
+    }
+
+    /**
+     * Export the cues as they are now, through the transcript exporter's formats
+     * @param {string} format - 'srt' or 'vtt'
+     */
+    async exportCues(format) {
+        try {
+            await transcriptExporter.exportAndSave(format, this.getResult());
+        } catch (error) {
+            console.error(`[SUBTITLE-EDITOR] Error exporting ${format}:`, error);
+            alert('Error: ' + error.message);
+        }
+    }
+
+    // 1:02.345 for the cue list
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remaining = (seconds % 60).toFixed(3).padStart(6, '0');
+        return `${minutes}:${remaining}`;
+    }
+}
+
+// Create a global instance of the subtitle editor
+const subtitleEditor = new SubtitleEditor();
+
+// Make it globally available
+window.subtitleEditor = subtitleEditor;
@@ -0,0 +1,287 @@
+/**
+ * Subtitle Segmenter Module for EchoLife
+ * Groups timed words into subtitle cues following broadcast-style rules:
+ * - cues break at sentence ends, speaker changes and pauses between words
+ * - text is capped in characters per line and lines per cue; when a cue is
+ *   full it is broken after a clause (comma etc.) where possible
+ * - cues last between a minimum and maximum duration and are held longer,
+ *   when the next cue leaves room, so they can be read at the target speed
+ *
+ * Rules come from a preset (Netflix-style, YouTube, social captions) or a
+ * custom set, stored in localStorage.
+ */
+
+class SubtitleSegmenter {
+    constructor() {
+        this.storageKey = 'echolife_subtitle_settings';
+        this.estimatedWordsPerSecond = 3; // Timing for text without word timestamps
+
+        // Durations in seconds, reading speed in characters per second
+        this.presets = {
+            netflix: { maxCharsPerLine: 42, maxLines: 2, minDuration: 0.833, maxDuration: 7, maxCharsPerSecond: 17, pauseThreshold: 0.6, minGap: 0.083 },
+            youtube: { maxCharsPerLine: 42, maxLines: 2, minDuration: 1, maxDuration: 6, maxCharsPerSecond: 21, pauseThreshold: 0.8, minGap: 0 },
+            social: { maxCharsPerLine: 20, maxLines: 1, minDuration: 0.4, maxDuration: 2.5, maxCharsPerSecond: 25, pauseThreshold: 0.4, minGap: 0 }
+        };
+
+        this.defaults = {
+            preset: 'netflix',
+            custom: { ...this.presets.netflix } // Rules used with the 'custom' preset
+        };
+
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Load settings from localStorage, merged over the defaults
+     * @returns {Object} - Subtitle settings
+     */
+    loadSettings() {
+        return loadStoredSettings(this.storageKey, this.defaults, (settings, saved) => {
+            if (saved.preset === 'custom' || this.presets[saved.preset]) {
+                settings.preset = saved.preset;
+            }
+            Object.keys(settings.custom).forEach(key => {
+                if (typeof (saved.custom || {})[key] === 'number') {
+                    settings.custom[key] = saved.custom[key];
+                }
+            });
+        });
+    }
+
+    /**
+     * Update and persist settings
+     * @param {Object} changes - Partial settings ({ preset, custom: { maxCharsPerLine, ... } })
+     */
+    updateSettings(changes = {}) {
+        if (changes.preset === 'custom' || this.presets[changes.preset]) {
+            this.settings.preset = changes.preset;
+        }
+        Object.keys(this.settings.custom).forEach(key => {
+            if (typeof (changes.custom || {})[key] === 'number' && !isNaN(changes.custom[key])) {
+                this.settings.custom[key] = changes.custom[key];
+            }
+        });
+
+        saveStoredSettings(this.storageKey, this.settings, 'subtitleSettingsChanged', {
+            settings: this.getSettings(),
+            rules: this.getRules()
+        });
+    }
+
+    getSettings() {
+        return { preset: this.settings.preset, custom: { ...this.settings.custom } };
+    }
+
+    /**
+     * Rules in effect: the selected preset, or the custom rules
+     * @param {string} preset - Preset to get instead of the selected one
+     * @returns {Object} - Segmentation rules
+     */
+    getRules(preset = this.settings.preset) {
+        return { ...(this.presets[preset] || this.settings.custom) };
+    }
+
+    /**
+     * Group words into subtitle cues
+     * @param {Array} words - Word objects ({ word, start, end, speaker })
+     * @param {string|null} text - Transcript the words came from, to restore their punctuation
+     * @param {Object} rules - Segmentation rules
+     * @returns {Array} - Subtitle segments ({ startTime, endTime, text, speaker }); lines are separated by \n
+     */
+    segment(words, text = null, rules = this.getRules()) {
+        if (!words || words.length === 0) return [];
+
+        const tokens = this.alignPunctuation(words, text);
+        const groups = [];
+        let current = [];
+
+        tokens.forEach(token => {
+            let reason = current.length > 0 ? this.getBreak(current, token, rules) : null;
+
+            // A full cue is cut after its last clause in the second half, so the rest carries over
+            while (reason) {
+                const clauseEnd = reason === 'limit' ? this.findClauseEnd(current) : -1;
+                if (clauseEnd >= 0) {
+                    groups.push(current.slice(0, clauseEnd + 1));
+                    current = current.slice(clauseEnd + 1);
+                    reason = this.getBreak(current, token, rules);
+                } else {
+                    groups.push(current);
+                    current = [];
+                    reason = null;
+                }
+            }
+
+            current.push(token);
+        });
+        if (current.length > 0) groups.push(current);
+
+        const segments = groups.map(group => {
+            const segment = {
+                startTime: group[0].start,
+                endTime: group[group.length - 1].end,
+                text: this.layoutLines(group.map(token => token.text), rules).join('\n')
+            };
+            if (group[0].speaker) {
+                segment.speaker = group[0].speaker;
+            }
+            return segment;
+        });
+
+        this.adjustTiming(segments, rules);
+        return segments;
+    }
+
+    /**
+     * Segment text that has no word timestamps, timing words at a steady speaking rate
+     * @param {string} text - Transcript
+     * @param {Object} rules - Segmentation rules
+     * @returns {Array} - Subtitle segments
+     */
+    segmentText(text, rules = this.getRules()) {
+        const length = 1 / this.estimatedWordsPerSecond;
+        const words = (text || '').split(/\s+/).filter(Boolean).map((word, i) => ({
+            word,
+            start: i * length,
+            end: (i + 1) * length
+        }));
+
+        return this.segment(words, text, rules);
+    }
+
+    /**
+     * Why a cue has to end before a word
+     * @param {Array} current - Tokens in the cue so far (not empty)
+     * @param {Object} token - Next token
+     * @param {Object} rules - Segmentation rules
+     * @returns {string|null} - 'natural' (sentence, speaker, pause), 'limit' (too long) or null
+     */
+    getBreak(current, token, rules) {
+        if (current.length === 0) return null;
+
+        const first = current[0];
+        const last = current[current.length - 1];
+
+        if (token.speaker !== last.speaker) return 'natural';
+        if (token.start - last.end >= rules.pauseThreshold) return 'natural';
+        if (/[.!?…]["'”»)]*$/.test(last.text)) return 'natural';
+
+        if (token.end - first.start > rules.maxDuration) return 'limit';
+        if (!this.layoutLines(current.map(item => item.text).concat(token.text), rules, true)) return 'limit';
+
+        return null;
+    }
+
+    // Last token ending a clause in the second half of a cue, or -1
+    findClauseEnd(current) {
+        for (let i = current.length - 2; i >= Math.floor((current.length - 1) / 2); i--) {
+            if (/[,;:—–]["'”»)]*$/.test(current[i].text)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Break a cue's words into lines. Two-line cues are balanced, breaking
+     * after punctuation when the lines come out about as even.
+     * @param {Array<string>} words - Words of the cue
+     * @param {Object} rules - { maxCharsPerLine, maxLines }
+     * @param {boolean} strict - Return null instead of extra lines when the words don't fit
+     * @returns {Array<string>|null} - Lines
+     */
+    layoutLines(words, rules, strict = false) {
+        const text = words.join(' ');
+        if (text.length <= rules.maxCharsPerLine || words.length === 1) return [text];
+
+        if (rules.maxLines === 2) {
+            let best = null;
+            let bestScore = Infinity;
+            for (let i = 1; i < words.length; i++) {
+                const top = words.slice(0, i).join(' ');
+                const bottom = words.slice(i).join(' ');
+                if (top.length > rules.maxCharsPerLine || bottom.length > rules.maxCharsPerLine) continue;
+
+                const score = Math.abs(top.length - bottom.length) - (/[,;:.!?]$/.test(words[i - 1]) ? 8 : 0);
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = [top, bottom];
+                }
+            }
+            if (best) return best;
+        }
+
+        // Fill lines one after another
+        const lines = [];
+        words.forEach(word => {
+            const line = lines.length > 0 ? lines[lines.length - 1] : null;
+            if (line !== null && line.length + 1 + word.length <= rules.maxCharsPerLine) {
+                lines[lines.length - 1] = `${line} ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+
+        return strict && lines.length > rules.maxLines ? null : lines;
+    }
+
+    /**
+     * Re-break edited cue text into lines with the current rules
+     * @param {string} text - Cue text
+     * @returns {string} - Text with lines separated by \n
+     */
+    formatLines(text) {
+        return this.layoutLines(text.split(/\s+/).filter(Boolean), this.getRules()).join('\n');
+    }
+
+    /**
+     * Hold cues long enough to be read (at least minDuration, and the reading
+     * speed), without running into the next cue or past maxDuration
+     * @param {Array} segments - Segments in order, changed in place
+     * @param {Object} rules - Segmentation rules
+     */
+    adjustTiming(segments, rules) {
+        segments.forEach((segment, i) => {
+            const next = segments[i + 1];
+            const characters = segment.text.replace(/\n/g, ' ').length;
+            const wanted = Math.min(rules.maxDuration, Math.max(rules.minDuration, characters / rules.maxCharsPerSecond));
+            const limit = next ? next.startTime - rules.minGap : Infinity;
+
+            segment.endTime = Math.max(segment.endTime, Math.min(segment.startTime + wanted, limit));
+        });
+    }
+
+    /**
+     * Take punctuation from the transcript: Whisper's word timestamps come
+     * without it, but punctuation is where cues should break
+     * @param {Array} words - Word objects ({ word, start, end, speaker })
+     * @param {string|null} text - Transcript
+     * @returns {Array<Object>} - Tokens ({ text, start, end, speaker })
+     */
+    alignPunctuation(words, text) {
+        const source = (text || '').split(/\s+/).filter(Boolean);
+        const normalize = value => value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        let position = 0;
+
+        return words.map(word => {
+            const raw = word.word.trim();
+            const key = normalize(raw);
+            let display = raw;
+
+            // Look a few tokens ahead, so a word Whisper split differently doesn't derail the rest
+            for (let i = position; i < Math.min(source.length, position + 6); i++) {
+                if (key && normalize(source[i]) === key) {
+                    display = source[i];
+                    position = i + 1;
+                    break;
+                }
+            }
+
+            return { text: display, start: word.start, end: word.end, speaker: word.speaker };
+        });
+    }
+}
+
+// Create a global instance of the subtitle segmenter
+const subtitleSegmenter = new SubtitleSegmenter();
+
+// Make it globally available
+window.subtitleSegmenter = subtitleSegmenter;
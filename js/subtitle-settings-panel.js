@@ -0,0 +1,140 @@
+/**
+ * Subtitle Settings Panel for EchoLife
+ * Modal for the subtitle segmentation rules: a preset (Netflix-style,
+ * YouTube, social captions) or custom line length, lines per cue, cue
+ * duration, reading speed and pause break
+ */
+
+class SubtitleSettingsPanel extends ModalPanel {
+    constructor(segmenter) {
+        super();
+        this.segmenter = segmenter;
+
+        // Rule inputs in display order, with their range and step
+        this.fields = [
+            { key: 'maxCharsPerLine', min: 10, max: 80, step: 1 },
+            { key: 'maxLines', min: 1, max: 3, step: 1 },
+            { key: 'minDuration', min: 0.2, max: 5, step: 0.1 },
+            { key: 'maxDuration', min: 1, max: 15, step: 0.5 },
+            { key: 'maxCharsPerSecond', min: 5, max: 40, step: 1 },
+            { key: 'pauseThreshold', min: 0.1, max: 3, step: 0.1 },
+            { key: 'minGap', min: 0, max: 0.5, step: 0.01 }
+        ];
+    }
+
+    /**
+     * Build the modal markup
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+
+        const modal = document.createElement('div');
+        modal.id = 'subtitleSettingsModal';
+        modal.className = 'llm-settings-modal subtitle-settings-modal';
+
+        const presetOptions = Object.keys(this.segmenter.presets).concat('custom')
+            .map(preset => `<option value="${preset}">${t('subtitle_preset_' + preset)}</option>`)
+            .join('');
+
+        const ruleInputs = this.fields.map(field => `
+            <label>${t('subtitle_rule_' + field.key)}
+                <input type="number" class="subtitle-rule" data-rule="${field.key}" min="${field.min}" max="${field.max}" step="${field.step}">
+            </label>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="llm-settings-content">
+                <h3>${t('subtitle_settings_title')}</h3>
+                <label>${t('subtitle_preset')}
+                    <select id="subtitlePreset">${presetOptions}</select>
+                </label>
+                <fieldset class="llm-task-settings subtitle-rule-settings">
+                    ${ruleInputs}
+                </fieldset>
+                <p class="speech-settings-hint">${t('subtitle_settings_hint')}</p>
+                <div class="llm-settings-buttons">
+                    <button id="subtitleSettingsSaveBtn" class="llm-save-btn">${t('save')}</button>
+                    <button id="subtitleSettingsCancelBtn" class="llm-cancel-btn">${t('cancel')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('#subtitleSettingsSaveBtn').addEventListener('click', () => this.save());
+        modal.querySelector('#subtitleSettingsCancelBtn').addEventListener('click', () => this.close());
+
+        // Choosing a preset shows its rules; the custom preset shows the saved custom rules
+        modal.querySelector('#subtitlePreset').addEventListener('change', (e) => {
+            this.fillRules(this.segmenter.getRules(e.target.value));
+        });
+
+        // Changing a rule makes the set custom
+        modal.querySelectorAll('.subtitle-rule').forEach(input => {
+            input.addEventListener('input', () => {
+                modal.querySelector('#subtitlePreset').value = 'custom';
+            });
+        });
+
+        return modal;
+    }
+
+    /**
+     * Fill the form from the current settings
+     */
+    populate() {
+        const settings = this.segmenter.getSettings();
+
+        this.modal.querySelector('#subtitlePreset').value = settings.preset;
+        this.fillRules(this.segmenter.getRules());
+    }
+
+    fillRules(rules) {
+        this.modal.querySelectorAll('.subtitle-rule').forEach(input => {
+            input.value = rules[input.dataset.rule];
+        });
+    }
+
+    /**
+     * Read the form into a settings object
+     * @returns {Object} - Settings changes for SubtitleSegmenter.updateSettings
+     */
+    readForm() {
+        const preset = this.modal.querySelector('#subtitlePreset').value;
+        const changes = { preset };
+
+        // Preset rules are fixed, so only the custom preset stores the inputs
+        if (preset === 'custom') {
+            changes.custom = {};
+            this.fields.forEach(field => {
+                const value = parseFloat(this.modal.querySelector(`.subtitle-rule[data-rule="${field.key}"]`).value);
+                if (!isNaN(value)) {
+                    changes.custom[field.key] = Math.min(field.max, Math.max(field.min, value));
+                }
+            });
+        }
+
+        return changes;
+    }
+
+    save() {
+        this.segmenter.updateSettings(this.readForm());
+        this.close();
+    }
+
+    open() {
+        this.ensureModal();
+        this.populate();
+        this.showModal();
+    }
+}
+
+// Initialize the settings panel when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.subtitleSettingsPanel = new SubtitleSettingsPanel(subtitleSegmenter);
+
+    document.getElementById('subtitleSettingsButton')?.addEventListener('click', () => {
+        window.subtitleSettingsPanel.open();
+    });
+});
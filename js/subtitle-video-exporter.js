@@ -0,0 +1,480 @@
+/**
+ * Subtitle Video Exporter Module for EchoLife
+ * Renders the recording as a video with the subtitles burned in: each frame is
+ * drawn on a canvas (styled background, waveform of the recording, current
+ * subtitle), the canvas is captured together with the audio and recorded with
+ * MediaRecorder into one MP4 or WebM file that needs no sidecar subtitles.
+ *
+ * Recording happens in real time, so a video takes as long as the recording.
+ */
+
+class SubtitleVideoExporter extends ModalPanel {
+    constructor() {
+        super();
+        this.source = null;       // { audioBlob, subtitles } being exported
+        this.rendering = null;    // { cancel } while a video is being recorded
+
+        this.frameRate = 30;
+        this.barCount = 160;      // Bars in the waveform
+        this.videoBitrate = 2500000;
+
+        this.sizes = {
+            landscape: { width: 1280, height: 720 },
+            hd: { width: 1920, height: 1080 },
+            square: { width: 1080, height: 1080 },
+            vertical: { width: 1080, height: 1920 }
+        };
+
+        this.styles = {
+            dark: { background: ['#1d2b3a', '#0b1118'], wave: 'rgba(255, 255, 255, 0.25)', played: '#4a90e2', text: '#ffffff', box: 'rgba(0, 0, 0, 0.55)', muted: 'rgba(255, 255, 255, 0.6)' },
+            light: { background: ['#ffffff', '#e9ecef'], wave: 'rgba(0, 0, 0, 0.15)', played: '#4a90e2', text: '#212529', box: 'rgba(255, 255, 255, 0.85)', muted: 'rgba(0, 0, 0, 0.5)' },
+            brand: { background: ['#f5a623', '#4a90e2'], wave: 'rgba(255, 255, 255, 0.35)', played: '#ffffff', text: '#ffffff', box: 'rgba(0, 0, 0, 0.35)', muted: 'rgba(255, 255, 255, 0.8)' }
+        };
+
+        // Preferred containers first; browsers record only some of them
+        this.mimeTypes = {
+            mp4: ['video/mp4;codecs=avc1.42E01E,mp4a.40.2', 'video/mp4;codecs=avc1,mp4a', 'video/mp4;codecs=avc1,opus', 'video/mp4'],
+            webm: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+        };
+    }
+
+    // The dialog shows a video's progress until it is rendered
+    canRebuild() {
+        return !this.rendering;
+    }
+
+    /**
+     * First MIME type the browser can record for a container
+     * @param {string} format - 'mp4' or 'webm'
+     * @returns {string|null} - MIME type, or null if unsupported
+     */
+    getMimeType(format) {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            return null;
+        }
+        return (this.mimeTypes[format] || []).find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    getSupportedFormats() {
+        return Object.keys(this.mimeTypes).filter(format => this.getMimeType(format));
+    }
+
+    /**
+     * Build the export modal
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+        const formats = this.getSupportedFormats();
+
+        const modal = document.createElement('div');
+        modal.id = 'videoExportModal';
+        modal.className = 'video-export-modal';
+        modal.innerHTML = `
+            <div class="video-export-content">
+                <h3>${t('video_export_title')}</h3>
+                <div class="video-options">
+                    <label>${t('video_export_format')}
+                        <select id="videoExportFormat">
+                            ${formats.map(format => `<option value="${format}">${format.toUpperCase()}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>${t('video_export_size')}
+                        <select id="videoExportSize">
+                            ${Object.entries(this.sizes).map(([key, size]) =>
+                                `<option value="${key}">${t('video_export_size_' + key)} (${size.width}×${size.height})</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>${t('video_export_style')}
+                        <select id="videoExportStyle">
+                            ${Object.keys(this.styles).map(key => `<option value="${key}">${t('video_export_style_' + key)}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="video-export-buttons">
+                    <button id="generateVideoBtn" class="generate-video-btn" ${formats.length === 0 ? 'disabled' : ''}>${t('video_export_button')}</button>
+                    <button id="cancelVideoBtn" class="cancel-video-btn">${t('cancel')}</button>
+                </div>
+                <div id="videoProcessingIndicator" class="video-processing-indicator">
+                    <div class="video-processing-spinner"></div>
+                    <p class="video-export-status">${t('video_export_rendering')}</p>
+                    <progress id="videoExportProgress" class="video-export-progress" max="1" value="0"></progress>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        if (formats.length === 0) {
+            modal.querySelector('.video-options').insertAdjacentHTML('afterbegin',
+                `<p class="video-export-warning">${t('video_export_unsupported')}</p>`);
+        }
+
+        modal.querySelector('#generateVideoBtn').addEventListener('click', () => this.exportSelected());
+        modal.querySelector('#cancelVideoBtn').addEventListener('click', () => this.close());
+
+        return modal;
+    }
+
+    /**
+     * Open the export options for a recording
+     * @param {Blob} audioBlob - The recording
+     * @param {Array} subtitles - Subtitle segments ({ startTime, endTime, text, speaker })
+     */
+    open(audioBlob, subtitles) {
+        this.source = { audioBlob, subtitles };
+        this.showModal();
+    }
+
+    // Closing while rendering cancels the video
+    close() {
+        if (this.rendering) {
+            this.rendering.cancel();
+        }
+        super.close();
+    }
+
+    async exportSelected() {
+        if (this.rendering) return;
+
+        const format = this.modal.querySelector('#videoExportFormat').value;
+        const size = this.sizes[this.modal.querySelector('#videoExportSize').value];
+        const style = this.styles[this.modal.querySelector('#videoExportStyle').value];
+        const indicator = this.modal.querySelector('#videoProcessingIndicator');
+        const progress = this.modal.querySelector('#videoExportProgress');
+        const generateButton = this.modal.querySelector('#generateVideoBtn');
+        const status = this.modal.querySelector('.video-export-status');
+
+        generateButton.disabled = true;
+        progress.value = 0;
+        indicator.style.display = 'block';
+        try {
+            const video = await this.render({
+                ...this.source,
+                format,
+                size,
+                style,
+                onProgress: (value) => {
+                    progress.value = value;
+                },
+                onPause: (paused) => {
+                    status.textContent = getTranslation(paused ? 'video_export_paused' : 'video_export_rendering', this.language);
+                }
+            });
+
+            // Null when the export was cancelled
+            if (video) {
+                const name = `echo_life_${new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19)}`;
+                this.download(video, `${name}.${format}`);
+                this.close();
+            }
+        } catch (error) {
+            console.error('[VIDEO-EXPORT] Export failed:', error);
+            alert('Error: ' + error.message);
+        } finally {
+            generateButton.disabled = false;
+            indicator.style.display = 'none';
+            status.textContent = getTranslation('video_export_rendering', this.language);
+        }
+    }
+
+    /**
+     * Record the video in real time
+     * @param {Object} options - { audioBlob, subtitles, format, size, style, onProgress, onPause(paused) }
+     * @returns {Promise<Blob|null>} - The video, or null if cancelled
+     */
+    async render({ audioBlob, subtitles, format = 'webm', size = this.sizes.landscape, style = this.styles.dark, onProgress = null, onPause = null }) {
+        const mimeType = this.getMimeType(format);
+        if (!mimeType) {
+            throw new Error(getTranslation('video_export_unsupported', this.language));
+        }
+
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        let stream = null;
+        let onVisibilityChange = null;
+
+        try {
+            const buffer = await audioContext.decodeAudioData(await audioBlob.arrayBuffer());
+            const peaks = this.getPeaks(buffer, this.barCount);
+            const segments = subtitles.map(subtitle => ({
+                start: subtitle.startTime,
+                end: subtitle.endTime,
+                text: window.speakerDiarizer ? speakerDiarizer.formatSubtitleText(subtitle) : subtitle.text
+            }));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = size.width;
+            canvas.height = size.height;
+            const context = canvas.getContext('2d');
+            const frame = { size, style, peaks, segments, duration: buffer.duration };
+
+            // The audio plays into the recording only, not the speakers
+            const audioSource = audioContext.createBufferSource();
+            audioSource.buffer = buffer;
+            const destination = audioContext.createMediaStreamDestination();
+            audioSource.connect(destination);
+
+            stream = new MediaStream([
+                ...canvas.captureStream(this.frameRate).getVideoTracks(),
+                ...destination.stream.getAudioTracks()
+            ]);
+
+            const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitrate });
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+
+            const ended = new Promise(resolve => {
+                audioSource.onended = resolve;
+            });
+
+            console.log(`[VIDEO-EXPORT] Recording ${buffer.duration.toFixed(1)}s ${size.width}x${size.height} as ${mimeType}`);
+            this.drawFrame(context, frame, 0);
+            await audioContext.resume();
+            recorder.start(1000);
+            const startTime = audioContext.currentTime;
+            audioSource.start();
+
+            // Stopping the audio ends the recording early
+            let cancelled = false;
+            this.rendering = {
+                cancel: () => {
+                    cancelled = true;
+                    audioSource.stop();
+                }
+            };
+
+            let playing = true;
+            const drawLoop = () => {
+                if (!playing) return;
+                const time = Math.min(audioContext.currentTime - startTime, buffer.duration);
+                this.drawFrame(context, frame, time);
+                if (onProgress) onProgress(time / buffer.duration);
+                requestAnimationFrame(drawLoop);
+            };
+            requestAnimationFrame(drawLoop);
+
+            // Background tabs stop animation frames while the audio plays on, which
+            // would freeze the picture, so the export waits for the tab to come back
+            onVisibilityChange = async () => {
+                if (document.hidden) {
+                    await audioContext.suspend();
+                    if (recorder.state === 'recording') recorder.pause();
+                } else {
+                    if (recorder.state === 'paused') recorder.resume();
+                    await audioContext.resume();
+                }
+                console.log(`[VIDEO-EXPORT] ${document.hidden ? 'Paused' : 'Resumed'} with the tab`);
+                if (onPause) onPause(document.hidden);
+            };
+            document.addEventListener('visibilitychange', onVisibilityChange);
+            if (document.hidden) onVisibilityChange();
+
+            await ended;
+            playing = false;
+            this.drawFrame(context, frame, buffer.duration);
+            recorder.stop();
+            await stopped;
+
+            if (cancelled) {
+                console.log('[VIDEO-EXPORT] Cancelled');
+                return null;
+            }
+            return new Blob(chunks, { type: mimeType.split(';')[0] });
+        } finally {
+            this.rendering = null;
+            if (onVisibilityChange) {
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+            }
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            audioContext.close();
+        }
+    }
+
+    /**
+     * Loudest sample in each slice of the recording, across every channel
+     * (each microphone of a two-microphone recording has its own), scaled so the peak is 1
+     * @param {AudioBuffer} buffer - Decoded recording
+     * @param {number} count - Number of slices
+     * @returns {Array<number>} - Peaks (0-1)
+     */
+    getPeaks(buffer, count) {
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+        const sliceLength = Math.max(1, Math.floor(buffer.length / count));
+        const peaks = [];
+
+        for (let i = 0; i < count; i++) {
+            let peak = 0;
+            const end = Math.min(buffer.length, (i + 1) * sliceLength);
+            channels.forEach(samples => {
+                for (let j = i * sliceLength; j < end; j++) {
+                    peak = Math.max(peak, Math.abs(samples[j]));
+                }
+            });
+            peaks.push(peak);
+        }
+
+        const loudest = Math.max(...peaks, 0.01);
+        return peaks.map(peak => peak / loudest);
+    }
+
+    /**
+     * Draw one frame of the video
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {Object} frame - { size, style, peaks, segments, duration }
+     * @param {number} time - Seconds into the recording
+     */
+    drawFrame(context, frame, time) {
+        const { size, style } = frame;
+        const unit = Math.min(size.width, size.height) / 100; // Everything scales with the shorter side
+
+        const gradient = context.createLinearGradient(0, 0, size.width, size.height);
+        gradient.addColorStop(0, style.background[0]);
+        gradient.addColorStop(1, style.background[1]);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size.width, size.height);
+
+        // Title and elapsed time
+        context.textBaseline = 'top';
+        context.fillStyle = style.muted;
+        context.font = `600 ${unit * 3.5}px sans-serif`;
+        context.textAlign = 'left';
+        context.fillText('EchoLife', unit * 5, unit * 5);
+        context.textAlign = 'right';
+        context.fillText(`${this.formatTime(time)} / ${this.formatTime(frame.duration)}`, size.width - unit * 5, unit * 5);
+
+        this.drawWaveform(context, frame, time, unit);
+
+        const segment = frame.segments.find(item => time >= item.start && time < item.end);
+        if (segment) {
+            this.drawSubtitle(context, frame, segment, time, unit);
+        }
+    }
+
+    // Waveform of the whole recording along the bottom, the played part highlighted
+    drawWaveform(context, frame, time, unit) {
+        const { size, style, peaks } = frame;
+        const left = unit * 5;
+        const width = size.width - unit * 10;
+        const centerY = size.height - unit * 14;
+        const maxHeight = unit * 8;
+        const barWidth = width / peaks.length;
+        const played = frame.duration > 0 ? time / frame.duration : 0;
+
+        peaks.forEach((peak, i) => {
+            const height = Math.max(unit * 0.4, peak * maxHeight);
+            context.fillStyle = (i + 0.5) / peaks.length <= played ? style.played : style.wave;
+            context.fillRect(left + i * barWidth + barWidth * 0.15, centerY - height / 2, barWidth * 0.7, height);
+        });
+
+        context.fillStyle = style.played;
+        context.fillRect(left + width * played - unit * 0.2, centerY - maxHeight / 2 - unit, unit * 0.4, maxHeight + unit * 2);
+    }
+
+    // Current subtitle, wrapped and centred on a rounded box, fading in and out
+    drawSubtitle(context, frame, segment, time, unit) {
+        const { size, style } = frame;
+        const fontSize = unit * 5.5;
+        const lineHeight = fontSize * 1.3;
+        const padding = unit * 2.5;
+
+        context.font = `500 ${fontSize}px sans-serif`;
+        const lines = this.wrapText(context, segment.text, size.width - unit * 20);
+        const textWidth = Math.max(...lines.map(line => context.measureText(line).width));
+        const boxWidth = textWidth + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2;
+        const boxLeft = (size.width - boxWidth) / 2;
+        const boxTop = (size.height - unit * 24 - boxHeight) / 2 + unit * 6;
+
+        const fade = 0.2;
+        context.globalAlpha = Math.max(0, Math.min(1, (time - segment.start) / fade, (segment.end - time) / fade));
+
+        this.roundRect(context, boxLeft, boxTop, boxWidth, boxHeight, unit * 2);
+        context.fillStyle = style.box;
+        context.fill();
+
+        context.fillStyle = style.text;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        lines.forEach((line, i) => {
+            context.fillText(line, size.width / 2, boxTop + padding + lineHeight * (i + 0.5));
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Break text into lines that fit a width
+     * @param {CanvasRenderingContext2D} context - Context with the font set
+     * @param {string} text - Text to wrap
+     * @param {number} maxWidth - Line width in pixels
+     * @returns {Array<string>} - Lines
+     */
+    wrapText(context, text, maxWidth) {
+        const lines = [];
+
+        // Cues come with their own line breaks; lines that still don't fit are wrapped
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && context.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            if (line) lines.push(line);
+        });
+
+        return lines.length > 0 ? lines : [''];
+    }
+
+    // Rounded rectangle path (roundRect isn't in every browser yet)
+    roundRect(context, left, top, width, height, radius) {
+        const r = Math.min(radius, width / 2, height / 2);
+        context.beginPath();
+        context.moveTo(left + r, top);
+        context.arcTo(left + width, top, left + width, top + height, r);
+        context.arcTo(left + width, top + height, left, top + height, r);
+        context.arcTo(left, top + height, left, top, r);
+        context.arcTo(left, top, left + width, top, r);
+        context.closePath();
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remaining = Math.floor(seconds % 60);
+        return `${minutes}:${remaining.toString().padStart(2, '0')}`;
+    }
+
+    download(blob, filename) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+
+        // Clean up
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(a.href);
+        }, 100);
+    }
+}
+
+// Create a global instance of the subtitle video exporter
+const subtitleVideoExporter = new SubtitleVideoExporter();
+
+// Make it globally available
+window.subtitleVideoExporter = subtitleVideoExporter;
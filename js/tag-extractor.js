@@ -1,11 +1,12 @@
 /**
- * TagExtractor class for extracting key concepts and tags from text
- * using OpenAI's API
+ * TagExtractor class for extracting key concepts and tags from text,
+ * on-device for realtime updates and through the configured LLM otherwise
  */
 class TagExtractor {
     constructor() {
         this.apiKey = null;
         this.context = [];
+        this.mentionContextWords = 5; // Words kept either side of a mention for its transcript span
         this.systemPrompt = `
         Extract the 4-8 most important keywords or phrases from the text. 
         Focus on substantive topics, not conversational filler.
@@ -22,6 +23,11 @@ class TagExtractor {
             this.language = e.detail.language;
             console.log(`Tag extractor language set to: ${this.language}`);
         });
+        
+        // With auto-detect on, extract tags in the language of the latest recording
+        window.addEventListener('translationSettingsChanged', (e) => {
+            this.language = e.detail.spokenLanguage || e.detail.language;
+        });
     }
     
     setApiKey(key) {
@@ -40,7 +46,7 @@ class TagExtractor {
      * @returns {Promise<Array>} - Array of tags
      */
     async extractTags(text, maxTags = 5, trackContext = true) {
-        if (!this.apiKey) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
             throw new Error('API key not set');
         }
         
@@ -50,7 +56,7 @@ class TagExtractor {
         
         try {
             // Determine the language to use for the prompt
-            const promptLanguage = this.language === 'pt-BR' ? 'Portuguese' : 'English';
+            const promptLanguage = languagePacks.getEnglishName(this.language);
             
             // Create a more focused prompt for the specific language
             const prompt = `
@@ -59,30 +65,11 @@ class TagExtractor {
             Return ONLY JSON array: [{"text": "keyword", "confidence": "high/medium/low"}]
             No explanations or additional text.`;
             
-            // Call OpenAI API
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-3.5-turbo',
-                    temperature: 0.3,
-                    messages: [
-                        { role: 'system', content: prompt },
-                        { role: 'user', content: text }
-                    ]
-                })
-            });
-            
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error?.message || `API error: ${response.status}`);
-            }
-            
-            const result = await response.json();
-            const content = result.choices[0].message.content;
+            // Call the configured LLM provider
+            const content = await llmProvider.chatCompletion('tagging', [
+                { role: 'system', content: prompt },
+                { role: 'user', content: text }
+            ], { apiKey: this.apiKey });
             
             // Extract and parse the JSON array
             const tags = this.parseTagsFromResponse(content);
@@ -224,205 +211,169 @@ class TagExtractor {
     }
     
     /**
-     * Extract tags for real-time updates during recording
+     * Extract tags for real-time updates during recording. Tags come from the
+     * on-device KeywordExtractor, so this is cheap enough to run on every partial
+     * transcript; `refine` asks the LLM to polish them (e.g. for the final transcript)
+     * and `words` links each tag to the moments it was mentioned.
      * @param {string} text - Text to extract tags from
      * @param {number} maxTags - Maximum number of tags to extract
      * @param {string} language - Language code
+     * @param {Object} options - { refine, words }
      * @returns {Promise<Array>} - Array of tag objects
      */
-    async extractTagsRealtime(text, maxTags = 5, language = null) {
-        if (!this.apiKey) {
-            throw new Error('API key not set');
-        }
-        
-        console.log(`[TAG-EXTRACTOR] Starting realtime extraction: ${text.length} chars`);
-        console.time('tag-extraction');
-        
+    async extractTagsRealtime(text, maxTags = 5, language = null, options = {}) {
         // Use specified language or fall back to the default
         const lang = language || this.language;
         
         // For very short text, return placeholder
         if (text.length < 25) {
             console.log(`[TAG-EXTRACTOR] Text too short (${text.length} chars), using placeholder`);
-            console.timeEnd('tag-extraction');
             return this.getPlaceholderTags(lang);
         }
         
+        const localTags = this.extractTagsLocal(text, maxTags, lang);
+        if (options.words) {
+            this.linkMentions(localTags, options.words, lang);
+        }
+        
+        if (!options.refine) {
+            return localTags;
+        }
+        
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
+            console.warn('[TAG-EXTRACTOR] No API key, keeping local tags');
+            return localTags;
+        }
+        
+        console.time('tag-refinement');
         try {
-            // Check if we can use fallback for quick responses
-            const shouldUseFallback = Math.random() < 0.25; // 25% chance to use fallback for faster updates
-            
-            if (shouldUseFallback && text.length < 500) {
-                console.log('[TAG-EXTRACTOR] Using fallback extraction for quick response');
-                const fallbackTags = await this.fallbackKeywordExtraction(text, maxTags);
-                console.timeEnd('tag-extraction');
-                return fallbackTags;
-            }
-            
             // Improved prompt designed to be more efficient and handle a variety of content
-            const prompt = lang === 'pt-BR' 
-                ? `Analise este texto e extraia ${maxTags} termos chave. Responda APENAS com JSON: [{"text": "termo", "confidence": "high/medium/low"}]`
-                : `Extract ${maxTags} key terms from this text. ONLY respond with JSON: [{"text": "term", "confidence": "high/medium/low"}]`;
-            
-            console.log(`[TAG-EXTRACTOR] Sending API request with ${text.length} chars of text, language: ${lang}`);
-            
-            // For realtime updates, use a faster model with more constraints
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-3.5-turbo',
-                    temperature: 0.2,
-                    max_tokens: 150,
-                    presence_penalty: -0.1, // Discourage verbosity
-                    messages: [
-                        { role: 'system', content: prompt },
-                        { role: 'user', content: text.substring(0, 1000) } // Limit text length for faster response
-                    ]
-                })
+            const prompt = languagePacks.getPrompt('realtime_tags', lang, { maxTags });
+            const candidates = localTags.map(tag => tag.text).join(', ');
+            
+            console.log(`[TAG-EXTRACTOR] Refining ${localTags.length} local tags with ${text.length} chars of text, language: ${lang}`);
+            
+            // The local keywords are a starting point the model can keep, merge or replace
+            const content = await llmProvider.chatCompletion('realtime_tagging', [
+                { role: 'system', content: candidates ? `${prompt}\nCandidate terms: ${candidates}` : prompt },
+                { role: 'user', content: text.substring(0, 1000) } // Limit text length for faster response
+            ], {
+                apiKey: this.apiKey,
+                extra: { presence_penalty: -0.1 } // Discourage verbosity
             });
             
-            if (!response.ok) {
-                const error = await response.json();
-                console.error(`[TAG-EXTRACTOR] API error: ${error.error?.message || response.status}`);
-                throw new Error(error.error?.message || `API error: ${response.status}`);
-            }
-            
-            const result = await response.json();
-            const content = result.choices[0].message.content;
-            
-            console.log(`[TAG-EXTRACTOR] API response received:`, content);
-            
-            // Extract and parse tags
-            const tags = this.parseTagsFromResponse(content);
-            console.log(`[TAG-EXTRACTOR] Parsed ${tags.length} tags from response`);
-            
-            // Clean the tags
-            const cleanedTags = this.cleanTags(tags);
-            console.log(`[TAG-EXTRACTOR] Cleaned tags (${cleanedTags.length}):`, cleanedTags);
+            const cleanedTags = this.cleanTags(this.parseTagsFromResponse(content));
+            console.log(`[TAG-EXTRACTOR] Refined tags (${cleanedTags.length}):`, cleanedTags);
             
             // If we got any valid tags, update the context and return them
             if (cleanedTags.length > 0) {
+                if (options.words) {
+                    this.linkMentions(cleanedTags, options.words, lang);
+                }
                 this.updateContext(cleanedTags);
-                console.timeEnd('tag-extraction');
                 return cleanedTags;
             }
             
-            console.log('[TAG-EXTRACTOR] No valid tags extracted, falling back to keyword extraction');
-            // Fallback to basic keyword extraction if AI extraction failed
-            const fallbackTags = await this.fallbackKeywordExtraction(text, maxTags);
-            console.log(`[TAG-EXTRACTOR] Fallback extraction produced ${fallbackTags.length} tags:`, fallbackTags);
-            console.timeEnd('tag-extraction');
-            return fallbackTags;
-            
+            console.log('[TAG-EXTRACTOR] No valid tags from refinement, keeping local tags');
+            return localTags;
         } catch (error) {
-            console.error('[TAG-EXTRACTOR] Error in real-time tag extraction:', error);
-            
-            // Fallback to basic keyword extraction in case of API errors
-            console.log('[TAG-EXTRACTOR] Using fallback keyword extraction due to error');
-            const fallbackTags = await this.fallbackKeywordExtraction(text, maxTags);
-            console.timeEnd('tag-extraction');
-            return fallbackTags;
+            console.error('[TAG-EXTRACTOR] Tag refinement failed, keeping local tags:', error);
+            return localTags;
+        } finally {
+            console.timeEnd('tag-refinement');
         }
     }
     
     /**
-     * Fallback method to extract keywords without API
+     * Extract keywords on the device, without an API call
      * @param {string} text - Text to extract keywords from
-     * @param {number} maxWords - Maximum number of keywords
+     * @param {number} maxTags - Maximum number of keywords
+     * @param {string} language - Language code
      * @returns {Array} - Array of tag objects
      */
-    fallbackKeywordExtraction(text, maxWords = 5) {
+    extractTagsLocal(text, maxTags = 5, language = this.language) {
         try {
-            // Define stop words for English and Portuguese
-            const stopWords = {
-                'en-US': ['i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 'you', 'your', 'yours', 
-                         'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 'she', 'her', 'hers', 
-                         'herself', 'it', 'its', 'itself', 'they', 'them', 'their', 'theirs', 'themselves', 
-                         'what', 'which', 'who', 'whom', 'this', 'that', 'these', 'those', 'am', 'is', 'are', 
-                         'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'having', 'do', 'does', 
-                         'did', 'doing', 'a', 'an', 'the', 'and', 'but', 'if', 'or', 'because', 'as', 'until', 
-                         'while', 'of', 'at', 'by', 'for', 'with', 'about', 'against', 'between', 'into', 
-                         'through', 'during', 'before', 'after', 'above', 'below', 'to', 'from', 'up', 'down', 
-                         'in', 'out', 'on', 'off', 'over', 'under', 'again', 'further', 'then', 'once', 'here', 
-                         'there', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 
-                         'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 
-                         'than', 'too', 'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now', 'd', 
-                         'll', 'm', 'o', 're', 've', 'y', 'ain', 'aren', 'couldn', 'didn', 'doesn', 'hadn', 
-                         'hasn', 'haven', 'isn', 'ma', 'mightn', 'mustn', 'needn', 'shan', 'shouldn', 'wasn', 
-                         'weren', 'won', 'wouldn', 'know', 'think', 'like', 'said', 'actually', 'really',
-                         'pretty', 'kind', 'okay', 'yeah', 'yes', 'no', 'hey', 'hi', 'hello', 'ok', 'sure'],
-                         
-                'pt-BR': ['a', 'à', 'ao', 'aos', 'aquela', 'aquelas', 'aquele', 'aqueles', 'aquilo', 'as', 'às', 
-                         'até', 'com', 'como', 'da', 'das', 'de', 'dela', 'delas', 'dele', 'deles', 'depois', 
-                         'do', 'dos', 'e', 'é', 'ela', 'elas', 'ele', 'eles', 'em', 'entre', 'era', 'eram', 
-                         'éramos', 'essa', 'essas', 'esse', 'esses', 'esta', 'está', 'estamos', 'estão', 
-                         'estas', 'estava', 'estavam', 'estávamos', 'este', 'esteja', 'estejam', 'estejamos', 
-                         'estes', 'esteve', 'estive', 'estivemos', 'estiver', 'estivera', 'estiveram', 
-                         'estiverem', 'estivermos', 'estou', 'eu', 'foi', 'fomos', 'for', 'fora', 'foram', 
-                         'forem', 'formos', 'fosse', 'fossem', 'fôssemos', 'fui', 'há', 'haja', 'hajam', 
-                         'hajamos', 'hão', 'havemos', 'havia', 'hei', 'houve', 'houvemos', 'houver', 'houvera', 
-                         'houveram', 'houverei', 'houverem', 'houveremos', 'houveria', 'houveriam', 
-                         'houvermos', 'houverá', 'houverão', 'houveríamos', 'houverão', 'isso', 'isto', 'já', 
-                         'lhe', 'lhes', 'mais', 'mas', 'me', 'mesmo', 'meu', 'meus', 'minha', 'minhas', 'muito', 
-                         'na', 'nas', 'nem', 'no', 'nos', 'nós', 'nossa', 'nossas', 'nosso', 'nossos', 'num', 
-                         'numa', 'o', 'os', 'ou', 'para', 'pela', 'pelas', 'pelo', 'pelos', 'por', 'qual', 
-                         'quando', 'que', 'quem', 'são', 'se', 'seja', 'sejam', 'sejamos', 'sem', 'será', 
-                         'serão', 'seria', 'seriam', 'seríamos', 'seu', 'seus', 'só', 'somos', 'sou', 'sua', 
-                         'suas', 'também', 'te', 'tem', 'tém', 'temos', 'tenha', 'tenham', 'tenhamos', 'tenho', 
-                         'terá', 'terão', 'terei', 'teremos', 'teria', 'teriam', 'teríamos', 'teu', 'teus', 
-                         'teve', 'tinha', 'tinham', 'tínhamos', 'tive', 'tivemos', 'tiver', 'tivera', 'tiveram', 
-                         'tiverem', 'tivermos', 'tu', 'tua', 'tuas', 'um', 'uma', 'você', 'vocês', 'vos', 'sim', 
-                         'então', 'vamos', 'ok', 'né', 'tipo']
-            };
-            
-            // Select stop words based on language
-            const currentStopWords = stopWords[this.language] || stopWords['en-US'];
-            
-            // Tokenize
-            const words = text.toLowerCase()
-                             .replace(/[^\w\s]/g, ' ')  // Replace punctuation with spaces
-                             .split(/\s+/)              // Split on whitespace
-                             .filter(word => word.length > 2 && !currentStopWords.includes(word));
-            
-            // Count word frequencies
-            const wordCounts = {};
-            words.forEach(word => {
-                wordCounts[word] = (wordCounts[word] || 0) + 1;
-            });
-            
-            // Convert to array of {word, count} objects and sort by count
-            const sortedWords = Object.entries(wordCounts)
-                .map(([word, count]) => ({ word, count }))
-                .sort((a, b) => b.count - a.count)
-                .slice(0, maxWords);
+            const tags = this.cleanTags(keywordExtractor.extract(text, { maxKeywords: maxTags, language }));
+            return tags.length > 0 ? tags : this.getPlaceholderTags(language);
+        } catch (error) {
+            console.error('Error in local keyword extraction:', error);
+            return this.getPlaceholderTags(language);
+        }
+    }
+    
+    /**
+     * Link tags to the words where they were spoken. A tag matches a run of words
+     * with the same stems; tags never said verbatim fall back to their longer words.
+     * @param {Array} tags - Tag objects (modified in place)
+     * @param {Array} words - Word objects with start, end and word properties
+     * @param {string} language - Language code
+     * @returns {Array} - The tags, each with mentions [{ start, end, text }]
+     */
+    linkMentions(tags, words, language = this.language) {
+        if (!tags || !words || words.length === 0) return tags;
+        
+        const stem = keywordExtractor.getStemmer(language);
+        const normalize = word => word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        const wordStems = words.map(word => stem(normalize(word.word || '')));
+        
+        // Start indexes of every run of words matching the given stems
+        const findRuns = stems => {
+            const starts = [];
+            for (let i = 0; i + stems.length <= wordStems.length; i++) {
+                if (stems.every((tagStem, offset) => wordStems[i + offset] === tagStem)) {
+                    starts.push(i);
+                }
+            }
+            return starts;
+        };
+        
+        for (const tag of tags) {
+            const tagWords = (tag.text || '').split(/\s+/).map(normalize).filter(Boolean);
+            if (tagWords.length === 0) continue;
+            
+            let runs = findRuns(tagWords.map(stem)).map(start => [start, start + tagWords.length - 1]);
+            if (runs.length === 0 && tagWords.length > 1) {
+                runs = tagWords
+                    .filter(word => word.length >= 4)
+                    .flatMap(word => findRuns([stem(word)]).map(start => [start, start]))
+                    .sort((a, b) => a[0] - b[0]);
+            }
             
-            // Convert to tag objects
-            return sortedWords.map(({ word, count }) => ({
-                text: word,
-                confidence: count > 3 ? 'high' : (count > 1 ? 'medium' : 'low'),
-                count: count
+            tag.mentions = runs.map(([first, last]) => ({
+                start: words[first].start,
+                end: words[last].end,
+                // The stretch of transcript around the mention
+                text: words.slice(Math.max(0, first - this.mentionContextWords), last + this.mentionContextWords + 1)
+                    .map(word => word.word.trim())
+                    .join(' ')
             }));
-        } catch (error) {
-            console.error('Error in fallback keyword extraction:', error);
-            return this.getPlaceholderTags(this.language);
         }
+        
+        return tags;
+    }
+    
+    /**
+     * Spread subtitle segments over their words, for transcripts without word timestamps
+     * @param {Array} subtitles - Segments with startTime, endTime and text
+     * @returns {Array} - Word objects with estimated start and end
+     */
+    estimateWordTimestamps(subtitles) {
+        return (subtitles || []).flatMap(segment => {
+            const segmentWords = (segment.text || '').split(/\s+/).filter(Boolean);
+            const duration = (segment.endTime - segment.startTime) / (segmentWords.length || 1);
+            return segmentWords.map((word, index) => ({
+                word,
+                start: segment.startTime + index * duration,
+                end: segment.startTime + (index + 1) * duration
+            }));
+        });
     }
     
     // Helper to return placeholder tags based on language
     getPlaceholderTags(language) {
-        if (language === 'pt-BR') {
-            return [
-                { text: 'Analisando...', confidence: 'medium', count: 1 }
-            ];
-        } else {
-            return [
-                { text: 'Analyzing...', confidence: 'medium', count: 1 }
-            ];
-        }
+        return [
+            { text: getTranslation('tags_analyzing', language), confidence: 'medium', count: 1 }
+        ];
     }
     
     /**
@@ -450,10 +401,12 @@ class TagExtractor {
                     newTag.status = 'changing';
                 }
                 
-                // Update the existing tag
+                // Update the existing tag, keeping where it was mentioned if the new one wasn't linked
                 this.context[existingTagIndex] = {
                     ...newTag,
                     count: (existingTag.count || 1) + 1,
+                    mentions: newTag.mentions || existingTag.mentions,
+                    firstSeen: existingTag.firstSeen || Date.now(),
                     lastUpdated: Date.now()
                 };
             } else {
@@ -461,6 +414,7 @@ class TagExtractor {
                 this.context.push({
                     ...newTag,
                     count: 1,
+                    firstSeen: Date.now(),
                     lastUpdated: Date.now(),
                     status: 'new'
                 });
@@ -0,0 +1,172 @@
+/**
+ * Tag Timeline Module for EchoLife
+ * Shows when each concept came up during a recording: a density strip of all
+ * mentions across the recording and one track per tag, both clickable to play
+ * the recording from that moment.
+ */
+
+class TagTimeline {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.tags = [];
+        this.duration = 0;
+        this.binCount = 40;   // Columns in the density strip
+        this.maxRows = 8;     // Tags with a track of their own
+        this.language = localStorage.getItem('echolife_language') || 'en-US';
+
+        window.addEventListener('languageChanged', (e) => {
+            this.language = e.detail.language;
+            this.render(this.tags, this.duration);
+        });
+
+        // Follow playback of the preview player
+        const player = document.getElementById('previewAudioPlayer');
+        if (player) {
+            player.addEventListener('timeupdate', () => this.updatePlayhead(player.currentTime));
+        }
+    }
+
+    /**
+     * Draw the timeline for the tags of one recording
+     * @param {Array} tags - Tag objects with mentions [{ start, end, text }]
+     * @param {number} duration - Length of the recording in seconds
+     */
+    render(tags, duration = 0) {
+        if (!this.container) return;
+
+        this.tags = (tags || []).filter(tag => tag.mentions && tag.mentions.length > 0);
+        this.duration = Math.max(duration || 0, ...this.tags.flatMap(tag => tag.mentions.map(mention => mention.end)));
+
+        this.container.innerHTML = '';
+        if (this.tags.length === 0 || this.duration <= 0) {
+            this.container.style.display = 'none';
+            return;
+        }
+        this.container.style.display = 'block';
+
+        const title = document.createElement('div');
+        title.className = 'tag-timeline-title';
+        title.textContent = getTranslation('tag_timeline_title', this.language);
+        this.container.appendChild(title);
+
+        const body = document.createElement('div');
+        body.className = 'tag-timeline-body';
+        body.appendChild(this.createDensityRow());
+
+        // Most mentioned tags get a track, in order of first mention
+        this.tags
+            .slice()
+            .sort((a, b) => b.mentions.length - a.mentions.length)
+            .slice(0, this.maxRows)
+            .sort((a, b) => a.mentions[0].start - b.mentions[0].start)
+            .forEach(tag => body.appendChild(this.createTagRow(tag)));
+
+        this.playhead = document.createElement('div');
+        this.playhead.className = 'tag-timeline-playhead';
+        this.playhead.style.display = 'none';
+        body.appendChild(this.playhead);
+
+        this.container.appendChild(body);
+    }
+
+    clear() {
+        this.render([], 0);
+    }
+
+    /**
+     * Count mentions of all tags per slice of the recording
+     * @returns {Array<number>} - Mentions per bin
+     */
+    getDensity() {
+        const bins = new Array(this.binCount).fill(0);
+        this.tags.forEach(tag => tag.mentions.forEach(mention => {
+            const bin = Math.min(this.binCount - 1, Math.floor((mention.start / this.duration) * this.binCount));
+            bins[bin]++;
+        }));
+        return bins;
+    }
+
+    createDensityRow() {
+        const density = this.getDensity();
+        const peak = Math.max(...density, 1);
+        const binLength = this.duration / this.binCount;
+
+        const track = document.createElement('div');
+        track.className = 'tag-timeline-track tag-timeline-density';
+        density.forEach((count, index) => {
+            const bar = document.createElement('div');
+            bar.className = 'tag-timeline-bin';
+            bar.style.height = `${(count / peak) * 100}%`;
+            bar.title = `${this.formatTime(index * binLength)}: ${count} ${getTranslation('tag_mentions', this.language)}`;
+            bar.addEventListener('click', () => this.seek(index * binLength));
+            track.appendChild(bar);
+        });
+
+        return this.createRow('', track);
+    }
+
+    createTagRow(tag) {
+        const color = this.getTagColor(tag.text);
+
+        const track = document.createElement('div');
+        track.className = 'tag-timeline-track';
+        tag.mentions.forEach(mention => {
+            const mark = document.createElement('button');
+            mark.className = 'tag-timeline-mark';
+            mark.style.left = `${(mention.start / this.duration) * 100}%`;
+            mark.style.backgroundColor = color;
+            mark.title = `${this.formatTime(mention.start)} · ${mention.text}`;
+            mark.addEventListener('click', () => this.seek(mention.start, tag.text));
+            track.appendChild(mark);
+        });
+
+        const row = this.createRow(tag.text, track);
+        row.querySelector('.tag-timeline-label').style.color = color;
+        return row;
+    }
+
+    createRow(labelText, track) {
+        const row = document.createElement('div');
+        row.className = 'tag-timeline-row';
+
+        const label = document.createElement('span');
+        label.className = 'tag-timeline-label';
+        label.textContent = labelText;
+        label.title = labelText;
+
+        row.appendChild(label);
+        row.appendChild(track);
+        return row;
+    }
+
+    // Use the word's colour in the cloud so both views read the same
+    getTagColor(text) {
+        const word = window.wordCloud && window.wordCloud.words.get(text);
+        return (word && word.element && word.element.style.color) || '#4a6fa5';
+    }
+
+    seek(time, tag = null) {
+        window.dispatchEvent(new CustomEvent('seekToTime', {
+            detail: { time, tag }
+        }));
+    }
+
+    updatePlayhead(time) {
+        if (!this.playhead || this.duration <= 0) return;
+        this.playhead.style.display = 'block';
+        this.playhead.style.setProperty('--position', Math.min(1, time / this.duration));
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remaining = Math.floor(seconds % 60);
+        return `${minutes}:${remaining.toString().padStart(2, '0')}`;
+    }
+}
+
+// Create the timeline once the page (and its container) exists
+let tagTimeline;
+document.addEventListener('DOMContentLoaded', () => {
+    tagTimeline = new TagTimeline('tagTimelineContainer');
+    window.tagTimeline = tagTimeline;
+});
@@ -0,0 +1,251 @@
+/**
+ * Theme Clusterer Module for EchoLife
+ * Groups word-cloud tags into semantic themes using embeddings. Clustering is
+ * incremental: a tag joins the closest existing theme or starts a new one and
+ * then stays there, so theme colours don't reshuffle as the cloud updates.
+ *
+ * Embeddings come from the configured LLM endpoint ('embeddings' task). A local
+ * model (e.g. transformers.js) can be plugged in instead with setEmbedder().
+ * Themes with a few words get a short label generated by the LLM.
+ */
+
+class ThemeClusterer {
+    constructor() {
+        this.apiKey = null;
+        this.embedder = null;            // Optional local embedder: async (texts) => vectors
+        this.similarityThreshold = 0.45; // Cosine similarity a tag needs to join a theme
+        this.labelMinWords = 2;          // Themes are labelled once they have this many words
+        this.labelDelay = 4000;          // ms without cloud updates before themes are (re)labelled
+        this.labelTimer = null;
+
+        this.vectors = new Map();        // text -> embedding
+        this.pending = new Map();        // text -> Promise for an embedding being fetched
+        this.assignments = new Map();    // text -> theme
+        this.themes = [];                // [{ index, centroid, words, label, labelledSize }]
+        this.model = llmProvider.getTaskConfig('embeddings').model; // Model the cached vectors came from
+
+        // Vectors from a different model can't be compared with the cached ones
+        window.addEventListener('llmSettingsChanged', (e) => {
+            if (!this.embedder && e.detail.settings.tasks.embeddings.model !== this.model) {
+                this.reset();
+            }
+        });
+    }
+
+    setApiKey(key) {
+        this.apiKey = key;
+    }
+
+    /**
+     * Use a local embedding model instead of the API
+     * @param {Function|null} embedder - async (texts) => Array of vectors, or null for the API
+     */
+    setEmbedder(embedder) {
+        this.embedder = embedder;
+        this.reset();
+    }
+
+    /**
+     * Whether the word cloud should group themes by embeddings
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return !!llmProvider.getTaskConfig('embeddings').clustering &&
+            (!!this.embedder || !!this.apiKey || !llmProvider.requiresApiKey());
+    }
+
+    // Forget every theme and cached vector
+    reset() {
+        clearTimeout(this.labelTimer);
+        this.labelTimer = null;
+        this.vectors.clear();
+        this.pending.clear();
+        this.assignments.clear();
+        this.themes = [];
+        this.model = this.embedder ? null : llmProvider.getTaskConfig('embeddings').model;
+    }
+
+    /**
+     * Place tags into themes, keeping the themes of tags seen before
+     * @param {Array<string>} texts - Tag texts
+     * @param {string} language - Language used for theme labels
+     * @returns {Promise<Array<Object>>} - Themes as { index, words, label } (words lowercased)
+     */
+    async cluster(texts, language) {
+        const words = Array.from(new Set(texts.map(text => text.toLowerCase().trim()).filter(Boolean)));
+        await this.embed(words.filter(word => !this.assignments.has(word)));
+
+        // Another update may have placed some of these while we waited
+        words.forEach(word => {
+            if (!this.assignments.has(word) && this.vectors.has(word)) {
+                this.assign(word);
+            }
+        });
+
+        // Labels arrive later; the word cloud listens for themeLabelsChanged
+        this.scheduleLabels(language);
+
+        return this.getThemes();
+    }
+
+    /**
+     * Label themes once the cloud stops changing. The cloud updates with every
+     * partial transcript, and a label request per update would cost as much as
+     * refining every partial transcript did.
+     * @param {string} language - Language code for the labels
+     */
+    scheduleLabels(language) {
+        clearTimeout(this.labelTimer);
+        this.labelTimer = setTimeout(() => {
+            this.labelTimer = null;
+            this.updateLabels(language).catch(error => console.warn('[THEMES] Could not update theme labels:', error));
+        }, this.labelDelay);
+    }
+
+    /**
+     * Get embeddings for texts, fetching only the ones not cached or on their way
+     * @param {Array<string>} texts - Lowercased tag texts
+     */
+    async embed(texts) {
+        const missing = texts.filter(text => !this.vectors.has(text) && !this.pending.has(text));
+
+        if (missing.length > 0) {
+            const embedder = this.embedder;
+            const model = this.model;
+            const request = (embedder ?
+                embedder(missing) :
+                llmProvider.embeddings(missing, { apiKey: this.apiKey })
+            ).then(vectors => {
+                // A reset while waiting means these came from a model no longer in use
+                if (this.embedder !== embedder || this.model !== model) return;
+                missing.forEach((text, i) => this.vectors.set(text, vectors[i]));
+            }).finally(() => {
+                missing.forEach(text => {
+                    if (this.pending.get(text) === request) this.pending.delete(text);
+                });
+            });
+
+            missing.forEach(text => this.pending.set(text, request));
+            console.log(`[THEMES] Embedding ${missing.length} new tags`);
+        }
+
+        await Promise.all(texts.filter(text => this.pending.has(text)).map(text => this.pending.get(text)));
+    }
+
+    /**
+     * Put a word in the most similar theme, or start a new theme
+     * @param {string} word - Lowercased tag text with a cached vector
+     */
+    assign(word) {
+        const vector = this.vectors.get(word);
+
+        let bestTheme = null;
+        let bestSimilarity = -1;
+        this.themes.forEach(theme => {
+            const similarity = this.cosineSimilarity(vector, theme.centroid);
+            if (similarity > bestSimilarity) {
+                bestSimilarity = similarity;
+                bestTheme = theme;
+            }
+        });
+
+        if (bestTheme && bestSimilarity >= this.similarityThreshold) {
+            // Move the centroid towards the new word (running mean)
+            const size = bestTheme.words.length + 1;
+            bestTheme.centroid = bestTheme.centroid.map((value, i) => value + (vector[i] - value) / size);
+            bestTheme.words.push(word);
+            this.assignments.set(word, bestTheme);
+            return;
+        }
+
+        // Theme indexes only grow, so each theme keeps its colour
+        const theme = {
+            index: this.themes.length,
+            centroid: vector.slice(),
+            words: [word],
+            label: null,
+            labelledSize: 0
+        };
+        this.themes.push(theme);
+        this.assignments.set(word, theme);
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Generate labels for themes that grew since they were last labelled
+     * @param {string} language - Language code for the label
+     */
+    async updateLabels(language) {
+        const themes = this.themes.filter(theme =>
+            theme.words.length >= this.labelMinWords && theme.words.length !== theme.labelledSize
+        );
+        if (themes.length === 0) return;
+
+        await Promise.all(themes.map(async theme => {
+            theme.labelledSize = theme.words.length;
+            theme.label = await this.generateLabel(theme, language);
+        }));
+
+        window.dispatchEvent(new CustomEvent('themeLabelsChanged', {
+            detail: { themes: this.getThemes() }
+        }));
+    }
+
+    /**
+     * Name a theme with the LLM, or after its most central word without one
+     * @param {Object} theme - Theme to label
+     * @param {string} language - Language code
+     * @returns {Promise<string>} - Label
+     */
+    async generateLabel(theme, language) {
+        const centralWord = theme.words.reduce((best, word) =>
+            this.cosineSimilarity(this.vectors.get(word), theme.centroid) >
+                this.cosineSimilarity(this.vectors.get(best), theme.centroid) ? word : best
+        );
+
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
+            return centralWord;
+        }
+
+        try {
+            const content = await llmProvider.chatCompletion('tagging', [
+                { role: 'user', content: languagePacks.getPrompt('theme_label', language, { words: theme.words.join(', ') }) }
+            ], { apiKey: this.apiKey });
+
+            const label = content.trim().split('\n')[0].replace(/^["'\s]+|["'.\s]+$/g, '');
+            return label || centralWord;
+        } catch (error) {
+            console.warn('[THEMES] Could not generate a theme label:', error.message);
+            return centralWord;
+        }
+    }
+
+    /**
+     * Current themes, in the shape the word cloud colours words with
+     * @returns {Array<Object>} - [{ index, words, label }]
+     */
+    getThemes() {
+        return this.themes.map(theme => ({
+            index: theme.index,
+            words: theme.words.slice(),
+            label: theme.label
+        }));
+    }
+}
+
+// Create a global instance of the theme clusterer
+const themeClusterer = new ThemeClusterer();
+
+// Make it globally available
+window.themeClusterer = themeClusterer;
@@ -0,0 +1,621 @@
+/**
+ * Transcript Exporter Module for EchoLife
+ * Exports a session (transcript, subtitles, word timings, speakers, tags and
+ * AI replies) in several formats. Every format is a serializer registered
+ * with registerFormat():
+ *
+ *   {
+ *       label: 'transcript_format_xyz',   // Translation key for its name
+ *       extension: 'xyz',
+ *       mimeType: 'text/plain',
+ *       filePrefix: 'transcript',         // Start of the file name
+ *       serialize(doc, options) { ... }   // String or Blob
+ *   }
+ *
+ * Serializers get the same export document built by buildDocument(), so a new
+ * format only has to turn that document into a file.
+ */
+
+class TranscriptExporter extends ModalPanel {
+    constructor() {
+        super();
+        this.formats = new Map();
+        this.session = null;      // Session being exported from the modal
+
+        this.schemaVersion = 1;
+        this.maxTopics = 15;      // Tags listed in meeting notes
+
+        // Speaker colors in styled WebVTT, in speaker order
+        this.speakerColors = ['#ffd166', '#06d6a0', '#4cc9f0', '#f78c6b', '#c77dff', '#ef476f'];
+
+        this.registerFormat('txt', {
+            label: 'transcript_format_txt',
+            extension: 'txt',
+            mimeType: 'text/plain',
+            filePrefix: 'transcript',
+            serialize: (doc) => doc.transcript
+        });
+        this.registerFormat('srt', {
+            label: 'transcript_format_srt',
+            extension: 'srt',
+            mimeType: 'text/plain',
+            filePrefix: 'captions',
+            serialize: (doc) => this.serializeSrt(doc)
+        });
+        this.registerFormat('vtt', {
+            label: 'transcript_format_vtt',
+            extension: 'vtt',
+            mimeType: 'text/vtt',
+            filePrefix: 'captions',
+            serialize: (doc, options) => this.serializeVtt(doc, options)
+        });
+        this.registerFormat('json', {
+            label: 'transcript_format_json',
+            extension: 'json',
+            mimeType: 'application/json',
+            filePrefix: 'transcript',
+            serialize: (doc) => JSON.stringify(doc, null, 2)
+        });
+        this.registerFormat('md', {
+            label: 'transcript_format_md',
+            extension: 'md',
+            mimeType: 'text/markdown',
+            filePrefix: 'meeting_notes',
+            serialize: (doc) => this.serializeMarkdown(doc)
+        });
+        this.registerFormat('docx', {
+            label: 'transcript_format_docx',
+            extension: 'docx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            filePrefix: 'meeting_notes',
+            serialize: (doc) => this.serializeDocx(doc)
+        });
+    }
+
+    /**
+     * Add an export format, or replace one with the same id
+     * @param {string} id - Format id
+     * @param {Object} format - { label, extension, mimeType, filePrefix, serialize(doc, options) }
+     */
+    registerFormat(id, format) {
+        if (typeof format.serialize !== 'function') {
+            throw new Error(`Export format '${id}' has no serialize function`);
+        }
+        this.formats.set(id, { filePrefix: 'transcript', ...format });
+    }
+
+    getFormats() {
+        return Array.from(this.formats.keys());
+    }
+
+    /**
+     * Build the export document shared by every format (also the JSON schema)
+     * @param {Object} session - Session fields ({ id, timestamp, transcript, subtitles, words, speakers, tags, aiTags, messages, language })
+     * @returns {Object} - Export document
+     */
+    buildDocument(session) {
+        const words = session.words || [];
+        const subtitles = session.subtitles || [];
+        const transcript = session.transcript || '';
+
+        // Speakers in order of appearance, with their current names
+        const speakerIds = [];
+        words.concat(subtitles).forEach(item => {
+            if (item.speaker && !speakerIds.includes(item.speaker)) speakerIds.push(item.speaker);
+        });
+        const speakerName = (id) => (session.speakers || {})[id] ||
+            (window.speakerDiarizer ? speakerDiarizer.getSpeakerName(id) : id);
+
+        const userMessage = (session.messages || []).find(message => message.role === 'user');
+        const turns = userMessage && userMessage.turns && userMessage.turns.length > 0 ? userMessage.turns :
+            (window.speakerDiarizer ? speakerDiarizer.buildTurns(words, transcript) : []);
+
+        const lastWord = words[words.length - 1];
+        const lastSubtitle = subtitles[subtitles.length - 1];
+        const duration = Math.max(lastWord ? lastWord.end : 0, lastSubtitle ? lastSubtitle.endTime : 0);
+
+        return {
+            schema: 'echolife-transcript',
+            version: this.schemaVersion,
+            id: session.id || null,
+            createdAt: new Date(session.timestamp || Date.now()).toISOString(),
+            language: session.language || null,
+            duration,
+            transcript,
+            speakers: speakerIds.map(id => ({ id, name: speakerName(id) })),
+            segments: subtitles.map((subtitle, index) => ({
+                index: index + 1,
+                start: subtitle.startTime,
+                end: subtitle.endTime,
+                speaker: subtitle.speaker || null,
+                text: subtitle.text
+            })),
+            turns: turns.map(turn => ({
+                speaker: turn.speaker,
+                start: turn.startTime,
+                end: turn.endTime,
+                text: turn.text
+            })),
+            words: words.map(word => ({
+                word: word.word.trim(),
+                start: word.start,
+                end: word.end,
+                speaker: word.speaker || null
+            })),
+            tags: (session.tags || []).map(tag => ({
+                text: tag.text,
+                count: tag.count || 1,
+                confidence: tag.confidence || null,
+                mentions: (tag.mentions || []).map(mention => ({ start: mention.start, end: mention.end }))
+            })),
+            aiTags: (session.aiTags || []).map(tag => (typeof tag === 'string' ? tag : tag.text)),
+            replies: (session.messages || [])
+                .filter(message => message.role === 'assistant')
+                .map(message => ({
+                    content: message.content,
+                    language: message.language || null,
+                    timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : null
+                }))
+        };
+    }
+
+    /**
+     * Serialize a session in a format
+     * @param {string} formatId - Format id
+     * @param {Object} session - Session fields, see buildDocument
+     * @param {Object} options - Format options
+     * @returns {Promise<Object>} - { content, filename, mimeType }
+     */
+    async export(formatId, session, options = {}) {
+        const format = this.formats.get(formatId);
+        if (!format) {
+            throw new Error(`Unknown export format: ${formatId}`);
+        }
+
+        const content = await format.serialize(this.buildDocument(session), options);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+
+        console.log(`[TRANSCRIPT-EXPORT] Exported ${formatId}`);
+        return {
+            content,
+            filename: `${format.filePrefix}_${timestamp}.${format.extension}`,
+            mimeType: format.mimeType
+        };
+    }
+
+    /**
+     * Export a session and hand the file to the user: the share sheet on
+     * phones, a download elsewhere
+     * @param {string} formatId - Format id
+     * @param {Object} session - Session fields, see buildDocument
+     * @param {Object} options - Format options
+     */
+    async exportAndSave(formatId, session, options = {}) {
+        const { content, filename, mimeType } = await this.export(formatId, session, options);
+
+        if (navigator.canShare && /iphone|ipad|ipod|android/.test(navigator.userAgent.toLowerCase())) {
+            try {
+                const file = new File([content], filename, { type: mimeType });
+
+                if (navigator.canShare({ files: [file] })) {
+                    await navigator.share({
+                        files: [file],
+                        title: getTranslation(this.formats.get(formatId).label, this.language),
+                        text: 'Transcript from Echo Life'
+                    });
+                    return;
+                }
+            } catch (error) {
+                console.error('Error sharing:', error);
+                // Fall back to download method if sharing fails
+            }
+        }
+
+        this.download(content, filename, mimeType);
+    }
+
+    download(content, filename, mimeType) {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Build the export modal
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+
+        const modal = document.createElement('div');
+        modal.id = 'transcriptExportModal';
+        modal.className = 'video-export-modal transcript-export-modal';
+        modal.innerHTML = `
+            <div class="video-export-content">
+                <h3>${t('transcript_export_title')}</h3>
+                <div class="video-options">
+                    <label>${t('transcript_export_format')}
+                        <select id="transcriptExportFormat">
+                            ${this.getFormats().map(id => `<option value="${id}">${t(this.formats.get(id).label)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label id="transcriptExportPositionLabel">${t('transcript_export_vtt_position')}
+                        <select id="transcriptExportPosition">
+                            <option value="bottom">${t('transcript_export_vtt_bottom')}</option>
+                            <option value="top">${t('transcript_export_vtt_top')}</option>
+                        </select>
+                    </label>
+                </div>
+                <div class="video-export-buttons">
+                    <button id="transcriptExportBtn" class="generate-video-btn">${t('transcript_export_button')}</button>
+                    <button id="transcriptExportCancelBtn" class="cancel-video-btn">${t('cancel')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        // Cue position only applies to WebVTT
+        const formatSelect = modal.querySelector('#transcriptExportFormat');
+        const updateOptions = () => {
+            modal.querySelector('#transcriptExportPositionLabel').style.display = formatSelect.value === 'vtt' ? '' : 'none';
+        };
+        formatSelect.addEventListener('change', updateOptions);
+        updateOptions();
+
+        modal.querySelector('#transcriptExportBtn').addEventListener('click', () => this.exportSelected());
+        modal.querySelector('#transcriptExportCancelBtn').addEventListener('click', () => this.close());
+
+        return modal;
+    }
+
+    /**
+     * Open the format picker for a session
+     * @param {Object} session - Session fields, see buildDocument
+     */
+    open(session) {
+        this.session = session;
+        this.showModal();
+    }
+
+    async exportSelected() {
+        const formatId = this.modal.querySelector('#transcriptExportFormat').value;
+        const position = this.modal.querySelector('#transcriptExportPosition').value;
+
+        try {
+            await this.exportAndSave(formatId, this.session, { position });
+            this.close();
+        } catch (error) {
+            console.error('[TRANSCRIPT-EXPORT] Export failed:', error);
+            alert('Error: ' + error.message);
+        }
+    }
+
+    // Cue text with the speaker name prefixed when several people speak
+    getCueText(doc, segment) {
+        if (!segment.speaker || doc.speakers.length < 2) return segment.text;
+        return `${this.getSpeakerName(doc, segment.speaker)}: ${segment.text}`;
+    }
+
+    getSpeakerName(doc, speakerId) {
+        const speaker = doc.speakers.find(item => item.id === speakerId);
+        return speaker ? speaker.name : speakerId;
+    }
+
+    serializeSrt(doc) {
+        return doc.segments.map(segment =>
+            `${segment.index}\n${this.formatTimestamp(segment.start, ',')} --> ${this.formatTimestamp(segment.end, ',')}\n${this.getCueText(doc, segment)}\n`
+        ).join('\n');
+    }
+
+    /**
+     * WebVTT with a style block and cue settings: cues are placed at the
+     * bottom or top, and speakers are voice spans with their own color
+     * @param {Object} doc - Export document
+     * @param {Object} options - { position: 'bottom' | 'top' }
+     * @returns {string} - WebVTT file content
+     */
+    serializeVtt(doc, options = {}) {
+        const settings = options.position === 'top' ?
+            'line:10% position:50% align:center size:80%' :
+            'line:85% position:50% align:center size:80%';
+        const voices = doc.speakers.length > 1;
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        const styles = ['::cue {\n    background-color: rgba(0, 0, 0, 0.7);\n    color: #ffffff;\n    font-family: sans-serif;\n}'];
+        if (voices) {
+            doc.speakers.forEach((speaker, i) => {
+                const voice = speaker.name.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+                styles.push(`::cue(v[voice="${voice}"]) {\n    color: ${this.speakerColors[i % this.speakerColors.length]};\n}`);
+            });
+        }
+
+        const cues = doc.segments.map(segment => {
+            const text = escape(segment.text);
+            const body = voices && segment.speaker ?
+                `<v ${escape(this.getSpeakerName(doc, segment.speaker))}>${text}</v>` : text;
+            return `${segment.index}\n${this.formatTimestamp(segment.start, '.')} --> ${this.formatTimestamp(segment.end, '.')} ${settings}\n${body}\n`;
+        });
+
+        const header = `WEBVTT\n\nNOTE Exported from Echo Life${doc.language ? ` (${doc.language})` : ''}\n`;
+        return [header, `STYLE\n${styles.join('\n\n')}\n`].concat(cues).join('\n');
+    }
+
+    /**
+     * Meeting notes shared by the Markdown and DOCX formats
+     * @param {Object} doc - Export document
+     * @returns {Array<Object>} - Blocks: { type: 'heading', level, text } or
+     *   { type: 'paragraph' | 'bullet', runs: [{ text, bold }] }
+     */
+    buildNotes(doc) {
+        const t = (key) => getTranslation(key, this.language);
+        const blocks = [];
+        const date = new Date(doc.createdAt);
+        const field = (label, value) => ({ type: 'paragraph', runs: [{ text: `${label}: `, bold: true }, { text: value }] });
+
+        blocks.push({ type: 'heading', level: 1, text: `${t('transcript_notes_title')} – ${date.toLocaleDateString(this.language)}` });
+        blocks.push(field(t('transcript_notes_date'), date.toLocaleString(this.language)));
+        if (doc.duration > 0) {
+            blocks.push(field(t('transcript_notes_duration'), this.formatDuration(doc.duration)));
+        }
+        if (doc.language) {
+            blocks.push(field(t('transcript_notes_language'), doc.language));
+        }
+        if (doc.speakers.length > 0) {
+            blocks.push(field(t('transcript_notes_speakers'), doc.speakers.map(speaker => speaker.name).join(', ')));
+        }
+
+        const topics = doc.tags.slice().sort((a, b) => b.count - a.count).slice(0, this.maxTopics);
+        if (topics.length > 0) {
+            blocks.push({ type: 'heading', level: 2, text: t('transcript_notes_topics') });
+            topics.forEach(tag => {
+                blocks.push({ type: 'bullet', runs: [{ text: tag.text }].concat(tag.count > 1 ? [{ text: ` (${tag.count}×)` }] : []) });
+            });
+        }
+
+        blocks.push({ type: 'heading', level: 2, text: t('transcript_notes_transcript') });
+        if (doc.turns.length > 0 && doc.speakers.length > 1) {
+            doc.turns.forEach(turn => {
+                blocks.push({
+                    type: 'paragraph',
+                    runs: [
+                        { text: `[${this.formatDuration(turn.start)}] ${this.getSpeakerName(doc, turn.speaker)}: `, bold: true },
+                        { text: turn.text }
+                    ]
+                });
+            });
+        } else {
+            doc.transcript.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).forEach(paragraph => {
+                blocks.push({ type: 'paragraph', runs: [{ text: paragraph.trim() }] });
+            });
+        }
+
+        if (doc.replies.length > 0) {
+            blocks.push({ type: 'heading', level: 2, text: t('transcript_notes_ai_replies') });
+            doc.replies.forEach(reply => {
+                reply.content.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).forEach(paragraph => {
+                    blocks.push({ type: 'paragraph', runs: [{ text: paragraph.trim() }], preformatted: true });
+                });
+            });
+        }
+
+        return blocks;
+    }
+
+    serializeMarkdown(doc) {
+        const escape = (text) => text.replace(/([\\*_[\]`])/g, '\\$1');
+        // AI replies are usually Markdown already, so they are kept as they are
+        const renderRuns = (block) => block.runs.map(run => {
+            const text = block.preformatted ? run.text : escape(run.text);
+            return run.bold ? `**${text.trim()}** ` : text;
+        }).join('');
+
+        let markdown = '';
+        this.buildNotes(doc).forEach((block, i, blocks) => {
+            // Bullets of one list stay together, everything else is separated by a blank line
+            if (i > 0) {
+                markdown += block.type === 'bullet' && blocks[i - 1].type === 'bullet' ? '\n' : '\n\n';
+            }
+
+            if (block.type === 'heading') {
+                markdown += `${'#'.repeat(block.level)} ${escape(block.text)}`;
+            } else if (block.type === 'bullet') {
+                markdown += `- ${renderRuns(block)}`;
+            } else {
+                markdown += renderRuns(block);
+            }
+        });
+
+        return markdown + '\n';
+    }
+
+    /**
+     * Word document with the meeting notes, zipped from WordprocessingML parts
+     * @param {Object} doc - Export document
+     * @returns {Blob} - DOCX file
+     */
+    serializeDocx(doc) {
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const run = (item) => `<w:r>${item.bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${escape(item.text)}</w:t></w:r>`;
+
+        const body = this.buildNotes(doc).map(block => {
+            if (block.type === 'heading') {
+                return `<w:p><w:pPr><w:pStyle w:val="Heading${block.level}"/></w:pPr>${run({ text: block.text })}</w:p>`;
+            }
+            const style = block.type === 'bullet' ? '<w:pPr><w:pStyle w:val="ListBullet"/></w:pPr>' : '';
+            const prefix = block.type === 'bullet' ? [{ text: '• ' }] : [];
+            // Line breaks inside a paragraph become <w:br/>
+            const runs = prefix.concat(block.runs).map(item =>
+                item.text.split('\n').map(line => run({ ...item, text: line })).join('<w:r><w:br/></w:r>'));
+            return `<w:p>${style}${runs.join('')}</w:p>`;
+        }).join('');
+
+        const namespace = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+        const style = (id, name, size, bold = false) => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/></w:pPr><w:rPr>${bold ? '<w:b/>' : ''}<w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+                    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'word/_rels/document.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'word/styles.xml',
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:styles xmlns:w="${namespace}">` +
+                    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:pPr><w:spacing w:after="120"/></w:pPr><w:rPr><w:sz w:val="22"/></w:rPr></w:style>' +
+                    style('Heading1', 'heading 1', 36, true) +
+                    style('Heading2', 'heading 2', 28, true) +
+                    '<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/><w:ind w:left="360"/></w:pPr></w:style>' +
+                    '</w:styles>'
+            },
+            {
+                name: 'word/document.xml',
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="${namespace}"><w:body>${body}<w:sectPr/></w:body></w:document>`
+            }
+        ];
+
+        return new Blob([this.createZip(files)], { type: this.formats.get('docx').mimeType });
+    }
+
+    /**
+     * Pack files into an uncompressed ZIP archive
+     * @param {Array<Object>} files - [{ name, content }] with string content
+     * @returns {Uint8Array} - ZIP bytes
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            // Local file header, then the data as is (method 0, stored)
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true);
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(new Uint8Array(header.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        const all = parts.concat(directory, [new Uint8Array(end.buffer)]);
+        const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        all.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+    formatTimestamp(seconds, separator) {
+        const totalMs = Math.round(Math.max(0, seconds) * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+    }
+
+    // M:SS, or H:MM:SS for an hour or more
+    formatDuration(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+}
+
+// Create a global instance of the transcript exporter
+const transcriptExporter = new TranscriptExporter();
+
+// Make it globally available
+window.transcriptExporter = transcriptExporter;
@@ -6,20 +6,34 @@ class WhisperTranscriptionService {
     constructor() {
         this.apiKey = null;
         this.subtitleData = [];
+        this.wordTimestamps = []; // Raw word-level timestamps from the last transcription
         this.lastError = null;
-        
+
+        // Recordings longer than this are split into overlapping chunks (see AudioChunker)
+        this.chunkThreshold = 300; // Seconds
+        this.maxRequestBytes = 24 * 1024 * 1024; // Larger files are chunked whatever their length (Whisper accepts 25MB)
+        this.maxConcurrentChunks = 3;
+
         // Track the audio format information for better error messages
         this.lastAudioFormat = null;
         this.lastAudioSize = 0;
         
         // Initialize with language from localStorage
         this.language = localStorage.getItem('echolife_language') || 'en-US';
+
+        // In auto mode Whisper picks the language and we report what it heard
+        this.autoDetect = localStorage.getItem('echolife_auto_detect_language') === 'true';
+        this.detectedLanguage = null;
         
         // Listen for language changes
         window.addEventListener('languageChanged', (e) => {
             this.language = e.detail.language;
             console.log(`Transcription service language set to: ${this.language}`);
         });
+
+        window.addEventListener('translationSettingsChanged', (e) => {
+            this.autoDetect = !!e.detail.autoDetect;
+        });
     }
     
     setApiKey(key) {
@@ -34,15 +48,68 @@ class WhisperTranscriptionService {
         return this.subtitleData;
     }
     
+    getWordTimestamps() {
+        return this.wordTimestamps;
+    }
+    
     getLastErrorDetails() {
         return this.lastError || { error: null, status: null, statusText: null };
     }
     
+    /**
+     * Language of the last transcription: what Whisper detected in auto mode,
+     * otherwise the selected language
+     * @returns {string} - App language code
+     */
+    getDetectedLanguage() {
+        return this.detectedLanguage || this.language;
+    }
+    
+    /**
+     * Copy the speaker names the diarizer found for a set of words
+     * @param {Array} words - Labelled words
+     * @returns {Object} - Speaker id to name map, empty without labelled words
+     */
+    getSpeakersSnapshot(words) {
+        return window.speakerDiarizer && words.length > 0 ? { ...speakerDiarizer.speakers } : {};
+    }
+    
+    /**
+     * Map the app language to the ISO-639-1 code Whisper expects
+     * @returns {string|null} - Whisper language code, or null to let Whisper detect it
+     */
+    getWhisperLanguage() {
+        return this.autoDetect ? null : languagePacks.getWhisperCode(this.language);
+    }
+
+    /**
+     * Record the language Whisper reported and tell the rest of the app about it
+     * @param {string} whisperLanguage - The `language` field of a verbose_json response
+     * @returns {Promise<string>} - App language code of the transcript
+     */
+    async recordDetectedLanguage(whisperLanguage) {
+        if (!this.autoDetect) {
+            this.detectedLanguage = this.language;
+            return this.detectedLanguage;
+        }
+
+        this.detectedLanguage = languagePacks.fromWhisperLanguage(whisperLanguage, this.language) || this.language;
+
+        // Load prompts and stop words before anyone asks for them
+        await languagePacks.ensureLanguage(this.detectedLanguage);
+        console.log(`Whisper detected language: ${whisperLanguage} -> ${this.detectedLanguage}`);
+
+        window.dispatchEvent(new CustomEvent('spokenLanguageDetected', {
+            detail: { language: this.detectedLanguage, whisperLanguage }
+        }));
+        return this.detectedLanguage;
+    }
+    
     /**
      * Test the Whisper API access using a minimal request
      */
     async testWhisperApiAccess() {
-        if (!this.apiKey) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
             return { success: false, message: "API key not set" };
         }
         
@@ -53,18 +120,11 @@ class WhisperTranscriptionService {
             // Prepare form data for the API request
             const formData = new FormData();
             formData.append('file', sampleAudio, 'test.webm');
-            formData.append('model', 'whisper-1');
             formData.append('language', 'en');
             formData.append('response_format', 'json');
             
-            // Send a request to the Whisper API endpoint
-            const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: formData
-            });
+            // Send a request to the configured transcription endpoint
+            const response = await llmProvider.transcription(formData, { apiKey: this.apiKey });
             
             // Process the response
             if (response.ok) {
@@ -163,7 +223,19 @@ class WhisperTranscriptionService {
      * @returns {Promise<string>} - The transcription text
      */
     async transcribeAudio(audioData) {
-        if (!this.apiKey) {
+        const result = await this.transcribeWithDetails(audioData);
+        return result.text;
+    }
+    
+    /**
+     * Transcribe audio and return everything learned about it. The service
+     * keeps the last transcription's words and subtitles too, but callers that
+     * run alongside other transcriptions (the offline queue) need their own copy.
+     * @param {Object} audioData - As for transcribeAudio()
+     * @returns {Promise<Object>} - { text, words, subtitles, language, speakers }
+     */
+    async transcribeWithDetails(audioData) {
+        if (!this.apiKey && llmProvider.requiresApiKey()) {
             throw new Error('API key not set. Please set your OpenAI API key.');
         }
         
@@ -178,7 +250,31 @@ class WhisperTranscriptionService {
             
             // Get audio level data if available
             this.lastAudioLevel = audioData.audioLevelDetected || null;
-            
+
+            // Long recordings would hit the 25MB limit, so transcribe them in chunks
+            const decoded = await this.decodeForChunking(audioData.blob);
+            if (decoded) {
+                const result = await this.transcribeInChunks(decoded);
+
+                this.wordTimestamps = window.speakerDiarizer ?
+                    await speakerDiarizer.labelWords(audioData.blob, result.words, { inputs: audioData.inputs }) :
+                    result.words;
+                const speakers = this.getSpeakersSnapshot(this.wordTimestamps);
+                if (this.wordTimestamps.length > 0) {
+                    this.processWordLevelTimestamps(this.wordTimestamps, result.text);
+                } else if (result.text) {
+                    this.generateSubtitleData(result.text);
+                } else {
+                    this.subtitleData = [{ startTime: 0, endTime: 1, text: "(No speech detected)" }];
+                }
+                const words = this.wordTimestamps;
+                const subtitles = this.subtitleData;
+
+                const language = await this.recordDetectedLanguage(result.language);
+
+                return { text: result.text, words, subtitles, language, speakers };
+            }
+
             // Validate audio before attempting transcription
             const validationResult = await this.validateAudioForWhisper(audioData.blob, audioData.type);
             if (!validationResult.isValid) {
@@ -281,23 +377,7 @@ class WhisperTranscriptionService {
             // ...existing code for language mapping and API request...
             
             // Identify language code for Whisper API
-            const languageMap = {
-                'en-US': 'en',
-                'pt-BR': 'pt',
-                'es-ES': 'es',
-                'fr-FR': 'fr',
-                'de-DE': 'de',
-                'it-IT': 'it',
-                'ja-JP': 'ja',
-                'ko-KR': 'ko',
-                'zh-CN': 'zh',
-                'ru-RU': 'ru',
-                'nl-NL': 'nl',
-                'tr-TR': 'tr',
-                'pl-PL': 'pl'
-            };
-            
-            const whisperLang = languageMap[this.language] || 'en';
+            const whisperLang = this.getWhisperLanguage();
             
             // Default to not translating unless translation toggle is enabled
             const translateEnabled = false;
@@ -330,8 +410,9 @@ class WhisperTranscriptionService {
             
             // Add the audio file to the form
             formData.append('file', processedBlob, filename);
-            formData.append('model', 'whisper-1');
-            formData.append('language', whisperLang);
+            if (whisperLang) {
+                formData.append('language', whisperLang);
+            }
             formData.append('response_format', 'verbose_json');
             formData.append('timestamp_granularities', ['word']);
             
@@ -345,16 +426,10 @@ class WhisperTranscriptionService {
             }
             
             // Log the request details
-            console.log(`Sending request to Whisper API with filename: ${filename}, language: ${whisperLang}`);
+            console.log(`Sending request to Whisper API with filename: ${filename}, language: ${whisperLang || 'auto'}`);
             
             // Make the API request
-            const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: formData
-            });
+            const response = await llmProvider.transcription(formData, { apiKey: this.apiKey });
             
             console.log('\n', response);
             
@@ -412,9 +487,11 @@ class WhisperTranscriptionService {
             
             // Check for empty transcription or missing text property
             if (!result.text || result.text.trim() === '') {
+                this.detectedLanguage = null;
                 console.warn("Whisper API returned empty transcription result");
                 
                 // Store an empty subtitle to avoid errors
+                this.wordTimestamps = [];
                 this.subtitleData = [{
                     startTime: 0,
                     endTime: 1,
@@ -430,19 +507,29 @@ class WhisperTranscriptionService {
                     timestamp: new Date().toISOString()
                 };
                 
-                // Return empty string rather than undefined
-                return "";
+                // Return empty text rather than undefined
+                return { text: "", words: [], subtitles: this.subtitleData, language: this.language, speakers: {} };
             }
             
             // Store subtitle data with word-level timestamps if available
             if (result.words && result.words.length > 0) {
-                this.processWordLevelTimestamps(result.words);
+                // Label words with speakers before building subtitle segments
+                this.wordTimestamps = window.speakerDiarizer ?
+                    await speakerDiarizer.labelWords(processedBlob, result.words, { inputs: audioData.inputs }) :
+                    result.words;
+                this.processWordLevelTimestamps(this.wordTimestamps, result.text);
             } else {
                 // Generate estimated subtitle data if word-level data not available
+                this.wordTimestamps = [];
                 this.generateSubtitleData(result.text);
             }
+            const words = this.wordTimestamps;
+            const subtitles = this.subtitleData;
+            const speakers = this.getSpeakersSnapshot(words);
+
+            const language = await this.recordDetectedLanguage(result.language);
             
-            return result.text;
+            return { text: result.text, words, subtitles, language, speakers };
         } catch (error) {
             console.error('Error transcribing audio:', error);
             
@@ -1232,89 +1319,354 @@ class WhisperTranscriptionService {
     /**
      * Process word-level timestamps from Whisper API response
      * @param {Array} words - Word objects with start, end, and word properties
+     * @param {string|null} text - Transcript the words came from, for punctuation
      */
-    processWordLevelTimestamps(words) {
-        // Clear existing subtitle data
-        this.subtitleData = [];
-        
-        // Group words into sensible subtitle segments (max 10 words per segment)
-        const maxWordsPerSegment = 10;
-        let currentSegment = {
-            startTime: words[0].start,
-            endTime: words[0].end,
-            text: words[0].word.trim(),
-            words: [words[0]]
-        };
-        
-        for (let i = 1; i < words.length; i++) {
-            const word = words[i];
-            
-            // Add word to current segment if under the limit
-            if (currentSegment.words.length < maxWordsPerSegment) {
-                currentSegment.text += ' ' + word.word.trim();
-                currentSegment.words.push(word);
-                currentSegment.endTime = word.end;
-            } else {
-                // Save current segment and start a new one
-                this.subtitleData.push({
-                    startTime: currentSegment.startTime,
-                    endTime: currentSegment.endTime,
-                    text: currentSegment.text
-                });
-                
-                // Start new segment
-                currentSegment = {
-                    startTime: word.start,
-                    endTime: word.end,
-                    text: word.word.trim(),
-                    words: [word]
-                };
-            }
-        }
-        
-        // Add the last segment
-        if (currentSegment.words.length > 0) {
-            this.subtitleData.push({
-                startTime: currentSegment.startTime,
-                endTime: currentSegment.endTime,
-                text: currentSegment.text
-            });
-        }
+    processWordLevelTimestamps(words, text = null) {
+        this.subtitleData = this.buildSubtitleSegments(words, text);
         
         console.log(`Generated ${this.subtitleData.length} subtitle segments from word-level timestamps`);
     }
     
+    /**
+     * Group words into subtitle segments without touching the service state,
+     * using the subtitle rules (line length, reading speed, pauses) in effect
+     * @param {Array} words - Word objects with start, end, word and optional speaker properties
+     * @param {string|null} text - Transcript the words came from, for punctuation
+     * @returns {Array} - Subtitle segments ({ startTime, endTime, text, speaker })
+     */
+    buildSubtitleSegments(words, text = null) {
+        return subtitleSegmenter.segment(words, text);
+    }
+    
     /**
      * Generate subtitle data from text without timestamps
      * @param {string} text - The transcribed text
      */
     generateSubtitleData(text) {
-        // Split the text into sentences
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-        this.subtitleData = [];
-        
-        // Approximate 3 words per second for timing
-        const wordsPerSecond = 3;
-        let startTime = 0;
-        
-        sentences.forEach(sentence => {
-            const wordCount = sentence.split(/\s+/).length;
-            const duration = wordCount / wordsPerSecond;
-            const endTime = startTime + duration;
-            
-            this.subtitleData.push({
-                startTime,
-                endTime,
-                text: sentence.trim()
-            });
-            
-            // Update start time for next sentence
-            startTime = endTime;
-        });
+        // Words are timed at a steady speaking rate, then segmented like timed words
+        this.subtitleData = subtitleSegmenter.segmentText(text);
         
         console.log(`Generated ${this.subtitleData.length} estimated subtitle segments`);
     }
 
+    /**
+     * Decode audio if it is too large or too long for a single request
+     * @param {Blob} audioBlob - The audio to check
+     * @returns {Promise<Object|null>} - Decoded audio from AudioChunker, or null for audio sent as is
+     */
+    async decodeForChunking(audioBlob) {
+        // Small files can't be long enough to matter, so skip the decode
+        if (!window.audioChunker || audioBlob.size < 1024 * 1024) {
+            return null;
+        }
+
+        const tooLarge = audioBlob.size > this.maxRequestBytes;
+        if (!tooLarge) {
+            // The file's own metadata usually tells the length without decoding it
+            const duration = await this.readDuration(audioBlob);
+            if (duration !== null && duration <= this.chunkThreshold) {
+                return null;
+            }
+        }
+
+        try {
+            const decoded = await audioChunker.decode(audioBlob);
+            console.log(`Audio duration: ${decoded.duration.toFixed(1)}s, size: ${(audioBlob.size / 1024 / 1024).toFixed(1)}MB (chunking above ${this.chunkThreshold}s or ${this.maxRequestBytes / 1024 / 1024}MB)`);
+            return tooLarge || decoded.duration > this.chunkThreshold ? decoded : null;
+        } catch (error) {
+            // Formats the browser can't decode still get a chance in a single request
+            console.warn("Could not decode audio for chunking:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Read an audio file's duration from its metadata
+     * @param {Blob} audioBlob - The audio
+     * @returns {Promise<number|null>} - Seconds, or null when the file doesn't say
+     *                                    (MediaRecorder WebM has no duration header)
+     */
+    readDuration(audioBlob) {
+        return new Promise(resolve => {
+            const audio = document.createElement('audio');
+            const url = URL.createObjectURL(audioBlob);
+            const done = (duration) => {
+                URL.revokeObjectURL(url);
+                resolve(Number.isFinite(duration) ? duration : null);
+            };
+
+            audio.preload = 'metadata';
+            audio.onloadedmetadata = () => done(audio.duration);
+            audio.onerror = () => done(null);
+            audio.src = url;
+        });
+    }
+
+    /**
+     * Transcribe long audio as overlapping chunks and stitch the results together
+     * @param {Object} decoded - Decoded audio from AudioChunker.decode()
+     * @returns {Promise<Object>} - { text, words, language } with timestamps relative to the whole recording
+     */
+    async transcribeInChunks(decoded) {
+        const chunks = audioChunker.split(decoded);
+        const whisperLang = this.getWhisperLanguage();
+        let completed = 0;
+
+        const reportProgress = () => {
+            window.dispatchEvent(new CustomEvent('transcriptionProgress', {
+                detail: { completed, total: chunks.length }
+            }));
+        };
+        reportProgress();
+
+        const results = await this.runWithConcurrency(chunks, this.maxConcurrentChunks, async (chunk) => {
+            const result = await this.transcribeChunk(chunk, whisperLang);
+            completed++;
+            reportProgress();
+            return result;
+        });
+
+        const merged = this.mergeChunkResults(results);
+        console.log(`Stitched ${chunks.length} chunks into ${merged.words.length} words`);
+        return merged;
+    }
+
+    /**
+     * Transcribe a single chunk, retrying once on rate limits and server errors
+     * @param {Object} chunk - Chunk from AudioChunker.split()
+     * @param {string|null} whisperLang - Whisper language code, or null to let Whisper detect it
+     * @returns {Promise<Object>} - The chunk with its text, detected language and words (timestamps offset by the chunk start)
+     */
+    async transcribeChunk(chunk, whisperLang) {
+        let chunkBlob = chunk.blob;
+
+        if (window.audioProcessor) {
+            try {
+                const enhancedWav = await window.audioProcessor.enhanceAudio(chunkBlob);
+                if (enhancedWav && enhancedWav.size > 1000) {
+                    chunkBlob = enhancedWav;
+                }
+            } catch (enhanceError) {
+                console.warn(`Enhancement failed for chunk ${chunk.index}, using raw audio:`, enhanceError);
+            }
+        }
+
+        const maxAttempts = 2;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const formData = new FormData();
+            formData.append('file', chunkBlob, `chunk_${Date.now()}_${chunk.index}.wav`);
+            if (whisperLang) {
+                formData.append('language', whisperLang);
+            }
+            formData.append('response_format', 'verbose_json');
+            formData.append('timestamp_granularities[]', 'word');
+            formData.append('temperature', '0.0');
+
+            console.log(`Transcribing chunk ${chunk.index} (${chunk.startTime.toFixed(1)}s - ${chunk.endTime.toFixed(1)}s), attempt ${attempt}`);
+
+            const response = await llmProvider.transcription(formData, { apiKey: this.apiKey });
+
+            if (response.ok) {
+                const result = await response.json();
+                return {
+                    ...chunk,
+                    text: (result.text || '').trim(),
+                    language: result.language || null,
+                    words: (result.words || []).map(word => ({
+                        ...word,
+                        start: word.start + chunk.startTime,
+                        end: word.end + chunk.startTime
+                    }))
+                };
+            }
+
+            const errorResult = await response.json().catch(() => ({}));
+            this.lastError = {
+                status: response.status,
+                statusText: response.statusText,
+                error: errorResult.error || null,
+                chunk: chunk.index
+            };
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt === maxAttempts) {
+                throw new Error(`Chunk ${chunk.index + 1} of the recording failed: ${errorResult.error?.message || `HTTP ${response.status}: ${response.statusText}`}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+        }
+    }
+
+    /**
+     * Run an async worker over items with at most `limit` running at once
+     * @param {Array} items - Items to process
+     * @param {number} limit - Maximum concurrent workers
+     * @param {Function} worker - async (item, index) => result
+     * @returns {Promise<Array>} - Results in the same order as the items
+     */
+    async runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let failed = false;
+
+        const runNext = async () => {
+            while (!failed && nextIndex < items.length) {
+                const index = nextIndex++;
+                try {
+                    results[index] = await worker(items[index], index);
+                } catch (error) {
+                    // Stop handing out work; chunks already in flight are left to finish
+                    failed = true;
+                    throw error;
+                }
+            }
+        };
+
+        const runners = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) {
+            runners.push(runNext());
+        }
+        await Promise.all(runners);
+
+        return results;
+    }
+
+    /**
+     * Merge chunk results, dropping the words transcribed twice in each overlap
+     * @param {Array} results - Chunk results from transcribeChunk(), in order
+     * @returns {Object} - { text, words, language }
+     */
+    mergeChunkResults(results) {
+        let words = [];
+        let text = '';
+        const languageWords = {};
+
+        results.forEach((result, index) => {
+            let chunkWords = result.words;
+            let chunkText = result.text;
+
+            if (index > 0 && words.length > 0 && chunkWords.length > 0) {
+                const { keepPrevious, skipNext } = this.alignOverlap(
+                    words, chunkWords, result.startTime, results[index - 1].endTime
+                );
+
+                if (keepPrevious < words.length) {
+                    text = this.sliceTextAtWord(text, words, keepPrevious, 'before');
+                    words = words.slice(0, keepPrevious);
+                }
+                if (skipNext > 0) {
+                    chunkText = this.sliceTextAtWord(chunkText, chunkWords, skipNext, 'after');
+                    chunkWords = chunkWords.slice(skipNext);
+                }
+            }
+
+            words = words.concat(chunkWords);
+            if (chunkText) {
+                text = text ? `${text} ${chunkText}` : chunkText;
+            }
+
+            if (result.language) {
+                languageWords[result.language] = (languageWords[result.language] || 0) + chunkWords.length;
+            }
+        });
+
+        // The recording's language is the one most of its words were spoken in
+        const language = Object.keys(languageWords)
+            .sort((a, b) => languageWords[b] - languageWords[a])[0] || null;
+
+        return { text: text.trim(), words, language };
+    }
+
+    /**
+     * Find where two neighbouring chunks agree inside their shared overlap
+     * @param {Array} previousWords - Words stitched so far
+     * @param {Array} nextWords - Words of the next chunk
+     * @param {number} overlapStart - Start of the overlap (seconds)
+     * @param {number} overlapEnd - End of the overlap (seconds)
+     * @returns {Object} - { keepPrevious, skipNext } word counts to keep/skip
+     */
+    alignOverlap(previousWords, nextWords, overlapStart, overlapEnd) {
+        const tolerance = 1.0; // Seconds two copies of the same word may drift apart
+        const normalize = (word) => word.word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+        // Only words near the overlap can be duplicates
+        let firstPrevious = previousWords.length;
+        while (firstPrevious > 0 && previousWords[firstPrevious - 1].end > overlapStart - tolerance) {
+            firstPrevious--;
+        }
+        let lastNext = 0;
+        while (lastNext < nextWords.length && nextWords[lastNext].start < overlapEnd + tolerance) {
+            lastNext++;
+        }
+
+        // Longest run of matching words at matching times
+        let best = { length: 0, previous: 0, next: 0 };
+        for (let i = firstPrevious; i < previousWords.length; i++) {
+            for (let j = 0; j < lastNext; j++) {
+                let length = 0;
+                while (i + length < previousWords.length && j + length < nextWords.length &&
+                       normalize(previousWords[i + length]) === normalize(nextWords[j + length]) &&
+                       Math.abs(previousWords[i + length].start - nextWords[j + length].start) < tolerance) {
+                    length++;
+                }
+                if (length > best.length) {
+                    best = { length, previous: i, next: j };
+                }
+            }
+        }
+
+        if (best.length > 0) {
+            // Keep the previous chunk's copy of the matched run and continue after it
+            return {
+                keepPrevious: best.previous + best.length,
+                skipNext: best.next + best.length
+            };
+        }
+
+        // No agreement: cut both sides at the middle of the overlap
+        const midpoint = (overlapStart + overlapEnd) / 2;
+        let keepPrevious = previousWords.length;
+        while (keepPrevious > 0 && previousWords[keepPrevious - 1].start >= midpoint) {
+            keepPrevious--;
+        }
+        let skipNext = 0;
+        while (skipNext < nextWords.length && nextWords[skipNext].start < midpoint) {
+            skipNext++;
+        }
+
+        return { keepPrevious, skipNext };
+    }
+
+    /**
+     * Cut text at a word so punctuation from the transcript is kept
+     * @param {string} text - Transcript text
+     * @param {Array} words - Words of that text, in order
+     * @param {number} wordIndex - Word to cut at
+     * @param {string} side - 'before' keeps text before the word, 'after' keeps it and what follows
+     * @returns {string} - The sliced text
+     */
+    sliceTextAtWord(text, words, wordIndex, side) {
+        // Walk the text to find where each word starts
+        const lowerText = text.toLowerCase();
+        let cursor = 0;
+        let offset = -1;
+
+        for (let i = 0; i <= wordIndex && i < words.length; i++) {
+            const found = lowerText.indexOf(words[i].word.trim().toLowerCase(), cursor);
+            if (found === -1) break;
+            if (i === wordIndex) offset = found;
+            cursor = found + words[i].word.trim().length;
+        }
+
+        if (offset === -1) {
+            // Text and words disagree; rebuild from the words instead
+            const kept = side === 'before' ? words.slice(0, wordIndex) : words.slice(wordIndex);
+            return kept.map(word => word.word.trim()).join(' ');
+        }
+
+        return side === 'before' ? text.substring(0, offset).trim() : text.substring(offset).trim();
+    }
+
     /**
      * Check if audio data is valid and appropriate for Whisper API
      * @param {Blob} audioBlob - The audio blob to validate
@@ -7,10 +7,13 @@ class TranslationController {
     constructor() {
         this.language = localStorage.getItem('echolife_language') || 'en-US';
         this.translateEnabled = localStorage.getItem('echolife_translate_enabled') === 'true';
+        this.autoDetect = localStorage.getItem('echolife_auto_detect_language') === 'true';
+        this.spokenLanguage = null; // Last language Whisper detected while auto-detect is on
         
         this.toggleLabel = document.getElementById('translationToggleLabel');
         this.languageSelector = document.getElementById('languageSelector');
         this.translationToggle = document.getElementById('translationToggle');
+        this.autoDetectToggle = document.getElementById('autoDetectToggle');
         
         this.init();
     }
@@ -19,23 +22,37 @@ class TranslationController {
         // Set initial state
         if (this.languageSelector) {
             this.languageSelector.value = this.language;
+            
+            // Add the languages from the pack list, then select the saved one if it's a pack
+            languagePacks.loadManifest().then(() => this.populateLanguageSelector());
         }
         
         if (this.translationToggle) {
             this.translationToggle.checked = this.translateEnabled;
         }
         
+        if (this.autoDetectToggle) {
+            this.autoDetectToggle.checked = this.autoDetect;
+        }
+        
         // Update the toggle label based on current language
         this.updateToggleLabel();
         
-        // Translate all interface elements on initialization
+        // Translate all interface elements on initialization, and again once the packs are loaded
         this.translateInterface();
+        languagePacks.ensureLanguage(this.language).then(() => {
+            this.updateToggleLabel();
+            this.translateInterface();
+        });
         
         // Set up event listeners
         if (this.languageSelector) {
-            this.languageSelector.addEventListener('change', (e) => {
+            this.languageSelector.addEventListener('change', async (e) => {
                 this.language = e.target.value;
                 localStorage.setItem('echolife_language', this.language);
+                
+                // Fetch the language's packs before anything reads its strings or prompts
+                await languagePacks.ensureLanguage(this.language);
                 this.updateToggleLabel();
                 
                 // Translate all interface elements
@@ -60,26 +77,76 @@ class TranslationController {
                 this.dispatchSettingsChanged();
             });
         }
+        
+        if (this.autoDetectToggle) {
+            this.autoDetectToggle.addEventListener('change', (e) => {
+                this.autoDetect = e.target.checked;
+                this.spokenLanguage = null;
+                localStorage.setItem('echolife_auto_detect_language', this.autoDetect);
+                
+                this.dispatchSettingsChanged();
+            });
+        }
+        
+        // Follow the language of each recording while auto-detect is on
+        window.addEventListener('spokenLanguageDetected', async (e) => {
+            if (!this.autoDetect || e.detail.language === this.getSpokenLanguage()) return;
+            
+            // Set it right away so getSettings() is current for whoever handles this recording
+            this.spokenLanguage = e.detail.language;
+            await languagePacks.ensureLanguage(this.spokenLanguage);
+            console.log(`[LANG] Spoken language is now ${this.spokenLanguage}`);
+            
+            this.dispatchSettingsChanged();
+        });
     }
     
     updateToggleLabel() {
         if (this.toggleLabel) {
-            this.toggleLabel.textContent = this.language === 'pt-BR' ? 'Tradução' : 'Translate';
+            this.toggleLabel.textContent = getTranslation('translate', this.language);
         }
     }
     
+    // Add an option for every available language, keeping the ones already in the markup
+    populateLanguageSelector() {
+        languagePacks.getAvailableLanguages().forEach(({ code, name }) => {
+            if (!this.languageSelector.querySelector(`option[value="${code}"]`)) {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = name;
+                this.languageSelector.appendChild(option);
+            }
+        });
+        this.languageSelector.value = this.language;
+    }
+    
+    // The language being spoken: the detected one in auto mode, otherwise the selected one
+    getSpokenLanguage() {
+        return (this.autoDetect && this.spokenLanguage) || this.language;
+    }
+    
+    // Translation switches between English and Portuguese; other languages translate to English
+    getTargetLanguage() {
+        return this.getSpokenLanguage() === 'en-US' ? 'pt-BR' : 'en-US';
+    }
+    
     // Translate the entire interface based on current language
     translateInterface() {
         // Header section
         this.updateElementText('header h1', 'app_title');
         this.updateElementText('header p', 'app_tagline');
         this.updateElementText('#editApiKeyButton', 'edit_api_key');
+        this.updateElementText('#llmSettingsButton', 'llm_settings');
+        this.updateElementText('#speechSettingsButton', 'voice_settings');
+        this.updateElementText('#subtitleSettingsButton', 'subtitle_settings');
         
         // Word cloud placeholder
         this.updateElementText('.word-cloud-placeholder', 'words_appear');
         
         // Recording section
         this.updateElementText('#recordingStatus', 'click_to_start');
+        this.updateElementText('#autoDetectToggleLabel', 'auto_detect_language');
+        this.updateElementText('#handsFreeButton', 'hands_free');
         
         // Upload section
         this.updateElementText('.audio-drop-section h2', 'upload_audio');
@@ -92,11 +159,13 @@ class TranslationController {
         // Chat section
         this.updateElementText('.chat-section h2', 'ai_response');
         this.updateElementText('#feedbackButton', 'get_ai_feedback');
+        this.updateElementText('#summarizeButton', 'summarize_transcript');
         
         // Export section
         this.updateElementText('.export-container h3', 'export_options');
         this.updateElementText('#exportTxtBtn', 'export_txt');
         this.updateElementText('#exportSrtBtn', 'export_srt');
+        this.updateElementText('#exportMoreBtn', 'export_more');
         this.updateElementText('#exportAudioBtn', 'export_audio');
         this.updateElementText('#exportVideoBtn', 'export_video');
         
@@ -105,14 +174,23 @@ class TranslationController {
         this.updateElementText('#previewSubtitleDisplay', 'subtitles_will_appear');
         this.updateElementText('#closePreviewBtn', 'close_preview');
         this.updateElementText('#previewSubtitlesBtn', 'preview_with_subtitles');
+        this.updateElementText('#editSubtitlesBtn', 'edit_subtitles');
         
         // Tags section
+        this.updateElementText('#cancelFeedbackButton', 'stop_response');
+        
         this.updateElementText('.tag-section h3', 'ai_response_tags');
         this.updateElementText('.tag-placeholder', 'tags_will_appear');
         
         // History section
         this.updateElementText('.audio-history-section h2', 'recent_audios');
         this.updateElementText('.empty-history-message', 'history_appear');
+        this.updateElementText('.history-search-hint', 'search_hint');
+        
+        const searchInput = document.getElementById('historySearchInput');
+        if (searchInput) {
+            searchInput.placeholder = getTranslation('search_sessions_placeholder', this.language);
+        }
         
         // Update all "No response yet" badges if present
         document.querySelectorAll('.no-response-badge').forEach(badge => {
@@ -188,19 +266,17 @@ class TranslationController {
     
     dispatchSettingsChanged() {
         window.dispatchEvent(new CustomEvent('translationSettingsChanged', {
-            detail: {
-                language: this.language,
-                translateEnabled: this.translateEnabled,
-                targetLanguage: this.language === 'pt-BR' ? 'en-US' : 'pt-BR'
-            }
+            detail: this.getSettings()
         }));
     }
     
     getSettings() {
         return {
             language: this.language,
+            spokenLanguage: this.getSpokenLanguage(),
+            autoDetect: this.autoDetect,
             translateEnabled: this.translateEnabled,
-            targetLanguage: this.language === 'pt-BR' ? 'en-US' : 'pt-BR'
+            targetLanguage: this.getTargetLanguage()
         };
     }
 }
@@ -1,6 +1,7 @@
 /**
  * Translation dictionary for Echo Life application
- * Contains all translatable text in English and Portuguese
+ * Contains all translatable text in English and Portuguese.
+ * Other languages are added by language packs (see language-packs.js).
  */
 
 const translations = {
@@ -17,6 +18,10 @@ const translations = {
         'en-US': 'Edit API Key',
         'pt-BR': 'Editar Chave API'
     },
+    'llm_settings': {
+        'en-US': 'AI Settings',
+        'pt-BR': 'Configurações de IA'
+    },
     
     // Word cloud section
     'words_appear': {
@@ -41,6 +46,10 @@ const translations = {
         'en-US': 'Transcribing audio...',
         'pt-BR': 'Transcrevendo áudio...'
     },
+    'transcribing_chunks': {
+        'en-US': 'Transcribing long recording',
+        'pt-BR': 'Transcrevendo gravação longa'
+    },
     'transcription_failed': {
         'en-US': 'Transcription failed. Try using the upload option.',
         'pt-BR': 'Transcrição falhou. Tente usar a opção de upload.'
@@ -197,10 +206,654 @@ const translations = {
         'en-US': 'Your uploaded audio history will appear here',
         'pt-BR': 'Seu histórico de áudios carregados aparecerá aqui'
     },
+    'speaker': {
+        'en-US': 'Speaker',
+        'pt-BR': 'Falante'
+    },
+    'rename_speaker': {
+        'en-US': 'Click to rename speaker',
+        'pt-BR': 'Clique para renomear o falante'
+    },
+    'rename_speaker_prompt': {
+        'en-US': 'Name for this speaker:',
+        'pt-BR': 'Nome para este falante:'
+    },
+    'speak_message': {
+        'en-US': 'Read aloud',
+        'pt-BR': 'Ler em voz alta'
+    },
+    'stop_speaking': {
+        'en-US': 'Stop reading',
+        'pt-BR': 'Parar leitura'
+    },
+    'voice_settings': {
+        'en-US': 'Voice',
+        'pt-BR': 'Voz'
+    },
+    'tts_settings_title': {
+        'en-US': 'Voice Settings',
+        'pt-BR': 'Configurações de Voz'
+    },
+    'tts_provider': {
+        'en-US': 'Speech provider',
+        'pt-BR': 'Provedor de fala'
+    },
+    'tts_auto_speak': {
+        'en-US': 'Auto-speak replies (hands-free conversation)',
+        'pt-BR': 'Falar respostas automaticamente (conversa sem as mãos)'
+    },
+    'tts_auto_speak_hint': {
+        'en-US': 'Each recording gets an AI reply that is read aloud, then recording starts again for your answer.',
+        'pt-BR': 'Cada gravação recebe uma resposta da IA lida em voz alta, e a gravação recomeça para sua resposta.'
+    },
+    'tts_voice': {
+        'en-US': 'Voice',
+        'pt-BR': 'Voz'
+    },
+    'tts_default_voice': {
+        'en-US': 'Default voice',
+        'pt-BR': 'Voz padrão'
+    },
+    'tts_rate': {
+        'en-US': 'Rate',
+        'pt-BR': 'Velocidade'
+    },
+    'tts_pitch': {
+        'en-US': 'Pitch',
+        'pt-BR': 'Tom'
+    },
+    'tts_test_voice': {
+        'en-US': 'Test Voice',
+        'pt-BR': 'Testar Voz'
+    },
+    'tts_test_phrase': {
+        'en-US': 'Hello! This is how I will sound when reading replies.',
+        'pt-BR': 'Olá! É assim que vou soar ao ler as respostas.'
+    },
+    'hands_free': {
+        'en-US': 'Hands-free',
+        'pt-BR': 'Mãos livres'
+    },
+    'hands_free_listening': {
+        'en-US': 'Listening... pause when you are done',
+        'pt-BR': 'Ouvindo... faça uma pausa quando terminar'
+    },
+    'vad_silence_threshold': {
+        'en-US': 'Silence threshold',
+        'pt-BR': 'Limite de silêncio'
+    },
+    'vad_silence_duration': {
+        'en-US': 'Pause that ends your turn',
+        'pt-BR': 'Pausa que encerra sua vez'
+    },
+    'vad_barge_in': {
+        'en-US': 'Stop the reply when I start talking',
+        'pt-BR': 'Parar a resposta quando eu começar a falar'
+    },
+    'vad_hint': {
+        'en-US': 'Raise the threshold if background noise keeps the recording going. Interrupting works best with headphones.',
+        'pt-BR': 'Aumente o limite se o ruído de fundo mantiver a gravação ativa. Interromper funciona melhor com fones de ouvido.'
+    },
+    'language_name_en-US': {
+        'en-US': 'English',
+        'pt-BR': 'Inglês'
+    },
+    'language_name_pt-BR': {
+        'en-US': 'Portuguese',
+        'pt-BR': 'Português'
+    },
+    'language_name_es': {
+        'en-US': 'Spanish',
+        'pt-BR': 'Espanhol'
+    },
+    'language_name_es-MX': {
+        'en-US': 'Spanish (Mexico)',
+        'pt-BR': 'Espanhol (México)'
+    },
+    'language_name_fr': {
+        'en-US': 'French',
+        'pt-BR': 'Francês'
+    },
+    'language_name_de': {
+        'en-US': 'German',
+        'pt-BR': 'Alemão'
+    },
+    'translate': {
+        'en-US': 'Translate',
+        'pt-BR': 'Tradução'
+    },
+    'translation': {
+        'en-US': 'Translation',
+        'pt-BR': 'Tradução'
+    },
+    'tags_analyzing': {
+        'en-US': 'Analyzing...',
+        'pt-BR': 'Analisando...'
+    },
+    'tags_listening': {
+        'en-US': 'Listening...',
+        'pt-BR': 'Ouvindo...'
+    },
+    'tags_processing': {
+        'en-US': 'Processing...',
+        'pt-BR': 'Processando...'
+    },
+    'tags_error': {
+        'en-US': 'Error processing',
+        'pt-BR': 'Erro de processamento'
+    },
+    'saved_offline': {
+        'en-US': "You're offline. The recording was saved and will be processed when you're back online.",
+        'pt-BR': 'Você está offline. A gravação foi salva e será processada quando a conexão voltar.'
+    },
+    'offline_queue_title': {
+        'en-US': 'Queued recordings',
+        'pt-BR': 'Gravações na fila'
+    },
+    'offline_queue_waiting': {
+        'en-US': "Offline - new recordings are queued until you're back online",
+        'pt-BR': 'Offline - novas gravações ficam na fila até a conexão voltar'
+    },
+    'offline_queue_waiting_item': {
+        'en-US': 'Waiting for a connection',
+        'pt-BR': 'Aguardando conexão'
+    },
+    'offline_queue_queued': {
+        'en-US': 'Queued',
+        'pt-BR': 'Na fila'
+    },
+    'offline_queue_transcription': {
+        'en-US': 'Transcribing...',
+        'pt-BR': 'Transcrevendo...'
+    },
+    'offline_queue_tagging': {
+        'en-US': 'Extracting tags...',
+        'pt-BR': 'Extraindo tags...'
+    },
+    'offline_queue_feedback': {
+        'en-US': 'Getting AI reply...',
+        'pt-BR': 'Obtendo resposta da IA...'
+    },
+    'offline_queue_failed': {
+        'en-US': 'Failed',
+        'pt-BR': 'Falhou'
+    },
+    'offline_queue_retry': {
+        'en-US': 'Retry now',
+        'pt-BR': 'Tentar agora'
+    },
+    'offline_queue_cancel_confirm': {
+        'en-US': 'Discard this queued recording?',
+        'pt-BR': 'Descartar esta gravação da fila?'
+    },
+    'auto_detect_language': {
+        'en-US': 'Auto-detect',
+        'pt-BR': 'Detectar idioma'
+    },
+    'spoken_language': {
+        'en-US': 'Spoken language',
+        'pt-BR': 'Idioma falado'
+    },
+    'cloud_export_title': {
+        'en-US': 'Export word cloud',
+        'pt-BR': 'Exportar nuvem de palavras'
+    },
+    'cloud_export_format': {
+        'en-US': 'Format',
+        'pt-BR': 'Formato'
+    },
+    'cloud_export_png': {
+        'en-US': 'Image (PNG)',
+        'pt-BR': 'Imagem (PNG)'
+    },
+    'cloud_export_svg': {
+        'en-US': 'Vector image (SVG)',
+        'pt-BR': 'Imagem vetorial (SVG)'
+    },
+    'cloud_export_replay_svg': {
+        'en-US': 'Session replay (animated SVG)',
+        'pt-BR': 'Replay da sessão (SVG animado)'
+    },
+    'cloud_export_replay_webm': {
+        'en-US': 'Session replay (WebM video)',
+        'pt-BR': 'Replay da sessão (vídeo WebM)'
+    },
+    'cloud_export_resolution': {
+        'en-US': 'Resolution',
+        'pt-BR': 'Resolução'
+    },
+    'cloud_export_button': {
+        'en-US': 'Export',
+        'pt-BR': 'Exportar'
+    },
+    'cloud_export_rendering': {
+        'en-US': 'Rendering...',
+        'pt-BR': 'Gerando...'
+    },
+    'cloud_export_empty': {
+        'en-US': 'The word cloud is empty.',
+        'pt-BR': 'A nuvem de palavras está vazia.'
+    },
+    'cloud_export_no_replay': {
+        'en-US': 'Nothing to replay yet: the word cloud has not changed during this session.',
+        'pt-BR': 'Ainda não há replay: a nuvem de palavras não mudou nesta sessão.'
+    },
+    'video_export_title': {
+        'en-US': 'Export video with subtitles',
+        'pt-BR': 'Exportar vídeo com legendas'
+    },
+    'video_export_format': {
+        'en-US': 'Format',
+        'pt-BR': 'Formato'
+    },
+    'video_export_size': {
+        'en-US': 'Size',
+        'pt-BR': 'Tamanho'
+    },
+    'video_export_size_landscape': {
+        'en-US': 'Landscape',
+        'pt-BR': 'Paisagem'
+    },
+    'video_export_size_hd': {
+        'en-US': 'Landscape HD',
+        'pt-BR': 'Paisagem HD'
+    },
+    'video_export_size_square': {
+        'en-US': 'Square',
+        'pt-BR': 'Quadrado'
+    },
+    'video_export_size_vertical': {
+        'en-US': 'Vertical',
+        'pt-BR': 'Vertical'
+    },
+    'video_export_style': {
+        'en-US': 'Style',
+        'pt-BR': 'Estilo'
+    },
+    'video_export_style_dark': {
+        'en-US': 'Dark',
+        'pt-BR': 'Escuro'
+    },
+    'video_export_style_light': {
+        'en-US': 'Light',
+        'pt-BR': 'Claro'
+    },
+    'video_export_style_brand': {
+        'en-US': 'EchoLife colors',
+        'pt-BR': 'Cores do EchoLife'
+    },
+    'video_export_button': {
+        'en-US': 'Render video',
+        'pt-BR': 'Gerar vídeo'
+    },
+    'subtitle_resegment_confirm': {
+        'en-US': 'These subtitles were edited by hand. Apply the new subtitle settings and replace your edits?',
+        'pt-BR': 'Estas legendas foram editadas à mão. Aplicar as novas configurações de legenda e substituir suas edições?'
+    },
+    'video_export_paused': {
+        'en-US': 'Paused while this tab is in the background. Come back to this tab to continue…',
+        'pt-BR': 'Pausado enquanto esta aba está em segundo plano. Volte a esta aba para continuar…'
+    },
+    'video_export_rendering': {
+        'en-US': 'Recording the video in real time. Keep this tab open…',
+        'pt-BR': 'Gravando o vídeo em tempo real. Mantenha esta aba aberta…'
+    },
+    'video_export_unsupported': {
+        'en-US': 'This browser cannot record video. Try a recent version of Chrome, Edge, Firefox or Safari.',
+        'pt-BR': 'Este navegador não consegue gravar vídeo. Tente uma versão recente do Chrome, Edge, Firefox ou Safari.'
+    },
+    'edit_subtitles': {
+        'en-US': 'Edit Subtitles',
+        'pt-BR': 'Editar Legendas'
+    },
+    'subtitle_editor_title': {
+        'en-US': 'Subtitle editor',
+        'pt-BR': 'Editor de legendas'
+    },
+    'subtitle_editor_zoom': {
+        'en-US': 'Zoom',
+        'pt-BR': 'Zoom'
+    },
+    'subtitle_editor_hint': {
+        'en-US': 'Drag the edges of a cue or the lines between words to fix their timing. Click the waveform to play from there.',
+        'pt-BR': 'Arraste as bordas de uma legenda ou as linhas entre palavras para corrigir o tempo. Clique na forma de onda para tocar a partir dali.'
+    },
+    'subtitle_editor_save': {
+        'en-US': 'Save',
+        'pt-BR': 'Salvar'
+    },
+    'subtitle_editor_play': {
+        'en-US': 'Play this subtitle',
+        'pt-BR': 'Tocar esta legenda'
+    },
+    'subtitle_editor_split': {
+        'en-US': 'Split at the cursor',
+        'pt-BR': 'Dividir no cursor'
+    },
+    'subtitle_editor_merge': {
+        'en-US': 'Merge with the next subtitle',
+        'pt-BR': 'Juntar com a próxima legenda'
+    },
+    'subtitle_editor_discard': {
+        'en-US': 'Discard your subtitle changes?',
+        'pt-BR': 'Descartar as alterações nas legendas?'
+    },
+    'subtitle_settings': {
+        'en-US': 'Subtitles',
+        'pt-BR': 'Legendas'
+    },
+    'subtitle_settings_title': {
+        'en-US': 'Subtitle Rules',
+        'pt-BR': 'Regras de Legendas'
+    },
+    'subtitle_preset': {
+        'en-US': 'Preset',
+        'pt-BR': 'Predefinição'
+    },
+    'subtitle_preset_netflix': {
+        'en-US': 'Netflix-style (broadcast)',
+        'pt-BR': 'Estilo Netflix (broadcast)'
+    },
+    'subtitle_preset_youtube': {
+        'en-US': 'YouTube',
+        'pt-BR': 'YouTube'
+    },
+    'subtitle_preset_social': {
+        'en-US': 'Social captions (short, one line)',
+        'pt-BR': 'Legendas para redes sociais (curtas, uma linha)'
+    },
+    'subtitle_preset_custom': {
+        'en-US': 'Custom',
+        'pt-BR': 'Personalizado'
+    },
+    'subtitle_rule_maxCharsPerLine': {
+        'en-US': 'Characters per line',
+        'pt-BR': 'Caracteres por linha'
+    },
+    'subtitle_rule_maxLines': {
+        'en-US': 'Lines per subtitle',
+        'pt-BR': 'Linhas por legenda'
+    },
+    'subtitle_rule_minDuration': {
+        'en-US': 'Minimum duration (s)',
+        'pt-BR': 'Duração mínima (s)'
+    },
+    'subtitle_rule_maxDuration': {
+        'en-US': 'Maximum duration (s)',
+        'pt-BR': 'Duração máxima (s)'
+    },
+    'subtitle_rule_maxCharsPerSecond': {
+        'en-US': 'Reading speed (characters/s)',
+        'pt-BR': 'Velocidade de leitura (caracteres/s)'
+    },
+    'subtitle_rule_pauseThreshold': {
+        'en-US': 'Break at pauses longer than (s)',
+        'pt-BR': 'Quebrar em pausas maiores que (s)'
+    },
+    'subtitle_rule_minGap': {
+        'en-US': 'Gap between subtitles (s)',
+        'pt-BR': 'Intervalo entre legendas (s)'
+    },
+    'subtitle_settings_hint': {
+        'en-US': 'Subtitles also break at the end of sentences and when the speaker changes. New rules apply to the current recording, its SRT export and the preview.',
+        'pt-BR': 'As legendas também quebram no fim das frases e quando o locutor muda. As novas regras se aplicam à gravação atual, à exportação SRT e à prévia.'
+    },
+    'export_more': {
+        'en-US': 'More Formats',
+        'pt-BR': 'Mais Formatos'
+    },
+    'transcript_export_title': {
+        'en-US': 'Export Transcript',
+        'pt-BR': 'Exportar Transcrição'
+    },
+    'transcript_export_format': {
+        'en-US': 'Format',
+        'pt-BR': 'Formato'
+    },
+    'transcript_export_vtt_position': {
+        'en-US': 'Subtitle position',
+        'pt-BR': 'Posição das legendas'
+    },
+    'transcript_export_vtt_bottom': {
+        'en-US': 'Bottom',
+        'pt-BR': 'Embaixo'
+    },
+    'transcript_export_vtt_top': {
+        'en-US': 'Top',
+        'pt-BR': 'Em cima'
+    },
+    'transcript_export_button': {
+        'en-US': 'Export',
+        'pt-BR': 'Exportar'
+    },
+    'transcript_format_txt': {
+        'en-US': 'Plain text (TXT)',
+        'pt-BR': 'Texto simples (TXT)'
+    },
+    'transcript_format_srt': {
+        'en-US': 'Subtitles (SRT)',
+        'pt-BR': 'Legendas (SRT)'
+    },
+    'transcript_format_vtt': {
+        'en-US': 'Styled subtitles (WebVTT)',
+        'pt-BR': 'Legendas com estilo (WebVTT)'
+    },
+    'transcript_format_json': {
+        'en-US': 'Structured data (JSON)',
+        'pt-BR': 'Dados estruturados (JSON)'
+    },
+    'transcript_format_md': {
+        'en-US': 'Meeting notes (Markdown)',
+        'pt-BR': 'Ata de reunião (Markdown)'
+    },
+    'transcript_format_docx': {
+        'en-US': 'Word document (DOCX)',
+        'pt-BR': 'Documento do Word (DOCX)'
+    },
+    'transcript_notes_title': {
+        'en-US': 'Meeting Notes',
+        'pt-BR': 'Ata de Reunião'
+    },
+    'transcript_notes_date': {
+        'en-US': 'Date',
+        'pt-BR': 'Data'
+    },
+    'transcript_notes_duration': {
+        'en-US': 'Duration',
+        'pt-BR': 'Duração'
+    },
+    'transcript_notes_language': {
+        'en-US': 'Language',
+        'pt-BR': 'Idioma'
+    },
+    'transcript_notes_speakers': {
+        'en-US': 'Speakers',
+        'pt-BR': 'Participantes'
+    },
+    'transcript_notes_topics': {
+        'en-US': 'Topics',
+        'pt-BR': 'Tópicos'
+    },
+    'transcript_notes_transcript': {
+        'en-US': 'Transcript',
+        'pt-BR': 'Transcrição'
+    },
+    'transcript_notes_ai_replies': {
+        'en-US': 'AI Replies',
+        'pt-BR': 'Respostas da IA'
+    },
+    'pause_recording': {
+        'en-US': 'Pause recording',
+        'pt-BR': 'Pausar gravação'
+    },
+    'resume_recording': {
+        'en-US': 'Resume recording',
+        'pt-BR': 'Retomar gravação'
+    },
+    'recording_paused': {
+        'en-US': 'Paused. Resume to add a take, or click the microphone to send',
+        'pt-BR': 'Pausado. Retome para adicionar um trecho ou clique no microfone para enviar'
+    },
+    'recording_resumed': {
+        'en-US': 'Recording a new take... Click to stop',
+        'pt-BR': 'Gravando um novo trecho... Clique para parar'
+    },
+    'take_label': {
+        'en-US': 'Take {n}',
+        'pt-BR': 'Trecho {n}'
+    },
+    'take_play': {
+        'en-US': 'Play take',
+        'pt-BR': 'Ouvir trecho'
+    },
+    'take_rerecord': {
+        'en-US': 'Record this take again',
+        'pt-BR': 'Regravar este trecho'
+    },
+    'take_rerecording': {
+        'en-US': 'Re-recording take {n}... Pause to keep it',
+        'pt-BR': 'Regravando o trecho {n}... Pause para mantê-lo'
+    },
+    'take_delete': {
+        'en-US': 'Delete take',
+        'pt-BR': 'Excluir trecho'
+    },
+    'take_delete_confirm': {
+        'en-US': 'Delete take {n}?',
+        'pt-BR': 'Excluir o trecho {n}?'
+    },
+    'replay_buffer': {
+        'en-US': 'Replay Buffer',
+        'pt-BR': 'Buffer de replay'
+    },
+    'replay_buffer_hint': {
+        'en-US': 'Keep listening in the background so you can save what was just said',
+        'pt-BR': 'Continuar ouvindo em segundo plano para salvar o que acabou de ser dito'
+    },
+    'replay_save': {
+        'en-US': 'Save last {n}s',
+        'pt-BR': 'Salvar últimos {n}s'
+    },
+    'replay_saving': {
+        'en-US': 'Saving...',
+        'pt-BR': 'Salvando...'
+    },
+    'replay_empty': {
+        'en-US': 'Nothing has been heard yet',
+        'pt-BR': 'Nada foi ouvido ainda'
+    },
+    'replay_busy': {
+        'en-US': 'Stop the current recording first',
+        'pt-BR': 'Pare a gravação atual primeiro'
+    },
+    'input_microphone': {
+        'en-US': 'Microphone',
+        'pt-BR': 'Microfone'
+    },
+    'input_second_microphone': {
+        'en-US': 'Second mic',
+        'pt-BR': 'Segundo microfone'
+    },
+    'input_second_hint': {
+        'en-US': 'Record a second microphone on its own channel, e.g. for an interview; each microphone is labelled as a speaker',
+        'pt-BR': 'Grave um segundo microfone em um canal próprio, por exemplo para uma entrevista; cada microfone é identificado como um falante'
+    },
+    'input_default': {
+        'en-US': 'Default',
+        'pt-BR': 'Padrão'
+    },
+    'input_none': {
+        'en-US': 'None',
+        'pt-BR': 'Nenhum'
+    },
+    'input_unnamed': {
+        'en-US': 'Microphone {n}',
+        'pt-BR': 'Microfone {n}'
+    },
+    'input_disconnected': {
+        'en-US': 'Disconnected microphone',
+        'pt-BR': 'Microfone desconectado'
+    },
+    'visualizer_clipping': {
+        'en-US': 'Clipping',
+        'pt-BR': 'Saturação'
+    },
+    'visualizer_speech': {
+        'en-US': 'Speech',
+        'pt-BR': 'Fala'
+    },
+    'visualizer_silence': {
+        'en-US': 'Silence',
+        'pt-BR': 'Silêncio'
+    },
+    'visualizer_analysing': {
+        'en-US': 'Analysing recording...',
+        'pt-BR': 'Analisando gravação...'
+    },
+    'visualizer_summary': {
+        'en-US': '{speech} of speech in {duration} · peak {peak} dBFS',
+        'pt-BR': '{speech} de fala em {duration} · pico {peak} dBFS'
+    },
+    'visualizer_clipped': {
+        'en-US': '{n} clipped moments',
+        'pt-BR': '{n} momentos saturados'
+    },
+    'tag_timeline_title': {
+        'en-US': 'Topic timeline',
+        'pt-BR': 'Linha do tempo dos temas'
+    },
+    'tag_mentions': {
+        'en-US': 'mentions',
+        'pt-BR': 'menções'
+    },
+    'tag_seek_hint': {
+        'en-US': 'Click to play where it was said',
+        'pt-BR': 'Clique para ouvir onde foi dito'
+    },
+    'stop_response': {
+        'en-US': 'Stop',
+        'pt-BR': 'Parar'
+    },
     'no_response_yet': {
         'en-US': 'No response yet',
         'pt-BR': 'Sem resposta ainda'
     },
+    'load_more_sessions': {
+        'en-US': 'Load older sessions',
+        'pt-BR': 'Carregar sessões anteriores'
+    },
+    'delete_session': {
+        'en-US': 'Delete session',
+        'pt-BR': 'Excluir sessão'
+    },
+    'search_sessions_placeholder': {
+        'en-US': 'Search transcripts, replies and tags',
+        'pt-BR': 'Pesquisar transcrições, respostas e tags'
+    },
+    'search_hint': {
+        'en-US': 'Use "quotes" for phrases, tag:name, from:2024-01-31 and to:2024-02-29',
+        'pt-BR': 'Use "aspas" para frases, tag:nome, from:2024-01-31 e to:2024-02-29'
+    },
+    'no_search_results': {
+        'en-US': 'No sessions match your search',
+        'pt-BR': 'Nenhuma sessão corresponde à pesquisa'
+    },
+    'search_source_transcript': {
+        'en-US': 'Transcript',
+        'pt-BR': 'Transcrição'
+    },
+    'search_source_reply': {
+        'en-US': 'AI reply',
+        'pt-BR': 'Resposta da IA'
+    },
+    'search_source_tag': {
+        'en-US': 'Tags',
+        'pt-BR': 'Tags'
+    },
+    'delete_session_confirm': {
+        'en-US': 'Delete this session and its audio permanently?',
+        'pt-BR': 'Excluir esta sessão e seu áudio permanentemente?'
+    },
     
     // Diagnostic tools
     'test_whisper_api': {
@@ -247,6 +900,100 @@ const translations = {
         'en-US': 'Cancel',
         'pt-BR': 'Cancelar'
     },
+    'save': {
+        'en-US': 'Save',
+        'pt-BR': 'Salvar'
+    },
+    
+    // AI provider settings
+    'llm_settings_title': {
+        'en-US': 'AI Provider Settings',
+        'pt-BR': 'Configurações do Provedor de IA'
+    },
+    'llm_base_url': {
+        'en-US': 'API base URL (OpenAI-compatible)',
+        'pt-BR': 'URL base da API (compatível com OpenAI)'
+    },
+    'llm_api_key_override': {
+        'en-US': 'API key for this endpoint',
+        'pt-BR': 'Chave API para este endpoint'
+    },
+    'llm_api_key_placeholder': {
+        'en-US': 'Leave empty to send no key',
+        'pt-BR': 'Deixe vazio para não enviar chave'
+    },
+    'llm_share_openai_key': {
+        'en-US': 'Send my OpenAI API key to this endpoint when the field above is empty (only for servers you trust)',
+        'pt-BR': 'Enviar minha chave API da OpenAI para este endpoint quando o campo acima estiver vazio (só para servidores confiáveis)'
+    },
+    'llm_task_chat': {
+        'en-US': 'Chat responses',
+        'pt-BR': 'Respostas do chat'
+    },
+    'llm_task_tagging': {
+        'en-US': 'Tag extraction',
+        'pt-BR': 'Extração de tags'
+    },
+    'llm_task_realtime_tagging': {
+        'en-US': 'Live tags',
+        'pt-BR': 'Tags em tempo real'
+    },
+    'summarize_transcript': {
+        'en-US': 'Summarize',
+        'pt-BR': 'Resumir'
+    },
+    'llm_task_summarization': {
+        'en-US': 'Summarization',
+        'pt-BR': 'Resumo'
+    },
+    'llm_task_transcription': {
+        'en-US': 'Transcription',
+        'pt-BR': 'Transcrição'
+    },
+    'llm_task_speech': {
+        'en-US': 'Speech (text-to-speech)',
+        'pt-BR': 'Fala (texto para voz)'
+    },
+    'llm_model': {
+        'en-US': 'Model',
+        'pt-BR': 'Modelo'
+    },
+    'llm_temperature': {
+        'en-US': 'Temperature',
+        'pt-BR': 'Temperatura'
+    },
+    'llm_max_tokens': {
+        'en-US': 'Max tokens',
+        'pt-BR': 'Máximo de tokens'
+    },
+    'llm_server_default': {
+        'en-US': 'Server default',
+        'pt-BR': 'Padrão do servidor'
+    },
+    'llm_stream_responses': {
+        'en-US': 'Stream responses as they are generated',
+        'pt-BR': 'Exibir respostas enquanto são geradas'
+    },
+    'llm_task_embeddings': {
+        'en-US': 'Embeddings (word cloud themes)',
+        'pt-BR': 'Embeddings (temas da nuvem de palavras)'
+    },
+    'llm_theme_clustering': {
+        'en-US': 'Group word cloud themes by meaning',
+        'pt-BR': 'Agrupar os temas da nuvem de palavras pelo significado'
+    },
+    'llm_test_connection': {
+        'en-US': 'Test Connection',
+        'pt-BR': 'Testar Conexão'
+    },
+    'llm_reset_defaults': {
+        'en-US': 'Reset Defaults',
+        'pt-BR': 'Restaurar Padrões'
+    },
+    'llm_invalid_url': {
+        'en-US': 'Please enter a valid base URL, e.g. http://localhost:8080/v1',
+        'pt-BR': 'Insira uma URL base válida, ex.: http://localhost:8080/v1'
+    },
     
     // Translation toggle
     'translation_enabled_pt': {
@@ -285,15 +1032,19 @@ function getTranslation(key, language) {
         language = localStorage.getItem('echolife_language') || 'en-US';
     }
     
-    // Check if translation exists
-    if (translations[key] && translations[key][language]) {
-        return translations[key][language];
-    }
+    // Walk the language's fallback chain (e.g. es-MX -> es -> en-US)
+    const chain = window.languagePacks ? languagePacks.getFallbackChain(language) : [language, 'en-US'];
     
-    // Fallback to English if the specific language translation doesn't exist
-    if (translations[key] && translations[key]['en-US']) {
-        console.warn(`Missing translation for key '${key}' in language '${language}', using English fallback`);
-        return translations[key]['en-US'];
+    if (translations[key]) {
+        for (const code of chain) {
+            if (translations[key][code]) {
+                // Regional packs are expected to be partial, so only warn when falling back to English
+                if (code === 'en-US' && language !== 'en-US') {
+                    console.warn(`Missing translation for key '${key}' in language '${language}', using English fallback`);
+                }
+                return translations[key][code];
+            }
+        }
     }
     
     // Return the key itself if no translation found
@@ -312,8 +1063,8 @@ function updateUILanguage(language) {
         return;
     }
     
-    // Only proceed with a valid language
-    if (language !== 'en-US' && language !== 'pt-BR') {
+    // Only proceed with a valid language code; missing packs fall back along their chain
+    if (window.languagePacks && !languagePacks.isValidCode(language)) {
         console.error('Invalid language:', language);
         return;
     }
@@ -466,8 +1217,13 @@ function detectPortuguese(text) {
 }
 
 // Function to get the most likely language of text
-function detectTextLanguage(text) {
-    if (!text || typeof text !== 'string') return 'en-US'; // Default to English
+function detectTextLanguage(text, fallback = 'en-US') {
+    if (!text || typeof text !== 'string') return fallback;
+    
+    // Score against the stop words of every loaded pack when they're available
+    if (window.languagePacks) {
+        return languagePacks.detectLanguage(text, fallback);
+    }
     
     if (detectPortuguese(text)) {
         return 'pt-BR';
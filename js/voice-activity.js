@@ -0,0 +1,239 @@
+/**
+ * Voice Activity Module for EchoLife
+ * Watches microphone levels to find the end of an utterance (trailing silence
+ * while recording) and to catch the user talking over a spoken reply (barge-in).
+ * Levels come from AudioRecorder's analyser, on the same scale as the volume meter.
+ */
+
+class VoiceActivityDetector {
+    constructor() {
+        this.storageKey = 'echolife_vad_settings';
+        this.mode = null;           // 'listen' | 'bargeIn' | null when idle
+        this.pollInterval = null;
+        this.pollFrequency = 100;   // ms between level checks
+        this.floorWindow = 10000;   // ms of readings the noise floor is taken from
+
+        // Own analyser ({ context, source, analyser }), used when the recorder's isn't
+        // running (e.g. while a reply is spoken)
+        this.monitor = null;
+
+        this.defaults = {
+            silenceThreshold: 0.03, // Level (0-1, as on the volume meter) below which counts as silence
+            silenceDuration: 1500,  // ms of trailing silence that ends an utterance
+            minSpeechDuration: 300, // ms of speech needed before silence can end the utterance
+            bargeIn: true           // Stop a spoken reply when the user starts talking
+        };
+
+        this.settings = this.loadSettings();
+        this.resetState();
+    }
+
+    /**
+     * Load settings from localStorage, merged over the defaults
+     * @returns {Object} - Voice activity settings
+     */
+    loadSettings() {
+        return loadStoredSettings(this.storageKey, this.defaults, (settings, saved) => {
+            Object.keys(this.defaults).forEach(key => {
+                if (typeof saved[key] === typeof this.defaults[key]) {
+                    settings[key] = saved[key];
+                }
+            });
+        });
+    }
+
+    /**
+     * Update and persist settings
+     * @param {Object} changes - Partial settings ({ silenceThreshold, silenceDuration, minSpeechDuration, bargeIn })
+     */
+    updateSettings(changes = {}) {
+        Object.keys(this.defaults).forEach(key => {
+            if (typeof changes[key] === typeof this.defaults[key]) {
+                this.settings[key] = changes[key];
+            }
+        });
+
+        saveStoredSettings(this.storageKey, this.settings);
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    resetState() {
+        this.speechTime = 0;        // ms of speech heard in the current utterance
+        this.lastSpeechAt = null;   // When the level was last above the threshold
+        this.lastPollAt = null;
+        this.levels = [];           // Readings of the current recording, for its noise floor
+    }
+
+    /**
+     * Watch the recording for the end of an utterance.
+     * Dispatches 'utteranceEnded' once speech is followed by enough silence.
+     */
+    async listen() {
+        await this.start('listen');
+    }
+
+    /**
+     * Watch the microphone while a reply is spoken.
+     * Dispatches 'bargeInDetected' when the user starts talking.
+     */
+    async watchForBargeIn() {
+        if (!this.settings.bargeIn) return;
+        await this.start('bargeIn');
+    }
+
+    async start(mode) {
+        this.stop();
+        this.mode = mode;
+
+        // Outside a recording the recorder's analyser is disconnected, so use our own
+        if (!this.getRecorderAnalyser()) {
+            const monitor = await this.openMonitor();
+
+            // stop() or another start() may have happened while the microphone opened
+            if (this.mode !== mode || this.monitor || this.pollInterval) {
+                this.closeMonitor(monitor);
+                return;
+            }
+            if (!monitor) {
+                this.mode = null;
+                return;
+            }
+            this.monitor = monitor;
+        }
+
+        console.log(`[VAD] Watching for ${mode === 'listen' ? 'end of utterance' : 'barge-in'}`);
+        this.pollInterval = setInterval(() => this.poll(), this.pollFrequency);
+    }
+
+    /**
+     * Stop watching and release the monitor analyser
+     */
+    stop() {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+        this.mode = null;
+        this.resetState();
+        this.closeMonitor(this.monitor);
+        this.monitor = null;
+    }
+
+    isActive() {
+        return this.mode !== null;
+    }
+
+    getRecorderAnalyser() {
+        return audioRecorder.isRecording ? audioRecorder.analyserNode : null;
+    }
+
+    /**
+     * Connect an analyser to the recorder's microphone stream, opening it if needed
+     * @returns {Promise<Object|null>} - { context, source, analyser }, or null if the microphone is unavailable
+     */
+    async openMonitor() {
+        let context = null;
+        try {
+            if (!audioRecorder.stream) {
+                // Same constraints as AudioRecorder; keeping the stream lets the next recording reuse it
+                audioRecorder.stream = await navigator.mediaDevices.getUserMedia({
+                    audio: audioRecorder.getAudioConstraints()
+                });
+            }
+
+            context = new (window.AudioContext || window.webkitAudioContext)();
+            const source = context.createMediaStreamSource(audioRecorder.stream);
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 512;
+            source.connect(analyser);
+            return { context, source, analyser };
+        } catch (e) {
+            console.error('[VAD] Could not monitor the microphone:', e);
+            if (context) context.close();
+            return null;
+        }
+    }
+
+    closeMonitor(monitor) {
+        if (!monitor) return;
+
+        try {
+            monitor.source.disconnect();
+        } catch (e) {
+            console.warn('[VAD] Error disconnecting monitor source:', e);
+        }
+        if (monitor.context.state !== 'closed') {
+            monitor.context.close();
+        }
+    }
+
+    /**
+     * Level that counts as speech. While listening, a noisy room can sit above the
+     * configured threshold, so it is raised over the noise floor: the quietest reading
+     * of the last few seconds. The window is long enough to include the pauses
+     * between words, so steady talking doesn't become the floor.
+     * The spoken reply leaks into the microphone, so barge-in needs a louder voice.
+     * @returns {number} - Threshold (0-1)
+     */
+    getThreshold() {
+        const threshold = this.settings.silenceThreshold;
+
+        if (this.mode === 'bargeIn') {
+            return threshold * 2;
+        }
+
+        if (this.levels.length < 1000 / this.pollFrequency) {
+            return threshold;
+        }
+        return Math.max(threshold, Math.min(...this.levels) * 1.5);
+    }
+
+    poll() {
+        const analyser = this.getRecorderAnalyser() || (this.monitor && this.monitor.analyser);
+        if (!analyser) return;
+
+        const now = Date.now();
+        const elapsed = this.lastPollAt ? now - this.lastPollAt : this.pollFrequency;
+        this.lastPollAt = now;
+
+        const level = audioRecorder.measureLevel(analyser);
+        if (this.mode === 'listen') {
+            this.levels.push(level);
+            if (this.levels.length > this.floorWindow / this.pollFrequency) {
+                this.levels.shift();
+            }
+        }
+
+        if (level >= this.getThreshold()) {
+            this.speechTime += elapsed;
+            this.lastSpeechAt = now;
+        } else if (this.mode === 'bargeIn') {
+            // Barge-in needs continuous speech, not a cough or a loud word from the reply
+            this.speechTime = 0;
+        }
+
+        if (this.speechTime < this.settings.minSpeechDuration) return;
+
+        if (this.mode === 'bargeIn') {
+            console.log('[VAD] Barge-in detected');
+            this.stop();
+            window.dispatchEvent(new CustomEvent('bargeInDetected', {
+                detail: { level }
+            }));
+        } else if (now - this.lastSpeechAt >= this.settings.silenceDuration) {
+            const speechDuration = this.speechTime;
+            console.log(`[VAD] Utterance ended after ${speechDuration}ms of speech`);
+            this.stop();
+            window.dispatchEvent(new CustomEvent('utteranceEnded', {
+                detail: { speechDuration }
+            }));
+        }
+    }
+}
+
+// Create a global instance of the voice activity detector
+const voiceActivity = new VoiceActivityDetector();
+
+// Make it globally available
+window.voiceActivity = voiceActivity;
@@ -0,0 +1,453 @@
+/**
+ * Word Cloud Export Module for EchoLife
+ * Saves the word cloud as a static SVG or PNG, or as a replay of how it grew
+ * during the session (animated SVG or WebM video). Exports are drawn from the
+ * layout snapshots WordCloud keeps, not by screenshotting the DOM.
+ */
+
+class WordCloudExporter extends ModalPanel {
+    constructor() {
+        super();
+
+        this.background = '#f8f9fa';   // Matches .word-cloud-container
+        this.scales = [1, 2, 4];       // Resolutions offered for PNG and WebM
+        this.stepDuration = 0.8;       // Seconds per snapshot in a replay...
+        this.maxReplayDuration = 30;   // ...shortened so long sessions fit in this many seconds
+        this.holdDuration = 2;         // Seconds the final cloud stays on screen
+        this.frameRate = 30;
+    }
+
+    /**
+     * Build the export modal (reuses the video export modal styles)
+     * @returns {HTMLElement} - The modal element
+     */
+    createModal() {
+        const t = (key) => getTranslation(key, this.language);
+
+        const modal = document.createElement('div');
+        modal.id = 'cloudExportModal';
+        modal.className = 'video-export-modal';
+        modal.innerHTML = `
+            <div class="video-export-content">
+                <h3>${t('cloud_export_title')}</h3>
+                <div class="video-options">
+                    <label>${t('cloud_export_format')}
+                        <select id="cloudExportFormat">
+                            <option value="png">${t('cloud_export_png')}</option>
+                            <option value="svg">${t('cloud_export_svg')}</option>
+                            <option value="replay-svg">${t('cloud_export_replay_svg')}</option>
+                            <option value="replay-webm">${t('cloud_export_replay_webm')}</option>
+                        </select>
+                    </label>
+                    <label>${t('cloud_export_resolution')}
+                        <select id="cloudExportScale"></select>
+                    </label>
+                </div>
+                <div class="video-export-buttons">
+                    <button id="cloudExportBtn" class="generate-video-btn">${t('cloud_export_button')}</button>
+                    <button id="cloudExportCancelBtn" class="cancel-video-btn">${t('cancel')}</button>
+                </div>
+                <div id="cloudExportProgress" class="video-processing-indicator">
+                    <div class="video-processing-spinner"></div>
+                    <p>${t('cloud_export_rendering')}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const format = modal.querySelector('#cloudExportFormat');
+        format.addEventListener('change', () => this.updateScaleOptions());
+        modal.querySelector('#cloudExportBtn').addEventListener('click', () => this.exportSelected());
+        modal.querySelector('#cloudExportCancelBtn').addEventListener('click', () => this.close());
+
+        return modal;
+    }
+
+    // Resolutions depend on the cloud's size; vector formats don't need one
+    updateScaleOptions() {
+        const format = this.modal.querySelector('#cloudExportFormat').value;
+        const select = this.modal.querySelector('#cloudExportScale');
+        const { width, height } = window.wordCloud.getSnapshot();
+
+        select.innerHTML = this.scales.map(scale =>
+            `<option value="${scale}">${scale}× (${Math.round(width * scale)}×${Math.round(height * scale)})</option>`
+        ).join('');
+        select.disabled = format === 'svg' || format === 'replay-svg';
+    }
+
+    open() {
+        if (!window.wordCloud) return;
+
+        this.ensureModal();
+        this.updateScaleOptions();
+        this.showModal();
+    }
+
+    async exportSelected() {
+        const format = this.modal.querySelector('#cloudExportFormat').value;
+        const scale = parseFloat(this.modal.querySelector('#cloudExportScale').value) || 1;
+        const progress = this.modal.querySelector('#cloudExportProgress');
+        const exportButton = this.modal.querySelector('#cloudExportBtn');
+
+        exportButton.disabled = true;
+        progress.style.display = 'block';
+        try {
+            await this.export(format, scale);
+            this.close();
+        } catch (error) {
+            console.error('[CLOUD-EXPORT] Export failed:', error);
+            alert('Error: ' + error.message);
+        } finally {
+            exportButton.disabled = false;
+            progress.style.display = 'none';
+        }
+    }
+
+    /**
+     * Export the cloud and download the file
+     * @param {string} format - 'png', 'svg', 'replay-svg' or 'replay-webm'
+     * @param {number} scale - Resolution multiplier for PNG and WebM
+     */
+    async export(format, scale = 1) {
+        const isReplay = format.startsWith('replay-');
+        const snapshots = isReplay ? window.wordCloud.replay : [window.wordCloud.getSnapshot()];
+
+        if (snapshots.length === 0 || snapshots[snapshots.length - 1].words.length === 0) {
+            throw new Error(getTranslation('cloud_export_empty', this.language));
+        }
+        if (isReplay && snapshots.length < 2) {
+            throw new Error(getTranslation('cloud_export_no_replay', this.language));
+        }
+
+        console.log(`[CLOUD-EXPORT] Exporting ${format} (${snapshots.length} snapshots, scale ${scale})`);
+        const name = `echolife-wordcloud-${new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19)}`;
+
+        switch (format) {
+            case 'svg':
+                this.download(new Blob([this.buildSvg(snapshots[0])], { type: 'image/svg+xml' }), `${name}.svg`);
+                break;
+            case 'png':
+                this.download(await this.renderPng(snapshots[0], scale), `${name}.png`);
+                break;
+            case 'replay-svg':
+                this.download(new Blob([this.buildAnimatedSvg(snapshots)], { type: 'image/svg+xml' }), `${name}-replay.svg`);
+                break;
+            case 'replay-webm':
+                this.download(await this.recordWebm(snapshots, scale), `${name}-replay.webm`);
+                break;
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    // Font the cloud is drawn in, so exports look like the page
+    getFontFamily() {
+        const container = window.wordCloud.container;
+        return getComputedStyle(container).fontFamily || 'sans-serif';
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Static SVG of one snapshot. Each word is a group centred on the word,
+     * holding its pill-shaped background and its text.
+     * @param {Object} snapshot - Snapshot from WordCloud.getSnapshot()
+     * @returns {string} - SVG markup
+     */
+    buildSvg(snapshot) {
+        const words = snapshot.words.map(word => `
+    <g transform="translate(${word.left + word.width / 2} ${word.top + word.height / 2})">
+        <rect x="${-word.width / 2}" y="${-word.height / 2}" width="${word.width}" height="${word.height}" rx="${word.radius}" fill="${word.background}"/>
+        <text text-anchor="middle" dominant-baseline="central" font-size="${word.fontSize}" font-weight="${word.fontWeight}" fill="${word.color}">${this.escapeXml(word.text)}</text>
+    </g>`).join('');
+
+        return this.wrapSvg(snapshot, words);
+    }
+
+    wrapSvg(snapshot, content) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${snapshot.width}" height="${snapshot.height}" viewBox="0 0 ${snapshot.width} ${snapshot.height}" font-family="${this.escapeXml(this.getFontFamily())}">
+    <rect width="100%" height="100%" fill="${this.background}"/>${content}
+</svg>
+`;
+    }
+
+    /**
+     * Timing of a replay: one step per snapshot, then a hold on the final cloud
+     * @param {number} count - Number of snapshots
+     * @returns {Object} - { step, duration } in seconds
+     */
+    getReplayTiming(count) {
+        const step = Math.min(this.stepDuration, this.maxReplayDuration / Math.max(1, count - 1));
+        return { step, duration: step * (count - 1) + this.holdDuration };
+    }
+
+    /**
+     * Each word's state in every snapshot (null while it isn't in the cloud)
+     * @param {Array<Object>} snapshots - Snapshots in order
+     * @returns {Map<string, Array<Object|null>>} - text -> states
+     */
+    getWordStates(snapshots) {
+        const states = new Map();
+        snapshots.forEach((snapshot, i) => {
+            snapshot.words.forEach(word => {
+                if (!states.has(word.text)) {
+                    states.set(word.text, new Array(snapshots.length).fill(null));
+                }
+                states.get(word.text)[i] = word;
+            });
+        });
+        return states;
+    }
+
+    /**
+     * Animated SVG (SMIL) that replays the snapshots and loops
+     * @param {Array<Object>} snapshots - Snapshots in order
+     * @returns {string} - SVG markup
+     */
+    buildAnimatedSvg(snapshots) {
+        const { step, duration } = this.getReplayTiming(snapshots.length);
+
+        // One key per snapshot plus the end of the hold, which repeats the final state
+        const keyTimes = snapshots.map((_, i) => (i * step / duration).toFixed(4)).concat('1').join(';');
+        const animate = (attribute, values, calcMode = 'linear') =>
+            `<animate attributeName="${attribute}" values="${values.join(';')}" keyTimes="${keyTimes}" calcMode="${calcMode}" dur="${duration}s" repeatCount="indefinite"/>`;
+
+        const words = Array.from(this.getWordStates(snapshots).entries()).map(([text, states]) => {
+            // While a word is absent it waits (invisible) where it will appear or where it was
+            const filled = states.map((state, i) =>
+                state || states.slice(i).find(Boolean) || states.slice(0, i).reverse().find(Boolean));
+            filled.push(filled[filled.length - 1]);
+            const visible = states.map(state => (state ? 1 : 0));
+            visible.push(visible[visible.length - 1]);
+
+            const first = filled[0];
+            const translate = filled.map(state => `${state.left + state.width / 2} ${state.top + state.height / 2}`);
+
+            return `
+    <g opacity="${visible[0]}" transform="translate(${translate[0]})">
+        ${animate('opacity', visible)}
+        <animateTransform attributeName="transform" type="translate" values="${translate.join(';')}" keyTimes="${keyTimes}" dur="${duration}s" repeatCount="indefinite"/>
+        <rect x="${-first.width / 2}" y="${-first.height / 2}" width="${first.width}" height="${first.height}" rx="${first.radius}" fill="${first.background}">
+            ${animate('x', filled.map(state => -state.width / 2), 'discrete')}
+            ${animate('y', filled.map(state => -state.height / 2), 'discrete')}
+            ${animate('width', filled.map(state => state.width), 'discrete')}
+            ${animate('height', filled.map(state => state.height), 'discrete')}
+            ${animate('fill', filled.map(state => state.background), 'discrete')}
+        </rect>
+        <text text-anchor="middle" dominant-baseline="central" font-size="${first.fontSize}" font-weight="${first.fontWeight}" fill="${first.color}">${this.escapeXml(text)}
+            ${animate('font-size', filled.map(state => state.fontSize), 'discrete')}
+            ${animate('fill', filled.map(state => state.color), 'discrete')}
+        </text>
+    </g>`;
+        }).join('');
+
+        return this.wrapSvg(snapshots[snapshots.length - 1], words);
+    }
+
+    createCanvas(snapshot, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(snapshot.width * scale);
+        canvas.height = Math.round(snapshot.height * scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        return { canvas, context };
+    }
+
+    /**
+     * Draw words on a canvas the way the cloud shows them
+     * @param {CanvasRenderingContext2D} context - Context, already scaled
+     * @param {Object} size - { width, height } in CSS pixels
+     * @param {Array<Object>} words - Word states with an optional alpha
+     */
+    drawWords(context, size, words) {
+        const fontFamily = this.getFontFamily();
+
+        context.globalAlpha = 1;
+        context.fillStyle = this.background;
+        context.fillRect(0, 0, size.width, size.height);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        words.forEach(word => {
+            context.globalAlpha = word.alpha === undefined ? 1 : word.alpha;
+
+            // Rounded background (roundRect isn't in every browser yet)
+            const radius = Math.min(word.radius, word.height / 2, word.width / 2);
+            context.beginPath();
+            context.moveTo(word.left + radius, word.top);
+            context.arcTo(word.left + word.width, word.top, word.left + word.width, word.top + word.height, radius);
+            context.arcTo(word.left + word.width, word.top + word.height, word.left, word.top + word.height, radius);
+            context.arcTo(word.left, word.top + word.height, word.left, word.top, radius);
+            context.arcTo(word.left, word.top, word.left + word.width, word.top, radius);
+            context.closePath();
+            context.fillStyle = word.background;
+            context.fill();
+
+            context.font = `${word.fontWeight} ${word.fontSize}px ${fontFamily}`;
+            context.fillStyle = word.color;
+            context.fillText(word.text, word.left + word.width / 2, word.top + word.height / 2);
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Render one snapshot to a PNG
+     * @param {Object} snapshot - Snapshot from WordCloud.getSnapshot()
+     * @param {number} scale - Resolution multiplier
+     * @returns {Promise<Blob>} - PNG image
+     */
+    renderPng(snapshot, scale) {
+        const { canvas, context } = this.createCanvas(snapshot, scale);
+        this.drawWords(context, snapshot, snapshot.words);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed: the image could not be encoded'))), 'image/png');
+        });
+    }
+
+    /**
+     * Words of the replay at a moment: moving between snapshots, fading in and out
+     * @param {Array<Object>} snapshots - Snapshots in order
+     * @param {Map} states - From getWordStates()
+     * @param {number} step - Seconds per snapshot
+     * @param {number} time - Seconds into the replay
+     * @returns {Array<Object>} - Word states with alpha
+     */
+    getReplayFrame(snapshots, states, step, time) {
+        const position = Math.min(time / step, snapshots.length - 1);
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, snapshots.length - 1);
+        const progress = position - index;
+        const eased = progress * progress * (3 - 2 * progress);
+
+        const words = [];
+        states.forEach(wordStates => {
+            const from = wordStates[index];
+            const to = wordStates[next];
+
+            if (from && to) {
+                words.push({
+                    ...(progress < 0.5 ? from : to),
+                    left: from.left + (to.left - from.left) * eased,
+                    top: from.top + (to.top - from.top) * eased
+                });
+            } else if (to) {
+                words.push({ ...to, alpha: progress });
+            } else if (from) {
+                words.push({ ...from, alpha: 1 - progress });
+            }
+        });
+        return words;
+    }
+
+    /**
+     * Record the replay to a WebM video in real time
+     * @param {Array<Object>} snapshots - Snapshots in order
+     * @param {number} scale - Resolution multiplier
+     * @returns {Promise<Blob>} - WebM video
+     */
+    async recordWebm(snapshots, scale) {
+        const mimeType = typeof MediaRecorder === 'undefined' ? null :
+            ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('WebM export failed: this browser cannot record video');
+        }
+
+        // Size the video for the largest cloud in the session
+        const size = {
+            width: Math.max(...snapshots.map(snapshot => snapshot.width)),
+            height: Math.max(...snapshots.map(snapshot => snapshot.height))
+        };
+        const { canvas, context } = this.createCanvas(size, scale);
+        const states = this.getWordStates(snapshots);
+        const { step, duration } = this.getReplayTiming(snapshots.length);
+
+        const stream = canvas.captureStream(this.frameRate);
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+
+        this.drawWords(context, size, this.getReplayFrame(snapshots, states, step, 0));
+        recorder.start();
+
+        // Background tabs stop animation frames, which would freeze the picture and
+        // then jump ahead, so the recording and the replay clock pause with the tab
+        let start = performance.now();
+        let hiddenAt = null;
+        const onVisibilityChange = () => {
+            if (document.hidden) {
+                hiddenAt = performance.now();
+                if (recorder.state === 'recording') recorder.pause();
+            } else if (hiddenAt !== null) {
+                start += performance.now() - hiddenAt;
+                hiddenAt = null;
+                if (recorder.state === 'paused') recorder.resume();
+            }
+            console.log(`[CLOUD-EXPORT] ${document.hidden ? 'Paused' : 'Resumed'} with the tab`);
+        };
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        if (document.hidden) onVisibilityChange();
+
+        try {
+            await new Promise(resolve => {
+                const drawFrame = () => {
+                    const time = (performance.now() - start) / 1000;
+                    this.drawWords(context, size, this.getReplayFrame(snapshots, states, step, time));
+                    if (time < duration) {
+                        requestAnimationFrame(drawFrame);
+                    } else {
+                        resolve();
+                    }
+                };
+                requestAnimationFrame(drawFrame);
+            });
+
+            recorder.stop();
+            await stopped;
+        } finally {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            stream.getTracks().forEach(track => track.stop());
+        }
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    download(blob, filename) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+
+        // Clean up
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(a.href);
+        }, 100);
+    }
+}
+
+// Create a global instance of the word cloud exporter
+const wordCloudExporter = new WordCloudExporter();
+
+// Make it globally available
+window.wordCloudExporter = wordCloudExporter;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('cloudExportToggle')?.addEventListener('click', () => wordCloudExporter.open());
+});
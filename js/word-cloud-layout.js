@@ -0,0 +1,252 @@
+/**
+ * Word Cloud Layout Module for EchoLife
+ * Deterministic layout for the word cloud: words are placed along an
+ * Archimedean spiral from the centre and collisions are checked against a
+ * quadtree of the boxes already placed.
+ *
+ * - Words that already have a position keep it while it still fits, so the
+ *   cloud doesn't jump when new tags arrive
+ * - New words are placed largest first; each word's spiral starts at an angle
+ *   derived from its text, so the same tags always give the same layout
+ * - When the container is resized the previous positions are scaled to the
+ *   new size and only the words that now collide are moved
+ */
+
+/**
+ * Quadtree of axis-aligned boxes ({ left, top, width, height })
+ */
+class LayoutQuadtree {
+    constructor(bounds, depth = 0) {
+        this.bounds = bounds;
+        this.depth = depth;
+        this.boxes = [];
+        this.children = null;
+
+        this.maxBoxes = 8;
+        this.maxDepth = 8;
+    }
+
+    /**
+     * Add a box; boxes straddling a split stay in this node
+     * @param {Object} box - Box to add
+     */
+    insert(box) {
+        if (this.children) {
+            const child = this.getChild(box);
+            if (child) {
+                child.insert(box);
+                return;
+            }
+        }
+
+        this.boxes.push(box);
+
+        if (!this.children && this.boxes.length > this.maxBoxes && this.depth < this.maxDepth) {
+            this.split();
+        }
+    }
+
+    split() {
+        const { left, top, width, height } = this.bounds;
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+
+        this.children = [
+            new LayoutQuadtree({ left, top, width: halfWidth, height: halfHeight }, this.depth + 1),
+            new LayoutQuadtree({ left: left + halfWidth, top, width: halfWidth, height: halfHeight }, this.depth + 1),
+            new LayoutQuadtree({ left, top: top + halfHeight, width: halfWidth, height: halfHeight }, this.depth + 1),
+            new LayoutQuadtree({ left: left + halfWidth, top: top + halfHeight, width: halfWidth, height: halfHeight }, this.depth + 1)
+        ];
+
+        const boxes = this.boxes;
+        this.boxes = [];
+        boxes.forEach(box => this.insert(box));
+    }
+
+    // The child that fully contains a box, if any
+    getChild(box) {
+        return this.children.find(child => LayoutQuadtree.contains(child.bounds, box)) || null;
+    }
+
+    /**
+     * Boxes that overlap a box
+     * @param {Object} box - Box to test
+     * @param {Array} found - Accumulator
+     * @returns {Array<Object>} - Overlapping boxes
+     */
+    query(box, found = []) {
+        if (!LayoutQuadtree.intersects(this.bounds, box)) return found;
+
+        this.boxes.forEach(other => {
+            if (LayoutQuadtree.intersects(other, box)) found.push(other);
+        });
+        if (this.children) {
+            this.children.forEach(child => child.query(box, found));
+        }
+        return found;
+    }
+
+    static intersects(a, b) {
+        return a.left < b.left + b.width && b.left < a.left + a.width &&
+            a.top < b.top + b.height && b.top < a.top + a.height;
+    }
+
+    static contains(outer, inner) {
+        return inner.left >= outer.left && inner.top >= outer.top &&
+            inner.left + inner.width <= outer.left + outer.width &&
+            inner.top + inner.height <= outer.top + outer.height;
+    }
+}
+
+class WordCloudLayout {
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.padding = 4;        // Gap kept between words
+        this.margin = 10;        // Gap kept from the container edges
+        this.spiralStep = 0.1;   // Radians between spiral samples
+        this.spiralSpacing = 3;  // Pixels the spiral grows per radian
+        this.lastSize = null;    // Size the previous positions were computed for
+    }
+
+    /**
+     * Set the area words are laid out in
+     * @param {number} width - Container width in pixels
+     * @param {number} height - Container height in pixels
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Lay out words
+     * @param {Array<Object>} items - [{ id, width, height, left?, top? }]; left/top is the previous position
+     * @returns {Map<string, Object>} - id -> { left, top }
+     */
+    layout(items) {
+        const positions = new Map();
+        const tree = new LayoutQuadtree({ left: 0, top: 0, width: this.width, height: this.height });
+
+        // Positions from a different container size are scaled to this one
+        const scaleX = this.lastSize && this.lastSize.width ? this.width / this.lastSize.width : 1;
+        const scaleY = this.lastSize && this.lastSize.height ? this.height / this.lastSize.height : 1;
+        this.lastSize = { width: this.width, height: this.height };
+
+        const bySize = (a, b) => (b.width * b.height) - (a.width * a.height) || (a.id < b.id ? -1 : 1);
+        const placed = items.filter(item => typeof item.left === 'number' && typeof item.top === 'number').sort(bySize);
+        const fresh = items.filter(item => !placed.includes(item)).sort(bySize);
+
+        const place = (item, box) => {
+            tree.insert(this.pad(box));
+            positions.set(item.id, { left: box.left, top: box.top });
+        };
+
+        // Keep existing words where they are unless they now collide or fall outside
+        const moved = [];
+        placed.forEach(item => {
+            const centerX = (item.left + item.width / 2) * scaleX;
+            const centerY = (item.top + item.height / 2) * scaleY;
+            const box = this.clamp({ left: centerX - item.width / 2, top: centerY - item.height / 2, width: item.width, height: item.height });
+
+            if (tree.query(this.pad(box)).length === 0) {
+                place(item, box);
+            } else {
+                moved.push({ item, centerX, centerY });
+            }
+        });
+
+        // Moved words look for the nearest free spot around where they were
+        moved.forEach(({ item, centerX, centerY }) => {
+            place(item, this.findPosition(item, tree, centerX, centerY));
+        });
+
+        // New words spiral out from the centre
+        fresh.forEach(item => {
+            place(item, this.findPosition(item, tree, this.width / 2, this.height / 2));
+        });
+
+        return positions;
+    }
+
+    /**
+     * Walk a spiral from a point until the word fits without overlaps
+     * @param {Object} item - { id, width, height }
+     * @param {LayoutQuadtree} tree - Boxes already placed
+     * @param {number} centerX - Spiral centre
+     * @param {number} centerY - Spiral centre
+     * @returns {Object} - Box for the word; the least crowded spot if none is free
+     */
+    findPosition(item, tree, centerX, centerY) {
+        const phase = this.hash(item.id) % 360 * Math.PI / 180;
+        const aspect = this.height > 0 ? this.width / this.height : 1; // Wide containers get a wide spiral
+        const maxRadius = Math.hypot(this.width, this.height);
+
+        let best = null;
+        let bestOverlap = Infinity;
+
+        for (let angle = 0; this.spiralSpacing * angle <= maxRadius; angle += this.spiralStep) {
+            const radius = this.spiralSpacing * angle;
+            const x = centerX + radius * Math.cos(angle + phase) * Math.sqrt(aspect);
+            const y = centerY + radius * Math.sin(angle + phase) / Math.sqrt(aspect);
+            const box = { left: x - item.width / 2, top: y - item.height / 2, width: item.width, height: item.height };
+
+            if (!this.isInside(box)) continue;
+
+            const overlaps = tree.query(this.pad(box));
+            if (overlaps.length === 0) return box;
+
+            const overlap = overlaps.reduce((sum, other) => sum + this.overlapArea(box, other), 0);
+            if (overlap < bestOverlap) {
+                bestOverlap = overlap;
+                best = box;
+            }
+        }
+
+        // The cloud is full (or the word is bigger than it): use the least crowded spot seen
+        return best || this.clamp({ left: centerX - item.width / 2, top: centerY - item.height / 2, width: item.width, height: item.height });
+    }
+
+    pad(box) {
+        return {
+            left: box.left - this.padding / 2,
+            top: box.top - this.padding / 2,
+            width: box.width + this.padding,
+            height: box.height + this.padding
+        };
+    }
+
+    isInside(box) {
+        return box.left >= this.margin && box.top >= this.margin &&
+            box.left + box.width <= this.width - this.margin &&
+            box.top + box.height <= this.height - this.margin;
+    }
+
+    // Move a box inside the container, as far as it fits
+    clamp(box) {
+        return {
+            ...box,
+            left: Math.max(this.margin, Math.min(box.left, this.width - this.margin - box.width)),
+            top: Math.max(this.margin, Math.min(box.top, this.height - this.margin - box.height))
+        };
+    }
+
+    overlapArea(a, b) {
+        const horizontal = Math.max(0, Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left));
+        const vertical = Math.max(0, Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top));
+        return horizontal * vertical;
+    }
+
+    // Small stable string hash (FNV-1a)
+    hash(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Make it globally available
+window.WordCloudLayout = WordCloudLayout;
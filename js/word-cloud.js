@@ -15,11 +15,14 @@ class WordCloud {
         this.containerWidth = this.container.clientWidth;
         this.containerHeight = this.container.clientHeight;
         this.isFullscreen = false;
-        this.collisionDetection = true;
+        this.layout = new WordCloudLayout();
         this.lastUpdateTime = Date.now(); // Track last update time
+        this.replay = []; // Snapshots of the layout over the session, for replay exports
+        this.maxReplaySnapshots = 300;
         
         // Add language awareness with log for debugging
         this.language = localStorage.getItem('echolife_language') || 'en-US';
+        this.spokenLanguage = this.language; // Language of the tags; differs from the UI with auto-detect on
         console.log(`Word cloud initialized with language: ${this.language}`);
         
         // Setup fullscreen toggle
@@ -34,12 +37,26 @@ class WordCloud {
         // Listen for language changes
         window.addEventListener('languageChanged', (e) => {
             this.language = e.detail.language;
+            this.spokenLanguage = e.detail.language;
             console.log(`Word cloud language changed to: ${this.language}`);
             this.updatePlaceholder();
         });
         
-        // Track container size changes
-        window.addEventListener('resize', () => this.handleResize());
+        // Track container size changes (including fullscreen), falling back to window resizes
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.handleResize());
+        }
+        
+        // Leaving native fullscreen with Esc doesn't go through toggleFullscreen()
+        document.addEventListener('fullscreenchange', () => {
+            this.setFullscreen(document.fullscreenElement === this.container);
+        });
+        
+        // Embedding themes are labelled after the words are placed
+        window.addEventListener('themeLabelsChanged', (e) => this.updateThemeLegend(e.detail.themes));
         
         // Remove placeholder on first data
         this.placeholderRemoved = false;
@@ -92,7 +109,24 @@ class WordCloud {
     }
     
     toggleFullscreen() {
-        this.isFullscreen = !this.isFullscreen;
+        // Use the whole screen where the Fullscreen API exists; iOS Safari only gets the CSS overlay
+        if (document.fullscreenEnabled && this.container.requestFullscreen) {
+            if (document.fullscreenElement === this.container) {
+                document.exitFullscreen();
+            } else {
+                this.container.requestFullscreen().catch(error => {
+                    console.warn('[WORD-CLOUD] Fullscreen request failed, using the overlay:', error);
+                    this.setFullscreen(true);
+                });
+            }
+            return;
+        }
+        
+        this.setFullscreen(!this.isFullscreen);
+    }
+    
+    setFullscreen(enabled) {
+        this.isFullscreen = enabled;
         this.container.classList.toggle('fullscreen', this.isFullscreen);
         
         const icon = document.querySelector('#fullscreenToggle i');
@@ -100,18 +134,55 @@ class WordCloud {
             icon.className = this.isFullscreen ? 'fas fa-compress' : 'fas fa-expand';
         }
         
-        // Update dimensions and reposition words
-        setTimeout(() => {
-            this.handleResize();
-        }, 100);
+        // The ResizeObserver lays the words out again; without one, do it once the size has settled
+        if (!this.resizeObserver) {
+            setTimeout(() => this.handleResize(), 100);
+        }
     }
     
     handleResize() {
-        this.containerWidth = this.container.clientWidth;
-        this.containerHeight = this.container.clientHeight;
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (width === this.containerWidth && height === this.containerHeight) return;
+        
+        this.containerWidth = width;
+        this.containerHeight = height;
+        
+        // Spread the words over the new size, keeping their arrangement
+        this.applyLayout();
+    }
+    
+    /**
+     * Position every word with the layout engine. Words keep their place unless
+     * they now collide (e.g. they grew) or the container changed size.
+     */
+    applyLayout() {
+        this.layout.setSize(this.containerWidth, this.containerHeight);
+        
+        const items = [];
+        this.words.forEach(word => {
+            if (!word.element || !word.element.isConnected) return;
+            items.push({
+                id: word.text,
+                width: word.element.offsetWidth,
+                height: word.element.offsetHeight,
+                left: word.positioned ? word.left : undefined,
+                top: word.positioned ? word.top : undefined
+            });
+        });
         
-        // Reposition all words with animation
-        this.updateWordCloud(Array.from(this.words.values()), true);
+        this.layout.layout(items).forEach((position, text) => {
+            const word = this.words.get(text);
+            word.left = position.left;
+            word.top = position.top;
+            
+            // New words glide out from the centre, moved words glide to their new spot
+            word.element.style.transition = 'all 0.5s ease-out';
+            word.element.style.left = `${position.left}px`;
+            word.element.style.top = `${position.top}px`;
+            word.element.style.transform = 'none';
+            word.positioned = true;
+        });
     }
     
     updatePlaceholder() {
@@ -162,7 +233,7 @@ class WordCloud {
         
         // Track semantic themes for dynamic color assignment
         console.log(`[WORD-CLOUD] Language: ${this.language}, tags: ${tags.length}`);
-        const semanticThemes = this.identifyThemes(tags);
+        const semanticThemes = await this.getThemes(tags);
         
         // Create a new Map for tracking current update's words
         const currentUpdate = new Map();
@@ -205,10 +276,17 @@ class WordCloud {
                         word.count = count;
                     }
                     
+                    // Tags linked to the recording replace the old mentions
+                    if (tag.mentions) {
+                        word.mentions = tag.mentions;
+                        word.mentionIndex = -1;
+                    }
+                    
                     // Update element if it exists
                     if (word.element) {
                         // Update element classes
                         word.element.className = `word ${sizeClass} ${confidence}-confidence`;
+                        this.updateMentionHint(word);
                         
                         // Add status classes
                         if (tag.status) {
@@ -266,9 +344,15 @@ class WordCloud {
                         element: wordElement,
                         confidence,
                         count: count || 1,
+                        mentions: tag.mentions || [],
+                        mentionIndex: -1,
                         lastUpdated: Date.now()
                     };
                     
+                    // Clicking a word plays the recording where it was mentioned
+                    wordElement.addEventListener('click', () => this.seekToNextMention(text));
+                    this.updateMentionHint(wordObj);
+                    
                     // Add to maps
                     this.words.set(text, wordObj);
                     currentUpdate.set(text, wordObj);
@@ -281,152 +365,112 @@ class WordCloud {
             }
         }
         
-        // Position new words
-        console.log(`[WORD-CLOUD] Positioning ${currentUpdate.size} words in cloud`);
-        
-        // Add any new words from current update
-        for (const [text, word] of currentUpdate.entries()) {
-            if (word.element && !word.positioned) {
-                try {
-                    // Get the proper size class
-                    const sizeClass = this.getSizeClass ? 
-                        this.getSizeClass(word.confidence, word.count) : 
-                        this.getDefaultSizeClass(word.confidence, word.count);
-                    
-                    // Get the optimal position with error handling
-                    let position;
-                    try {
-                        position = this.getOptimalPosition(word.element, sizeClass);
-                        console.log(`[WORD-CLOUD] Positioned "${text}" at x:${position.left}, y:${position.top}`);
-                    } catch (posError) {
-                        console.error(`[WORD-CLOUD] Error getting position for "${text}":`, posError);
-                        position = {
-                            left: Math.random() * (this.containerWidth - 100) + 50,
-                            top: Math.random() * (this.containerHeight - 50) + 25
-                        };
-                    }
-                    
-                    // Check if position is valid before using it
-                    if (!position || typeof position.left === 'undefined' || typeof position.top === 'undefined') {
-                        console.warn(`[WORD-CLOUD] Invalid position for word "${text}", using random position`);
-                        position = {
-                            left: Math.random() * (this.containerWidth - 100) + 50,
-                            top: Math.random() * (this.containerHeight - 50) + 25
-                        };
-                    }
-                    
-                    // Apply the position with animation
-                    word.element.style.transition = 'all 0.5s ease-out';
-                    word.element.style.left = `${position.left}px`;
-                    word.element.style.top = `${position.top}px`;
-                    word.element.style.transform = 'none';
-                    
-                    // Mark as positioned
-                    word.positioned = true;
-                } catch (error) {
-                    console.error(`[WORD-CLOUD] Error positioning word "${text}":`, error);
-                    
-                    // Apply fallback positioning even after errors
-                    try {
-                        word.element.style.left = `${Math.random() * (this.containerWidth - 100) + 50}px`;
-                        word.element.style.top = `${Math.random() * (this.containerHeight - 50) + 25}px`;
-                        word.element.style.transform = 'none';
-                        word.positioned = true;
-                        console.log(`[WORD-CLOUD] Applied fallback positioning for "${text}"`);
-                    } catch (fallbackError) {
-                        console.error(`[WORD-CLOUD] Even fallback positioning failed for "${text}":`, fallbackError);
-                    }
-                }
-            }
+        this.updateThemeLegend(semanticThemes);
+        
+        // Place new words and move existing ones only if they no longer fit
+        console.log(`[WORD-CLOUD] Laying out ${this.words.size} words (${currentUpdate.size} in this update)`);
+        this.applyLayout();
+        
+        if (!isResizing) {
+            this.recordSnapshot();
         }
         
         console.log(`[WORD-CLOUD] Update complete with ${this.words.size} total words in cloud`);
     }
     
-    // Find an optimal position for a word that minimizes overlaps
-    getOptimalPosition(element, sizeClass) {
-        const padding = 10;
-        let width, height;
-        
-        // Estimate dimensions based on sizeClass and text length
-        if (sizeClass === 'large' || sizeClass === 'x-large') {
-            width = element.textContent.length * 14;
-            height = 40;
-        } else if (sizeClass === 'medium') {
-            width = element.textContent.length * 10;
-            height = 30;
-        } else {
-            width = element.textContent.length * 8;
-            height = 20;
-        }
+    /**
+     * Capture the current layout as plain data, for exports
+     * @returns {Object} - { time, width, height, words: [{ text, left, top, width, height, fontSize, fontWeight, color, background, radius }] }
+     */
+    getSnapshot() {
+        const words = [];
+        this.words.forEach(word => {
+            const element = word.element;
+            if (!element || !element.isConnected || !word.positioned) return;
+            
+            const style = getComputedStyle(element);
+            words.push({
+                text: word.text,
+                left: parseFloat(element.style.left) || 0,
+                top: parseFloat(element.style.top) || 0,
+                width: element.offsetWidth,
+                height: element.offsetHeight,
+                fontSize: parseFloat(style.fontSize),
+                fontWeight: style.fontWeight,
+                color: element.style.color || style.color,
+                background: style.backgroundColor,
+                radius: parseFloat(style.borderTopLeftRadius) || 0
+            });
+        });
         
-        // Safety margins to keep words within container
-        const safetyMargin = 20;
-        const maxWidth = Math.max(10, this.containerWidth - width - safetyMargin);
-        const maxHeight = Math.max(10, this.containerHeight - height - safetyMargin);
-        
-        // If collision detection is disabled or we have few words, use simple random positioning
-        if (!this.collisionDetection || this.words.size < 5) {
-            return {
-                left: Math.random() * maxWidth + safetyMargin / 2,
-                top: Math.random() * maxHeight + safetyMargin / 2
-            };
-        }
+        return { time: Date.now(), width: this.containerWidth, height: this.containerHeight, words };
+    }
+    
+    // Remember the layout after an update, skipping updates that changed nothing visible
+    recordSnapshot() {
+        const snapshot = this.getSnapshot();
+        const last = this.replay[this.replay.length - 1];
+        if (last && JSON.stringify(last.words) === JSON.stringify(snapshot.words)) return;
         
-        // Try to find a position with minimal overlap
-        let bestPosition = null;
-        let lowestOverlap = Infinity;
-        const attempts = 15; // Number of positions to try
-        
-        for (let i = 0; i < attempts; i++) {
-            // Start with a random position
-            const position = {
-                left: Math.random() * maxWidth + safetyMargin / 2,
-                top: Math.random() * maxHeight + safetyMargin / 2
-            };
-            
-            // Calculate total overlap with existing words
-            let totalOverlap = 0;
-            for (const [existingText, existingWord] of this.words.entries()) {
-                if (existingWord.element && existingWord.positioned && existingText !== element.textContent) {
-                    // Get existing element position and dimensions
-                    const existingRect = existingWord.element.getBoundingClientRect();
-                    const containerRect = this.container.getBoundingClientRect();
-                    
-                    // Adjust for container offset
-                    const existingLeft = existingRect.left - containerRect.left;
-                    const existingTop = existingRect.top - containerRect.top;
-                    const existingWidth = existingRect.width;
-                    const existingHeight = existingRect.height;
-                    
-                    // Calculate overlap
-                    const horizontalOverlap = Math.max(0, Math.min(position.left + width, existingLeft + existingWidth) - Math.max(position.left, existingLeft));
-                    const verticalOverlap = Math.max(0, Math.min(position.top + height, existingTop + existingHeight) - Math.max(position.top, existingTop));
-                    const overlap = horizontalOverlap * verticalOverlap;
-                    
-                    totalOverlap += overlap;
-                }
-            }
-            
-            // Keep track of best position
-            if (totalOverlap < lowestOverlap) {
-                lowestOverlap = totalOverlap;
-                bestPosition = position;
-                
-                // If we found a position with no overlap, use it
-                if (totalOverlap === 0) break;
-            }
-        }
+        this.replay.push(snapshot);
         
-        // If we couldn't find a good position, use a random one
-        if (!bestPosition) {
-            bestPosition = {
-                left: Math.random() * maxWidth + safetyMargin / 2,
-                top: Math.random() * maxHeight + safetyMargin / 2
-            };
+        // Long sessions keep every other snapshot rather than losing their start
+        if (this.replay.length > this.maxReplaySnapshots) {
+            this.replay = this.replay.filter((_, i) => i % 2 === 0 || i === this.replay.length - 1);
+        }
+    }
+    
+    // Start a new replay (e.g. for a new recording session)
+    resetReplay() {
+        this.replay = [];
+    }
+    
+    // Forget where words were mentioned, when the recording they came from is no longer loaded
+    clearMentions() {
+        this.words.forEach(word => {
+            word.mentions = [];
+            word.mentionIndex = -1;
+            if (word.element) this.updateMentionHint(word);
+        });
+    }
+    
+    // Mark words that can be played and list when they were said
+    updateMentionHint(word) {
+        const mentions = word.mentions || [];
+        word.element.classList.toggle('has-mentions', mentions.length > 0);
+        word.element.title = mentions.length > 0 ?
+            `${mentions.length} ${getTranslation('tag_mentions', this.language)}: ` +
+                `${mentions.map(mention => this.formatMentionTime(mention.start)).join(', ')}\n` +
+                getTranslation('tag_seek_hint', this.language) :
+            '';
+    }
+    
+    /**
+     * Play the recording at a word's next mention; repeated clicks cycle through them
+     * @param {string} text - The word's text
+     */
+    seekToNextMention(text) {
+        const word = this.words.get(text);
+        if (!word || !word.mentions || word.mentions.length === 0) return;
+        
+        word.mentionIndex = (word.mentionIndex + 1) % word.mentions.length;
+        const mention = word.mentions[word.mentionIndex];
+        console.log(`[WORD-CLOUD] Seeking to mention ${word.mentionIndex + 1}/${word.mentions.length} of "${text}" at ${mention.start}s`);
+        
+        // The player is outside the cloud
+        if (this.isFullscreen) {
+            this.toggleFullscreen();
         }
         
-        return bestPosition;
+        window.dispatchEvent(new CustomEvent('seekToTime', {
+            detail: { time: mention.start, tag: text }
+        }));
+    }
+    
+    formatMentionTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remaining = Math.floor(seconds % 60);
+        return `${minutes}:${remaining.toString().padStart(2, '0')}`;
     }
     
     // Helper method to generate a theme color for a word
@@ -479,19 +523,56 @@ class WordCloud {
         }
     }
     
+    /**
+     * Group tags into themes: by embeddings when enabled, otherwise by word patterns
+     * @param {Array} tags - Tag objects
+     * @returns {Promise<Array>} - Themes as { index, words, label }
+     */
+    async getThemes(tags) {
+        if (window.themeClusterer && themeClusterer.isEnabled()) {
+            try {
+                return await themeClusterer.cluster(tags.map(tag => tag.text || tag), this.spokenLanguage);
+            } catch (error) {
+                console.warn('[WORD-CLOUD] Embedding themes failed, using word patterns:', error.message);
+            }
+        }
+        return this.identifyThemes(tags);
+    }
+    
+    // List the labelled themes of the words in the cloud, in their colours
+    updateThemeLegend(themes) {
+        let legend = this.container.querySelector('.word-cloud-legend');
+        const cloudWords = new Set(Array.from(this.words.keys()).map(text => text.toLowerCase()));
+        const shown = themes.filter(theme => theme.label && theme.words.some(word => cloudWords.has(word)));
+        
+        if (shown.length === 0) {
+            if (legend) legend.remove();
+            return;
+        }
+        
+        if (!legend) {
+            legend = document.createElement('div');
+            legend.className = 'word-cloud-legend';
+            this.container.appendChild(legend);
+        }
+        
+        legend.innerHTML = '';
+        shown.forEach(theme => {
+            const item = document.createElement('span');
+            item.className = 'word-cloud-legend-item';
+            item.style.color = this.generateThemeColor(theme.index);
+            item.textContent = theme.label;
+            item.title = theme.words.join(', ');
+            legend.appendChild(item);
+        });
+    }
+    
     // New method to identify semantic themes from the current set of tags
     identifyThemes(tags) {
-        // Add Portuguese-specific theme detection
-        const isPortuguese = this.language === 'pt-BR';
-        console.log(`Identifying themes with language: ${this.language}, isPortuguese: ${isPortuguese}`);
-        
-        // For Portuguese, consider groups based on Brazilian industries/topics
-        if (isPortuguese) {
-            // Portuguese-specific theme detection will go here
-            // This is simplified for now
-        }
+        // Related-word groups come from the language packs of the language being spoken
+        const relationPatterns = languagePacks.getThemes(this.spokenLanguage);
+        console.log(`Identifying themes with language: ${this.spokenLanguage}, ${relationPatterns.length} word groups`);
         
-        // Original English theme detection
         // Create thematic clusters based on word relationships
         const themes = [];
         const processedWords = new Set();
@@ -507,7 +588,7 @@ class WordCloud {
             let foundTheme = false;
             for (const theme of themes) {
                 for (const themeWord of theme.words) {
-                    if (this.areWordsRelated(word, themeWord)) {
+                    if (this.areWordsRelated(word, themeWord, relationPatterns)) {
                         theme.words.push(word);
                         processedWords.add(word);
                         foundTheme = true;
@@ -548,7 +629,7 @@ class WordCloud {
     }
     
     // Check if two words are semantically related
-    areWordsRelated(word1, word2) {
+    areWordsRelated(word1, word2, relationPatterns = languagePacks.getThemes(this.spokenLanguage)) {
         if (word1.toLowerCase() === word2.toLowerCase()) {
             return true;
         }
@@ -573,17 +654,6 @@ class WordCloud {
         }
         
         // Check for semantic relationships (could be expanded with NLP libraries)
-        const relationPatterns = [
-            ['health', 'doctor', 'medical', 'wellness', 'fitness', 'diet'],
-            ['tech', 'computer', 'software', 'programming', 'digital'],
-            ['finance', 'money', 'bank', 'investment', 'stock', 'market'],
-            ['travel', 'vacation', 'trip', 'tour', 'destination'],
-            ['food', 'cooking', 'recipe', 'meal', 'kitchen', 'dining'],
-            ['music', 'song', 'artist', 'band', 'concert'],
-            ['sport', 'game', 'team', 'player', 'competition'],
-            ['work', 'job', 'career', 'office', 'professional']
-        ];
-        
         for (const pattern of relationPatterns) {
             if (pattern.includes(w1) && pattern.includes(w2)) {
                 return true;
@@ -629,10 +699,12 @@ class WordCloud {
         const indicator = document.createElement('div');
         indicator.className = 'word-cloud-language-indicator';
         
+        const spokenLanguage = translationSettings.spokenLanguage || translationSettings.language;
+        const flag = languagePacks.getFlag(spokenLanguage) || spokenLanguage;
         if (translationSettings.translateEnabled) {
-            indicator.textContent = translationSettings.language === 'pt-BR' ? '🇧🇷 (Tradução)' : '🇺🇸 (Translation)';
+            indicator.textContent = `${flag} (${getTranslation('translation', translationSettings.language)})`;
         } else {
-            indicator.textContent = translationSettings.language === 'pt-BR' ? '🇧🇷' : '🇺🇸';
+            indicator.textContent = flag;
         }
         
         this.container.appendChild(indicator);
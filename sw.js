@@ -0,0 +1,102 @@
+/**
+ * Service Worker for EchoLife
+ * Caches the app shell so the app opens without a connection. API requests are
+ * never cached - recordings made offline wait in the OfflineQueue instead.
+ */
+
+// Bump the version when the shell list changes so old caches are dropped
+const CACHE_NAME = 'echolife-shell-v15';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/audio-upload.css',
+    'css/styles.css',
+    'css/word-cloud.css',
+    'js/app.js',
+    'js/audio-chunker.js',
+    'js/audio-handler.js',
+    'js/audio-processor.js',
+    'js/audio.js',
+    'js/capture-worklet.js',
+    'js/chat.js',
+    'js/diagnostic-tools.js',
+    'js/input-device-picker.js',
+    'js/ios-speech.js',
+    'js/keyword-extractor.js',
+    'js/language-packs.js',
+    'js/llm-provider.js',
+    'js/llm-settings-panel.js',
+    'js/modal-panel.js',
+    'js/offline-queue.js',
+    'js/recording-visualizer.js',
+    'js/replay-capture.js',
+    'js/session-search.js',
+    'js/session-store.js',
+    'js/speaker-diarizer.js',
+    'js/speech-output.js',
+    'js/speech-settings-panel.js',
+    'js/stored-settings.js',
+    'js/subtitle-editor.js',
+    'js/subtitle-segmenter.js',
+    'js/subtitle-settings-panel.js',
+    'js/subtitle-video-exporter.js',
+    'js/tag-extractor.js',
+    'js/tag-timeline.js',
+    'js/theme-clusterer.js',
+    'js/transcript-exporter.js',
+    'js/transcription.js',
+    'js/translation-controller.js',
+    'js/translations.js',
+    'js/voice-activity.js',
+    'js/word-cloud.js',
+    'js/word-cloud-export.js',
+    'js/word-cloud-layout.js',
+    'lang/de.json',
+    'lang/es-MX.json',
+    'lang/es.json',
+    'lang/fr.json',
+    'lang/index.json'
+];
+
+// Icon fonts come from these CDNs
+const CDN_HOSTS = ['cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Anything else (the OpenAI API, local LLM servers) goes straight to the network
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin && !CDN_HOSTS.includes(url.hostname)) return;
+
+    // Network first so updates show up right away, the cache when offline
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || (request.mode === 'navigate' ? caches.match('index.html') : Response.error())))
+    );
+});